@@ -1,9 +1,17 @@
 /**
  * MongoDB Database Initialization Script
- * Creates indexes for collections
+ * Creates indexes for collections and seeds the default roles
  */
 
-const { User, Scholarship, Application, Document, AuditLog } = require('../models');
+const {
+    User, Scholarship, Application, Document, AuditLog,
+    Otp, MfaChallenge, WebAuthnCredential, WebAuthnChallenge, AuthPolicy,
+    Session, Invitation, OidcAuthRequest, IdentityLinkRequest, Impersonation,
+    ApiKey, SamlAuthRequest, LoginHistory, MagicLink, Role, Delegation,
+    AuditLogArchive, AuditChainHead, AuditCheckpoint, AuditChainGap
+} = require('../models');
+const { seedDefaultRoles } = require('../utils/roles');
+const { dropAuditLogExpiry } = require('../utils/auditIntegrity');
 
 const initDatabase = async () => {
     try {
@@ -15,10 +23,41 @@ const initDatabase = async () => {
             Scholarship.createIndexes(),
             Application.createIndexes(),
             Document.createIndexes(),
-            AuditLog.createIndexes()
+            AuditLog.createIndexes(),
+            Otp.createIndexes(),
+            MfaChallenge.createIndexes(),
+            WebAuthnCredential.createIndexes(),
+            WebAuthnChallenge.createIndexes(),
+            AuthPolicy.createIndexes(),
+            Session.createIndexes(),
+            Invitation.createIndexes(),
+            OidcAuthRequest.createIndexes(),
+            IdentityLinkRequest.createIndexes(),
+            Impersonation.createIndexes(),
+            ApiKey.createIndexes(),
+            SamlAuthRequest.createIndexes(),
+            LoginHistory.createIndexes(),
+            MagicLink.createIndexes(),
+            Role.createIndexes(),
+            Delegation.createIndexes(),
+            AuditLogArchive.createIndexes(),
+            AuditChainHead.createIndexes(),
+            AuditCheckpoint.createIndexes(),
+            AuditChainGap.createIndexes()
         ]);
 
         console.log('✅ MongoDB indexes created successfully');
+
+        // Audit logs are archived now, never expired
+        if (await dropAuditLogExpiry()) {
+            console.log('✅ Removed audit log expiry index');
+        }
+
+        // Roles missing from the database start with the built-in matrix
+        const seeded = await seedDefaultRoles();
+        if (seeded.length) {
+            console.log(`✅ Seeded default roles: ${seeded.join(', ')}`);
+        }
         console.log('✅ Database initialization complete');
         return true;
 
@@ -0,0 +1,86 @@
+/**
+ * OpenID Connect identity providers
+ *
+ * Google is configured from GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET.
+ * Additional providers (e.g. partner universities) come from OIDC_PROVIDERS,
+ * a JSON array of:
+ *   {
+ *     "id": "uni-example",               // URL-safe, unique
+ *     "name": "Example University",      // Button label
+ *     "issuer": "https://idp.example.edu",
+ *     "clientId": "...",
+ *     "clientSecret": "...",             // Omit for public (PKCE-only) clients
+ *     "scopes": ["openid", "email", "profile"],
+ *     "claims": { "email": "email", "fullName": "name", "role": "eduPersonAffiliation" },
+ *     "roleMapping": { "student": "student", "staff": "officer" },
+ *     "defaultRole": "student"
+ *   }
+ */
+
+require('dotenv').config();
+
+const DEFAULT_SCOPES = ['openid', 'email', 'profile'];
+const DEFAULT_CLAIMS = { email: 'email', fullName: 'name' };
+const ROLES = ['student', 'officer', 'admin'];
+
+const parseProviders = () => {
+    if (!process.env.OIDC_PROVIDERS) {
+        return [];
+    }
+    try {
+        const parsed = JSON.parse(process.env.OIDC_PROVIDERS);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        console.error('⚠️ OIDC_PROVIDERS is not valid JSON:', error.message);
+        return [];
+    }
+};
+
+const normalizeProvider = (provider) => ({
+    id: provider.id,
+    name: provider.name || provider.id,
+    issuer: String(provider.issuer || '').replace(/\/+$/, ''),
+    clientId: provider.clientId,
+    clientSecret: provider.clientSecret || null,
+    scopes: provider.scopes || DEFAULT_SCOPES,
+    claims: { ...DEFAULT_CLAIMS, ...(provider.claims || {}) },
+    // Mapped values must be real roles; anything else falls back to defaultRole
+    roleMapping: Object.fromEntries(
+        Object.entries(provider.roleMapping || {}).filter(([, role]) => ROLES.includes(role))
+    ),
+    defaultRole: ROLES.includes(provider.defaultRole) ? provider.defaultRole : 'student'
+});
+
+const loadProviders = () => {
+    const providers = [];
+
+    if (process.env.GOOGLE_CLIENT_ID) {
+        providers.push({
+            id: 'google',
+            name: 'Google',
+            issuer: 'https://accounts.google.com',
+            clientId: process.env.GOOGLE_CLIENT_ID,
+            clientSecret: process.env.GOOGLE_CLIENT_SECRET
+        });
+    }
+
+    providers.push(...parseProviders());
+
+    const seen = new Set();
+    return providers
+        .map(normalizeProvider)
+        .filter((provider) => {
+            if (!/^[a-z0-9-]+$/.test(provider.id || '') || !provider.issuer || !provider.clientId) {
+                console.error(`⚠️ Skipping OIDC provider "${provider.id}": id, issuer and clientId are required`);
+                return false;
+            }
+            if (seen.has(provider.id)) {
+                console.error(`⚠️ Skipping duplicate OIDC provider "${provider.id}"`);
+                return false;
+            }
+            seen.add(provider.id);
+            return true;
+        });
+};
+
+module.exports = loadProviders();
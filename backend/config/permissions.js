@@ -0,0 +1,93 @@
+/**
+ * Permission catalog and default role matrix
+ *
+ * PERMISSION_RESOURCES lists every resource/action pair that routes check
+ * with checkPermission(resource, action). Grants are stored per role in the
+ * roles collection as "resource:action" strings (the same form API key
+ * scopes use) and edited by admins under Roles & Permissions.
+ *
+ * DEFAULT_ROLES is only the seed: roles missing from the database are
+ * created from it on startup, existing ones are never overwritten. Admins
+ * add custom roles (e.g. finance officer, committee member) on top of them;
+ * each names the built-in role it behaves as (its baseRole).
+ *
+ * ACCESS CONTROL MATRIX (defaults):
+ * ┌─────────────┬────────────────────┬────────────────────┬────────────────────┐
+ * │   Subject   │   Applications     │   Scholarships     │   Users            │
+ * │   (Role)    │   (Object)         │   (Object)         │   (Object)         │
+ * ├─────────────┼────────────────────┼────────────────────┼────────────────────┤
+ * │   Student   │ CRU (own only)     │ Read               │ Read/Update (own)  │
+ * │   Officer   │ Read/Update        │ Read               │ -                  │
+ * │   Admin     │ Full CRUD          │ Full CRUD          │ Full CRUD          │
+ * └─────────────┴────────────────────┴────────────────────┴────────────────────┘
+ * Ownership ("own only") is enforced separately by checkOwnership and the routes.
+ */
+
+const PERMISSION_RESOURCES = {
+    manage_users: { label: 'Users', actions: ['create', 'read', 'update', 'delete'] },
+    view_audit_logs: { label: 'Audit Logs', actions: ['read'] },
+    manage_applications: { label: 'Applications', actions: ['create', 'read', 'update', 'delete'] },
+    manage_scholarships: { label: 'Scholarships', actions: ['create', 'read', 'update', 'delete'] },
+    verify_documents: { label: 'Documents', actions: ['read'] }
+};
+
+const DEFAULT_ROLES = [
+    {
+        name: 'student',
+        baseRole: 'student',
+        description: 'Regular scholarship applicant',
+        permissions: [
+            'manage_applications:create',
+            'manage_applications:read',
+            'manage_applications:update',
+            'manage_scholarships:read'
+        ]
+    },
+    {
+        name: 'officer',
+        baseRole: 'officer',
+        description: 'Scholarship application officer',
+        permissions: [
+            'manage_applications:read',
+            'manage_applications:update',
+            'manage_scholarships:read',
+            'verify_documents:read'
+        ]
+    },
+    {
+        name: 'admin',
+        baseRole: 'admin',
+        description: 'System administrator',
+        permissions: Object.entries(PERMISSION_RESOURCES)
+            .flatMap(([resource, { actions }]) => actions.map((action) => `${resource}:${action}`))
+    }
+];
+
+// Not assignable as a custom role name
+const RESERVED_ROLE_NAMES = ['service', 'verifier'];
+
+// Officer group names shared by staff and scholarships, e.g. "engineering"
+const OFFICER_GROUP_PATTERN = /^[a-z0-9][a-z0-9_-]{1,39}$/;
+
+// Grants admins can never lose, or nobody could edit roles any more
+const PROTECTED_GRANTS = {
+    admin: ['manage_users:read', 'manage_users:update']
+};
+
+/**
+ * Every "resource:action" pair in the catalog
+ * @returns {string[]}
+ */
+const listPermissions = () => {
+    return Object.entries(PERMISSION_RESOURCES)
+        .flatMap(([resource, { actions }]) => actions.map((action) => `${resource}:${action}`));
+};
+
+module.exports = {
+    PERMISSION_RESOURCES,
+    DEFAULT_ROLES,
+    PROTECTED_GRANTS,
+    RESERVED_ROLE_NAMES,
+    OFFICER_GROUP_PATTERN,
+    listPermissions
+};
@@ -0,0 +1,106 @@
+/**
+ * SAML 2.0 identity providers (partner college staff)
+ *
+ * Configured from SAML_PROVIDERS, a JSON array of:
+ *   {
+ *     "id": "partner-college",                          // URL-safe, unique
+ *     "name": "Partner College",                        // Button label
+ *     "entryPoint": "https://idp.college.edu/sso",      // IdP SSO URL (HTTP-Redirect binding)
+ *     "idpIssuer": "https://idp.college.edu/metadata",  // Expected <Issuer> of responses
+ *     "idpCert": "MIIC...",                             // IdP signing certificate (PEM or base64),
+ *     "idpCertFile": "/etc/trustscholar/college.pem",   //   or a path to it
+ *     "attributes": { "email": "mail", "fullName": "displayName", "role": "eduPersonAffiliation",
+ *                     "officerGroups": "eduPersonEntitlement" },
+ *     "roleMapping": { "staff": "officer", "student": "student" },
+ *     "groupMapping": { "urn:college:finance-aid": "finance" },  // Attribute value -> officer group
+ *     "defaultRole": "officer",
+ *     "wantResponseSigned": false                       // Assertions are always required to be signed
+ *   }
+ *
+ * Officers provisioned without a mapped group are created inactive until an
+ * admin assigns their officer groups under User Management. With a
+ * groupMapping, officer groups are re-synced from the IdP on every sign-in.
+ *
+ * The service provider side is shared by all IdPs:
+ *   SAML_SP_ENTITY_ID                   - defaults to <BACKEND_URL>/api/auth/saml
+ *   SAML_SP_PRIVATE_KEY / SAML_SP_CERT  - optional PEM pair to sign AuthnRequests
+ */
+
+const fs = require('fs');
+require('dotenv').config();
+
+const DEFAULT_ATTRIBUTES = {
+    email: 'email',
+    fullName: 'displayName',
+    role: 'eduPersonAffiliation',
+    officerGroups: 'eduPersonEntitlement'
+};
+
+// Partner IdPs provision staff and students; admin is never granted from outside
+const ROLES = ['student', 'officer'];
+
+const parseProviders = () => {
+    if (!process.env.SAML_PROVIDERS) {
+        return [];
+    }
+    try {
+        const parsed = JSON.parse(process.env.SAML_PROVIDERS);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        console.error('⚠️ SAML_PROVIDERS is not valid JSON:', error.message);
+        return [];
+    }
+};
+
+const readCert = (provider) => {
+    if (provider.idpCert) {
+        return provider.idpCert;
+    }
+    if (provider.idpCertFile) {
+        try {
+            return fs.readFileSync(provider.idpCertFile, 'utf8');
+        } catch (error) {
+            console.error(`⚠️ Cannot read idpCertFile for SAML provider "${provider.id}":`, error.message);
+        }
+    }
+    return null;
+};
+
+const normalizeProvider = (provider) => ({
+    id: provider.id,
+    name: provider.name || provider.id,
+    entryPoint: provider.entryPoint,
+    idpIssuer: provider.idpIssuer,
+    idpCert: readCert(provider),
+    attributes: { ...DEFAULT_ATTRIBUTES, ...(provider.attributes || {}) },
+    // Mapped values must be allowed roles; anything else falls back to defaultRole
+    roleMapping: Object.fromEntries(
+        Object.entries(provider.roleMapping || {}).filter(([, role]) => ROLES.includes(role))
+    ),
+    // Like roles, only groups the operator mapped explicitly are granted
+    groupMapping: Object.fromEntries(
+        Object.entries(provider.groupMapping || {}).filter(([, group]) => typeof group === 'string' && group)
+    ),
+    defaultRole: ROLES.includes(provider.defaultRole) ? provider.defaultRole : 'officer',
+    wantResponseSigned: provider.wantResponseSigned === true
+});
+
+const loadProviders = () => {
+    const seen = new Set();
+    return parseProviders()
+        .map(normalizeProvider)
+        .filter((provider) => {
+            if (!/^[a-z0-9-]+$/.test(provider.id || '') || !provider.entryPoint || !provider.idpIssuer || !provider.idpCert) {
+                console.error(`⚠️ Skipping SAML provider "${provider.id}": id, entryPoint, idpIssuer and idpCert are required`);
+                return false;
+            }
+            if (seen.has(provider.id)) {
+                console.error(`⚠️ Skipping duplicate SAML provider "${provider.id}"`);
+                return false;
+            }
+            seen.add(provider.id);
+            return true;
+        });
+};
+
+module.exports = loadProviders();
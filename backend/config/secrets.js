@@ -0,0 +1,28 @@
+/**
+ * Application secrets
+ *
+ * Each secret is read from the first of its environment variables that is
+ * set. Production refuses to start without one: the development defaults
+ * are public in this repository, so anything hashed or signed with them
+ * could be forged.
+ */
+
+require('dotenv').config();
+
+/**
+ * @param {string[]} names - Environment variables to try, in order
+ * @param {string} developmentDefault - Used outside production only
+ * @returns {string}
+ */
+const readSecret = (names, developmentDefault) => {
+    const name = names.find((candidate) => process.env[candidate]);
+    if (name) {
+        return process.env[name];
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error(`${names.join(' or ')} must be set in production`);
+    }
+    return developmentDefault;
+};
+
+module.exports = { readSecret };
@@ -8,14 +8,62 @@
 
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const { getActiveSession, touchSession } = require('../utils/session');
+const { getActiveImpersonation, impersonationScopeError } = require('../utils/impersonation');
+const { getRequestApiKey, authenticateRequestApiKey, apiKeyScopeError } = require('../utils/apiKeys');
+const { getBaseRole } = require('../utils/roles');
 require('dotenv').config();
 
+/**
+ * Authenticate a service account by API key (see utils/apiKeys.js)
+ */
+const verifyApiKey = async (req, res, next) => {
+    // Usually already looked up by the per-IP limiter in server.js
+    const result = await authenticateRequestApiKey(req);
+    if (!result.valid) {
+        if (result.retryAfter) {
+            res.set('Retry-After', String(result.retryAfter));
+        }
+        return res.status(result.status).json({
+            success: false,
+            message: result.message
+        });
+    }
+
+    req.user = {
+        userId: result.user._id,
+        id: result.user._id,
+        email: result.user.email,
+        role: 'service',
+        baseRole: 'service',
+        isVerified: true,
+        amr: ['api_key'],
+        apiKeyId: result.apiKey._id,
+        scopes: result.apiKey.scopes
+    };
+
+    const scopeError = apiKeyScopeError(req);
+    if (scopeError) {
+        return res.status(403).json({
+            success: false,
+            message: scopeError
+        });
+    }
+
+    next();
+};
+
 /**
  * Verify JWT Token Middleware
- * Extracts and validates the JWT from Authorization header
+ * Extracts and validates the JWT from Authorization header.
+ * Service accounts may send an API key instead.
  */
 const verifyToken = async (req, res, next) => {
     try {
+        if (getRequestApiKey(req)) {
+            return await verifyApiKey(req, res, next);
+        }
+
         // Get token from header
         const authHeader = req.headers.authorization;
         
@@ -31,6 +79,16 @@ const verifyToken = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Token must belong to a session that has not been revoked.
+        // Impersonation tokens ride on the acting admin's session.
+        const session = await getActiveSession(decoded.sid, decoded.act ? decoded.act.sub : decoded.userId);
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session expired or revoked. Please login again.'
+            });
+        }
+
         // Check if user exists
         const user = await User.findById(decoded.userId).select('-password');
 
@@ -55,6 +113,24 @@ const verifyToken = async (req, res, next) => {
             });
         }
 
+        let impersonation = null;
+        if (decoded.act) {
+            const [active, actor] = await Promise.all([
+                getActiveImpersonation(decoded.imp, decoded.act.sub, decoded.userId),
+                User.findById(decoded.act.sub).select('role isActive')
+            ]);
+            // Custom roles built on admin may impersonate too (see POST /api/users/:id/impersonate)
+            const actorBaseRole = actor && await getBaseRole(actor.role);
+            if (!active || !actor || actorBaseRole !== 'admin' || actor.isActive === false) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Impersonation ended. Return to your own account.',
+                    impersonationEnded: true
+                });
+            }
+            impersonation = active;
+        }
+
         // Attach user to request
         const normalizedRole = user.role === 'verifier' ? 'officer' : user.role;
 
@@ -63,10 +139,35 @@ const verifyToken = async (req, res, next) => {
             id: user._id,
             email: user.email,
             role: normalizedRole,
-            isVerified: user.isVerified
+            // Built-in role a custom role behaves as
+            baseRole: await getBaseRole(normalizedRole),
+            // Scholarship scope for officers (see checkApplicationAccess)
+            officerGroups: user.officerGroups || [],
+            isVerified: user.isVerified,
+            amr: decoded.amr || [],
+            sessionId: session._id,
+            // Step-up never carries over into an impersonation
+            elevatedUntil: impersonation ? null : session.elevatedUntil
         };
+        if (impersonation) {
+            req.user.impersonatorId = impersonation.actorId;
+            req.user.impersonatorEmail = decoded.act.email;
+            req.user.impersonationId = impersonation._id;
+            req.user.readOnly = true;
+
+            const scopeError = impersonationScopeError(req);
+            if (scopeError) {
+                return res.status(403).json({
+                    success: false,
+                    message: scopeError,
+                    impersonation: true
+                });
+            }
+        }
         req.token = token;
 
+        touchSession(session).catch((error) => console.error('Session touch error:', error));
+
         next();
     } catch (error) {
         if (error.name === 'JsonWebTokenError') {
@@ -89,12 +190,36 @@ const verifyToken = async (req, res, next) => {
     }
 };
 
+/**
+ * Tag the routes below a mount point for verifyToken's impersonation
+ * and API key checks. Mounted in server.js, so the tag follows Express's own path
+ * matching (any letter case, trailing slash) rather than a URL comparison.
+ * @param {string} scope - account | account_info | account_management | impersonation_end
+ */
+const markRouteScope = (scope) => (req, res, next) => {
+    req.routeScope = scope;
+    next();
+};
+
+// Authentication methods that count as a second factor
+const MFA_METHODS = ['otp', 'totp', 'webauthn', 'recovery'];
+
 /**
  * Check if MFA is verified for current session
- * (MongoDB version uses OTP at login, so this is a no-op for now)
+ * The access token's `amr` claim lists the methods used at login
  */
 const verifyMFA = async (req, res, next) => {
-    return next();
+    const amr = req.user?.amr || [];
+
+    if (!amr.some((method) => MFA_METHODS.includes(method))) {
+        return res.status(403).json({
+            success: false,
+            message: 'Multi-factor authentication required. Please sign in again.',
+            mfaRequired: true
+        });
+    }
+
+    next();
 };
 
 /**
@@ -112,14 +237,19 @@ const optionalAuth = async (req, res, next) => {
         const token = authHeader.split(' ')[1];
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-        const user = await User.findById(decoded.userId).select('-password');
+        const [user, session] = await Promise.all([
+            User.findById(decoded.userId).select('-password'),
+            getActiveSession(decoded.sid, decoded.userId)
+        ]);
 
-        if (user) {
+        if (user && session) {
             const normalizedRole = user.role === 'verifier' ? 'officer' : user.role;
             req.user = {
                 id: user._id,
                 email: user.email,
-                role: normalizedRole
+                role: normalizedRole,
+                baseRole: await getBaseRole(normalizedRole),
+                officerGroups: user.officerGroups || []
             };
         } else {
             req.user = null;
@@ -135,5 +265,7 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
     verifyToken,
     verifyMFA,
-    optionalAuth
+    optionalAuth,
+    markRouteScope,
+    MFA_METHODS
 };
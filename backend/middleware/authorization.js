@@ -3,20 +3,18 @@
  * AUTHORIZATION MIDDLEWARE (ACCESS CONTROL)
  * Implements: Role-Based Access Control (RBAC)
  * Access Control List (ACL) with Subjects and Objects
+ * Attribute-Based Access Control (ABAC) scoping officers to the
+ * scholarships of their officer groups
+ * Time-boxed delegated grants on top of a user's role (utils/delegations.js)
+ * Roles and their grants live in the roles collection (utils/roles.js);
+ * the catalog and default matrix are in config/permissions.js
  * ============================================================
- * 
- * ACCESS CONTROL MATRIX:
- * ┌─────────────┬────────────────────┬────────────────────┬────────────────────┐
- * │   Subject   │   Applications     │   Scholarships     │   Users            │
- * │   (Role)    │   (Object)         │   (Object)         │   (Object)         │
- * ├─────────────┼────────────────────┼────────────────────┼────────────────────┤
- * │   Student   │ CRUD (own only)    │ Read               │ Read/Update (own)  │
- * │   Officer   │ Read/Update        │ Read               │ Read (limited)     │
- * │   Admin     │ Full CRUD          │ Full CRUD          │ Full CRUD          │
- * └─────────────┴────────────────────┴────────────────────┴────────────────────┘
  */
 
-const { AuditLog } = require('../models');
+const { AuditLog, Application, Scholarship, Document } = require('../models');
+const { PERMISSION_RESOURCES } = require('../config/permissions');
+const { getRolePermissions } = require('../utils/roles');
+const { getActiveDelegations, auditDelegationUse } = require('../utils/delegations');
 
 // ============================================================
 // ROLE-BASED ACCESS CONTROL (RBAC)
@@ -35,7 +33,8 @@ const requireRole = (...allowedRoles) => {
             });
         }
 
-        if (!allowedRoles.includes(req.user.role)) {
+        // Custom roles pass wherever their base role does (see utils/roles.js)
+        if (!allowedRoles.includes(req.user.role) && !allowedRoles.includes(req.user.baseRole)) {
             // Log unauthorized access attempt
             logAccessAttempt(req, 'Unauthorized Access Attempt', 'failure');
             
@@ -52,39 +51,27 @@ const requireRole = (...allowedRoles) => {
 };
 
 // ============================================================
-// SIMPLE IN-MEMORY PERMISSIONS (ACL)
+// ACCESS CONTROL LIST (ACL) IMPLEMENTATION
 // ============================================================
 
-const ROLE_PERMISSIONS = {
-    student: {
-        manage_users: { create: false, read: false, update: false, delete: false },
-        view_audit_logs: { read: false },
-        manage_applications: { create: true, read: true, update: true, delete: false },
-        manage_scholarships: { create: false, read: true, update: false, delete: false },
-        verify_documents: { read: false }
-    },
-    officer: {
-        manage_users: { create: false, read: false, update: false, delete: false },
-        view_audit_logs: { read: false },
-        manage_applications: { create: false, read: true, update: true, delete: false },
-        manage_scholarships: { create: false, read: true, update: false, delete: false },
-        verify_documents: { read: true }
-    },
-    admin: {
-        manage_users: { create: true, read: true, update: true, delete: true },
-        view_audit_logs: { read: true },
-        manage_applications: { create: true, read: true, update: true, delete: true },
-        manage_scholarships: { create: true, read: true, update: true, delete: true },
-        verify_documents: { read: true }
+/**
+ * "resource:action" pairs the caller holds: the role's grants, or the
+ * API key's scopes for service accounts
+ * @param {object} user - req.user
+ * @returns {Promise<Set<string>>}
+ */
+const getGrantedPermissions = async (user) => {
+    if (user.apiKeyId) {
+        return new Set(user.scopes || []);
     }
+    return getRolePermissions(user.role);
 };
 
-// ============================================================
-// ACCESS CONTROL LIST (ACL) IMPLEMENTATION
-// ============================================================
-
 /**
- * Check permission using ACL
+ * Check permission using ACL (the role's grants in the roles collection).
+ * Service accounts hold no role grants - each API key carries a subset
+ * of the catalog as "resource:action" scopes. Users lacking a grant may
+ * still hold it through an active delegation.
  * @param {string} resource - Resource/object name
  * @param {string} action - Action (create, read, update, delete)
  */
@@ -98,20 +85,23 @@ const checkPermission = (resource, action) => {
                 });
             }
 
-            const rolePermissions = ROLE_PERMISSIONS[req.user.role] || {};
-            const resourcePermissions = rolePermissions[resource] || {};
-            const isAllowed = Boolean(resourcePermissions[action]);
+            const permission = `${resource}:${action}`;
+            let isAllowed = (await getGrantedPermissions(req.user)).has(permission);
+
+            // Delegations add to a user's role, never to an API key's scopes
+            let delegations = [];
+            if (!isAllowed && !req.user.apiKeyId) {
+                delegations = await getActiveDelegations(req.user.id, permission);
+                isAllowed = delegations.length > 0;
+            }
+
+            // Read by the application scope checks further down the chain
+            req.authorization = { permission, viaDelegation: delegations.length > 0, delegations };
 
             // Format readable action description
             const actionNames = { create: 'Create', read: 'View', update: 'Update', delete: 'Delete' };
-            const resourceNames = {
-                manage_users: 'Users',
-                view_audit_logs: 'Audit Logs',
-                manage_applications: 'Applications',
-                manage_scholarships: 'Scholarships',
-                verify_documents: 'Documents'
-            };
-            const readableAction = `${actionNames[action] || action} ${resourceNames[resource] || resource}`;
+            const resourceLabel = PERMISSION_RESOURCES[resource]?.label || resource;
+            const readableAction = `${actionNames[action] || action} ${resourceLabel}`;
 
             if (!isAllowed) {
                 // Log denied access
@@ -125,6 +115,9 @@ const checkPermission = (resource, action) => {
 
             // Log successful access
             await logAccessAttempt(req, readableAction, 'success');
+            if (delegations.length) {
+                await auditDelegationUse(req, delegations, permission);
+            }
             
             next();
         } catch (error) {
@@ -149,8 +142,8 @@ const checkPermission = (resource, action) => {
 const checkOwnership = (resourceType, paramName = 'id') => {
     return async (req, res, next) => {
         try {
-            // Admin and officers can access all
-            if (['admin', 'officer'].includes(req.user.role)) {
+            // Admin and officers (and roles based on them) can access all
+            if (['admin', 'officer'].includes(req.user.baseRole)) {
                 return next();
             }
 
@@ -205,6 +198,209 @@ const checkOwnership = (resourceType, paramName = 'id') => {
     };
 };
 
+// ============================================================
+// ATTRIBUTE-BASED ACCESS CONTROL (ABAC)
+// ============================================================
+
+// Resources whose grants only reach the applications in the caller's scope
+const APPLICATION_SCOPED_RESOURCES = ['manage_applications', 'verify_documents'];
+
+/**
+ * Which applications the user may see: "all" for admins and service
+ * accounts, "officer_groups" for officers with at least one group,
+ * "own" for students and "none" otherwise
+ * @param {object} user - req.user
+ * @returns {string}
+ */
+const describeApplicationScope = (user) => {
+    switch (user.baseRole) {
+        case 'admin':
+        case 'service':
+            return 'all';
+        case 'officer':
+            return (user.officerGroups || []).length ? 'officer_groups' : 'none';
+        case 'student':
+            return 'own';
+        default:
+            return 'none';
+    }
+};
+
+/**
+ * Query filter limiting applications to those the user may see:
+ * officers see applications to scholarships sharing one of their
+ * officer groups (a scholarship with no group is admin-only)
+ * @param {object} user - req.user
+ * @returns {Promise<object|null>} - Mongo filter, null when nothing is visible
+ */
+const getApplicationScope = async (user) => {
+    switch (describeApplicationScope(user)) {
+        case 'all':
+            return {};
+        case 'officer_groups': {
+            const scholarshipIds = await Scholarship.find({ officerGroups: { $in: user.officerGroups } }).distinct('_id');
+            return { scholarshipId: { $in: scholarshipIds } };
+        }
+        case 'own':
+            return { userId: user.id };
+        default:
+            return null;
+    }
+};
+
+/**
+ * Applications reachable through delegations: all of them when any
+ * delegation is unscoped, otherwise the delegations' scholarships
+ * @param {object[]} delegations - Active delegations
+ * @returns {object|null} - Mongo filter, null without delegations
+ */
+const getDelegatedScope = (delegations) => {
+    if (delegations.length === 0) {
+        return null;
+    }
+    if (delegations.some((delegation) => !delegation.scholarshipId)) {
+        return {};
+    }
+    return { scholarshipId: { $in: delegations.map((delegation) => delegation.scholarshipId) } };
+};
+
+/**
+ * Own and delegated application scope for the permission checkPermission
+ * just authorised. A permission held only through delegations reaches only
+ * the delegations' scope; one the role holds is widened by them.
+ * @param {object} req - Express request
+ * @returns {Promise<object>} - { own, delegated, delegations }
+ */
+const resolveApplicationScope = async (req) => {
+    const { permission, viaDelegation, delegations = [] } = req.authorization || {};
+    if (viaDelegation) {
+        return { own: null, delegated: getDelegatedScope(delegations), delegations };
+    }
+
+    const widening = permission && !req.user.apiKeyId
+        ? await getActiveDelegations(req.user.id, permission)
+        : [];
+    return {
+        own: await getApplicationScope(req.user),
+        delegated: getDelegatedScope(widening),
+        // Audited when they are what lets the request through
+        delegations: widening
+    };
+};
+
+/**
+ * The caller's effective grants, each with the scope it applies to.
+ * Delegated grants are listed separately with their scholarship and end time.
+ * @param {object} user - req.user
+ * @returns {Promise<object[]>} - [{ permission, resource, action, scope, ... }]
+ */
+const getEffectivePermissions = async (user) => {
+    const applicationScope = describeApplicationScope(user);
+    const grants = [...(await getGrantedPermissions(user))].sort().map((permission) => {
+        const [resource, action] = permission.split(':');
+        return {
+            permission,
+            resource,
+            action,
+            scope: APPLICATION_SCOPED_RESOURCES.includes(resource) ? applicationScope : 'all'
+        };
+    });
+
+    const delegations = user.apiKeyId ? [] : await getActiveDelegations(user.id);
+    for (const delegation of delegations) {
+        for (const permission of delegation.permissions) {
+            const [resource, action] = permission.split(':');
+            const scoped = delegation.scholarshipId && APPLICATION_SCOPED_RESOURCES.includes(resource);
+            grants.push({
+                permission,
+                resource,
+                action,
+                scope: scoped ? 'scholarship' : 'all',
+                scholarshipId: scoped ? delegation.scholarshipId : undefined,
+                delegationId: delegation._id,
+                endsAt: delegation.endsAt
+            });
+        }
+    }
+
+    return grants;
+};
+
+/**
+ * Attach the user's application scope as req.applicationScope for list queries
+ */
+const scopeApplications = async (req, res, next) => {
+    try {
+        const { own, delegated, delegations } = await resolveApplicationScope(req);
+        const scopes = [own, delegated].filter(Boolean);
+
+        // A filter that matches nothing keeps list routes uniform
+        req.applicationScope = scopes.length > 1 ? { $or: scopes } : scopes[0] || { _id: { $in: [] } };
+
+        if (delegated && !req.authorization.viaDelegation) {
+            await auditDelegationUse(req, delegations, req.authorization.permission);
+        }
+        next();
+    } catch (error) {
+        console.error('Application scope error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Authorization error'
+        });
+    }
+};
+
+/**
+ * Check the application (or the application a document belongs to)
+ * is within the user's scope
+ * @param {string} resourceType - application | document
+ * @param {string} paramName - URL parameter name containing resource ID
+ */
+const checkApplicationAccess = (resourceType, paramName = 'id') => {
+    return async (req, res, next) => {
+        try {
+            let applicationId = req.params[paramName];
+            if (resourceType === 'document') {
+                const doc = await Document.findById(applicationId).select('applicationId');
+                applicationId = doc?.applicationId;
+            }
+
+            // Missing resources are left to the route's 404
+            if (!applicationId || !(await Application.exists({ _id: applicationId }))) {
+                return next();
+            }
+
+            const { own, delegated, delegations } = await resolveApplicationScope(req);
+            const inOwnScope = own && await Application.exists({ ...own, _id: applicationId });
+            const inDelegatedScope = !inOwnScope && delegated
+                && await Application.exists({ ...delegated, _id: applicationId });
+
+            if (inDelegatedScope && !req.authorization.viaDelegation) {
+                await auditDelegationUse(req, delegations, req.authorization.permission);
+            }
+
+            if (!inOwnScope && !inDelegatedScope) {
+                await logAccessAttempt(req, 'Access Denied: Application Outside Scope', 'failure');
+
+                return res.status(403).json({
+                    success: false,
+                    message: req.user.baseRole === 'officer'
+                        ? 'Access denied. This application is for a scholarship outside your officer groups.'
+                        : 'Access denied. You can only access your own applications.'
+                });
+            }
+
+            next();
+        } catch (error) {
+            console.error('Application access check error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Authorization error'
+            });
+        }
+    };
+};
+
 // ============================================================
 // AUDIT LOGGING
 // ============================================================
@@ -222,13 +418,42 @@ const getReadableAction = (method, url) => {
         'POST /api/auth/register': 'User Registration',
         'POST /api/auth/login': 'User Login',
         'POST /api/auth/logout': 'User Logout',
+        'POST /api/auth/refresh': 'Token Refresh',
+        'POST /api/auth/unlock': 'Account Unlock (Email Link)',
         'POST /api/auth/verify-otp': 'OTP Verification',
         'POST /api/auth/verify-email': 'Email Verification',
         'POST /api/auth/verify-mfa': 'MFA Verification',
+        'POST /api/auth/magic-link/request': 'Magic Link Request',
+        'POST /api/auth/magic-link/verify': 'Magic Link Login',
         'POST /api/auth/resend-otp': 'Resend OTP',
         'POST /api/auth/forgot-password': 'Password Reset Request',
         'POST /api/auth/reset-password': 'Password Reset',
         'GET /api/auth/me': 'View Profile',
+        'GET /api/auth/permissions': 'View My Permissions',
+        'POST /api/auth/oidc/callback': 'Federated Login (OIDC)',
+        'POST /api/auth/oidc/link/password': 'Link Account - Password Check',
+        'POST /api/auth/oidc/link/verify': 'Link Account - OTP Verification',
+        'GET /api/auth/oidc/identities': 'View Linked Accounts',
+        'POST /api/auth/saml/complete': 'Federated Login (SAML)',
+        'POST /api/auth/webauthn/register/verify': 'Register Passkey',
+        'POST /api/auth/webauthn/login/verify': 'Passkey Login',
+        'POST /api/auth/mfa/recovery-codes': 'Regenerate Recovery Codes',
+        'GET /api/auth-policies': 'View Authentication Policies',
+        'GET /api/roles': 'View Roles & Permissions',
+        'POST /api/roles': 'Create Role',
+        'GET /api/delegations': 'View Delegations',
+        'POST /api/delegations': 'Create Delegation',
+        'GET /api/auth/sessions': 'View Sessions',
+        'DELETE /api/auth/sessions': 'Revoke Other Sessions',
+        'GET /api/auth/step-up/status': 'View Step-Up Status',
+        'POST /api/users/impersonation/end': 'End Impersonation',
+        'GET /api/service-accounts': 'View Service Accounts',
+        'GET /api/service-accounts/scopes': 'View API Key Scopes',
+        'POST /api/service-accounts': 'Create Service Account',
+        'POST /api/auth/step-up/otp/send': 'Request Step-Up Code',
+        'POST /api/auth/step-up/otp/verify': 'Step-Up Verification (Code)',
+        'POST /api/auth/step-up/webauthn/options': 'Start Step-Up Passkey',
+        'POST /api/auth/step-up/webauthn/verify': 'Step-Up Verification (Passkey)',
         
         // Scholarship routes
         'GET /api/scholarships': 'View Scholarships',
@@ -238,6 +463,7 @@ const getReadableAction = (method, url) => {
         'GET /api/applications': 'View Applications',
         'POST /api/applications': 'Submit Application',
         'GET /api/applications/my': 'View My Applications',
+        'GET /api/applications/approvals/pending': 'View Pending Approvals',
         
         // Document routes
         'GET /api/documents': 'View Documents',
@@ -247,6 +473,14 @@ const getReadableAction = (method, url) => {
         'GET /api/users': 'View Users',
         'POST /api/users': 'Create User',
         'GET /api/users/audit-logs': 'View Audit Logs',
+        'GET /api/users/audit-logs/verify': 'Verify Audit Log Chain',
+        'GET /api/users/risky-logins': 'View Risky Logins',
+
+        // Staff invitation routes
+        'GET /api/invitations': 'View Invitations',
+        'POST /api/invitations': 'Create Staff Invitation',
+        'GET /api/invitations/lookup': 'Open Invitation Link',
+        'POST /api/invitations/accept': 'Staff Registration (Invitation)',
     };
 
     // Check exact match first
@@ -272,6 +506,27 @@ const getReadableAction = (method, url) => {
         { pattern: /^GET \/api\/documents\/[^/]+\/verify$/, action: 'Verify Document' },
         { pattern: /^DELETE \/api\/documents\/[^/]+$/, action: 'Delete Document' },
         
+        { pattern: /^GET \/api\/auth\/oidc\/[^/]+\/authorize$/, action: 'Start Federated Login (OIDC)' },
+        { pattern: /^GET \/api\/auth\/oidc\/[^/]+\/link$/, action: 'Start Account Linking' },
+        { pattern: /^DELETE \/api\/auth\/oidc\/identities\/[^/]+$/, action: 'Unlink Account' },
+        { pattern: /^GET \/api\/auth\/saml\/[^/]+\/authorize$/, action: 'Start Federated Login (SAML)' },
+        { pattern: /^POST \/api\/auth\/saml\/[^/]+\/acs$/, action: 'SAML Assertion Received' },
+        { pattern: /^DELETE \/api\/auth\/webauthn\/credentials\/[^/]+$/, action: 'Remove Passkey' },
+        { pattern: /^PUT \/api\/auth-policies\/[^/]+$/, action: 'Update Authentication Policy' },
+        { pattern: /^PUT \/api\/roles\/[^/]+\/permissions$/, action: 'Update Role Permissions' },
+        { pattern: /^DELETE \/api\/roles\/[^/]+$/, action: 'Delete Role' },
+        { pattern: /^DELETE \/api\/delegations\/[^/]+$/, action: 'Revoke Delegation' },
+        { pattern: /^DELETE \/api\/auth\/sessions\/[^/]+$/, action: 'Revoke Session' },
+        { pattern: /^POST \/api\/users\/[^/]+\/revoke-sessions$/, action: 'Revoke User Sessions' },
+        { pattern: /^POST \/api\/users\/[^/]+\/impersonate$/, action: 'Start Impersonation' },
+        { pattern: /^PUT \/api\/service-accounts\/[^/]+$/, action: 'Update Service Account' },
+        { pattern: /^POST \/api\/service-accounts\/[^/]+\/keys$/, action: 'Create API Key' },
+        { pattern: /^POST \/api\/service-accounts\/[^/]+\/keys\/[^/]+\/rotate$/, action: 'Rotate API Key' },
+        { pattern: /^DELETE \/api\/service-accounts\/[^/]+\/keys\/[^/]+$/, action: 'Revoke API Key' },
+        { pattern: /^PUT \/api\/applications\/[^/]+\/enrollment$/, action: 'Confirm Enrollment' },
+        { pattern: /^POST \/api\/users\/[^/]+\/unlock$/, action: 'Unlock User Account' },
+        { pattern: /^DELETE \/api\/invitations\/[^/]+$/, action: 'Revoke Staff Invitation' },
+
         { pattern: /^GET \/api\/users\/[^/]+$/, action: 'View User Details' },
         { pattern: /^PUT \/api\/users\/[^/]+$/, action: 'Update User' },
         { pattern: /^DELETE \/api\/users\/[^/]+$/, action: 'Delete User' },
@@ -309,11 +564,13 @@ const logAccessAttempt = async (req, action, status) => {
     try {
         await AuditLog.create({
             userId: req.user?.id || null,
+            impersonatorId: req.user?.impersonatorId,
             action,
             resource: req.baseUrl,
             ipAddress: req.ip,
             userAgent: req.get('user-agent'),
-            status
+            status,
+            details: req.user?.apiKeyId ? { apiKeyId: req.user.apiKeyId } : undefined
         });
     } catch (error) {
         console.error('Audit log error:', error);
@@ -344,108 +601,13 @@ const auditLog = async (req, res, next) => {
     next();
 };
 
-// ============================================================
-// ACCESS CONTROL POLICY DEFINITIONS
-// ============================================================
-
-/**
- * Policy definitions for documentation and reference
- * These policies are enforced programmatically above
- */
-const ACCESS_POLICIES = {
-    student: {
-        description: 'Regular scholarship applicant',
-        permissions: {
-            applications: {
-                create: true,    // Can create applications
-                read: 'own',     // Can only read own applications
-                update: 'own',   // Can only update own applications (if draft)
-                delete: 'own'    // Can only delete own draft applications
-            },
-            scholarships: {
-                create: false,
-                read: true,      // Can view available scholarships
-                update: false,
-                delete: false
-            },
-            documents: {
-                create: 'own',   // Can upload documents to own applications
-                read: 'own',     // Can view own documents
-                update: false,
-                delete: 'own'    // Can delete own documents (if draft)
-            },
-            users: {
-                create: false,
-                read: 'own',     // Can view own profile
-                update: 'own',   // Can update own profile
-                delete: false
-            }
-        }
-    },
-    officer: {
-        description: 'Scholarship application officer',
-        permissions: {
-            applications: {
-                create: false,
-                read: true,      // Can view all submitted applications
-                update: true,    // Can update status, add comments
-                delete: false
-            },
-            scholarships: {
-                create: false,
-                read: true,
-                update: false,
-                delete: false
-            },
-            documents: {
-                create: false,
-                read: true,      // Can view all documents for verification
-                update: false,
-                delete: false
-            },
-            users: {
-                create: false,
-                read: 'limited', // Can view student basic info
-                update: false,
-                delete: false
-            }
-        }
-    },
-    admin: {
-        description: 'System administrator',
-        permissions: {
-            applications: {
-                create: true,
-                read: true,
-                update: true,
-                delete: true
-            },
-            scholarships: {
-                create: true,    // Can create scholarships
-                read: true,
-                update: true,
-                delete: true
-            },
-            documents: {
-                create: true,
-                read: true,
-                update: true,
-                delete: true
-            },
-            users: {
-                create: true,    // Can create users
-                read: true,      // Can view all users
-                update: true,    // Can update any user
-                delete: true     // Can deactivate users
-            }
-        }
-    }
-};
-
 module.exports = {
     requireRole,
     checkPermission,
     checkOwnership,
-    auditLog,
-    ACCESS_POLICIES
+    getEffectivePermissions,
+    getApplicationScope,
+    scopeApplications,
+    checkApplicationAccess,
+    auditLog
 };
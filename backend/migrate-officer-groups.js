@@ -0,0 +1,68 @@
+/**
+ * Officer Group Migration Script for TrustScholar
+ * Officers only see applications to scholarships sharing one of their
+ * officer groups. Run once when upgrading: it assigns a transition group
+ * to every officer (built-in or custom officer-based role) and every
+ * scholarship that has none, so existing officers keep reviewing what
+ * they reviewed before. Narrow the groups from the admin pages afterwards.
+ *
+ * Run: node migrate-officer-groups.js [group] [--dry-run]
+ *   group      transition group to assign (default: general)
+ *   --dry-run  only report what would change
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { connectDB } = require('./config/database');
+const { User, Scholarship, Role, AuditLog } = require('./models');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const group = (args.find((arg) => !arg.startsWith('--')) || 'general').trim().toLowerCase();
+
+const WITHOUT_GROUPS = { $or: [{ officerGroups: { $exists: false } }, { officerGroups: { $size: 0 } }] };
+
+const migrateOfficerGroups = async () => {
+    let exitCode = 0;
+    try {
+        if (!(await connectDB())) {
+            throw new Error('Database connection failed');
+        }
+
+        const officerRoles = (await Role.find({ baseRole: 'officer' }).select('name').lean())
+            .map((role) => role.name);
+        const officerFilter = { role: { $in: officerRoles }, ...WITHOUT_GROUPS };
+
+        if (dryRun) {
+            const officers = await User.countDocuments(officerFilter);
+            const scholarships = await Scholarship.countDocuments(WITHOUT_GROUPS);
+            console.log(`Would assign "${group}" to ${officers} officers and ${scholarships} scholarships`);
+        } else {
+            const officers = await User.updateMany(officerFilter, { $set: { officerGroups: [group] } });
+            const scholarships = await Scholarship.updateMany(WITHOUT_GROUPS, { $set: { officerGroups: [group] } });
+
+            await AuditLog.create({
+                action: 'Officer Groups Migrated',
+                resource: 'officer_groups',
+                resourceId: group,
+                status: 'success',
+                details: {
+                    group,
+                    officers: officers.modifiedCount,
+                    scholarships: scholarships.modifiedCount
+                }
+            });
+
+            console.log(`✅ Assigned "${group}" to ${officers.modifiedCount} officers and ${scholarships.modifiedCount} scholarships`);
+        }
+    } catch (error) {
+        console.error('❌ Officer group migration failed:', error.message);
+        exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+    }
+    process.exit(exitCode);
+};
+
+migrateOfficerGroups();
@@ -0,0 +1,140 @@
+/**
+ * Mock OpenID Connect Identity Provider for local development
+ * Run: node mock-oidc-idp.js  (listens on MOCK_IDP_PORT, default 4000)
+ *
+ * Then configure the backend with:
+ *   OIDC_PROVIDERS=[{"id":"mock","name":"Mock University","issuer":"http://localhost:4000",
+ *     "clientId":"trustscholar","clientSecret":"mock-secret",
+ *     "claims":{"role":"affiliation"},"roleMapping":{"staff":"officer"}}]
+ *
+ * The authorize page lets you pick any email, name and affiliation, so
+ * new-account, returning-account and role-mapping paths can be tried
+ * without a real IdP. Never expose this server outside localhost.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_IDP_PORT, 10) || 4000;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || 'trustscholar';
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// code -> pending grant (in memory, single use)
+const grants = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (value) => String(value || '').replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        code_challenge_methods_supported: ['S256']
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }] });
+});
+
+app.get('/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.query;
+
+    if (clientId !== CLIENT_ID || !redirectUri || !codeChallenge) {
+        return res.status(400).send('invalid_request: client_id, redirect_uri and code_challenge are required');
+    }
+
+    const hidden = { redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge };
+    res.send(`<!doctype html>
+<html><body style="font-family: Arial, sans-serif; max-width: 420px; margin: 40px auto;">
+<h2>Mock IdP sign-in</h2>
+<form method="post" action="/authorize">
+${Object.entries(hidden).map(([name, value]) => `<input type="hidden" name="${name}" value="${escapeHtml(value)}">`).join('\n')}
+<p><label>Email<br><input name="email" value="student@mock.edu" size="40"></label></p>
+<p><label>Name<br><input name="name" value="Mock Student" size="40"></label></p>
+<p><label>Affiliation<br><select name="affiliation"><option>student</option><option>staff</option></select></label></p>
+<p><label><input type="checkbox" name="email_verified" checked> Email verified</label></p>
+<button type="submit">Sign in</button>
+</form></body></html>`);
+});
+
+app.post('/authorize', (req, res) => {
+    const { redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge, email, name, affiliation } = req.body;
+    const code = crypto.randomBytes(24).toString('base64url');
+
+    grants.set(code, {
+        redirectUri,
+        nonce,
+        codeChallenge,
+        claims: {
+            sub: crypto.createHash('sha256').update(String(email).toLowerCase()).digest('hex').slice(0, 24),
+            email,
+            email_verified: Boolean(req.body.email_verified),
+            name,
+            affiliation
+        },
+        expiresAt: Date.now() + 60 * 1000
+    });
+
+    const target = new URL(redirectUri);
+    target.searchParams.set('code', code);
+    if (state) target.searchParams.set('state', state);
+    res.redirect(target.toString());
+});
+
+app.post('/token', (req, res) => {
+    const basic = (req.get('authorization') || '').replace(/^Basic /, '');
+    const [basicId, basicSecret] = Buffer.from(basic, 'base64').toString().split(':').map(decodeURIComponent);
+    const clientId = basicId || req.body.client_id;
+    const clientSecret = basicSecret || req.body.client_secret;
+
+    if (clientId !== CLIENT_ID || clientSecret !== CLIENT_SECRET) {
+        return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const grant = grants.get(req.body.code);
+    grants.delete(req.body.code);
+
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== req.body.redirect_uri || grant.codeChallenge !== challenge) {
+        return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+        algorithm: 'RS256',
+        keyid: KEY_ID,
+        issuer: ISSUER,
+        audience: CLIENT_ID,
+        expiresIn: '5m'
+    });
+    const accessToken = jwt.sign({ claims: grant.claims }, privateKey, { algorithm: 'RS256', keyid: KEY_ID, expiresIn: '5m' });
+
+    res.json({ token_type: 'Bearer', access_token: accessToken, id_token: idToken, expires_in: 300 });
+});
+
+app.get('/userinfo', (req, res) => {
+    try {
+        const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+        res.json(jwt.verify(token, publicKey, { algorithms: ['RS256'] }).claims);
+    } catch (error) {
+        res.status(401).json({ error: 'invalid_token' });
+    }
+});
+
+app.listen(PORT, () => {
+    console.log(`🔐 Mock OIDC IdP listening on ${ISSUER} (client_id=${CLIENT_ID})`);
+});
@@ -0,0 +1,162 @@
+/**
+ * Mock SAML 2.0 Identity Provider for local development
+ * Run: node mock-saml-idp.js  (listens on MOCK_SAML_IDP_PORT, default 4001)
+ *
+ * On first run a self-signed IdP key and certificate are generated with
+ * openssl into .mock-saml-idp/. Then configure the backend with:
+ *   SAML_PROVIDERS=[{"id":"mock-college","name":"Mock College",
+ *     "entryPoint":"http://localhost:4001/sso","idpIssuer":"http://localhost:4001/metadata",
+ *     "idpCertFile":"<path printed on startup>",
+ *     "attributes":{"role":"affiliation","officerGroups":"groups"},
+ *     "roleMapping":{"staff":"officer","student":"student"},"groupMapping":{"finance":"finance"}}]
+ *
+ * The sign-in page lets you pick the email, name, affiliation and groups, and
+ * whether the response is signed in addition to the assertion, so
+ * provisioning, role mapping and signature checks can be tried without
+ * a real IdP. Never expose this server outside localhost.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const { signSamlPost } = require('@node-saml/node-saml/lib/saml-post-signing');
+
+const PORT = parseInt(process.env.MOCK_SAML_IDP_PORT, 10) || 4001;
+const BASE_URL = `http://localhost:${PORT}`;
+const ISSUER = `${BASE_URL}/metadata`;
+
+const KEY_DIR = path.join(__dirname, '.mock-saml-idp');
+const KEY_FILE = path.join(KEY_DIR, 'idp-key.pem');
+const CERT_FILE = path.join(KEY_DIR, 'idp-cert.pem');
+
+const ensureKeyPair = () => {
+    if (fs.existsSync(KEY_FILE) && fs.existsSync(CERT_FILE)) {
+        return;
+    }
+    fs.mkdirSync(KEY_DIR, { recursive: true });
+    execFileSync('openssl', [
+        'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-sha256', '-days', '365',
+        '-subj', '/CN=Mock SAML IdP',
+        '-keyout', KEY_FILE, '-out', CERT_FILE
+    ], { stdio: 'ignore' });
+};
+
+ensureKeyPair();
+const privateKey = fs.readFileSync(KEY_FILE, 'utf8');
+const publicCert = fs.readFileSync(CERT_FILE, 'utf8');
+
+const ASSERTION_XPATH = '/*[local-name(.)="Response"]/*[local-name(.)="Assertion"]';
+const RESPONSE_XPATH = '/*[local-name(.)="Response"]';
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeXml = (value) => String(value || '').replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+const newId = () => `_${crypto.randomBytes(16).toString('hex')}`;
+const readAttr = (xml, name) => (new RegExp(`\\s${name}="([^"]*)"`).exec(xml) || [])[1];
+
+app.get('/metadata', (req, res) => {
+    const certBody = publicCert.replace(/-----[^-]+-----|\s/g, '');
+    res.type('application/samlmetadata+xml').send(`<?xml version="1.0"?>
+<md:EntityDescriptor xmlns:md="urn:oasis:names:tc:SAML:2.0:metadata" entityID="${ISSUER}">
+  <md:IDPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol">
+    <md:KeyDescriptor use="signing"><ds:KeyInfo xmlns:ds="http://www.w3.org/2000/09/xmldsig#"><ds:X509Data><ds:X509Certificate>${certBody}</ds:X509Certificate></ds:X509Data></ds:KeyInfo></md:KeyDescriptor>
+    <md:SingleSignOnService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect" Location="${BASE_URL}/sso"/>
+  </md:IDPSSODescriptor>
+</md:EntityDescriptor>`);
+});
+
+app.get('/sso', (req, res) => {
+    let authnRequest;
+    try {
+        authnRequest = zlib.inflateRawSync(Buffer.from(String(req.query.SAMLRequest), 'base64')).toString('utf8');
+    } catch (error) {
+        return res.status(400).send('invalid_request: SAMLRequest is missing or not deflated');
+    }
+
+    const hidden = {
+        request_id: readAttr(authnRequest, 'ID'),
+        acs_url: readAttr(authnRequest, 'AssertionConsumerServiceURL'),
+        audience: (/<(?:\w+:)?Issuer[^>]*>([^<]+)</.exec(authnRequest) || [])[1],
+        relay_state: req.query.RelayState || ''
+    };
+    if (!hidden.request_id || !hidden.acs_url || !hidden.audience) {
+        return res.status(400).send('invalid_request: AuthnRequest needs ID, AssertionConsumerServiceURL and Issuer');
+    }
+
+    res.send(`<!doctype html>
+<html><body style="font-family: Arial, sans-serif; max-width: 420px; margin: 40px auto;">
+<h2>Mock SAML IdP sign-in</h2>
+<p style="color:#666">Request ${escapeXml(hidden.request_id)} from ${escapeXml(hidden.audience)}</p>
+<form method="post" action="/sso">
+${Object.entries(hidden).map(([name, value]) => `<input type="hidden" name="${name}" value="${escapeXml(value)}">`).join('\n')}
+<p><label>Email<br><input name="email" value="officer@mock-college.edu" size="40"></label></p>
+<p><label>Name<br><input name="name" value="Mock Officer" size="40"></label></p>
+<p><label>Affiliation<br><select name="affiliation"><option>staff</option><option>student</option><option>faculty</option></select></label></p>
+<p><label>Groups (comma-separated)<br><input name="groups" value="finance" size="40"></label></p>
+<p><label><input type="checkbox" name="sign_response"> Also sign the Response</label></p>
+<button type="submit">Sign in</button>
+</form></body></html>`);
+});
+
+app.post('/sso', (req, res) => {
+    const { request_id: requestId, acs_url: acsUrl, audience, relay_state: relayState, email, name, affiliation, groups } = req.body;
+
+    const now = new Date();
+    const notBefore = new Date(now.getTime() - 60 * 1000).toISOString();
+    const notOnOrAfter = new Date(now.getTime() + 5 * 60 * 1000).toISOString();
+    const subject = crypto.createHash('sha256').update(String(email).toLowerCase()).digest('hex').slice(0, 24);
+
+    const attribute = (attrName, ...values) =>
+        `<saml:Attribute Name="${attrName}">${values.map((value) => `<saml:AttributeValue>${escapeXml(value)}</saml:AttributeValue>`).join('')}</saml:Attribute>`;
+    const groupValues = String(groups || '').split(',').map((group) => group.trim()).filter(Boolean);
+
+    const response = `<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="${newId()}" Version="2.0" IssueInstant="${now.toISOString()}" Destination="${escapeXml(acsUrl)}" InResponseTo="${escapeXml(requestId)}">`
+        + `<saml:Issuer>${ISSUER}</saml:Issuer>`
+        + '<samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"/></samlp:Status>'
+        + `<saml:Assertion ID="${newId()}" Version="2.0" IssueInstant="${now.toISOString()}">`
+        + `<saml:Issuer>${ISSUER}</saml:Issuer>`
+        + '<saml:Subject>'
+        + `<saml:NameID Format="urn:oasis:names:tc:SAML:2.0:nameid-format:persistent">${subject}</saml:NameID>`
+        + '<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">'
+        + `<saml:SubjectConfirmationData InResponseTo="${escapeXml(requestId)}" Recipient="${escapeXml(acsUrl)}" NotOnOrAfter="${notOnOrAfter}"/>`
+        + '</saml:SubjectConfirmation>'
+        + '</saml:Subject>'
+        + `<saml:Conditions NotBefore="${notBefore}" NotOnOrAfter="${notOnOrAfter}">`
+        + `<saml:AudienceRestriction><saml:Audience>${escapeXml(audience)}</saml:Audience></saml:AudienceRestriction>`
+        + '</saml:Conditions>'
+        + `<saml:AuthnStatement AuthnInstant="${now.toISOString()}" SessionIndex="${newId()}">`
+        + '<saml:AuthnContext><saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport</saml:AuthnContextClassRef></saml:AuthnContext>'
+        + '</saml:AuthnStatement>'
+        + '<saml:AttributeStatement>'
+        + attribute('email', email)
+        + attribute('displayName', name)
+        + attribute('affiliation', affiliation)
+        + (groupValues.length ? attribute('groups', ...groupValues) : '')
+        + '</saml:AttributeStatement>'
+        + '</saml:Assertion>'
+        + '</samlp:Response>';
+
+    const signingOptions = { privateKey, publicCert, signatureAlgorithm: 'sha256', digestAlgorithm: 'sha256' };
+    let signed = signSamlPost(response, ASSERTION_XPATH, signingOptions);
+    if (req.body.sign_response) {
+        signed = signSamlPost(signed, RESPONSE_XPATH, signingOptions);
+    }
+
+    // HTTP-POST binding: the browser carries the response to the ACS
+    res.send(`<!doctype html>
+<html><body onload="document.forms[0].submit()">
+<form method="post" action="${escapeXml(acsUrl)}">
+<input type="hidden" name="SAMLResponse" value="${Buffer.from(signed).toString('base64')}">
+<input type="hidden" name="RelayState" value="${escapeXml(relayState)}">
+<noscript><button type="submit">Continue</button></noscript>
+</form></body></html>`);
+});
+
+app.listen(PORT, () => {
+    console.log(`🔐 Mock SAML IdP listening on ${BASE_URL} (issuer ${ISSUER})`);
+    console.log(`   Signing certificate: ${CERT_FILE}`);
+});
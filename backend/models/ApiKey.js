@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const apiKeySchema = new mongoose.Schema({
+    serviceAccountId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Public lookup part of the key ("tsk_<prefix>_<secret>")
+    prefix: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // HMAC of the secret part - the key itself is only shown once
+    keyHash: {
+        type: String,
+        required: true
+    },
+    // "resource:action" pairs from config/permissions.js, e.g. "manage_applications:read"
+    scopes: {
+        type: [String],
+        default: []
+    },
+    rateLimitPerMinute: {
+        type: Number,
+        default: 60
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    expiresAt: Date,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Key this one replaced when it was rotated
+    rotatedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApiKey'
+    },
+    revokedAt: Date,
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+apiKeySchema.index({ serviceAccountId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
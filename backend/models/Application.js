@@ -46,6 +46,41 @@ const applicationSchema = new mongoose.Schema({
     verifiedQrCode: String,
     verifiedCertificateText: String,
     verifiedAt: Date,
+    verifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Sign-offs towards approval; cleared when the application leaves
+    // "verified" (see utils/approvals.js)
+    approvals: {
+        type: [{
+            userId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+                required: true
+            },
+            approvedAt: {
+                type: Date,
+                default: Date.now
+            },
+            comments: String
+        }],
+        default: []
+    },
+    // Confirmed by the registrar (admin or a service account) after approval
+    enrollment: {
+        status: {
+            type: String,
+            enum: ['enrolled', 'not_enrolled', 'withdrawn']
+        },
+        term: String,
+        reference: String,
+        confirmedAt: Date,
+        confirmedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
     digitalSignature: String,
     encryptedData: String,
     createdAt: {
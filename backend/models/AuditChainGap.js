@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const auditChainGapSchema = new mongoose.Schema({
+    // Place in the chain of an entry that was linked but never stored
+    seq: {
+        type: Number,
+        required: true
+    },
+    prevHash: {
+        type: String,
+        required: true
+    },
+    // Hash the next entry links to
+    hash: {
+        type: String,
+        required: true
+    },
+    // Why the entry could not be stored
+    reason: String,
+    // Server key signature over seq, prevHash and hash
+    signature: {
+        type: String,
+        required: true
+    },
+    keyId: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+auditChainGapSchema.index({ seq: 1 }, { unique: true });
+
+module.exports = mongoose.model('AuditChainGap', auditChainGapSchema);
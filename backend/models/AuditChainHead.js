@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Latest link of the audit log hash chain. New entries claim the next
+// sequence number by moving this document forward (compare-and-swap),
+// so concurrent writers on any instance never fork the chain
+const auditChainHeadSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    seq: {
+        type: Number,
+        required: true
+    },
+    hash: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: { createdAt: false, updatedAt: true }
+});
+
+module.exports = mongoose.model('AuditChainHead', auditChainHeadSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const auditCheckpointSchema = new mongoose.Schema({
+    // Audit log entry the checkpoint vouches for, and every one before it
+    seq: {
+        type: Number,
+        required: true
+    },
+    hash: {
+        type: String,
+        required: true
+    },
+    // Server key signature over seq, hash and createdAt
+    signature: {
+        type: String,
+        required: true
+    },
+    keyId: {
+        type: String,
+        required: true
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+auditCheckpointSchema.index({ seq: 1 }, { unique: true });
+
+module.exports = mongoose.model('AuditCheckpoint', auditCheckpointSchema);
@@ -1,10 +1,16 @@
 const mongoose = require('mongoose');
+const { linkEntry, recordGap } = require('../utils/auditChain');
 
 const auditLogSchema = new mongoose.Schema({
     userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     },
+    // Set when the request was made by an admin viewing as userId
+    impersonatorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
     action: {
         type: String,
         required: true
@@ -22,7 +28,11 @@ const auditLogSchema = new mongoose.Schema({
     timestamp: {
         type: Date,
         default: Date.now
-    }
+    },
+    // Hash chain (utils/auditChain.js); unset on entries written before it
+    seq: Number,
+    prevHash: String,
+    hash: String
 }, {
     timestamps: { createdAt: 'timestamp', updatedAt: false }
 });
@@ -30,9 +40,27 @@ const auditLogSchema = new mongoose.Schema({
 // Indexes for efficient querying
 auditLogSchema.index({ userId: 1, timestamp: -1 });
 auditLogSchema.index({ action: 1 });
+auditLogSchema.index({ impersonatorId: 1, timestamp: -1 }, { sparse: true });
 auditLogSchema.index({ timestamp: -1 });
+auditLogSchema.index({ seq: 1 }, { unique: true, sparse: true });
 
-// TTL index - automatically delete logs older than 90 days
-auditLogSchema.index({ timestamp: 1 }, { expireAfterSeconds: 7776000 });
+// Every new entry is linked to the one before it. Old entries are moved to
+// AuditLogArchive rather than expiring (utils/auditIntegrity.js)
+auditLogSchema.pre('save', async function () {
+    if (this.isNew && this.seq == null) {
+        await linkEntry(this);
+    }
+});
+
+// The head has already moved past an entry that failed to insert; leave a
+// signed gap record so the chain can be verified across its place
+auditLogSchema.post('save', function (error, doc, next) {
+    if (!this.isNew || !this.hash) {
+        return next(error);
+    }
+    recordGap(this, error)
+        .catch((gapError) => console.error('Audit chain gap error:', gapError))
+        .finally(() => next(error));
+});
 
 module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+const AuditLog = require('./AuditLog');
+
+// Audit log entries past the retention period, moved here unchanged so
+// the hash chain can still be verified end to end
+const auditLogArchiveSchema = new mongoose.Schema(AuditLog.schema.obj);
+
+auditLogArchiveSchema.index({ seq: 1 }, { unique: true, sparse: true });
+auditLogArchiveSchema.index({ timestamp: -1 });
+
+module.exports = mongoose.model('AuditLogArchive', auditLogArchiveSchema);
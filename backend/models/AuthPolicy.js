@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const authPolicySchema = new mongoose.Schema({
+    role: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Users in this role must sign in with a passkey (WebAuthn)
+    requirePasskey: {
+        type: Boolean,
+        default: false
+    },
+    // Users in this role may sign in with an emailed one-time link
+    allowMagicLink: {
+        type: Boolean,
+        default: false
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('AuthPolicy', authPolicySchema);
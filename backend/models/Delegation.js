@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const delegationSchema = new mongoose.Schema({
+    // User receiving the grants
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // "resource:action" grants from config/permissions.js
+    permissions: {
+        type: [String],
+        required: true
+    },
+    // Limits application grants to one scholarship; unset applies everywhere
+    scholarshipId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Scholarship'
+    },
+    reason: {
+        type: String,
+        required: true
+    },
+    startsAt: {
+        type: Date,
+        required: true
+    },
+    // Grants stop applying here; the record is kept for the audit trail
+    endsAt: {
+        type: Date,
+        required: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    revokedAt: Date,
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+delegationSchema.index({ userId: 1, endsAt: -1 });
+delegationSchema.index({ endsAt: -1 });
+
+module.exports = mongoose.model('Delegation', delegationSchema);
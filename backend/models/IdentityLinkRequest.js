@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const identityLinkRequestSchema = new mongoose.Schema({
+    // SHA-256 of the opaque token handed to the client
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Account the identity will be attached to
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    subject: {
+        type: String,
+        required: true
+    },
+    email: String,
+    // Started from the sign-in page (issue a session once linked) or from Account → Security
+    signIn: {
+        type: Boolean,
+        default: false
+    },
+    passwordVerifiedAt: Date,
+    consumedAt: Date,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+identityLinkRequestSchema.index({ userId: 1 });
+
+// TTL index - unfinished link confirmations are removed automatically
+identityLinkRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdentityLinkRequest', identityLinkRequestSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const impersonationSchema = new mongoose.Schema({
+    // Admin doing the viewing
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Account being viewed
+    subjectId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Admin's own session - signing out there ends the impersonation too
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session',
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true
+    },
+    readOnly: {
+        type: Boolean,
+        default: true
+    },
+    ipAddress: String,
+    userAgent: String,
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    endedAt: Date
+}, {
+    timestamps: true
+});
+
+impersonationSchema.index({ actorId: 1, createdAt: -1 });
+impersonationSchema.index({ subjectId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Impersonation', impersonationSchema);
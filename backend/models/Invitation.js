@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const invitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    // Only staff roles (officer, admin or a custom role based on them) are
+    // invitation-only; students self-register
+    role: {
+        type: String,
+        required: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    acceptedAt: Date,
+    acceptedUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedAt: Date,
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+invitationSchema.index({ email: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
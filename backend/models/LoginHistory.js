@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const LOGIN_HISTORY_DAYS = parseInt(process.env.LOGIN_HISTORY_DAYS, 10) || 180;
+
+const loginHistorySchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    success: {
+        type: Boolean,
+        required: true
+    },
+    // Sign-in step that failed (login, mfa, magic_link); unset for successes
+    failedStep: String,
+    // Authentication methods of a successful sign-in (see Session.amr)
+    amr: [String],
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session'
+    },
+    ipAddress: String,
+    userAgent: String,
+    // Coarse device description - browser and OS family, no versions
+    device: {
+        browser: String,
+        os: String,
+        type: { type: String, enum: ['desktop', 'mobile', 'tablet', 'unknown'] }
+    },
+    deviceFingerprint: String,
+    // From trusted edge headers when configured (see utils/loginHistory.js)
+    location: {
+        country: String,
+        latitude: Number,
+        longitude: Number
+    },
+    newDevice: {
+        type: Boolean,
+        default: false
+    },
+    // impossible_travel | rapid_ip_change
+    riskFlags: [String],
+    riskDetails: mongoose.Schema.Types.Mixed
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginHistorySchema.index({ userId: 1, createdAt: -1 });
+loginHistorySchema.index({ riskFlags: 1, createdAt: -1 });
+
+// TTL index - history is kept for LOGIN_HISTORY_DAYS
+loginHistorySchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginHistory', loginHistorySchema);
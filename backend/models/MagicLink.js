@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+const magicLinkSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Where the link was requested from (the click may come from another device)
+    requestedIp: String,
+    consumedAt: Date,
+    consumedIp: String,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+magicLinkSchema.index({ userId: 1, createdAt: -1 });
+
+// TTL index - expired links are removed automatically
+magicLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('MagicLink', magicLinkSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const mfaChallengeSchema = new mongoose.Schema({
+    // JWT ID of the signed challenge token handed to the client
+    jti: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    passwordVerified: {
+        type: Boolean,
+        default: false
+    },
+    fingerprint: {
+        type: String,
+        required: true
+    },
+    ipAddress: String,
+    consumedAt: Date,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+mfaChallengeSchema.index({ userId: 1 });
+
+// TTL index - expired challenges are removed automatically
+mfaChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('MfaChallenge', mfaChallengeSchema);
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const oidcAuthRequestSchema = new mongoose.Schema({
+    // Opaque value round-tripped through the identity provider
+    state: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    nonce: {
+        type: String,
+        required: true
+    },
+    // PKCE verifier - only its S256 hash leaves the server
+    codeVerifier: {
+        type: String,
+        required: true
+    },
+    // Set when a signed-in user is linking another provider to their account
+    linkUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// TTL index - abandoned sign-ins are removed automatically
+oidcAuthRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OidcAuthRequest', oidcAuthRequestSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const otpSchema = new mongoose.Schema({
+    // One active code per purpose and address, e.g. "login:user@example.com"
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    email: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    purpose: {
+        type: String,
+        enum: ['login', 'registration', 'password_reset', 'identity_link', 'step_up'],
+        required: true
+    },
+    codeHash: {
+        type: String,
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastSentAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+otpSchema.index({ email: 1, purpose: 1 });
+
+// TTL index - MongoDB removes codes once expiresAt has passed
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Otp', otpSchema);
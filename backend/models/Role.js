@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // Built-in role this one behaves as for role checks (requireRole) and
+    // data scoping - a custom role is a student, officer or admin kind of user
+    baseRole: {
+        type: String,
+        enum: ['student', 'officer', 'admin'],
+        required: true
+    },
+    // Granted "resource:action" pairs from config/permissions.js
+    permissions: {
+        type: [String],
+        default: []
+    },
+    // Seeded from DEFAULT_ROLES (student, officer, admin); cannot be deleted
+    isSystem: {
+        type: Boolean,
+        default: false
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
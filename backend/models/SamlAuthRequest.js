@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const samlAuthRequestSchema = new mongoose.Schema({
+    // ID of the AuthnRequest; the IdP must answer with InResponseTo set to it
+    requestId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider: {
+        type: String,
+        required: true
+    },
+    issuedAt: {
+        type: String,
+        required: true
+    },
+    // Set when a response to this request is processed - one response per request
+    consumedAt: Date,
+    // One-time ticket the browser trades for a session once the assertion is accepted
+    ticketHash: {
+        type: String,
+        index: { unique: true, sparse: true }
+    },
+    profile: {
+        subject: String,
+        email: String,
+        fullName: String,
+        role: String,
+        // Whether role came from roleMapping rather than the provider default
+        roleMapped: Boolean
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// TTL index - abandoned sign-ins and unredeemed tickets are removed automatically
+samlAuthRequestSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SamlAuthRequest', samlAuthRequestSchema);
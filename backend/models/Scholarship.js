@@ -31,6 +31,11 @@ const scholarshipSchema = new mongoose.Schema({
         enum: ['active', 'inactive', 'closed'],
         default: 'active'
     },
+    // Officer groups allowed to review applications to this scholarship
+    officerGroups: {
+        type: [String],
+        default: []
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -51,5 +56,6 @@ const scholarshipSchema = new mongoose.Schema({
 // Index for faster queries
 scholarshipSchema.index({ status: 1, deadline: -1 });
 scholarshipSchema.index({ createdBy: 1 });
+scholarshipSchema.index({ officerGroups: 1 });
 
 module.exports = mongoose.model('Scholarship', scholarshipSchema);
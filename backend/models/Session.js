@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // HMAC of the current refresh token secret - rotated on every refresh
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // Authentication methods used when the session was created
+    amr: {
+        type: [String],
+        default: []
+    },
+    ipAddress: String,
+    userAgent: String,
+    rotationCount: {
+        type: Number,
+        default: 0
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Hard limit regardless of refresh activity
+    absoluteExpiresAt: {
+        type: Date,
+        required: true
+    },
+    // Idle limit, pushed forward on each refresh
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    // Step-up: sensitive data may be decrypted until this time
+    elevatedUntil: Date,
+    elevatedVia: {
+        type: String,
+        enum: ['totp', 'otp', 'webauthn']
+    },
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'refresh_reuse', 'password_reset', 'user_revoked', 'admin_revoked']
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// TTL index - expired sessions are removed automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
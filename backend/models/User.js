@@ -16,15 +16,30 @@ const userSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Previous bcrypt hashes, newest first (see utils/passwordPolicy.js)
+    passwordHistory: {
+        type: [String],
+        select: false,
+        default: []
+    },
+    passwordChangedAt: Date,
     phone: {
         type: String,
         sparse: true
     },
+    // A role in the roles collection (student, officer, admin or a custom
+    // role); "service" accounts have no password and authenticate with API keys only
     role: {
         type: String,
-        enum: ['student', 'officer', 'admin'],
+        required: true,
         default: 'student'
     },
+    // Officer groups (departments) this staff member reviews for - officers
+    // only see applications to scholarships assigned one of these groups
+    officerGroups: {
+        type: [String],
+        default: []
+    },
     isActive: {
         type: Boolean,
         default: true
@@ -38,10 +53,53 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // AES-encrypted TOTP secret ({ data, iv } JSON), set once enrollment is confirmed
     mfaSecret: String,
+    mfaPendingSecret: String,
+    mfaLastUsedStep: {
+        type: Number,
+        default: -1
+    },
+    mfaEnabledAt: Date,
+    // One-time MFA recovery codes, HMAC-hashed (see utils/recoveryCodes.js)
+    mfaRecoveryCodes: {
+        type: [{
+            _id: false,
+            hash: String,
+            usedAt: Date
+        }],
+        select: false,
+        default: []
+    },
+    mfaRecoveryCodesGeneratedAt: Date,
+    // Per-account brute-force protection (see utils/accountLockout.js)
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: Date,
+    lockedUntil: Date,
+    lockoutCount: {
+        type: Number,
+        default: 0
+    },
+    unlockTokenHash: String,
     resetPasswordToken: String,
     resetPasswordExpires: Date,
+    // False for accounts created through a federated sign-in until a password is set
+    hasPassword: {
+        type: Boolean,
+        default: true
+    },
+    // Legacy Google subject, still matched for the "google" provider
     googleId: String,
+    // OpenID Connect identities (see utils/oidc.js)
+    federatedIdentities: [{
+        provider: { type: String, required: true },
+        subject: { type: String, required: true },
+        email: String,
+        linkedAt: { type: Date, default: Date.now }
+    }],
     publicKey: String,
     privateKey: String,
     createdAt: {
@@ -59,5 +117,6 @@ const userSchema = new mongoose.Schema({
 // Indexes are created automatically from schema fields with unique: true
 // userSchema.index({ email: 1 }); // Removed - email already has unique: true
 userSchema.index({ googleId: 1 });
+userSchema.index({ 'federatedIdentities.provider': 1, 'federatedIdentities.subject': 1 });
 
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const webAuthnChallengeSchema = new mongoose.Schema({
+    challenge: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    type: {
+        type: String,
+        enum: ['registration', 'authentication'],
+        required: true
+    },
+    // Empty for passwordless (discoverable credential) sign-in
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// TTL index - unanswered ceremonies are removed automatically
+webAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebAuthnChallenge', webAuthnChallengeSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const webAuthnCredentialSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Base64URL credential ID as reported by the authenticator
+    credentialId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // COSE-encoded public key
+    publicKey: {
+        type: Buffer,
+        required: true
+    },
+    counter: {
+        type: Number,
+        default: 0
+    },
+    transports: [String],
+    deviceType: {
+        type: String,
+        enum: ['singleDevice', 'multiDevice']
+    },
+    backedUp: {
+        type: Boolean,
+        default: false
+    },
+    name: {
+        type: String,
+        trim: true,
+        default: 'Passkey'
+    },
+    lastUsedAt: Date
+}, {
+    timestamps: true
+});
+
+webAuthnCredentialSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('WebAuthnCredential', webAuthnCredentialSchema);
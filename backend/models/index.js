@@ -4,5 +4,25 @@ module.exports = {
     Scholarship: require('./Scholarship'),
     Application: require('./Application'),
     Document: require('./Document'),
-    AuditLog: require('./AuditLog')
+    AuditLog: require('./AuditLog'),
+    AuditLogArchive: require('./AuditLogArchive'),
+    AuditChainHead: require('./AuditChainHead'),
+    AuditCheckpoint: require('./AuditCheckpoint'),
+    AuditChainGap: require('./AuditChainGap'),
+    Otp: require('./Otp'),
+    MfaChallenge: require('./MfaChallenge'),
+    WebAuthnCredential: require('./WebAuthnCredential'),
+    WebAuthnChallenge: require('./WebAuthnChallenge'),
+    AuthPolicy: require('./AuthPolicy'),
+    Session: require('./Session'),
+    Invitation: require('./Invitation'),
+    OidcAuthRequest: require('./OidcAuthRequest'),
+    IdentityLinkRequest: require('./IdentityLinkRequest'),
+    Impersonation: require('./Impersonation'),
+    ApiKey: require('./ApiKey'),
+    SamlAuthRequest: require('./SamlAuthRequest'),
+    LoginHistory: require('./LoginHistory'),
+    MagicLink: require('./MagicLink'),
+    Role: require('./Role'),
+    Delegation: require('./Delegation')
 };
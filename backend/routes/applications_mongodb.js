@@ -9,10 +9,23 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const { verifyToken } = require('../middleware/auth');
-const { requireRole } = require('../middleware/authorization');
+const { requireRole, checkPermission, scopeApplications, checkApplicationAccess } = require('../middleware/authorization');
 const { Application, Scholarship, Document, User } = require('../models');
 const { encryptAES, decryptAES, generateRSAKeyPair, hybridEncrypt, hybridDecrypt } = require('../utils/encryption');
 const { generateVerificationQR, generateVerifiedQR } = require('../utils/encoding');
+const { isElevated, maskSensitiveData } = require('../utils/stepUp');
+const {
+  getApprovalState,
+  getApprovalViolation,
+  describeApproval,
+  auditApproval
+} = require('../utils/approvals');
+
+// Reviewer names shown with approval progress
+const APPROVAL_POPULATE = [
+  { path: 'verifiedBy', select: 'fullName email' },
+  { path: 'approvals.userId', select: 'fullName email' }
+];
 
 const generateApplicationNumber = () => {
   const year = new Date().getFullYear();
@@ -34,17 +47,20 @@ const ensureUserKeys = async (user) => {
 };
 
 // ============================================================
-// GET ALL APPLICATIONS (Officer/Admin)
+// GET ALL APPLICATIONS (Officer/Admin, service accounts)
+// Officers only see their officer groups' scholarships
 // ============================================================
 router.get('/',
   verifyToken,
-  requireRole('officer', 'admin'),
+  requireRole('officer', 'admin', 'service'),
+  checkPermission('manage_applications', 'read'),
+  scopeApplications,
   async (req, res) => {
     try {
       const { status, page = 1, limit = 10 } = req.query;
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
-      const filter = { status: { $ne: 'draft' } };
+      const filter = { ...req.applicationScope, status: { $ne: 'draft' } };
       if (status) {
         filter.status = status;
       }
@@ -67,7 +83,9 @@ router.get('/',
         scholarship_name: app.scholarshipId?.title,
         scholarship_amount: app.scholarshipId?.amount,
         student_name: app.userId?.fullName,
-        student_email: app.userId?.email
+        student_email: app.userId?.email,
+        enrollment_status: app.enrollment?.status,
+        enrollment_confirmed_at: app.enrollment?.confirmedAt
       }));
 
       res.json({
@@ -89,12 +107,49 @@ router.get('/',
   }
 );
 
+// ============================================================
+// PENDING APPROVALS QUEUE (Officer/Admin)
+// Verified applications still waiting for one or more approvers
+// ============================================================
+router.get('/approvals/pending',
+  verifyToken,
+  requireRole('officer', 'admin'),
+  checkPermission('manage_applications', 'update'),
+  scopeApplications,
+  async (req, res) => {
+    try {
+      const apps = await Application.find({ ...req.applicationScope, status: 'verified' })
+        .sort({ verifiedAt: 1 })
+        .limit(200)
+        .populate('scholarshipId', 'title amount')
+        .populate('userId', 'fullName email')
+        .populate(APPROVAL_POPULATE);
+
+      const data = apps.map((app) => ({
+        id: app._id,
+        application_number: app.applicationNumber,
+        scholarship_name: app.scholarshipId?.title,
+        scholarship_amount: app.scholarshipId?.amount,
+        student_name: app.userId?.fullName,
+        verified_at: app.verifiedAt,
+        approval: describeApproval(app, app.scholarshipId?.amount || 0, req.user)
+      }));
+
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('Get pending approvals error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch pending approvals' });
+    }
+  }
+);
+
 // ============================================================
 // GET MY APPLICATIONS (Student)
 // ============================================================
 router.get('/my-applications',
   verifyToken,
   requireRole('student'),
+  checkPermission('manage_applications', 'read'),
   async (req, res) => {
     try {
       const apps = await Application.find({ userId: req.user.id })
@@ -124,24 +179,30 @@ router.get('/my-applications',
 // ============================================================
 router.get('/:id',
   verifyToken,
+  requireRole('student', 'officer', 'admin', 'service'),
+  checkPermission('manage_applications', 'read'),
+  checkApplicationAccess('application'),
   async (req, res) => {
     try {
       const app = await Application.findById(req.params.id)
         .populate('scholarshipId')
-        .populate('userId');
+        .populate('userId')
+        .populate(APPROVAL_POPULATE);
 
       if (!app) {
         return res.status(404).json({ success: false, message: 'Application not found' });
       }
 
-      if (req.user.role === 'student' && String(app.userId?._id) !== String(req.user.id)) {
-        return res.status(403).json({ success: false, message: 'Access denied' });
-      }
-
       let decryptedData;
-      const canViewDecrypted = req.user.role === 'admin'
-        || req.user.role === 'officer'
-        || String(app.userId?._id) === String(req.user.id);
+      const isOwner = String(app.userId?._id) === String(req.user.id);
+      const canViewDecrypted = req.user.baseRole === 'admin'
+        || req.user.baseRole === 'officer'
+        || isOwner;
+      // Staff see masked values until they complete step-up on this session;
+      // an admin viewing as the user always sees masked values
+      const impersonating = Boolean(req.user.impersonatorId);
+      const stepUpRequired = !impersonating && !isOwner && !isElevated(req);
+      const maskData = impersonating || stepUpRequired;
 
       if (canViewDecrypted && app.encryptedData && app.userId) {
         try {
@@ -150,6 +211,9 @@ router.get('/:id',
           const keyData = JSON.parse(appUser.privateKey);
           const privateKey = decryptAES(keyData.data, keyData.iv);
           decryptedData = JSON.parse(hybridDecrypt(enc.data, enc.encryptedKey, enc.iv, privateKey));
+          if (maskData) {
+            decryptedData = maskSensitiveData(decryptedData);
+          }
         } catch (e) {
           console.error('Decryption error:', e);
         }
@@ -173,9 +237,13 @@ router.get('/:id',
           student_name: app.userId?.fullName,
           student_email: app.userId?.email,
           decrypted_data: decryptedData,
+          sensitive_masked: Boolean(decryptedData) && maskData,
+          step_up_required: canViewDecrypted && stepUpRequired,
           review_comments: app.reviewNotes,
           verified_qr_code: app.verifiedQrCode,
           verified_verification_code: app.verifiedVerificationCode,
+          // Reviewer-facing sign-off progress (separation of duties)
+          approval: isOwner ? undefined : describeApproval(app, app.scholarshipId?.amount || 0, req.user),
           documents: documents.map((d) => ({
             id: d._id,
             document_type: d.documentType,
@@ -197,6 +265,7 @@ router.get('/:id',
 router.post('/',
   verifyToken,
   requireRole('student'),
+  checkPermission('manage_applications', 'create'),
   [
     body('scholarship_id').notEmpty(),
     body('personal_statement').optional().trim(),
@@ -268,6 +337,7 @@ router.post('/',
 router.put('/:id',
   verifyToken,
   requireRole('student'),
+  checkPermission('manage_applications', 'update'),
   async (req, res) => {
     try {
       const application = await Application.findOne({ _id: req.params.id, userId: req.user.id });
@@ -282,7 +352,8 @@ router.put('/:id',
       const { personal_statement, gpa, family_income, sensitive_data } = req.body;
 
       let encryptedData = application.encryptedData;
-      if (sensitive_data) {
+      // An impersonating admin only ever saw masked values - never write those back
+      if (sensitive_data && !req.user.impersonatorId) {
         const user = await ensureUserKeys(await User.findById(req.user.id));
         const { encryptedData: encrypted, encryptedKey, iv } = hybridEncrypt(JSON.stringify(sensitive_data), user.publicKey);
         encryptedData = JSON.stringify({ data: encrypted, encryptedKey, iv });
@@ -312,6 +383,7 @@ router.put('/:id',
 router.post('/:id/submit',
   verifyToken,
   requireRole('student'),
+  checkPermission('manage_applications', 'update'),
   async (req, res) => {
     try {
       const application = await Application.findOne({ _id: req.params.id, userId: req.user.id });
@@ -338,22 +410,111 @@ router.post('/:id/submit',
 
 // ============================================================
 // UPDATE APPLICATION STATUS (Officer/Admin)
+// Approval is subject to dual control (utils/approvals.js): rule
+// violations return 409, and large awards stay "verified" until a
+// second approver signs off
 // ============================================================
 router.put('/:id/status',
   verifyToken,
   requireRole('officer', 'admin'),
+  checkPermission('manage_applications', 'update'),
+  checkApplicationAccess('application'),
   async (req, res) => {
     try {
+      // Decisions are made by the officer themselves, never while viewing as them
+      if (req.user.impersonatorId) {
+        return res.status(403).json({ success: false, message: 'Application decisions cannot be made while viewing as another user' });
+      }
+
       const { status, comments } = req.body;
       const allowed = ['under_review', 'verified', 'approved', 'rejected'];
       if (!allowed.includes(status)) {
         return res.status(400).json({ success: false, message: 'Invalid status' });
       }
 
-      const application = await Application.findById(req.params.id);
+      const application = await Application.findById(req.params.id)
+        .populate('scholarshipId', 'amount');
       if (!application) {
         return res.status(404).json({ success: false, message: 'Application not found' });
       }
+      const amount = application.scholarshipId?.amount || 0;
+
+      if (status === 'approved') {
+        const state = getApprovalState(application, amount);
+        const violation = getApprovalViolation(application, state, req.user);
+        if (violation) {
+          await auditApproval(req, application, 'Approval Blocked: Separation of Duties', 'failure', {
+            rule: violation.code
+          });
+          await application.populate(APPROVAL_POPULATE);
+          return res.status(409).json({
+            success: false,
+            code: violation.code,
+            message: violation.message,
+            data: { approval: describeApproval(application, amount, req.user) }
+          });
+        }
+
+        // Recorded in one conditional update: two requests racing past the
+        // checks above cannot both add an approval from the same officer
+        const finalApproval = state.received + 1 >= state.required;
+        const update = {
+          $push: { approvals: { userId: req.user.id, comments, approvedAt: new Date() } }
+        };
+        if (comments) update.$set = { reviewNotes: comments };
+        if (finalApproval) {
+          update.$set = { ...update.$set, status, reviewedBy: req.user.id, reviewedAt: new Date() };
+        }
+
+        const recorded = await Application.findOneAndUpdate(
+          {
+            _id: application._id,
+            status: application.status,
+            verifiedBy: application.verifiedBy || null,
+            approvals: { $size: state.received },
+            'approvals.userId': { $ne: req.user.id }
+          },
+          update,
+          { new: true }
+        );
+
+        if (!recorded) {
+          await auditApproval(req, application, 'Approval Blocked: Concurrent Change', 'failure');
+          return res.status(409).json({
+            success: false,
+            code: 'approval_conflict',
+            message: 'This application changed while you were approving it. Reload it and try again.'
+          });
+        }
+
+        if (!finalApproval) {
+          await auditApproval(req, recorded, 'Application Approval Recorded', 'success', {
+            approvals: recorded.approvals.length,
+            required: state.required,
+            amount
+          });
+          await recorded.populate(APPROVAL_POPULATE);
+          return res.json({
+            success: true,
+            message: 'Approval recorded. A second approver is required for this award.',
+            data: { status: recorded.status, approval: describeApproval(recorded, amount, req.user) }
+          });
+        }
+
+        await auditApproval(req, recorded, 'Application Approved', 'success', {
+          approvers: recorded.approvals.map((approval) => approval.userId),
+          verifiedBy: recorded.verifiedBy,
+          amount
+        });
+        return res.json({
+          success: true,
+          message: 'Status updated',
+          data: { status: recorded.status }
+        });
+      }
+
+      // Any other decision restarts the sign-off
+      application.approvals = [];
 
       if (status === 'verified') {
         const { qrCode, verificationCode, certificateText } = await generateVerifiedQR({
@@ -365,6 +526,7 @@ router.put('/:id/status',
         application.verifiedVerificationCode = verificationCode;
         application.verifiedCertificateText = certificateText;
         application.verifiedAt = new Date();
+        application.verifiedBy = req.user.id;
       }
 
       application.status = status;
@@ -375,7 +537,8 @@ router.put('/:id/status',
 
       res.json({
         success: true,
-        message: 'Status updated'
+        message: 'Status updated',
+        data: { status: application.status }
       });
     } catch (error) {
       console.error('Update status error:', error);
@@ -384,6 +547,61 @@ router.put('/:id/status',
   }
 );
 
+// ============================================================
+// CONFIRM ENROLLMENT (Admin, registrar integrations)
+// ============================================================
+router.put('/:id/enrollment',
+  verifyToken,
+  requireRole('admin', 'service'),
+  checkPermission('manage_applications', 'update'),
+  [
+    body('status').isIn(['enrolled', 'not_enrolled', 'withdrawn']).withMessage('Invalid enrollment status'),
+    body('term').optional().trim().isLength({ max: 50 }),
+    body('reference').optional().trim().isLength({ max: 100 })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const application = await Application.findById(req.params.id);
+      if (!application) {
+        return res.status(404).json({ success: false, message: 'Application not found' });
+      }
+
+      if (application.status !== 'approved') {
+        return res.status(409).json({ success: false, message: 'Enrollment can only be confirmed for approved applications' });
+      }
+
+      const { status, term, reference } = req.body;
+      application.enrollment = {
+        status,
+        term,
+        reference,
+        confirmedAt: new Date(),
+        confirmedBy: req.user.id
+      };
+      await application.save();
+
+      res.json({
+        success: true,
+        message: 'Enrollment recorded',
+        data: {
+          id: application._id,
+          application_number: application.applicationNumber,
+          enrollment_status: status,
+          enrollment_confirmed_at: application.enrollment.confirmedAt
+        }
+      });
+    } catch (error) {
+      console.error('Confirm enrollment error:', error);
+      res.status(500).json({ success: false, message: 'Failed to record enrollment' });
+    }
+  }
+);
+
 // ============================================================
 // VERIFY APPLICATION BY CODE
 // ============================================================
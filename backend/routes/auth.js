@@ -1,7 +1,8 @@
 /**
  * ============================================================
  * AUTHENTICATION ROUTES - MongoDB Version
- * Implements: Registration, Login, MFA (Email OTP), Password Management
+ * Implements: Registration, Login, MFA (Email OTP), Magic-link sign-in,
+ * Password Management, Session refresh and logout
  * Follows: NIST SP 800-63-2 E-Authentication Architecture
  * ============================================================
  */
@@ -9,179 +10,56 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
 const { User } = require('../models');
 const { generateRSAKeyPair, encryptAES } = require('../utils/encryption');
 const { verifyToken } = require('../middleware/auth');
-const nodemailer = require('nodemailer');
+const { generateOTP, storeOTP, verifyOTP } = require('../utils/otp');
+const { createChallenge, verifyChallenge, consumeChallenge } = require('../utils/mfaChallenge');
+const { verifyUserTOTP } = require('../utils/totp');
+const { redeemRecoveryCode } = require('../utils/recoveryCodes');
+const { hasPasskey } = require('../utils/webauthn');
+const { getAuthPolicy } = require('../utils/authPolicy');
+const { getBaseRole } = require('../utils/roles');
+const { getEffectivePermissions } = require('../middleware/authorization');
+const { isElevated } = require('../utils/stepUp');
+const { createMagicLink, verifyMagicLink, consumeMagicLink } = require('../utils/magicLink');
+const { createSession, rotateSession, revokeSession, revokeUserSessions } = require('../utils/session');
+const {
+    passwordPolicyValidator,
+    hashPassword,
+    isPasswordReused,
+    applyNewPassword,
+    isPasswordExpired,
+    getPasswordPolicy
+} = require('../utils/passwordPolicy');
+const {
+    checkLockout,
+    sendLockoutResponse,
+    recordFailedAttempt,
+    clearFailedAttempts,
+    unlockAccount,
+    findUserByUnlockToken
+} = require('../utils/accountLockout');
+const { recordLogin } = require('../utils/loginHistory');
+const {
+    sendOTPEmail,
+    sendWelcomeEmail,
+    sendAdminRegistrationEmail,
+    sendMagicLinkEmail,
+    ADMIN_EMAIL
+} = require('../utils/mailer');
 require('dotenv').config();
 
-// Email transporter configuration
-const transporter = nodemailer.createTransport({
-    host: process.env.EMAIL_HOST || 'smtp.gmail.com',
-    port: process.env.EMAIL_PORT || 587,
-    secure: false,
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
-    }
-});
-
-const WEBSITE_NAME = process.env.WEBSITE_NAME || 'Scholarship Verification System';
-const ADMIN_EMAIL = process.env.ADMIN_EMAIL || process.env.EMAIL_USER;
-
-// In-memory OTP storage (for development - use Redis in production)
-const otpStore = new Map();
-
-// ============================================================
-// HELPER FUNCTIONS
-// ============================================================
-
-/**
- * Generate 6-digit OTP
- */
-const generateOTP = () => {
-    return Math.floor(100000 + Math.random() * 900000).toString();
-};
-
 /**
- * Send OTP via email
+ * Whether a user may sign in with an emailed link. The role has to allow it,
+ * and accounts with a stronger second factor (authenticator app, mandatory
+ * passkey) are never downgraded to email alone - a role that requires
+ * passkeys refuses links even before the passkey is registered.
  */
-const sendOTPEmail = async (email, otp, purpose) => {
-    const subjects = {
-        login: 'Login Verification Code - Scholarship System',
-        registration: 'Email Verification - Scholarship System',
-        password_reset: 'Password Reset Code - Scholarship System'
-    };
-
-    const mailOptions = {
-        from: process.env.EMAIL_USER || 'noreply@scholarship.com',
-        to: email,
-        subject: subjects[purpose] || 'Verification Code',
-        html: `
-            <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px;">
-                <h2 style="color: #1a365d;">Scholarship Verification System</h2>
-                <p>Your verification code is:</p>
-                <h1 style="color: #2c5282; letter-spacing: 5px; font-size: 36px;">${otp}</h1>
-                <p>This code will expire in <strong>5 minutes</strong>.</p>
-                <p style="color: #718096; font-size: 12px;">
-                    If you didn't request this code, please ignore this email.
-                </p>
-            </div>
-        `
-    };
-
-    try {
-        if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
-            await transporter.sendMail(mailOptions);
-            console.log(`✅ OTP sent to ${email}`);
-        } else {
-            // Development mode - log OTP
-            console.log(`\n📧 [DEV MODE] OTP for ${email}: ${otp}\n`);
-        }
-        return true;
-    } catch (error) {
-        console.error('Email sending failed:', error.message);
-        // For development, log the OTP
-        console.log(`\n📧 [FALLBACK] OTP for ${email}: ${otp}\n`);
-        return true; // Return true in dev mode
-    }
-};
-
-const sendWelcomeEmail = async (email, fullName) => {
-    const mailOptions = {
-        from: process.env.EMAIL_USER || 'noreply@scholarship.com',
-        to: email,
-        subject: `Welcome to ${WEBSITE_NAME}`,
-        html: `
-            <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px;">
-                <h2 style="color: #1a365d;">Welcome to ${WEBSITE_NAME}</h2>
-                <p>Hello ${fullName || 'User'},</p>
-                <p>Your registration is successful. You can now use all features of the platform.</p>
-                <p style="color: #718096; font-size: 12px;">If you did not create this account, please contact support.</p>
-            </div>
-        `
-    };
-
-    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
-        await transporter.sendMail(mailOptions);
-    } else {
-        console.log(`\n📧 [DEV MODE] Welcome email to ${email}\n`);
-    }
-};
-
-const sendAdminRegistrationEmail = async (adminEmail, userEmail, role) => {
-    if (!adminEmail) return;
-    const mailOptions = {
-        from: process.env.EMAIL_USER || 'noreply@scholarship.com',
-        to: adminEmail,
-        subject: `New user registered - ${WEBSITE_NAME}`,
-        html: `
-            <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px;">
-                <h2 style="color: #1a365d;">New Registration</h2>
-                <p>A new user has registered successfully.</p>
-                <p><strong>Email:</strong> ${userEmail}</p>
-                <p><strong>Role:</strong> ${role}</p>
-            </div>
-        `
-    };
-
-    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
-        await transporter.sendMail(mailOptions);
-    } else {
-        console.log(`\n📧 [DEV MODE] Admin registration notice to ${adminEmail} for ${userEmail}\n`);
-    }
-};
-
-/**
- * Store OTP with expiration
- */
-const storeOTP = (email, otp, purpose) => {
-    const hashedOTP = crypto.createHash('sha512').update(otp).digest('hex');
-    const expiresAt = Date.now() + 5 * 60 * 1000; // 5 minutes
-    
-    otpStore.set(email, {
-        otp: hashedOTP,
-        purpose,
-        expiresAt,
-        attempts: 0
-    });
-    
-    // Auto-cleanup after expiration
-    setTimeout(() => otpStore.delete(email), 5 * 60 * 1000);
-};
-
-/**
- * Verify OTP
- */
-const verifyOTP = (email, otp) => {
-    const stored = otpStore.get(email);
-    
-    if (!stored) {
-        return { valid: false, message: 'OTP expired or not found' };
-    }
-    
-    if (Date.now() > stored.expiresAt) {
-        otpStore.delete(email);
-        return { valid: false, message: 'OTP expired' };
-    }
-    
-    if (stored.attempts >= 3) {
-        otpStore.delete(email);
-        return { valid: false, message: 'Too many attempts' };
-    }
-    
-    const hashedInput = crypto.createHash('sha512').update(otp).digest('hex');
-    
-    if (hashedInput !== stored.otp) {
-        stored.attempts++;
-        return { valid: false, message: 'Invalid OTP' };
-    }
-    
-    otpStore.delete(email);
-    return { valid: true };
+const canUseMagicLink = async (user) => {
+    const policy = await getAuthPolicy(user.role);
+    return policy.allowMagicLink && !user.mfaEnabled && !policy.requirePasskey;
 };
 
 // ============================================================
@@ -195,8 +73,10 @@ const verifyOTP = (email, otp) => {
 router.post('/register',
     [
         body('email').isEmail().normalizeEmail(),
-        body('password').isLength({ min: 8 }),
-        body('role').optional().isIn(['student', 'officer', 'admin'])
+        body('password').custom(passwordPolicyValidator),
+        // Staff accounts are created through /api/invitations only
+        body('role').optional().equals('student')
+            .withMessage('Officer and admin accounts require an invitation from an administrator')
     ],
     async (req, res) => {
         try {
@@ -208,7 +88,7 @@ router.post('/register',
                 });
             }
 
-            const { email, password, phone, fullName, role } = req.body;
+            const { email, password, phone, fullName } = req.body;
 
             // Check if user exists
             const existingUser = await User.findOne({ email });
@@ -220,14 +100,16 @@ router.post('/register',
             }
 
             // Hash password
-            const hashedPassword = await bcrypt.hash(password, 12);
+            const hashedPassword = await hashPassword(password);
 
             // Generate OTP
             const otp = generateOTP();
-            storeOTP(email, otp, 'registration');
+            const { stored } = await storeOTP(email, otp, 'registration');
 
-            // Send OTP
-            await sendOTPEmail(email, otp, 'registration');
+            // Send OTP (a code still inside its resend cooldown stays valid)
+            if (stored) {
+                await sendOTPEmail(email, otp, 'registration');
+            }
 
             // Generate RSA keys for user
             const { publicKey, privateKey } = generateRSAKeyPair();
@@ -237,10 +119,11 @@ router.post('/register',
             const user = await User.create({
                 email,
                 password: hashedPassword,
+                passwordChangedAt: new Date(),
                 phone,
                 fullName,
                 isVerified: false,
-                role: role || 'student',
+                role: 'student',
                 publicKey,
                 privateKey: JSON.stringify({ data: encryptedPrivateKey, iv })
             });
@@ -274,9 +157,21 @@ router.post('/verify-otp', async (req, res) => {
     try {
         const { email, otp } = req.body;
 
-        const verification = verifyOTP(email, otp);
+        const pendingUser = await User.findOne({ email });
+        const lockout = pendingUser ? checkLockout(pendingUser) : { blocked: false };
+        if (lockout.blocked) {
+            return sendLockoutResponse(res, lockout);
+        }
+
+        const verification = await verifyOTP(email, otp, 'registration');
         
         if (!verification.valid) {
+            if (pendingUser && verification.reason === 'invalid') {
+                const afterFailure = await recordFailedAttempt(pendingUser, req, 'email_verification');
+                if (afterFailure.reason === 'locked') {
+                    return sendLockoutResponse(res, afterFailure);
+                }
+            }
             return res.status(400).json({
                 success: false,
                 message: verification.message
@@ -291,21 +186,14 @@ router.post('/verify-otp', async (req, res) => {
 
         const user = await User.findOne({ email });
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { 
-                userId: user._id, 
-                email: user.email,
-                role: user.role 
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-        );
+        // Start a session
+        const { accessToken, refreshToken } = await createSession(user, req);
 
         res.json({
             success: true,
             message: 'Email verified successfully',
-            token,
+            token: accessToken,
+            refreshToken,
             user: {
                 id: user._id,
                 email: user.email,
@@ -345,9 +233,9 @@ router.post('/login',
 
             const { email, password, role } = req.body;
 
-            // Find user
+            // Find user (service accounts authenticate with API keys only)
             const user = await User.findOne({ email });
-            if (!user) {
+            if (!user || user.role === 'service') {
                 return res.status(401).json({
                     success: false,
                     message: 'Invalid credentials'
@@ -361,7 +249,15 @@ router.post('/login',
                 });
             }
 
-            if (role && role !== user.role) {
+            // Per-account throttling - checked before the password is compared
+            const lockout = checkLockout(user);
+            if (lockout.blocked) {
+                return sendLockoutResponse(res, lockout);
+            }
+
+            // Custom roles sign in under the built-in role they are based on
+            const baseRole = await getBaseRole(user.role);
+            if (role && role !== user.role && role !== baseRole) {
                 return res.status(403).json({
                     success: false,
                     message: 'Role mismatch. Please select the correct role.'
@@ -380,23 +276,61 @@ router.post('/login',
             // Verify password
             const isValidPassword = await bcrypt.compare(password, user.password);
             if (!isValidPassword) {
+                await recordLogin(user, req, { success: false, failedStep: 'login' });
+                const afterFailure = await recordFailedAttempt(user, req, 'login');
+                if (afterFailure.reason === 'locked') {
+                    return sendLockoutResponse(res, afterFailure);
+                }
                 return res.status(401).json({
                     success: false,
                     message: 'Invalid credentials'
                 });
             }
 
-            // Generate and send OTP
-            const otp = generateOTP();
-            storeOTP(email, otp, 'login');
-            await sendOTPEmail(email, otp, 'login');
+            // Staff passwords may have a maximum age - force a reset before any MFA step
+            if (isPasswordExpired(user, baseRole)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Your password has expired. Please reset it to continue.',
+                    passwordExpired: true
+                });
+            }
+
+            // Role policy may demand a passkey; authenticator-app users skip the email code
+            const [policy, passkeyAvailable] = await Promise.all([
+                getAuthPolicy(user.role),
+                hasPasskey(user._id)
+            ]);
+            let mfaMethod = user.mfaEnabled ? 'totp' : 'email';
+            if (policy.requirePasskey && passkeyAvailable) {
+                mfaMethod = 'webauthn';
+            }
+
+            if (mfaMethod === 'email') {
+                // Generate and send OTP
+                const otp = generateOTP();
+                const { stored } = await storeOTP(email, otp, 'login');
+                if (stored) {
+                    await sendOTPEmail(email, otp, 'login');
+                }
+            }
+
+            // Bind the password step to the OTP step
+            const challenge = await createChallenge(user, req, { passwordVerified: true });
 
             res.json({
                 success: true,
-                message: 'OTP sent to your email',
+                message: {
+                    totp: 'Enter the code from your authenticator app',
+                    webauthn: 'Confirm sign-in with your passkey',
+                    email: 'OTP sent to your email'
+                }[mfaMethod],
                 data: {
                     requiresMFA: true,
-                    tempToken: email
+                    mfaMethod,
+                    passkeyAvailable,
+                    tempToken: challenge.token,
+                    expiresAt: challenge.expiresAt
                 }
             });
 
@@ -412,13 +346,26 @@ router.post('/login',
 
 /**
  * POST /api/auth/resend-otp
- * Resend OTP to email
+ * Resend OTP to email (login codes require the MFA challenge token)
  */
 router.post('/resend-otp', async (req, res) => {
     try {
-        const { email } = req.body;
+        const { email, tempToken } = req.body;
+
+        let user;
+        if (tempToken) {
+            const challenge = await verifyChallenge(tempToken, req);
+            if (!challenge.valid) {
+                return res.status(401).json({
+                    success: false,
+                    message: challenge.message
+                });
+            }
+            user = await User.findById(challenge.userId);
+        } else {
+            user = await User.findOne({ email });
+        }
 
-        const user = await User.findOne({ email });
         if (!user) {
             return res.status(404).json({
                 success: false,
@@ -426,10 +373,34 @@ router.post('/resend-otp', async (req, res) => {
             });
         }
 
+        // Without a challenge only registration codes can be re-sent
+        if (user.isVerified && !tempToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please sign in again to receive a new login code'
+            });
+        }
+
+        if (user.isVerified && user.mfaEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use the code from your authenticator app'
+            });
+        }
+
         const otp = generateOTP();
         const purpose = user.isVerified ? 'login' : 'registration';
-        storeOTP(email, otp, purpose);
-        await sendOTPEmail(email, otp, purpose);
+        const { stored, retryAfter } = await storeOTP(user.email, otp, purpose);
+
+        if (!stored) {
+            return res.status(429).json({
+                success: false,
+                message: `Please wait ${retryAfter} seconds before requesting a new code`,
+                retryAfter
+            });
+        }
+
+        await sendOTPEmail(user.email, otp, purpose);
 
         res.json({
             success: true,
@@ -466,7 +437,9 @@ router.get('/me', verifyToken, async (req, res) => {
                 id: user._id,
                 email: user.email,
                 phone: user.phone,
-                role: user.role === 'verifier' ? 'officer' : user.role,
+                role: req.user.role,
+                // Built-in role a custom role behaves as (grants: GET /api/auth/permissions)
+                baseRole: req.user.baseRole,
                 isVerified: user.isVerified,
                 mfaEnabled: user.mfaEnabled,
                 createdAt: user.createdAt
@@ -482,6 +455,40 @@ router.get('/me', verifyToken, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/auth/permissions
+ * Caller's effective grants as the server enforces them, with the scope each
+ * applies to (all, own, officer_groups or none), so the UI can hide or
+ * disable actions instead of guessing from role names
+ */
+router.get('/permissions', verifyToken, async (req, res) => {
+    try {
+        const grants = await getEffectivePermissions(req.user);
+
+        res.json({
+            success: true,
+            data: {
+                role: req.user.role,
+                baseRole: req.user.baseRole,
+                permissions: grants.map((grant) => grant.permission),
+                grants,
+                officerGroups: req.user.officerGroups || [],
+                // Read-only impersonation blocks every write regardless of grants
+                readOnly: Boolean(req.user.readOnly),
+                // Decrypting documents and sensitive fields needs a recent step-up
+                elevated: isElevated(req)
+            }
+        });
+
+    } catch (error) {
+        console.error('Get permissions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get permissions'
+        });
+    }
+});
+
 /**
  * POST /api/auth/verify-email
  * Alias for verify-otp (for frontend compatibility)
@@ -490,9 +497,21 @@ router.post('/verify-email', async (req, res) => {
     try {
         const { email, otp } = req.body;
 
-        const verification = verifyOTP(email, otp);
+        const pendingUser = await User.findOne({ email });
+        const lockout = pendingUser ? checkLockout(pendingUser) : { blocked: false };
+        if (lockout.blocked) {
+            return sendLockoutResponse(res, lockout);
+        }
+
+        const verification = await verifyOTP(email, otp, 'registration');
         
         if (!verification.valid) {
+            if (pendingUser && verification.reason === 'invalid') {
+                const afterFailure = await recordFailedAttempt(pendingUser, req, 'email_verification');
+                if (afterFailure.reason === 'locked') {
+                    return sendLockoutResponse(res, afterFailure);
+                }
+            }
             return res.status(400).json({
                 success: false,
                 message: verification.message
@@ -507,22 +526,15 @@ router.post('/verify-email', async (req, res) => {
 
         const user = await User.findOne({ email });
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { 
-                userId: user._id, 
-                email: user.email,
-                role: user.role 
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-        );
+        // Start a session
+        const { accessToken, refreshToken } = await createSession(user, req);
 
         res.json({
             success: true,
             message: 'Email verified successfully',
             data: {
-                accessToken: token,
+                accessToken,
+                refreshToken,
                 user: {
                     id: user._id,
                     email: user.email,
@@ -543,50 +555,243 @@ router.post('/verify-email', async (req, res) => {
 
 /**
  * POST /api/auth/verify-mfa
- * Verify MFA OTP for login (for frontend compatibility)
+ * Verify MFA OTP (or a recovery code) for login against the challenge issued by /login
  */
 router.post('/verify-mfa', async (req, res) => {
     try {
-        const { tempToken, otp } = req.body;
+        const { tempToken, otp, recoveryCode } = req.body;
 
-        // For this implementation, we'll use email from tempToken
-        // In production, decode and verify tempToken properly
-        const email = tempToken; // Simplified for demo
+        // The challenge proves this client passed the password step
+        const challenge = await verifyChallenge(tempToken, req);
+        if (!challenge.valid) {
+            return res.status(401).json({
+                success: false,
+                message: challenge.message
+            });
+        }
+
+        const user = await User.findById(challenge.userId);
 
-        const verification = verifyOTP(email, otp);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (user.isActive === false) {
+            return res.status(403).json({
+                success: false,
+                message: 'Account is inactive. Please contact admin.'
+            });
+        }
+
+        const lockout = checkLockout(user);
+        if (lockout.blocked) {
+            return sendLockoutResponse(res, lockout);
+        }
+
+        const [policy, passkeyRegistered] = await Promise.all([
+            getAuthPolicy(user.role),
+            hasPasskey(user._id)
+        ]);
+
+        // Roles with a mandatory passkey may not fall back to codes once one is registered.
+        // Recovery codes stay usable - they exist for the lost-passkey case.
+        if (policy.requirePasskey && passkeyRegistered && !recoveryCode) {
+            return res.status(403).json({
+                success: false,
+                message: 'Your role requires signing in with a passkey'
+            });
+        }
+
+        let mfaMethod;
+        let verification;
+        if (recoveryCode) {
+            mfaMethod = 'recovery';
+            verification = {
+                valid: await redeemRecoveryCode(user, recoveryCode, req),
+                message: 'Invalid or already used recovery code'
+            };
+        } else {
+            mfaMethod = user.mfaEnabled ? 'totp' : 'otp';
+            verification = mfaMethod === 'totp'
+                ? { valid: await verifyUserTOTP(user, otp), message: 'Invalid authenticator code' }
+                : await verifyOTP(user.email, otp, 'login');
+        }
         
         if (!verification.valid) {
+            await recordLogin(user, req, { success: false, failedStep: 'mfa' });
+            const afterFailure = await recordFailedAttempt(user, req, 'mfa');
+            if (afterFailure.reason === 'locked') {
+                return sendLockoutResponse(res, afterFailure);
+            }
             return res.status(400).json({
                 success: false,
                 message: verification.message
             });
         }
 
-        const user = await User.findOne({ email });
+        if (!(await consumeChallenge(challenge.jti))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login session already used. Please sign in again.'
+            });
+        }
 
-        if (!user) {
-            return res.status(404).json({
+        await clearFailedAttempts(user);
+
+        // Start a session
+        const { accessToken, refreshToken } = await createSession(user, req, ['pwd', mfaMethod]);
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                accessToken,
+                refreshToken,
+                user: {
+                    id: user._id,
+                    email: user.email,
+                    role: user.role,
+                    isVerified: user.isVerified
+                },
+                // Grace path: sign in once with a code, then register a passkey
+                passkeyEnrollmentRequired: policy.requirePasskey && !passkeyRegistered
+            }
+        });
+
+    } catch (error) {
+        console.error('MFA verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Verification failed'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/magic-link/request
+ * Email a one-time sign-in link (roles where admins have enabled it)
+ */
+router.post('/magic-link/request',
+    body('email').isEmail().normalizeEmail(),
+    async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
                 success: false,
-                message: 'User not found'
+                errors: errors.array()
             });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { 
-                userId: user._id, 
-                email: user.email,
-                role: user.role 
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
-        );
+        // Same answer whether or not a link was sent - never reveal accounts or policies
+        const genericResponse = () => res.json({
+            success: true,
+            message: 'If magic-link sign-in is available for that account, a link has been sent to your email.'
+        });
+
+        const user = await User.findOne({ email: req.body.email });
+        if (!user || user.role === 'service' || user.isActive === false || !user.isVerified) {
+            return genericResponse();
+        }
+
+        // A locked account gets no links until the lockout ends
+        if (checkLockout(user).blocked || !(await canUseMagicLink(user))) {
+            return genericResponse();
+        }
+
+        // A link still inside its resend interval stays valid
+        const link = await createMagicLink(user, req);
+        if (link.issued) {
+            await sendMagicLinkEmail(user.email, link.url, link.expiresAt);
+        }
+
+        genericResponse();
+
+    } catch (error) {
+        console.error('Magic link request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process request'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/magic-link/verify
+ * Sign in with the token from an emailed link
+ */
+router.post('/magic-link/verify',
+    body('token').isString().notEmpty(),
+    async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const link = await verifyMagicLink(req.body.token);
+        const user = link.userId ? await User.findById(link.userId) : null;
+
+        if (!user || user.role === 'service') {
+            return res.status(401).json({
+                success: false,
+                message: link.message || 'Invalid sign-in link'
+            });
+        }
+
+        if (user.isActive === false) {
+            return res.status(403).json({
+                success: false,
+                message: 'Account is inactive. Please contact admin.'
+            });
+        }
+
+        // Per-account throttling - checked before the link is accepted
+        const lockout = checkLockout(user);
+        if (lockout.blocked) {
+            return sendLockoutResponse(res, lockout);
+        }
+
+        // Expired or replayed links count as failed sign-ins, like a wrong password
+        const consumed = link.valid && await consumeMagicLink(link.linkId, req);
+        if (!consumed) {
+            await recordLogin(user, req, { success: false, failedStep: 'magic_link' });
+            const afterFailure = await recordFailedAttempt(user, req, 'magic_link');
+            if (afterFailure.reason === 'locked') {
+                return sendLockoutResponse(res, afterFailure);
+            }
+            return res.status(401).json({
+                success: false,
+                message: link.valid
+                    ? 'This sign-in link has already been used. Please request a new one.'
+                    : link.message
+            });
+        }
+
+        // The policy may have changed, or a second factor been added, since the link was sent
+        if (!user.isVerified || !(await canUseMagicLink(user))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Magic-link sign-in is not available for this account. Please sign in with your password.'
+            });
+        }
+
+        await clearFailedAttempts(user);
+
+        const { accessToken, refreshToken } = await createSession(user, req, ['email_link']);
 
         res.json({
             success: true,
             message: 'Login successful',
             data: {
-                accessToken: token,
+                accessToken,
+                refreshToken,
                 user: {
                     id: user._id,
                     email: user.email,
@@ -597,7 +802,7 @@ router.post('/verify-mfa', async (req, res) => {
         });
 
     } catch (error) {
-        console.error('MFA verification error:', error);
+        console.error('Magic link verification error:', error);
         res.status(500).json({
             success: false,
             message: 'Verification failed'
@@ -605,14 +810,59 @@ router.post('/verify-mfa', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/auth/refresh
+ * Rotate the refresh token and issue a new access token
+ */
+router.post('/refresh',
+    body('refreshToken').isString().notEmpty(),
+    async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const result = await rotateSession(req.body.refreshToken);
+
+        if (!result.valid) {
+            if (result.reason === 'reuse') {
+                console.warn(`⚠️ Refresh token reuse detected from ${req.ip}; session revoked`);
+            }
+            return res.status(401).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                accessToken: result.accessToken,
+                refreshToken: result.refreshToken
+            }
+        });
+
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Token refresh failed'
+        });
+    }
+});
+
 /**
  * POST /api/auth/logout
- * Logout user
+ * Revoke the current session
  */
 router.post('/logout', verifyToken, async (req, res) => {
     try {
-        // In a production app, you'd invalidate the token here
-        // For now, client-side removal is sufficient
+        await revokeSession(req.user.sessionId, 'logout');
+
         res.json({
             success: true,
             message: 'Logged out successfully'
@@ -626,6 +876,57 @@ router.post('/logout', verifyToken, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/auth/password-policy
+ * Current password requirements (for client-side hints)
+ */
+router.get('/password-policy', (req, res) => {
+    res.json({
+        success: true,
+        data: getPasswordPolicy()
+    });
+});
+
+/**
+ * POST /api/auth/unlock
+ * Unlock an account with the link emailed at lockout
+ */
+router.post('/unlock',
+    body('token').isString().notEmpty(),
+    async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const user = await findUserByUnlockToken(req.body.token);
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Unlock link is invalid or has expired'
+            });
+        }
+
+        await unlockAccount(user, req, 'email');
+
+        res.json({
+            success: true,
+            message: 'Account unlocked. You can now sign in.'
+        });
+
+    } catch (error) {
+        console.error('Unlock account error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unlock account'
+        });
+    }
+});
+
 /**
  * POST /api/auth/forgot-password
  * Send password reset OTP to email
@@ -646,7 +947,7 @@ router.post('/forgot-password',
 
         // Check if user exists
         const user = await User.findOne({ email });
-        if (!user) {
+        if (!user || user.role === 'service') {
             // Don't reveal if user exists or not for security
             return res.json({
                 success: true,
@@ -654,18 +955,14 @@ router.post('/forgot-password',
             });
         }
 
-        // Generate OTP
+        // Generate OTP and store it hashed (expires in 5 minutes)
         const otp = generateOTP();
-        
-        // Store OTP with expiry (5 minutes)
-        otpStore.set(`reset_${email}`, {
-            otp,
-            expiresAt: Date.now() + 5 * 60 * 1000,
-            attempts: 0
-        });
+        const { stored } = await storeOTP(email, otp, 'password_reset');
 
-        // Send reset email
-        await sendOTPEmail(email, otp, 'password_reset');
+        // Send reset email (a code still inside its resend cooldown stays valid)
+        if (stored) {
+            await sendOTPEmail(email, otp, 'password_reset');
+        }
 
         res.json({
             success: true,
@@ -688,9 +985,7 @@ router.post('/forgot-password',
 router.post('/reset-password',
     body('email').isEmail().normalizeEmail(),
     body('otp').isLength({ min: 6, max: 6 }),
-    body('newPassword').isLength({ min: 8 })
-        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&#])[A-Za-z\d@$!%*?&#]{8,}$/)
-        .withMessage('Password must contain uppercase, lowercase, number and special character'),
+    body('newPassword').custom(passwordPolicyValidator),
     async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -703,42 +998,43 @@ router.post('/reset-password',
 
         const { email, otp, newPassword } = req.body;
 
-        // Verify OTP
-        const storedData = otpStore.get(`reset_${email}`);
-        
-        if (!storedData) {
-            return res.status(400).json({
-                success: false,
-                message: 'No reset request found. Please request a new code.'
-            });
+        const user = await User.findOne({ email }).select('+passwordHistory');
+        const lockout = user ? checkLockout(user) : { blocked: false };
+        if (lockout.blocked) {
+            return sendLockoutResponse(res, lockout);
         }
 
-        if (storedData.attempts >= 3) {
-            otpStore.delete(`reset_${email}`);
+        // Checked before the code is verified, which uses it up - a rejected
+        // password should not cost the user a new email
+        if (user && await isPasswordReused(user, newPassword)) {
             return res.status(400).json({
                 success: false,
-                message: 'Too many attempts. Please request a new code.'
+                message: `You cannot reuse one of your last ${getPasswordPolicy().historyCount} passwords`
             });
         }
 
-        if (Date.now() > storedData.expiresAt) {
-            otpStore.delete(`reset_${email}`);
-            return res.status(400).json({
-                success: false,
-                message: 'Code has expired. Please request a new code.'
-            });
-        }
+        // Verify OTP
+        const verification = await verifyOTP(email, otp, 'password_reset');
 
-        if (storedData.otp !== otp) {
-            storedData.attempts += 1;
+        if (!verification.valid) {
+            if (user && verification.reason === 'invalid') {
+                const afterFailure = await recordFailedAttempt(user, req, 'password_reset');
+                if (afterFailure.reason === 'locked') {
+                    return sendLockoutResponse(res, afterFailure);
+                }
+            }
+            const messages = {
+                not_found: 'No reset request found. Please request a new code.',
+                too_many_attempts: 'Too many attempts. Please request a new code.',
+                expired: 'Code has expired. Please request a new code.',
+                invalid: 'Invalid code. Please try again.'
+            };
             return res.status(400).json({
                 success: false,
-                message: 'Invalid code. Please try again.'
+                message: messages[verification.reason] || verification.message
             });
         }
 
-        // Find user and update password
-        const user = await User.findOne({ email });
         if (!user) {
             return res.status(404).json({
                 success: false,
@@ -746,13 +1042,12 @@ router.post('/reset-password',
             });
         }
 
-        // Hash new password
-        const hashedPassword = await bcrypt.hash(newPassword, 12);
-        user.password = hashedPassword;
+        await applyNewPassword(user, newPassword);
         await user.save();
 
-        // Clear OTP
-        otpStore.delete(`reset_${email}`);
+        // Sign out everywhere - any existing session may belong to whoever knew the old password
+        await revokeUserSessions(user._id, 'password_reset');
+        await clearFailedAttempts(user);
 
         res.json({
             success: true,
@@ -0,0 +1,76 @@
+/**
+ * ============================================================
+ * AUTHENTICATION POLICY ROUTES (Admin)
+ * Handles: Per-role sign-in requirements
+ * ============================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { verifyToken } = require('../middleware/auth');
+const { requireRole, checkPermission } = require('../middleware/authorization');
+const { Role } = require('../models');
+const { getAuthPolicy, updateAuthPolicy } = require('../utils/authPolicy');
+const { isAssignableRole } = require('../utils/roles');
+
+// ============================================================
+// GET ALL POLICIES (Admin)
+// ============================================================
+
+router.get('/',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'read'),
+  async (req, res) => {
+    try {
+      const roles = await Role.find().sort({ createdAt: 1 }).select('name');
+      const policies = await Promise.all(roles.map((role) => getAuthPolicy(role.name)));
+
+      res.json({ success: true, data: policies });
+    } catch (error) {
+      console.error('Get auth policies error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch policies' });
+    }
+  }
+);
+
+// ============================================================
+// UPDATE ROLE POLICY (Admin)
+// ============================================================
+
+router.put('/:role',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'update'),
+  [
+    body('requirePasskey').optional().isBoolean(),
+    body('allowMagicLink').optional().isBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { role } = req.params;
+      if (!(await isAssignableRole(role))) {
+        return res.status(404).json({ success: false, message: 'Unknown role' });
+      }
+
+      await updateAuthPolicy(role, req.body, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Policy updated',
+        data: await getAuthPolicy(role)
+      });
+    } catch (error) {
+      console.error('Update auth policy error:', error);
+      res.status(500).json({ success: false, message: 'Failed to update policy' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,183 @@
+/**
+ * ============================================================
+ * DELEGATION ROUTES (Admin)
+ * Handles: Granting users time-boxed permission sets (e.g. while
+ * an officer is on leave), listing and revoking them
+ * ============================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { Delegation, User, Scholarship } = require('../models');
+const { verifyToken } = require('../middleware/auth');
+const { requireRole, checkPermission } = require('../middleware/authorization');
+const { listPermissions } = require('../config/permissions');
+const {
+  MAX_DELEGATION_DAYS,
+  getDelegationStatus,
+  statusFilter,
+  createDelegation,
+  revokeDelegation
+} = require('../utils/delegations');
+
+// Grants a scholarship-scoped delegation may carry
+const SCHOLARSHIP_SCOPED_RESOURCES = ['manage_applications', 'verify_documents'];
+
+const formatDelegation = (delegation) => ({
+  id: delegation._id,
+  user_id: delegation.userId?._id || delegation.userId,
+  user_email: delegation.userId?.email,
+  user_role: delegation.userId?.role,
+  permissions: delegation.permissions,
+  scholarship_id: delegation.scholarshipId?._id || delegation.scholarshipId,
+  scholarship_name: delegation.scholarshipId?.title,
+  reason: delegation.reason,
+  starts_at: delegation.startsAt,
+  ends_at: delegation.endsAt,
+  status: getDelegationStatus(delegation),
+  created_by: delegation.createdBy?.email,
+  created_at: delegation.createdAt,
+  revoked_at: delegation.revokedAt,
+  revoked_by: delegation.revokedBy?.email
+});
+
+// Works on both queries and documents
+const populateDelegation = (queryOrDoc) => queryOrDoc.populate([
+  { path: 'userId', select: 'email role' },
+  { path: 'scholarshipId', select: 'title' },
+  { path: 'createdBy', select: 'email' },
+  { path: 'revokedBy', select: 'email' }
+]);
+
+// ============================================================
+// LIST DELEGATIONS (Admin)
+// ============================================================
+
+router.get('/',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'read'),
+  [
+    query('status').optional().isIn(['active', 'scheduled', 'expired', 'revoked'])
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const delegations = await populateDelegation(
+        Delegation.find(statusFilter(req.query.status))
+          .sort({ endsAt: -1 })
+          .limit(200)
+      );
+
+      res.json({ success: true, data: delegations.map(formatDelegation) });
+    } catch (error) {
+      console.error('Get delegations error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch delegations' });
+    }
+  }
+);
+
+// ============================================================
+// CREATE DELEGATION (Admin)
+// ============================================================
+
+router.post('/',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'update'),
+  [
+    body('userId').isMongoId().withMessage('Choose a user'),
+    body('permissions').isArray({ min: 1 }).withMessage('Choose at least one permission'),
+    body('permissions.*').isIn(listPermissions()).withMessage('Unknown permission'),
+    body('scholarshipId').optional({ checkFalsy: true }).isMongoId(),
+    body('startsAt').optional({ checkFalsy: true }).isISO8601().toDate(),
+    body('endsAt').isISO8601().toDate().withMessage('End time is required'),
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { userId, permissions, scholarshipId, endsAt, reason } = req.body;
+      const startsAt = req.body.startsAt || new Date();
+
+      if (endsAt <= startsAt || endsAt <= new Date()) {
+        return res.status(400).json({ success: false, message: 'End time must be in the future and after the start time' });
+      }
+      if (endsAt - startsAt > MAX_DELEGATION_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({ success: false, message: `Delegations can last at most ${MAX_DELEGATION_DAYS} days` });
+      }
+
+      const delegate = await User.findById(userId).select('role isActive');
+      if (!delegate || delegate.role === 'service') {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+      if (delegate.isActive === false) {
+        return res.status(400).json({ success: false, message: 'Cannot delegate to an inactive account' });
+      }
+
+      if (scholarshipId) {
+        if (!(await Scholarship.exists({ _id: scholarshipId }))) {
+          return res.status(404).json({ success: false, message: 'Scholarship not found' });
+        }
+        const unscoped = permissions.filter((grant) => !SCHOLARSHIP_SCOPED_RESOURCES.includes(grant.split(':')[0]));
+        if (unscoped.length) {
+          return res.status(400).json({
+            success: false,
+            message: `${unscoped.join(', ')} cannot be limited to a scholarship`
+          });
+        }
+      }
+
+      const delegation = await createDelegation({ userId, permissions, scholarshipId, startsAt, endsAt, reason }, req);
+
+      res.status(201).json({
+        success: true,
+        message: 'Delegation created',
+        data: formatDelegation(await populateDelegation(delegation))
+      });
+    } catch (error) {
+      console.error('Create delegation error:', error);
+      res.status(500).json({ success: false, message: 'Failed to create delegation' });
+    }
+  }
+);
+
+// ============================================================
+// REVOKE DELEGATION (Admin)
+// ============================================================
+
+router.delete('/:id',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'update'),
+  async (req, res) => {
+    try {
+      const delegation = await Delegation.findById(req.params.id);
+      if (!delegation) {
+        return res.status(404).json({ success: false, message: 'Delegation not found' });
+      }
+
+      if (['expired', 'revoked'].includes(getDelegationStatus(delegation))) {
+        return res.status(400).json({ success: false, message: 'Delegation has already ended' });
+      }
+
+      await revokeDelegation(delegation, req);
+
+      res.json({ success: true, message: 'Delegation revoked' });
+    } catch (error) {
+      console.error('Revoke delegation error:', error);
+      res.status(500).json({ success: false, message: 'Failed to revoke delegation' });
+    }
+  }
+);
+
+module.exports = router;
@@ -12,7 +12,8 @@ const path = require('path');
 const fs = require('fs').promises;
 const { Document, Application, User } = require('../models');
 const { verifyToken } = require('../middleware/auth');
-const { requireRole } = require('../middleware/authorization');
+const { requireRole, checkPermission, checkApplicationAccess } = require('../middleware/authorization');
+const { isElevated } = require('../utils/stepUp');
 const { encryptAES, decryptAES, generateRSAKeyPair, hybridEncrypt, hybridDecrypt, createDigitalSignature, verifyDigitalSignature, createHashSHA512 } = require('../utils/encryption');
 const { encodeBase64, decodeBase64 } = require('../utils/encoding');
 const { v4: uuidv4 } = require('uuid');
@@ -57,6 +58,7 @@ const ensureUserKeys = async (user) => {
 router.post('/upload',
     verifyToken,
     requireRole('student'),
+    checkPermission('manage_applications', 'update'),
     upload.single('document'),
     async (req, res) => {
         try {
@@ -151,6 +153,7 @@ router.post('/upload',
 router.delete('/:id',
     verifyToken,
     requireRole('student'),
+    checkPermission('manage_applications', 'update'),
     async (req, res) => {
         try {
             const doc = await Document.findById(req.params.id);
@@ -183,6 +186,8 @@ router.delete('/:id',
 
 router.get('/:id',
     verifyToken,
+    checkPermission('verify_documents', 'read'),
+    checkApplicationAccess('document'),
     async (req, res) => {
         try {
             const doc = await Document.findById(req.params.id);
@@ -194,13 +199,28 @@ router.get('/:id',
             }
 
             // Only officer/admin can decrypt
-            if (!['admin', 'officer'].includes(req.user.role)) {
+            if (!['admin', 'officer'].includes(req.user.baseRole)) {
                 return res.status(403).json({
                     success: false,
                     message: 'Access denied'
                 });
             }
 
+            if (req.user.impersonatorId) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Documents cannot be decrypted while viewing as another user'
+                });
+            }
+
+            if (!isElevated(req)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Confirm your identity to download documents',
+                    stepUpRequired: true
+                });
+            }
+
             // Read encrypted file
             const encryptedContent = JSON.parse(await fs.readFile(doc.filePath, 'utf-8'));
             const owner = await ensureUserKeys(await User.findById(doc.userId));
@@ -247,6 +267,8 @@ router.get('/:id',
 router.get('/:id/verify',
     verifyToken,
     requireRole('officer', 'admin'),
+    checkPermission('verify_documents', 'read'),
+    checkApplicationAccess('document'),
     async (req, res) => {
         try {
             const doc = await Document.findById(req.params.id);
@@ -0,0 +1,305 @@
+/**
+ * ============================================================
+ * STAFF INVITATION ROUTES
+ * Implements: Invitation-only onboarding for staff accounts
+ * (officer, admin and custom roles based on them) - admins issue
+ * signed, expiring links; invitees
+ * complete registration through /accept
+ * ============================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { User, Invitation } = require('../models');
+const { verifyToken } = require('../middleware/auth');
+const { requireRole, checkPermission } = require('../middleware/authorization');
+const { generateRSAKeyPair, encryptAES } = require('../utils/encryption');
+const { checkPassword, hashPassword } = require('../utils/passwordPolicy');
+const { sendInvitationEmail } = require('../utils/mailer');
+const { getBaseRole } = require('../utils/roles');
+const {
+  createInvitation,
+  verifyInvitationToken,
+  markInvitationAccepted,
+  releaseInvitation,
+  getInvitationStatus,
+  auditInvitation
+} = require('../utils/invitations');
+
+// ============================================================
+// ISSUE INVITATION (Admin)
+// ============================================================
+
+router.post('/',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'create'),
+  [
+    body('email').isEmail().normalizeEmail(),
+    body('role').custom(async (role) => {
+      if (!['officer', 'admin'].includes(await getBaseRole(role))) {
+        throw new Error('Invitations are for officer, admin or custom staff roles');
+      }
+      return true;
+    })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { email, role } = req.body;
+
+      const existingUser = await User.findOne({ email });
+      if (existingUser) {
+        return res.status(409).json({ success: false, message: 'Email already registered' });
+      }
+
+      // A new invitation supersedes any still-pending one for the same address
+      await Invitation.updateMany(
+        { email, acceptedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { revokedAt: new Date(), revokedBy: req.user.id }
+      );
+
+      const { invitation, inviteUrl } = await createInvitation({ email, role, invitedBy: req.user.id });
+
+      await auditInvitation(req, 'Invitation Issued', 'success', invitation, {
+        expiresAt: invitation.expiresAt
+      });
+
+      sendInvitationEmail(email, role, inviteUrl, invitation.expiresAt)
+        .catch((error) => console.error('Invitation email failed:', error.message));
+
+      res.status(201).json({
+        success: true,
+        message: `Invitation sent to ${email}`,
+        data: {
+          id: invitation._id,
+          email: invitation.email,
+          role: invitation.role,
+          expiresAt: invitation.expiresAt,
+          inviteUrl
+        }
+      });
+    } catch (error) {
+      console.error('Create invitation error:', error);
+      res.status(500).json({ success: false, message: 'Failed to create invitation' });
+    }
+  }
+);
+
+// ============================================================
+// LIST INVITATIONS (Admin)
+// ============================================================
+
+router.get('/',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'read'),
+  async (req, res) => {
+    try {
+      const invitations = await Invitation.find()
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .populate('invitedBy', 'email fullName')
+        .lean();
+
+      res.json({
+        success: true,
+        data: invitations.map((invitation) => ({
+          id: invitation._id,
+          email: invitation.email,
+          role: invitation.role,
+          status: getInvitationStatus(invitation),
+          invited_by: invitation.invitedBy?.fullName || invitation.invitedBy?.email || null,
+          created_at: invitation.createdAt,
+          expires_at: invitation.expiresAt,
+          accepted_at: invitation.acceptedAt || null
+        }))
+      });
+    } catch (error) {
+      console.error('Get invitations error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch invitations' });
+    }
+  }
+);
+
+// ============================================================
+// REVOKE INVITATION (Admin)
+// ============================================================
+
+router.delete('/:id',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'update'),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Invitation not found' });
+      }
+
+      const invitation = await Invitation.findOneAndUpdate(
+        { _id: req.params.id, acceptedAt: null, revokedAt: null },
+        { revokedAt: new Date(), revokedBy: req.user.id },
+        { new: true }
+      );
+
+      if (!invitation) {
+        return res.status(404).json({ success: false, message: 'No pending invitation found' });
+      }
+
+      await auditInvitation(req, 'Invitation Revoked', 'success', invitation);
+
+      res.json({ success: true, message: 'Invitation revoked' });
+    } catch (error) {
+      console.error('Revoke invitation error:', error);
+      res.status(500).json({ success: false, message: 'Failed to revoke invitation' });
+    }
+  }
+);
+
+// ============================================================
+// LOOK UP INVITATION (Public - invite link landing page)
+// ============================================================
+
+router.get('/lookup', async (req, res) => {
+  try {
+    const result = await verifyInvitationToken(req.query.token);
+
+    if (!result.valid) {
+      if (result.reason === 'expired' && result.invitation) {
+        await auditInvitation(req, 'Invitation Expired', 'failure', result.invitation);
+      }
+      return res.status(410).json({ success: false, message: result.message });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        email: result.invitation.email,
+        role: result.invitation.role,
+        expiresAt: result.invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Invitation lookup error:', error);
+    res.status(500).json({ success: false, message: 'Failed to check invitation' });
+  }
+});
+
+// ============================================================
+// ACCEPT INVITATION (Public - completes staff registration)
+// ============================================================
+
+router.post('/accept',
+  [
+    body('token').notEmpty(),
+    body('fullName').trim().notEmpty(),
+    body('password').isString()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const result = await verifyInvitationToken(req.body.token);
+
+      if (!result.valid) {
+        if (result.reason === 'expired' && result.invitation) {
+          await auditInvitation(req, 'Invitation Expired', 'failure', result.invitation);
+        }
+        return res.status(410).json({ success: false, message: result.message });
+      }
+
+      const { invitation } = result;
+
+      // The invited role may have been deleted since the link was sent
+      if (!(await getBaseRole(invitation.role))) {
+        return res.status(410).json({
+          success: false,
+          message: 'The role this invitation was for no longer exists. Ask an administrator for a new one.'
+        });
+      }
+
+      const { password, fullName, phone } = req.body;
+
+      // The address comes from the invitation, not the request body
+      const problems = checkPassword(password, { email: invitation.email });
+      if (problems.length > 0) {
+        return res.status(400).json({
+          success: false,
+          errors: problems.map((msg) => ({ path: 'password', msg }))
+        });
+      }
+
+      const existingUser = await User.findOne({ email: invitation.email });
+      if (existingUser) {
+        return res.status(409).json({ success: false, message: 'Email already registered' });
+      }
+
+      const { publicKey, privateKey } = generateRSAKeyPair();
+      const { encryptedData: encryptedPrivateKey, iv } = encryptAES(privateKey);
+
+      const userId = new mongoose.Types.ObjectId();
+
+      // Claim the invitation first so a link can never create two accounts
+      const claimed = await markInvitationAccepted(invitation._id, userId);
+      if (!claimed) {
+        return res.status(410).json({ success: false, message: 'This invitation is no longer valid' });
+      }
+
+      let user;
+      try {
+        user = await User.create({
+          _id: userId,
+          email: invitation.email,
+          password: await hashPassword(password),
+          passwordChangedAt: new Date(),
+          fullName,
+          phone,
+          role: invitation.role,
+          // The invite link itself proves control of the mailbox
+          isVerified: true,
+          isActive: true,
+          publicKey,
+          privateKey: JSON.stringify({ data: encryptedPrivateKey, iv })
+        });
+      } catch (error) {
+        // Give the link back so a failed attempt does not use it up
+        await releaseInvitation(invitation._id, userId);
+        if (error.code === 11000) {
+          return res.status(409).json({ success: false, message: 'Email already registered' });
+        }
+        if (error.name === 'ValidationError') {
+          return res.status(400).json({
+            success: false,
+            errors: Object.values(error.errors).map((err) => ({ path: err.path, msg: err.message }))
+          });
+        }
+        throw error;
+      }
+
+      invitation.acceptedUserId = user._id;
+      await auditInvitation(req, 'Invitation Accepted', 'success', invitation, {
+        invitedBy: String(invitation.invitedBy)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Account created. You can now sign in.',
+        data: { email: user.email, role: user.role }
+      });
+    } catch (error) {
+      console.error('Accept invitation error:', error);
+      res.status(500).json({ success: false, message: 'Failed to accept invitation' });
+    }
+  }
+);
+
+module.exports = router;
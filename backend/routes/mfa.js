@@ -0,0 +1,282 @@
+/**
+ * ============================================================
+ * MFA ENROLLMENT ROUTES
+ * Implements: TOTP authenticator-app enrollment, confirmation
+ * and removal (RFC 6238), MFA recovery codes
+ *
+ * Every change needs re-authentication: a recent step-up (current
+ * factor: authenticator code, emailed code or passkey) plus the
+ * password on accounts that have one. Federated accounts (OIDC/SAML,
+ * no local password) use the step-up alone, so a session that never
+ * passed MFA - magic link or federated - cannot swap factors on its own
+ * ============================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { User } = require('../models');
+const { verifyToken } = require('../middleware/auth');
+const { isElevated, checkReauthentication } = require('../utils/stepUp');
+const { generateOTPAuthQR } = require('../utils/encoding');
+const {
+    generateTOTPSecret,
+    verifyTOTP,
+    sealTOTPSecret,
+    openTOTPSecret,
+    verifyUserTOTP
+} = require('../utils/totp');
+const {
+    issueRecoveryCodes,
+    ensureRecoveryCodes,
+    countRemainingCodes
+} = require('../utils/recoveryCodes');
+const { sendSignInMethodAddedEmail } = require('../utils/mailer');
+require('dotenv').config();
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || process.env.WEBSITE_NAME || 'TrustScholar';
+
+/**
+ * GET /api/auth/mfa/status
+ * Current MFA configuration for the signed-in user
+ */
+router.get('/status', verifyToken, async (req, res) => {
+    try {
+        const [user, recoveryCodesRemaining] = await Promise.all([
+            User.findById(req.user.id).select('mfaEnabled mfaEnabledAt mfaRecoveryCodesGeneratedAt'),
+            countRemainingCodes(req.user.id)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                mfaEnabled: Boolean(user?.mfaEnabled),
+                method: user?.mfaEnabled ? 'totp' : 'email',
+                enabledAt: user?.mfaEnabledAt,
+                recoveryCodesRemaining,
+                recoveryCodesGeneratedAt: user?.mfaRecoveryCodesGeneratedAt
+            }
+        });
+    } catch (error) {
+        console.error('MFA status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get MFA status'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/mfa/totp/setup
+ * Generate a pending secret and otpauth:// QR code
+ */
+router.post('/totp/setup', verifyToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (user.mfaEnabled) {
+            return res.status(409).json({
+                success: false,
+                message: 'Authenticator app is already enabled'
+            });
+        }
+
+        const denied = await checkReauthentication(req, user);
+        if (denied) {
+            return res.status(denied.status).json(denied.body);
+        }
+
+        const secret = generateTOTPSecret();
+        const { otpauthUrl, qrCode } = await generateOTPAuthQR({
+            secret,
+            accountName: user.email,
+            issuer: TOTP_ISSUER
+        });
+
+        // Not active until the user proves the app is producing codes
+        user.mfaPendingSecret = sealTOTPSecret(secret);
+        await user.save();
+
+        res.json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app',
+            data: {
+                qrCode,
+                otpauthUrl,
+                secret
+            }
+        });
+    } catch (error) {
+        console.error('TOTP setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start authenticator setup'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/mfa/totp/confirm
+ * Confirm enrollment with a code from the authenticator app
+ */
+router.post('/totp/confirm',
+    verifyToken,
+    body('code').isLength({ min: 6, max: 6 }).isNumeric(),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: errors.array()
+                });
+            }
+
+            const user = await User.findById(req.user.id);
+
+            if (!user.mfaPendingSecret) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'No authenticator setup in progress'
+                });
+            }
+
+            // The step-up window can close between setup and confirmation
+            if (!isElevated(req)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Confirm your identity to change two-factor settings',
+                    stepUpRequired: true
+                });
+            }
+
+            const secret = openTOTPSecret(user.mfaPendingSecret);
+            const result = verifyTOTP(secret, req.body.code);
+
+            if (!result.valid) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid code. Check the time on your device and try again.'
+                });
+            }
+
+            user.mfaSecret = user.mfaPendingSecret;
+            user.mfaPendingSecret = undefined;
+            user.mfaEnabled = true;
+            user.mfaEnabledAt = new Date();
+            user.mfaLastUsedStep = result.step;
+            await user.save();
+
+            // First MFA enrollment also hands out recovery codes
+            const recoveryCodes = await ensureRecoveryCodes(user);
+
+            sendSignInMethodAddedEmail(user.email, 'An authenticator app', req.ip)
+                .catch((error) => console.error('Sign-in method notice error:', error));
+
+            res.json({
+                success: true,
+                message: 'Authenticator app enabled',
+                data: { recoveryCodes }
+            });
+        } catch (error) {
+            console.error('TOTP confirm error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to confirm authenticator'
+            });
+        }
+    }
+);
+
+/**
+ * POST /api/auth/mfa/totp/disable
+ * Turn off authenticator-app MFA (falls back to email OTP)
+ */
+router.post('/totp/disable',
+    verifyToken,
+    body('code').isLength({ min: 6, max: 6 }).isNumeric(),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: errors.array()
+                });
+            }
+
+            const user = await User.findById(req.user.id);
+
+            if (!user.mfaEnabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Authenticator app is not enabled'
+                });
+            }
+
+            const denied = await checkReauthentication(req, user);
+            if (denied) {
+                return res.status(denied.status).json(denied.body);
+            }
+
+            if (!(await verifyUserTOTP(user, req.body.code))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid code'
+                });
+            }
+
+            user.mfaEnabled = false;
+            user.mfaSecret = undefined;
+            user.mfaPendingSecret = undefined;
+            user.mfaEnabledAt = undefined;
+            user.mfaLastUsedStep = -1;
+            await user.save();
+
+            res.json({
+                success: true,
+                message: 'Authenticator app disabled. Login codes will be sent by email.'
+            });
+        } catch (error) {
+            console.error('TOTP disable error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to disable authenticator'
+            });
+        }
+    }
+);
+
+/**
+ * POST /api/auth/mfa/recovery-codes
+ * Generate a new set of recovery codes (invalidates the old set)
+ */
+router.post('/recovery-codes',
+    verifyToken,
+    async (req, res) => {
+        try {
+            const user = await User.findById(req.user.id);
+
+            const denied = await checkReauthentication(req, user);
+            if (denied) {
+                return res.status(denied.status).json(denied.body);
+            }
+
+            const recoveryCodes = await issueRecoveryCodes(user);
+
+            res.json({
+                success: true,
+                message: 'New recovery codes generated. Previous codes no longer work.',
+                data: { recoveryCodes }
+            });
+        } catch (error) {
+            console.error('Recovery codes error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to generate recovery codes'
+            });
+        }
+    }
+);
+
+module.exports = router;
@@ -0,0 +1,395 @@
+/**
+ * ============================================================
+ * OPENID CONNECT ROUTES
+ * Implements: Sign-in through configured OIDC identity providers
+ * (Google, partner university IdPs) using the authorization
+ * code flow with PKCE, plus explicit account linking/unlinking
+ * ============================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const { User } = require('../models');
+const { verifyToken } = require('../middleware/auth');
+const { generateOTP, storeOTP, verifyOTP } = require('../utils/otp');
+const { sendOTPEmail } = require('../utils/mailer');
+const {
+    checkLockout,
+    sendLockoutResponse,
+    recordFailedAttempt,
+    clearFailedAttempts
+} = require('../utils/accountLockout');
+const {
+    findUserByIdentity,
+    createLinkRequest,
+    findLinkRequest,
+    markPasswordVerified,
+    completeLink,
+    countLoginMethods,
+    unlinkIdentity
+} = require('../utils/identityLinks');
+const {
+    listProviders,
+    getProvider,
+    createAuthorizationUrl,
+    completeAuthorization
+} = require('../utils/oidc');
+const {
+    providerName,
+    federatedAmr,
+    completeSignIn,
+    linkRequiredResponse,
+    signInWithIdentity
+} = require('../utils/federatedSignIn');
+
+/**
+ * GET /api/auth/oidc/providers
+ * Identity providers to offer on the sign-in page
+ */
+router.get('/providers', (req, res) => {
+    res.json({
+        success: true,
+        data: listProviders()
+    });
+});
+
+/**
+ * GET /api/auth/oidc/:provider/authorize
+ * Start a sign-in - returns the provider URL to send the browser to
+ */
+router.get('/:provider/authorize', async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unknown identity provider'
+            });
+        }
+
+        const authorizationUrl = await createAuthorizationUrl(provider);
+
+        res.json({
+            success: true,
+            data: { authorizationUrl }
+        });
+
+    } catch (error) {
+        console.error('OIDC authorize error:', error);
+        res.status(502).json({
+            success: false,
+            message: 'Identity provider is unavailable'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/oidc/callback
+ * Complete a sign-in with the code and state from the provider redirect
+ */
+router.post('/callback', async (req, res) => {
+    try {
+        const { code, state } = req.body;
+
+        if (!code || !state) {
+            return res.status(400).json({
+                success: false,
+                message: 'Authorization code and state are required'
+            });
+        }
+
+        const result = await completeAuthorization(state, code);
+        if (!result.valid) {
+            return res.status(401).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        const { provider, profile, linkUserId } = result;
+
+        // Started from Account → Security by a signed-in user
+        if (linkUserId) {
+            const owner = await findUserByIdentity(provider.id, profile.subject);
+            if (owner && String(owner._id) !== String(linkUserId)) {
+                return res.status(409).json({
+                    success: false,
+                    message: `This ${provider.name} account is already linked to another user`
+                });
+            }
+            if (owner) {
+                return res.json({
+                    success: true,
+                    message: `${provider.name} is already linked to your account`,
+                    data: { linked: true }
+                });
+            }
+
+            const user = await User.findById(linkUserId);
+            if (!user) {
+                return res.status(404).json({ success: false, message: 'User not found' });
+            }
+            const linkToken = await createLinkRequest(user, provider.id, profile);
+            return linkRequiredResponse(res, provider.name, user, linkToken,
+                `Confirm your password to link ${provider.name}`);
+        }
+
+        return signInWithIdentity(req, res, provider.id, provider.name, profile);
+
+    } catch (error) {
+        console.error('OIDC callback error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Federated sign-in failed',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+/**
+ * GET /api/auth/oidc/:provider/link
+ * Start linking another provider to the signed-in account
+ */
+router.get('/:provider/link', verifyToken, async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unknown identity provider'
+            });
+        }
+
+        const authorizationUrl = await createAuthorizationUrl(provider, { linkUserId: req.user.id });
+
+        res.json({
+            success: true,
+            data: { authorizationUrl }
+        });
+
+    } catch (error) {
+        console.error('OIDC link start error:', error);
+        res.status(502).json({
+            success: false,
+            message: 'Identity provider is unavailable'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/oidc/link/password
+ * Link confirmation step 1: the account password, then an OTP is emailed
+ */
+router.post('/link/password', async (req, res) => {
+    try {
+        const { linkToken, password } = req.body;
+
+        const linkRequest = await findLinkRequest(linkToken);
+        if (!linkRequest) {
+            return res.status(400).json({
+                success: false,
+                message: 'Link request expired. Please start again.'
+            });
+        }
+
+        const user = await User.findById(linkRequest.userId);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        if (user.hasPassword === false) {
+            return res.status(400).json({
+                success: false,
+                message: 'Set a password first (use "Forgot password"), then link this account.'
+            });
+        }
+
+        const lockout = checkLockout(user);
+        if (lockout.blocked) {
+            return sendLockoutResponse(res, lockout);
+        }
+
+        const isValidPassword = await bcrypt.compare(String(password || ''), user.password);
+        if (!isValidPassword) {
+            const afterFailure = await recordFailedAttempt(user, req, 'identity_link');
+            if (afterFailure.reason === 'locked') {
+                return sendLockoutResponse(res, afterFailure);
+            }
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password'
+            });
+        }
+
+        await markPasswordVerified(linkRequest);
+
+        const otp = generateOTP();
+        const { stored } = await storeOTP(user.email, otp, 'identity_link');
+        if (stored) {
+            await sendOTPEmail(user.email, otp, 'identity_link');
+        }
+
+        res.json({
+            success: true,
+            message: 'Verification code sent to your email'
+        });
+
+    } catch (error) {
+        console.error('Link password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to confirm password'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/oidc/link/verify
+ * Link confirmation step 2: the emailed OTP. Attaches the identity and,
+ * when linking started from the sign-in page, signs the user in.
+ */
+router.post('/link/verify', async (req, res) => {
+    try {
+        const { linkToken, otp } = req.body;
+
+        const linkRequest = await findLinkRequest(linkToken);
+        if (!linkRequest || !linkRequest.passwordVerifiedAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Link request expired. Please start again.'
+            });
+        }
+
+        const user = await User.findById(linkRequest.userId);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const lockout = checkLockout(user);
+        if (lockout.blocked) {
+            return sendLockoutResponse(res, lockout);
+        }
+
+        const verification = await verifyOTP(user.email, otp, 'identity_link');
+        if (!verification.valid) {
+            if (verification.reason === 'invalid') {
+                const afterFailure = await recordFailedAttempt(user, req, 'identity_link');
+                if (afterFailure.reason === 'locked') {
+                    return sendLockoutResponse(res, afterFailure);
+                }
+            }
+            return res.status(400).json({
+                success: false,
+                message: verification.message
+            });
+        }
+
+        const result = await completeLink(linkRequest, req);
+        if (!result.linked) {
+            return res.status(409).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        await clearFailedAttempts(user);
+
+        const name = providerName(linkRequest.provider);
+
+        if (linkRequest.signIn) {
+            return completeSignIn(req, res, user, ['pwd', 'otp', federatedAmr(linkRequest.provider)],
+                `${name} linked to your account`);
+        }
+
+        res.json({
+            success: true,
+            message: `${name} linked to your account`,
+            data: { linked: true }
+        });
+
+    } catch (error) {
+        console.error('Link verify error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to link account'
+        });
+    }
+});
+
+/**
+ * GET /api/auth/oidc/identities
+ * Linked identities and the remaining ways to sign in
+ */
+router.get('/identities', verifyToken, async (req, res) => {
+    try {
+        let user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        // A legacy Google link is moved onto federatedIdentities first
+        if (user.googleId) {
+            user = await findUserByIdentity('google', user.googleId);
+        }
+        const methods = await countLoginMethods(user);
+
+        res.json({
+            success: true,
+            data: {
+                identities: user.federatedIdentities.map((identity) => ({
+                    id: identity._id,
+                    provider: identity.provider,
+                    providerName: providerName(identity.provider),
+                    email: identity.email,
+                    linkedAt: identity.linkedAt
+                })),
+                providers: listProviders(),
+                hasPassword: methods.password,
+                passkeys: methods.passkeys
+            }
+        });
+
+    } catch (error) {
+        console.error('Get identities error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch linked accounts'
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/oidc/identities/:id
+ * Unlink a federated identity (refused for the last sign-in method)
+ */
+router.delete('/identities/:id', verifyToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        const result = await unlinkIdentity(user, req.params.id, req);
+        if (!result.unlinked) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Account unlinked'
+        });
+
+    } catch (error) {
+        console.error('Unlink identity error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to unlink account'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,181 @@
+/**
+ * ============================================================
+ * ROLE & PERMISSION ROUTES (Admin)
+ * Handles: Viewing and editing the role/permission matrix,
+ * creating and deleting custom roles
+ * ============================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { Role } = require('../models');
+const { verifyToken } = require('../middleware/auth');
+const { requireRole, checkPermission } = require('../middleware/authorization');
+const {
+  PERMISSION_RESOURCES,
+  PROTECTED_GRANTS,
+  RESERVED_ROLE_NAMES,
+  listPermissions
+} = require('../config/permissions');
+const { createRole, deleteRole, updateRolePermissions } = require('../utils/roles');
+
+const BASE_ROLES = ['student', 'officer', 'admin'];
+
+const permissionValidators = [
+  body('permissions').isArray().withMessage('Permissions must be a list'),
+  body('permissions.*').isIn(listPermissions()).withMessage('Unknown permission')
+];
+
+const formatRole = (role) => ({
+  name: role.name,
+  description: role.description,
+  base_role: role.baseRole,
+  is_system: role.isSystem,
+  permissions: [...role.permissions].sort(),
+  // Grants the UI must not let admins remove
+  protected_permissions: PROTECTED_GRANTS[role.name] || [],
+  updated_at: role.updatedAt
+});
+
+// ============================================================
+// GET ROLES AND PERMISSION CATALOG (Admin)
+// ============================================================
+
+router.get('/',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'read'),
+  async (req, res) => {
+    try {
+      const roles = await Role.find().sort({ createdAt: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          roles: roles.map(formatRole),
+          resources: PERMISSION_RESOURCES
+        }
+      });
+    } catch (error) {
+      console.error('Get roles error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch roles' });
+    }
+  }
+);
+
+// ============================================================
+// REPLACE ROLE PERMISSIONS (Admin)
+// ============================================================
+
+router.put('/:name/permissions',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'update'),
+  permissionValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const role = await Role.findOne({ name: req.params.name });
+      if (!role) {
+        return res.status(404).json({ success: false, message: 'Role not found' });
+      }
+
+      const missing = (PROTECTED_GRANTS[role.name] || []).filter((grant) => !req.body.permissions.includes(grant));
+      if (missing.length) {
+        return res.status(400).json({
+          success: false,
+          message: `The ${role.name} role must keep ${missing.join(', ')} so roles can still be managed`
+        });
+      }
+
+      await updateRolePermissions(role, req.body.permissions, req);
+
+      res.json({
+        success: true,
+        message: 'Permissions updated',
+        data: formatRole(role)
+      });
+    } catch (error) {
+      console.error('Update role permissions error:', error);
+      res.status(500).json({ success: false, message: 'Failed to update permissions' });
+    }
+  }
+);
+
+// ============================================================
+// CREATE CUSTOM ROLE (Admin)
+// ============================================================
+
+router.post('/',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'create'),
+  [
+    body('name').trim().toLowerCase()
+      .matches(/^[a-z][a-z0-9_]{2,31}$/)
+      .withMessage('Use 3-32 lowercase letters, digits or underscores, starting with a letter')
+      .not().isIn(RESERVED_ROLE_NAMES).withMessage('This role name is reserved'),
+    body('description').optional().trim().isLength({ max: 200 }),
+    body('baseRole').isIn(BASE_ROLES).withMessage('Base role must be student, officer or admin'),
+    ...permissionValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const { name, description, baseRole, permissions } = req.body;
+      if (await Role.exists({ name })) {
+        return res.status(400).json({ success: false, message: 'A role with this name already exists' });
+      }
+
+      const role = await createRole({ name, description, baseRole, permissions }, req);
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created',
+        data: formatRole(role)
+      });
+    } catch (error) {
+      console.error('Create role error:', error);
+      res.status(500).json({ success: false, message: 'Failed to create role' });
+    }
+  }
+);
+
+// ============================================================
+// DELETE CUSTOM ROLE (Admin)
+// ============================================================
+
+router.delete('/:name',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'delete'),
+  async (req, res) => {
+    try {
+      const role = await Role.findOne({ name: req.params.name });
+      if (!role) {
+        return res.status(404).json({ success: false, message: 'Role not found' });
+      }
+
+      const result = await deleteRole(role, req);
+      if (!result.deleted) {
+        return res.status(400).json({ success: false, message: result.message });
+      }
+
+      res.json({ success: true, message: 'Role deleted' });
+    } catch (error) {
+      console.error('Delete role error:', error);
+      res.status(500).json({ success: false, message: 'Failed to delete role' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,206 @@
+/**
+ * ============================================================
+ * SAML 2.0 ROUTES
+ * Implements: Single sign-on for partner college staff through
+ * their SAML IdPs - SP metadata, ACS with signature validation,
+ * attribute-to-role mapping and just-in-time provisioning
+ * ============================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const { auditIdentity } = require('../utils/identityLinks');
+const { getBaseRole } = require('../utils/roles');
+const { SAML_PREFIX, signInWithIdentity } = require('../utils/federatedSignIn');
+const {
+    listProviders,
+    getProvider,
+    getServiceProviderMetadata,
+    createLoginUrl,
+    completeAssertion,
+    redeemTicket
+} = require('../utils/saml');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const callbackRedirect = (res, params) => {
+    res.redirect(303, `${FRONTEND_URL}/auth/saml/callback?${new URLSearchParams(params).toString()}`);
+};
+
+const sameGroups = (a, b) => a.length === b.length && a.every((group) => b.includes(group));
+
+/**
+ * Keep an IdP-provisioned account's role and officer groups in line with
+ * the IdP on every sign-in. Only explicitly mapped roles count, and a role
+ * is replaced only when the IdP maps to a different base role, so custom
+ * roles built on the mapped one are kept. Admins (including admin-based
+ * custom roles) are never changed. Officer groups follow the assertion
+ * whenever the provider has a groupMapping.
+ */
+const syncFromIdentityProvider = async (user, provider, providerKey, profile, req) => {
+    const baseRole = await getBaseRole(user.role);
+    if (baseRole === 'admin') {
+        return;
+    }
+
+    const previousRole = user.role;
+    const roleChanged = profile.roleMapped && baseRole !== profile.role;
+    if (roleChanged) {
+        user.role = profile.role;
+    }
+
+    const previousGroups = user.officerGroups || [];
+    const groupsManaged = Object.keys(provider.groupMapping).length > 0;
+    const isOfficer = (roleChanged ? profile.role : baseRole) === 'officer';
+    const groupsChanged = groupsManaged && isOfficer && !sameGroups(previousGroups, profile.officerGroups);
+    if (groupsChanged) {
+        user.officerGroups = profile.officerGroups;
+    }
+
+    if (!roleChanged && !groupsChanged) {
+        return;
+    }
+    await user.save();
+
+    if (roleChanged) {
+        await auditIdentity(user._id, req, 'Role Updated From Identity Provider', 'success', {
+            provider: providerKey,
+            previousRole,
+            role: profile.role
+        });
+    }
+    if (groupsChanged) {
+        await auditIdentity(user._id, req, 'Officer Groups Updated From Identity Provider', 'success', {
+            provider: providerKey,
+            previousGroups,
+            officerGroups: profile.officerGroups
+        });
+    }
+};
+
+/**
+ * GET /api/auth/saml/providers
+ * Institution IdPs to offer on the sign-in page
+ */
+router.get('/providers', (req, res) => {
+    res.json({
+        success: true,
+        data: listProviders()
+    });
+});
+
+/**
+ * GET /api/auth/saml/:provider/metadata
+ * Service provider metadata to register with the IdP
+ */
+router.get('/:provider/metadata', (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unknown identity provider'
+            });
+        }
+
+        res.type('application/samlmetadata+xml').send(getServiceProviderMetadata(provider));
+
+    } catch (error) {
+        console.error('SAML metadata error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to generate metadata'
+        });
+    }
+});
+
+/**
+ * GET /api/auth/saml/:provider/authorize
+ * Start a sign-in - returns the IdP URL to send the browser to
+ */
+router.get('/:provider/authorize', async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unknown identity provider'
+            });
+        }
+
+        const authorizationUrl = await createLoginUrl(provider);
+
+        res.json({
+            success: true,
+            data: { authorizationUrl }
+        });
+
+    } catch (error) {
+        console.error('SAML authorize error:', error);
+        res.status(502).json({
+            success: false,
+            message: 'Identity provider is unavailable'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/saml/:provider/acs
+ * Assertion Consumer Service - the IdP posts the signed response here.
+ * The browser is sent back to the app with a one-time ticket, never tokens.
+ */
+router.post('/:provider/acs', async (req, res) => {
+    try {
+        const provider = getProvider(req.params.provider);
+        if (!provider || !req.body.SAMLResponse) {
+            return callbackRedirect(res, {
+                error: 'invalid_request',
+                error_description: 'The sign-in response was incomplete.'
+            });
+        }
+
+        const result = await completeAssertion(provider, req.body.SAMLResponse);
+        if (!result.valid) {
+            return callbackRedirect(res, { error: 'access_denied', error_description: result.message });
+        }
+
+        callbackRedirect(res, { ticket: result.ticket });
+
+    } catch (error) {
+        console.error('SAML ACS error:', error);
+        callbackRedirect(res, { error: 'server_error', error_description: 'Federated sign-in failed' });
+    }
+});
+
+/**
+ * POST /api/auth/saml/complete
+ * Trade the ACS ticket for a session (or a link confirmation)
+ */
+router.post('/complete', async (req, res) => {
+    try {
+        const result = await redeemTicket(req.body.ticket);
+        if (!result) {
+            return res.status(401).json({
+                success: false,
+                message: 'Sign-in expired. Please start again.'
+            });
+        }
+
+        const { provider, profile } = result;
+        const providerKey = `${SAML_PREFIX}${provider.id}`;
+
+        // New staff are provisioned with the mapped (or default officer) role
+        return signInWithIdentity(req, res, providerKey, provider.name, profile,
+            (owner) => syncFromIdentityProvider(owner, provider, providerKey, profile, req));
+
+    } catch (error) {
+        console.error('SAML complete error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Federated sign-in failed',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+module.exports = router;
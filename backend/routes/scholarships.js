@@ -11,6 +11,14 @@ const { body, validationResult } = require('express-validator');
 const { Scholarship } = require('../models');
 const { verifyToken } = require('../middleware/auth');
 const { requireRole, checkPermission } = require('../middleware/authorization');
+const { OFFICER_GROUP_PATTERN } = require('../config/permissions');
+
+const officerGroupValidators = [
+    body('officer_groups').optional().isArray().withMessage('Officer groups must be a list'),
+    body('officer_groups.*').trim().toLowerCase()
+        .matches(OFFICER_GROUP_PATTERN)
+        .withMessage('Officer groups use 2-40 lowercase letters, digits, dashes or underscores')
+];
 
 const mapScholarship = (doc) => ({
     id: doc._id,
@@ -23,6 +31,7 @@ const mapScholarship = (doc) => ({
     required_documents: doc.requirements,
     max_recipients: doc.max_recipients || 1,
     status: doc.status,
+    officer_groups: doc.officerGroups || [],
     created_by: doc.createdBy,
     created_at: doc.createdAt
 });
@@ -116,7 +125,8 @@ router.post('/',
         body('eligibility_criteria').optional().trim(),
         body('required_documents').optional(),
         body('deadline').optional().isISO8601(),
-        body('max_recipients').optional().isInt({ min: 1 })
+        body('max_recipients').optional().isInt({ min: 1 }),
+        ...officerGroupValidators
     ],
     async (req, res) => {
         try {
@@ -135,7 +145,8 @@ router.post('/',
                 eligibility_criteria,
                 required_documents,
                 deadline,
-                max_recipients = 1
+                max_recipients = 1,
+                officer_groups = []
             } = req.body;
 
             const scholarship = await Scholarship.create({
@@ -147,6 +158,7 @@ router.post('/',
                 deadline,
                 status: 'active',
                 createdBy: req.user.id,
+                officerGroups: [...new Set(officer_groups)],
                 max_recipients
             });
 
@@ -174,8 +186,17 @@ router.put('/:id',
     verifyToken,
     requireRole('admin'),
     checkPermission('manage_scholarships', 'update'),
+    officerGroupValidators,
     async (req, res) => {
         try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: errors.array()
+                });
+            }
+
             const { id } = req.params;
             const updates = req.body;
 
@@ -189,6 +210,7 @@ router.put('/:id',
                 : updates.required_documents;
             if (updates.deadline) mapped.deadline = updates.deadline;
             if (updates.max_recipients) mapped.max_recipients = updates.max_recipients;
+            if (updates.officer_groups) mapped.officerGroups = [...new Set(updates.officer_groups)];
             if (updates.is_active !== undefined) mapped.status = updates.is_active ? 'active' : 'inactive';
 
             await Scholarship.findByIdAndUpdate(id, mapped);
@@ -0,0 +1,367 @@
+/**
+ * ============================================================
+ * SERVICE ACCOUNT ROUTES (Admin)
+ * Implements: Non-human accounts for institutional integrations
+ * (e.g. the registrar's scripts) and management of their scoped,
+ * rate-limited API keys - create, rotate, revoke
+ * ============================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { User, ApiKey } = require('../models');
+const { verifyToken } = require('../middleware/auth');
+const { requireRole, checkPermission } = require('../middleware/authorization');
+const { hashPassword } = require('../utils/passwordPolicy');
+const {
+  listAvailableScopes,
+  createApiKey,
+  auditApiKey,
+  MAX_RATE_LIMIT_PER_MINUTE
+} = require('../utils/apiKeys');
+
+const MAX_ROTATION_GRACE_HOURS = 7 * 24;
+
+const AVAILABLE_SCOPES = listAvailableScopes();
+
+const keyValidators = [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Key name is required'),
+  body('scopes').isArray({ min: 1 }).withMessage('Select at least one scope'),
+  body('scopes.*').isIn(AVAILABLE_SCOPES).withMessage('Unknown scope'),
+  body('rateLimitPerMinute').optional().isInt({ min: 1, max: MAX_RATE_LIMIT_PER_MINUTE }).toInt(),
+  body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: 730 }).toInt()
+];
+
+const serializeKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  key_preview: `tsk_${apiKey.prefix}_…`,
+  scopes: apiKey.scopes,
+  rate_limit_per_minute: apiKey.rateLimitPerMinute,
+  last_used_at: apiKey.lastUsedAt || null,
+  last_used_ip: apiKey.lastUsedIp || null,
+  expires_at: apiKey.expiresAt || null,
+  revoked_at: apiKey.revokedAt || null,
+  rotated_from: apiKey.rotatedFrom || null,
+  created_at: apiKey.createdAt
+});
+
+const findServiceAccount = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return User.findOne({ _id: id, role: 'service' });
+};
+
+// ============================================================
+// AVAILABLE SCOPES
+// ============================================================
+
+router.get('/scopes',
+  verifyToken,
+  requireRole('admin'),
+  (req, res) => {
+    res.json({ success: true, data: AVAILABLE_SCOPES });
+  }
+);
+
+// ============================================================
+// LIST SERVICE ACCOUNTS WITH THEIR KEYS
+// ============================================================
+
+router.get('/',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'read'),
+  async (req, res) => {
+    try {
+      const accounts = await User.find({ role: 'service' })
+        .select('fullName email isActive createdAt')
+        .sort({ createdAt: -1 });
+
+      const keys = await ApiKey.find({ serviceAccountId: { $in: accounts.map((account) => account._id) } })
+        .sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        data: accounts.map((account) => ({
+          id: account._id,
+          name: account.fullName,
+          email: account.email,
+          is_active: account.isActive !== false,
+          created_at: account.createdAt,
+          keys: keys
+            .filter((apiKey) => String(apiKey.serviceAccountId) === String(account._id))
+            .map(serializeKey)
+        }))
+      });
+    } catch (error) {
+      console.error('Get service accounts error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch service accounts' });
+    }
+  }
+);
+
+// ============================================================
+// CREATE SERVICE ACCOUNT
+// ============================================================
+
+router.post('/',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'create'),
+  [
+    body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const slug = req.body.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+
+      // Unusable password and an undeliverable address: the account can only use API keys
+      const account = await User.create({
+        email: `svc-${slug || 'account'}-${crypto.randomBytes(4).toString('hex')}@service-accounts.invalid`,
+        fullName: req.body.name,
+        password: await hashPassword(crypto.randomBytes(32).toString('base64url')),
+        hasPassword: false,
+        role: 'service',
+        isVerified: true
+      });
+
+      await auditApiKey(req, 'Service Account Created', {
+        serviceAccountId: account._id,
+        name: account.fullName
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Service account created',
+        data: {
+          id: account._id,
+          name: account.fullName,
+          email: account.email,
+          is_active: true,
+          created_at: account.createdAt,
+          keys: []
+        }
+      });
+    } catch (error) {
+      console.error('Create service account error:', error);
+      res.status(500).json({ success: false, message: 'Failed to create service account' });
+    }
+  }
+);
+
+// ============================================================
+// ACTIVATE / DEACTIVATE SERVICE ACCOUNT
+// ============================================================
+
+router.put('/:id',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'update'),
+  [
+    body('is_active').isBoolean().toBoolean()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const account = await findServiceAccount(req.params.id);
+      if (!account) {
+        return res.status(404).json({ success: false, message: 'Service account not found' });
+      }
+
+      account.isActive = req.body.is_active;
+      await account.save();
+
+      await auditApiKey(req, account.isActive ? 'Service Account Activated' : 'Service Account Deactivated', {
+        serviceAccountId: account._id
+      });
+
+      res.json({
+        success: true,
+        message: account.isActive ? 'Service account activated' : 'Service account deactivated - its keys stop working immediately'
+      });
+    } catch (error) {
+      console.error('Update service account error:', error);
+      res.status(500).json({ success: false, message: 'Failed to update service account' });
+    }
+  }
+);
+
+// ============================================================
+// CREATE API KEY
+// ============================================================
+
+router.post('/:id/keys',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'update'),
+  keyValidators,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const account = await findServiceAccount(req.params.id);
+      if (!account) {
+        return res.status(404).json({ success: false, message: 'Service account not found' });
+      }
+
+      const { name, scopes, rateLimitPerMinute, expiresInDays } = req.body;
+      const { key, apiKey } = await createApiKey(account, {
+        name,
+        scopes: [...new Set(scopes)],
+        rateLimitPerMinute,
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined,
+        createdBy: req.user.id
+      });
+
+      await auditApiKey(req, 'API Key Created', {
+        serviceAccountId: account._id,
+        apiKeyId: apiKey._id,
+        scopes: apiKey.scopes,
+        rateLimitPerMinute: apiKey.rateLimitPerMinute
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Copy it now - it will not be shown again.',
+        data: { key, apiKey: serializeKey(apiKey) }
+      });
+    } catch (error) {
+      console.error('Create API key error:', error);
+      res.status(500).json({ success: false, message: 'Failed to create API key' });
+    }
+  }
+);
+
+// ============================================================
+// ROTATE API KEY
+// ============================================================
+
+router.post('/:id/keys/:keyId/rotate',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'update'),
+  [
+    body('graceHours').optional().isInt({ min: 0, max: MAX_ROTATION_GRACE_HOURS }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const account = await findServiceAccount(req.params.id);
+      if (!account || !mongoose.Types.ObjectId.isValid(req.params.keyId)) {
+        return res.status(404).json({ success: false, message: 'API key not found' });
+      }
+
+      const now = new Date();
+      const current = await ApiKey.findOne({
+        _id: req.params.keyId,
+        serviceAccountId: account._id,
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      });
+      if (!current) {
+        return res.status(404).json({ success: false, message: 'API key not found or no longer active' });
+      }
+
+      // The old key keeps working for the grace period so scripts can switch over
+      const graceHours = req.body.graceHours ?? 24;
+      const graceEndsAt = new Date(now.getTime() + graceHours * 60 * 60 * 1000);
+      const retiredAt = current.expiresAt && current.expiresAt < graceEndsAt ? current.expiresAt : graceEndsAt;
+
+      const { key, apiKey } = await createApiKey(account, {
+        name: current.name,
+        scopes: current.scopes,
+        rateLimitPerMinute: current.rateLimitPerMinute,
+        expiresAt: current.expiresAt
+          ? new Date(now.getTime() + (current.expiresAt.getTime() - current.createdAt.getTime()))
+          : undefined,
+        createdBy: req.user.id,
+        rotatedFrom: current._id
+      });
+
+      if (graceHours === 0) {
+        current.revokedAt = now;
+        current.revokedBy = req.user.id;
+      } else {
+        current.expiresAt = retiredAt;
+      }
+      await current.save();
+
+      await auditApiKey(req, 'API Key Rotated', {
+        serviceAccountId: account._id,
+        apiKeyId: apiKey._id,
+        rotatedFrom: current._id,
+        oldKeyValidUntil: graceHours === 0 ? now : retiredAt
+      });
+
+      res.status(201).json({
+        success: true,
+        message: graceHours === 0
+          ? 'API key rotated. The old key has been revoked.'
+          : `API key rotated. The old key keeps working for ${graceHours} hour(s).`,
+        data: { key, apiKey: serializeKey(apiKey), previous: serializeKey(current) }
+      });
+    } catch (error) {
+      console.error('Rotate API key error:', error);
+      res.status(500).json({ success: false, message: 'Failed to rotate API key' });
+    }
+  }
+);
+
+// ============================================================
+// REVOKE API KEY
+// ============================================================
+
+router.delete('/:id/keys/:keyId',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'update'),
+  async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.keyId)) {
+        return res.status(404).json({ success: false, message: 'API key not found' });
+      }
+
+      const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: req.params.keyId, serviceAccountId: req.params.id, revokedAt: null },
+        { revokedAt: new Date(), revokedBy: req.user.id },
+        { new: true }
+      );
+      if (!apiKey) {
+        return res.status(404).json({ success: false, message: 'API key not found or already revoked' });
+      }
+
+      await auditApiKey(req, 'API Key Revoked', {
+        serviceAccountId: apiKey.serviceAccountId,
+        apiKeyId: apiKey._id
+      });
+
+      res.json({ success: true, message: 'API key revoked' });
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      res.status(500).json({ success: false, message: 'Failed to revoke API key' });
+    }
+  }
+);
+
+module.exports = router;
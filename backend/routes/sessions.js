@@ -0,0 +1,95 @@
+/**
+ * ============================================================
+ * SESSION MANAGEMENT ROUTES
+ * Implements: Listing and revoking the signed-in user's
+ * active sessions (device management)
+ * ============================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const { verifyToken } = require('../middleware/auth');
+const { listActiveSessions, revokeSession, revokeUserSessions } = require('../utils/session');
+
+/**
+ * GET /api/auth/sessions
+ * Active sessions for the signed-in user
+ */
+router.get('/', verifyToken, async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.user.id);
+
+        res.json({
+            success: true,
+            data: sessions.map((session) => ({
+                id: session._id,
+                ip_address: session.ipAddress,
+                user_agent: session.userAgent,
+                amr: session.amr,
+                created_at: session.createdAt,
+                last_seen_at: session.lastUsedAt,
+                current: String(session._id) === String(req.user.sessionId)
+            }))
+        });
+    } catch (error) {
+        console.error('List sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch sessions'
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Revoke one of the signed-in user's sessions
+ */
+router.delete('/:id', verifyToken, async (req, res) => {
+    try {
+        const revoked = await revokeSession(req.params.id, 'user_revoked', { userId: req.user.id });
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke session'
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out of every other session
+ */
+router.delete('/', verifyToken, async (req, res) => {
+    try {
+        const count = await revokeUserSessions(req.user.id, 'user_revoked', {
+            exceptSessionId: req.user.sessionId
+        });
+
+        res.json({
+            success: true,
+            message: `Signed out of ${count} other session(s)`,
+            data: { revoked: count }
+        });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke sessions'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,224 @@
+/**
+ * ============================================================
+ * STEP-UP AUTHENTICATION ROUTES
+ * Implements: Re-authentication with an authenticator code,
+ * emailed OTP or passkey to open a short elevation window on
+ * the current session (see utils/stepUp.js)
+ * ============================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { User } = require('../models');
+const { verifyToken } = require('../middleware/auth');
+const { generateOTP, storeOTP, verifyOTP } = require('../utils/otp');
+const { sendOTPEmail } = require('../utils/mailer');
+const { verifyUserTOTP } = require('../utils/totp');
+const { buildAuthenticationOptions, verifyAuthentication, hasPasskey } = require('../utils/webauthn');
+const {
+    checkLockout,
+    sendLockoutResponse,
+    recordFailedAttempt,
+    clearFailedAttempts
+} = require('../utils/accountLockout');
+const { isElevated, elevateSession, auditStepUp } = require('../utils/stepUp');
+
+/**
+ * GET /api/auth/step-up/status
+ * Whether the current session is elevated, and how it can be
+ */
+router.get('/status', verifyToken, async (req, res) => {
+    try {
+        const [user, passkey] = await Promise.all([
+            User.findById(req.user.id).select('mfaEnabled'),
+            hasPasskey(req.user.id)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                elevated: isElevated(req),
+                elevatedUntil: isElevated(req) ? req.user.elevatedUntil : null,
+                codeMethod: user?.mfaEnabled ? 'totp' : 'email',
+                passkey
+            }
+        });
+    } catch (error) {
+        console.error('Step-up status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get step-up status'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/step-up/otp/send
+ * Email a step-up code (accounts without an authenticator app)
+ */
+router.post('/otp/send', verifyToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (user.mfaEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use the code from your authenticator app'
+            });
+        }
+
+        const otp = generateOTP();
+        const { stored, retryAfter } = await storeOTP(user.email, otp, 'step_up');
+        if (!stored) {
+            return res.status(429).json({
+                success: false,
+                message: `Please wait ${retryAfter} seconds before requesting a new code`,
+                retryAfter
+            });
+        }
+
+        await sendOTPEmail(user.email, otp, 'step_up');
+
+        res.json({
+            success: true,
+            message: 'Verification code sent to your email'
+        });
+    } catch (error) {
+        console.error('Step-up OTP send error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send verification code'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/step-up/otp/verify
+ * Elevate with an authenticator code, or the emailed code without one
+ */
+router.post('/otp/verify',
+    verifyToken,
+    body('code').trim().notEmpty().withMessage('Verification code is required'),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: errors.array()
+                });
+            }
+
+            const user = await User.findById(req.user.id);
+
+            const lockout = checkLockout(user);
+            if (lockout.blocked) {
+                return sendLockoutResponse(res, lockout);
+            }
+
+            const method = user.mfaEnabled ? 'totp' : 'otp';
+            const verification = user.mfaEnabled
+                ? { valid: await verifyUserTOTP(user, req.body.code), reason: 'invalid', message: 'Invalid authenticator code' }
+                : await verifyOTP(user.email, req.body.code, 'step_up');
+
+            if (!verification.valid) {
+                await auditStepUp(req, 'failure', { method, reason: verification.reason });
+                if (verification.reason === 'invalid') {
+                    const afterFailure = await recordFailedAttempt(user, req, 'step_up');
+                    if (afterFailure.reason === 'locked') {
+                        return sendLockoutResponse(res, afterFailure);
+                    }
+                }
+                return res.status(400).json({
+                    success: false,
+                    message: verification.message
+                });
+            }
+
+            await clearFailedAttempts(user);
+            const elevatedUntil = await elevateSession(req, method);
+            await auditStepUp(req, 'success', { method, elevatedUntil });
+
+            res.json({
+                success: true,
+                message: 'Identity confirmed',
+                data: { elevated: true, elevatedUntil }
+            });
+        } catch (error) {
+            console.error('Step-up OTP verify error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to verify code'
+            });
+        }
+    }
+);
+
+/**
+ * POST /api/auth/step-up/webauthn/options
+ * Start a passkey assertion for the signed-in user
+ */
+router.post('/webauthn/options', verifyToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        const options = await buildAuthenticationOptions(user);
+
+        res.json({
+            success: true,
+            data: options
+        });
+    } catch (error) {
+        console.error('Step-up passkey options error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start passkey verification'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/step-up/webauthn/verify
+ * Elevate with one of the signed-in user's passkeys
+ */
+router.post('/webauthn/verify',
+    verifyToken,
+    body('response').isObject(),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: errors.array()
+                });
+            }
+
+            const credential = await verifyAuthentication(req.body.response, req.user.id);
+            if (!credential) {
+                await auditStepUp(req, 'failure', { method: 'webauthn' });
+                return res.status(400).json({
+                    success: false,
+                    message: 'Passkey could not be verified'
+                });
+            }
+
+            const elevatedUntil = await elevateSession(req, 'webauthn');
+            await auditStepUp(req, 'success', { method: 'webauthn', elevatedUntil });
+
+            res.json({
+                success: true,
+                message: 'Identity confirmed',
+                data: { elevated: true, elevatedUntil }
+            });
+        } catch (error) {
+            console.error('Step-up passkey verify error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Passkey verification failed'
+            });
+        }
+    }
+);
+
+module.exports = router;
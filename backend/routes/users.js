@@ -7,11 +7,23 @@
 
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
-const { User, Application, Document, AuditLog } = require('../models');
+const { User, Application, Document, AuditLog, LoginHistory } = require('../models');
 const { verifyToken } = require('../middleware/auth');
 const { requireRole, checkPermission } = require('../middleware/authorization');
+const { OFFICER_GROUP_PATTERN } = require('../config/permissions');
+const { revokeUserSessions } = require('../utils/session');
+const { isAssignableRole, getBaseRole } = require('../utils/roles');
+const { unlockAccount } = require('../utils/accountLockout');
+const { describeDevice } = require('../utils/loginHistory');
+const { verifyAuditChain } = require('../utils/auditIntegrity');
+const { passwordPolicyValidator, hashPassword } = require('../utils/passwordPolicy');
+const {
+  startImpersonation,
+  endImpersonation,
+  auditImpersonation,
+  IMPERSONATION_TTL_MS
+} = require('../utils/impersonation');
 
 // ============================================================
 // GET ALL USERS (Admin only)
@@ -26,8 +38,9 @@ router.get('/',
       const { role, page = 1, limit = 10, search } = req.query;
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
-      const filter = {};
-      if (role) {
+      // Service accounts are listed under /api/service-accounts
+      const filter = { role: { $ne: 'service' } };
+      if (role && role !== 'service') {
         filter.role = role;
       }
 
@@ -45,17 +58,22 @@ router.get('/',
         User.countDocuments(filter)
       ]);
 
+      const baseRoles = await Promise.all(users.map((u) => getBaseRole(u.role)));
+
       res.json({
         success: true,
         data: {
-          users: users.map((u) => ({
+          users: users.map((u, index) => ({
             id: u._id,
             email: u.email,
             full_name: u.fullName,
             role: u.role,
+            base_role: baseRoles[index],
+            officer_groups: u.officerGroups || [],
             phone: u.phone,
             is_verified: u.isVerified,
             is_active: u.isActive !== false,
+            locked_until: u.lockedUntil && u.lockedUntil > new Date() ? u.lockedUntil : null,
             created_at: u.createdAt
           })),
           pagination: {
@@ -111,9 +129,14 @@ router.post('/',
   checkPermission('manage_users', 'create'),
   [
     body('email').isEmail().normalizeEmail(),
-    body('password').isLength({ min: 8 }),
+    body('password').custom(passwordPolicyValidator),
     body('fullName').trim().notEmpty(),
-    body('role').isIn(['student', 'officer', 'admin'])
+    body('role').custom(async (role) => {
+      if (!(await isAssignableRole(role))) {
+        throw new Error('Unknown role');
+      }
+      return true;
+    })
   ],
   async (req, res) => {
     try {
@@ -129,11 +152,12 @@ router.post('/',
         return res.status(409).json({ success: false, message: 'Email already exists' });
       }
 
-      const hashedPassword = await bcrypt.hash(password, 12);
+      const hashedPassword = await hashPassword(password);
 
       const user = await User.create({
         email,
         password: hashedPassword,
+        passwordChangedAt: new Date(),
         fullName,
         phone,
         role,
@@ -161,16 +185,37 @@ router.put('/:id',
   verifyToken,
   requireRole('admin'),
   checkPermission('manage_users', 'update'),
+  [
+    body('officer_groups').optional().isArray().withMessage('Officer groups must be a list'),
+    body('officer_groups.*').trim().toLowerCase()
+      .matches(OFFICER_GROUP_PATTERN)
+      .withMessage('Officer groups use 2-40 lowercase letters, digits, dashes or underscores')
+  ],
   async (req, res) => {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
       const { id } = req.params;
-      const { fullName, phone, role, is_active } = req.body;
+      const { fullName, phone, role, is_active, officer_groups } = req.body;
+
+      if (role !== undefined && !(await isAssignableRole(role))) {
+        return res.status(400).json({ success: false, message: 'Invalid role' });
+      }
+
+      const target = await User.findById(id).select('role');
+      if (target?.role === 'service' && role !== undefined) {
+        return res.status(400).json({ success: false, message: 'Service accounts cannot change role' });
+      }
 
       const updates = {};
       if (fullName !== undefined) updates.fullName = fullName;
       if (phone !== undefined) updates.phone = phone;
       if (role !== undefined) updates.role = role;
       if (is_active !== undefined) updates.isActive = Boolean(is_active);
+      if (officer_groups !== undefined) updates.officerGroups = [...new Set(officer_groups)];
 
       if (Object.keys(updates).length === 0) {
         return res.status(400).json({ success: false, message: 'No fields to update' });
@@ -178,6 +223,11 @@ router.put('/:id',
 
       await User.updateOne({ _id: id }, updates);
 
+      // Deactivated accounts are signed out everywhere immediately
+      if (updates.isActive === false) {
+        await revokeUserSessions(id, 'admin_revoked');
+      }
+
       res.json({
         success: true,
         message: 'User updated successfully'
@@ -189,6 +239,161 @@ router.put('/:id',
   }
 );
 
+// ============================================================
+// REVOKE ALL USER SESSIONS (Admin)
+// ============================================================
+
+router.post('/:id/revoke-sessions',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'update'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const user = await User.findById(id).select('_id');
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      const revoked = await revokeUserSessions(id, 'admin_revoked');
+
+      res.json({
+        success: true,
+        message: `Revoked ${revoked} session(s)`,
+        data: { revoked }
+      });
+    } catch (error) {
+      console.error('Revoke user sessions error:', error);
+      res.status(500).json({ success: false, message: 'Failed to revoke sessions' });
+    }
+  }
+);
+
+// ============================================================
+// VIEW AS USER - IMPERSONATION (Admin)
+// ============================================================
+
+router.post('/impersonation/end',
+  verifyToken,
+  async (req, res) => {
+    try {
+      if (!req.user.impersonationId) {
+        return res.status(400).json({ success: false, message: 'Not viewing as another user' });
+      }
+
+      await endImpersonation(req.user.impersonationId);
+      await auditImpersonation(req, req.user.impersonatorId, 'Impersonation Ended', {
+        impersonationId: req.user.impersonationId,
+        subjectId: req.user.id,
+        subjectEmail: req.user.email
+      });
+
+      res.json({ success: true, message: 'Returned to your account' });
+    } catch (error) {
+      console.error('End impersonation error:', error);
+      res.status(500).json({ success: false, message: 'Failed to end impersonation' });
+    }
+  }
+);
+
+router.post('/:id/impersonate',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'read'),
+  [
+    body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Give a reason (5-500 characters)')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+      }
+
+      const subject = await User.findById(req.params.id).select('email fullName role isActive isVerified');
+      if (!subject) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      // Admins (and admin-based roles) cannot be impersonated - that would let
+      // one admin act with another's authority
+      const subjectBaseRole = await getBaseRole(subject.role);
+      if (!subjectBaseRole || subjectBaseRole === 'admin') {
+        return res.status(403).json({ success: false, message: 'Only student and officer accounts can be viewed' });
+      }
+
+      if (subject.isActive === false || !subject.isVerified) {
+        return res.status(400).json({ success: false, message: 'Only active, verified accounts can be viewed' });
+      }
+
+      const { token, impersonation } = await startImpersonation(req.user, subject, req, {
+        reason: req.body.reason
+      });
+
+      await auditImpersonation(req, req.user.id, 'Impersonation Started', {
+        impersonationId: impersonation._id,
+        subjectId: subject._id,
+        subjectEmail: subject.email,
+        reason: req.body.reason
+      });
+
+      res.json({
+        success: true,
+        message: `Viewing as ${subject.email}`,
+        data: {
+          accessToken: token,
+          expiresAt: impersonation.expiresAt,
+          readOnly: true,
+          expiresInMinutes: Math.round(IMPERSONATION_TTL_MS / 60000),
+          user: {
+            id: subject._id,
+            email: subject.email,
+            fullName: subject.fullName,
+            role: subject.role === 'verifier' ? 'officer' : subject.role,
+            isVerified: subject.isVerified
+          },
+          actor: {
+            id: req.user.id,
+            email: req.user.email
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Start impersonation error:', error);
+      res.status(500).json({ success: false, message: 'Failed to start impersonation' });
+    }
+  }
+);
+
+// ============================================================
+// UNLOCK ACCOUNT (Admin)
+// ============================================================
+
+router.post('/:id/unlock',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('manage_users', 'update'),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.params.id).select('_id email');
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      await unlockAccount(user, req, 'admin');
+
+      res.json({
+        success: true,
+        message: 'Account unlocked'
+      });
+    } catch (error) {
+      console.error('Unlock user error:', error);
+      res.status(500).json({ success: false, message: 'Failed to unlock account' });
+    }
+  }
+);
+
 // ============================================================
 // GET AUDIT LOGS (Admin)
 // ============================================================
@@ -199,20 +404,22 @@ router.get('/audit-logs',
   checkPermission('view_audit_logs', 'read'),
   async (req, res) => {
     try {
-      const { page = 1, limit = 50, user_id, action, status } = req.query;
+      const { page = 1, limit = 50, user_id, action, status, impersonated } = req.query;
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
       const filter = {};
       if (user_id) filter.userId = user_id;
       if (action) filter.action = action;
       if (status) filter.status = status;
+      if (impersonated === 'true') filter.impersonatorId = { $ne: null };
 
       const [logs, total] = await Promise.all([
         AuditLog.find(filter)
           .sort({ timestamp: -1 })
           .skip(skip)
           .limit(parseInt(limit))
-          .populate('userId', 'email'),
+          .populate('userId', 'email')
+          .populate('impersonatorId', 'email'),
         AuditLog.countDocuments(filter)
       ]);
 
@@ -227,7 +434,9 @@ router.get('/audit-logs',
             ipAddress: log.ipAddress,
             userAgent: log.userAgent,
             timestamp: log.timestamp,
-            user_email: log.userId?.email
+            seq: log.seq,
+            user_email: log.userId?.email,
+            impersonator_email: log.impersonatorId?.email
           })),
           pagination: {
             page: parseInt(page),
@@ -244,6 +453,89 @@ router.get('/audit-logs',
   }
 );
 
+// ============================================================
+// VERIFY AUDIT LOG CHAIN (Admin)
+// Walks the hash chain, archive included, and reports the first break
+// ============================================================
+
+router.get('/audit-logs/verify',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('view_audit_logs', 'read'),
+  async (req, res) => {
+    try {
+      const report = await verifyAuditChain();
+
+      res.json({
+        success: true,
+        message: report.valid ? 'Audit log chain is intact' : report.first_break.message,
+        data: report
+      });
+    } catch (error) {
+      console.error('Verify audit logs error:', error);
+      res.status(500).json({ success: false, message: 'Failed to verify audit logs' });
+    }
+  }
+);
+
+// ============================================================
+// RISKY LOGINS (Admin) - impossible travel, rapid IP changes
+// ============================================================
+
+router.get('/risky-logins',
+  verifyToken,
+  requireRole('admin'),
+  checkPermission('view_audit_logs', 'read'),
+  async (req, res) => {
+    try {
+      const { page = 1, limit = 50, flag, user_id } = req.query;
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+
+      const filter = { riskFlags: flag ? String(flag) : { $exists: true, $ne: [] } };
+      if (user_id) filter.userId = user_id;
+
+      const [logins, total] = await Promise.all([
+        LoginHistory.find(filter)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .populate('userId', 'email fullName role'),
+        LoginHistory.countDocuments(filter)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          logins: logins.map((login) => ({
+            id: login._id,
+            user_id: login.userId?._id,
+            user_email: login.userId?.email,
+            user_name: login.userId?.fullName,
+            user_role: login.userId?.role,
+            ip_address: login.ipAddress,
+            device: login.device?.browser ? describeDevice(login.device) : 'Unknown device',
+            country: login.location?.country || null,
+            amr: login.amr,
+            new_device: login.newDevice,
+            flags: login.riskFlags,
+            details: login.riskDetails,
+            created_at: login.createdAt
+          })),
+          pagination: {
+            page: parseInt(page),
+            limit: parseInt(limit),
+            total,
+            pages: Math.ceil(total / parseInt(limit))
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get risky logins error:', error);
+      res.status(500).json({ success: false, message: 'Failed to fetch risky logins' });
+    }
+  }
+);
+
 // ============================================================
 // DELETE USER (Admin)
 // ============================================================
@@ -262,6 +554,7 @@ router.delete('/:id',
       ]);
 
       await User.deleteOne({ _id: id });
+      await revokeUserSessions(id, 'admin_revoked');
 
       res.json({
         success: true,
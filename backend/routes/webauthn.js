@@ -0,0 +1,360 @@
+/**
+ * ============================================================
+ * WEBAUTHN (PASSKEY) ROUTES
+ * Implements: Passkey registration, passkeys as second factor
+ * and passwordless passkey sign-in
+ * ============================================================
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const { User, WebAuthnCredential } = require('../models');
+const { verifyToken } = require('../middleware/auth');
+const { verifyChallenge, consumeChallenge } = require('../utils/mfaChallenge');
+const {
+    buildRegistrationOptions,
+    verifyRegistration,
+    buildAuthenticationOptions,
+    verifyAuthentication
+} = require('../utils/webauthn');
+const { createSession } = require('../utils/session');
+const { checkLockout, sendLockoutResponse, clearFailedAttempts } = require('../utils/accountLockout');
+const { ensureRecoveryCodes } = require('../utils/recoveryCodes');
+const { countLoginMethods } = require('../utils/identityLinks');
+const { getAuthPolicy } = require('../utils/authPolicy');
+const { isElevated, checkReauthentication } = require('../utils/stepUp');
+const { sendSignInMethodAddedEmail } = require('../utils/mailer');
+require('dotenv').config();
+
+/**
+ * Issue the access token once a passkey ceremony succeeds
+ */
+const completeLogin = async (req, res, user, amr) => {
+    const { accessToken, refreshToken } = await createSession(user, req, amr);
+
+    return res.json({
+        success: true,
+        message: 'Login successful',
+        data: {
+            accessToken,
+            refreshToken,
+            user: {
+                id: user._id,
+                email: user.email,
+                role: user.role,
+                isVerified: user.isVerified
+            }
+        }
+    });
+};
+
+// ============================================================
+// REGISTRATION (signed-in users)
+// A passkey signs in without a password, so adding one needs the same
+// re-authentication as other MFA changes (see routes/mfa.js)
+// ============================================================
+
+/**
+ * POST /api/auth/webauthn/register/options
+ * Start passkey registration
+ */
+router.post('/register/options', verifyToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+        const denied = await checkReauthentication(req, user);
+        if (denied) {
+            return res.status(denied.status).json(denied.body);
+        }
+
+        const options = await buildRegistrationOptions(user);
+
+        res.json({
+            success: true,
+            data: options
+        });
+    } catch (error) {
+        console.error('WebAuthn registration options error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start passkey registration'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/webauthn/register/verify
+ * Finish passkey registration
+ */
+router.post('/register/verify',
+    verifyToken,
+    [
+        body('response').isObject(),
+        body('name').optional().isString().trim().isLength({ max: 64 })
+    ],
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: errors.array()
+                });
+            }
+
+            const user = await User.findById(req.user.id);
+            const denied = await checkReauthentication(req, user);
+            if (denied) {
+                return res.status(denied.status).json(denied.body);
+            }
+
+            const credential = await verifyRegistration(user, req.body.response, req.body.name);
+
+            if (!credential) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Passkey registration could not be verified'
+                });
+            }
+
+            // First MFA enrollment also hands out recovery codes
+            const recoveryCodes = await ensureRecoveryCodes(user);
+
+            sendSignInMethodAddedEmail(user.email, `A passkey (${credential.name})`, req.ip)
+                .catch((error) => console.error('Sign-in method notice error:', error));
+
+            res.status(201).json({
+                success: true,
+                message: 'Passkey registered',
+                data: {
+                    id: credential._id,
+                    name: credential.name,
+                    created_at: credential.createdAt,
+                    recoveryCodes
+                }
+            });
+        } catch (error) {
+            console.error('WebAuthn registration error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Passkey registration failed'
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/auth/webauthn/credentials
+ * List the signed-in user's passkeys
+ */
+router.get('/credentials', verifyToken, async (req, res) => {
+    try {
+        const credentials = await WebAuthnCredential.find({ userId: req.user.id })
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: credentials.map((cred) => ({
+                id: cred._id,
+                name: cred.name,
+                device_type: cred.deviceType,
+                backed_up: cred.backedUp,
+                created_at: cred.createdAt,
+                last_used_at: cred.lastUsedAt
+            }))
+        });
+    } catch (error) {
+        console.error('List passkeys error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch passkeys'
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/webauthn/credentials/:id
+ * Remove one of the signed-in user's passkeys (after step-up; refused
+ * for the last passkey when it is the only way left to sign in)
+ */
+router.delete('/credentials/:id', verifyToken, async (req, res) => {
+    try {
+        if (!isElevated(req)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Confirm your identity to remove a passkey',
+                stepUpRequired: true
+            });
+        }
+
+        const [user, credential] = await Promise.all([
+            User.findById(req.user.id),
+            WebAuthnCredential.findOne({ _id: req.params.id, userId: req.user.id })
+        ]);
+
+        if (!credential) {
+            return res.status(404).json({
+                success: false,
+                message: 'Passkey not found'
+            });
+        }
+
+        const methods = await countLoginMethods(user);
+        if (methods.passkeys <= 1) {
+            if (!methods.password && methods.identities === 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This is your only way to sign in. Set a password or link an account before removing it.'
+                });
+            }
+            if ((await getAuthPolicy(user.role)).requirePasskey) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Your role requires a passkey. Add another one before removing this one.'
+                });
+            }
+        }
+
+        await WebAuthnCredential.deleteOne({ _id: credential._id });
+
+        res.json({
+            success: true,
+            message: 'Passkey removed'
+        });
+    } catch (error) {
+        console.error('Delete passkey error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove passkey'
+        });
+    }
+});
+
+// ============================================================
+// AUTHENTICATION
+// ============================================================
+
+/**
+ * POST /api/auth/webauthn/login/options
+ * With tempToken: passkey as second factor after the password step.
+ * Without: passwordless sign-in with a discoverable passkey.
+ */
+router.post('/login/options', async (req, res) => {
+    try {
+        const { tempToken } = req.body;
+        let user = null;
+
+        if (tempToken) {
+            const challenge = await verifyChallenge(tempToken, req);
+            if (!challenge.valid) {
+                return res.status(401).json({
+                    success: false,
+                    message: challenge.message
+                });
+            }
+            user = await User.findById(challenge.userId);
+        }
+
+        const options = await buildAuthenticationOptions(user);
+
+        res.json({
+            success: true,
+            data: options
+        });
+    } catch (error) {
+        console.error('WebAuthn login options error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start passkey sign-in'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/webauthn/login/verify
+ * Verify the passkey assertion and issue an access token
+ */
+router.post('/login/verify',
+    body('response').isObject(),
+    async (req, res) => {
+        try {
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    errors: errors.array()
+                });
+            }
+
+            const { tempToken, response } = req.body;
+            let challenge = null;
+
+            if (tempToken) {
+                challenge = await verifyChallenge(tempToken, req);
+                if (!challenge.valid) {
+                    return res.status(401).json({
+                        success: false,
+                        message: challenge.message
+                    });
+                }
+            }
+
+            const credential = await verifyAuthentication(response, challenge?.userId);
+            if (!credential) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Passkey could not be verified'
+                });
+            }
+
+            const user = await User.findById(credential.userId);
+
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            if (user.isActive === false) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Account is inactive. Please contact admin.'
+                });
+            }
+
+            if (!user.isVerified) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Please verify your email first'
+                });
+            }
+
+            // A passkey does not get around a lockout
+            const lockout = checkLockout(user);
+            if (lockout.blocked) {
+                return sendLockoutResponse(res, lockout);
+            }
+
+            if (challenge && !(await consumeChallenge(challenge.jti))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Login session already used. Please sign in again.'
+                });
+            }
+
+            // Outside a lockout, a passkey sign-in resets the failure count like a full password sign-in does
+            await clearFailedAttempts(user);
+
+            return completeLogin(req, res, user, challenge ? ['pwd', 'webauthn'] : ['webauthn']);
+        } catch (error) {
+            console.error('WebAuthn login error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Passkey sign-in failed'
+            });
+        }
+    }
+);
+
+module.exports = router;
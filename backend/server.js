@@ -25,14 +25,28 @@ require('dotenv').config();
 const { testConnection, connectDB } = require('./config/database');
 const { initDatabase } = require('./config/initDatabase');
 const { auditLog } = require('./middleware/authorization');
+const { markRouteScope } = require('./middleware/auth');
+const { hasValidApiKey } = require('./utils/apiKeys');
+const { startAuditMaintenance } = require('./utils/auditIntegrity');
+const { getServerSigningKey } = require('./utils/encryption');
 
 // Import routes
 const authRoutes = require('./routes/auth');
-const oauthRoutes = require('./routes/oauth');
+const oidcRoutes = require('./routes/oidc');
+const samlRoutes = require('./routes/saml');
+const mfaRoutes = require('./routes/mfa');
+const webauthnRoutes = require('./routes/webauthn');
+const sessionRoutes = require('./routes/sessions');
+const stepUpRoutes = require('./routes/stepUp');
+const authPolicyRoutes = require('./routes/authPolicies');
 const scholarshipRoutes = require('./routes/scholarships');
 const applicationRoutes = require('./routes/applications_mongodb');
 const documentRoutes = require('./routes/documents');
 const userRoutes = require('./routes/users');
+const invitationRoutes = require('./routes/invitations');
+const serviceAccountRoutes = require('./routes/serviceAccounts');
+const roleRoutes = require('./routes/roles');
+const delegationRoutes = require('./routes/delegations');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -49,13 +63,16 @@ app.use(cors({
     origin: process.env.FRONTEND_URL || 'http://localhost:3000',
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
 // Rate limiting (NIST recommendation for brute force protection)
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100, // limit each IP to 100 requests per windowMs
+    // Integrations with a working key have their own per-key limit
+    // (utils/apiKeys.js); failed key lookups count against the IP
+    skip: hasValidApiKey,
     message: {
         success: false,
         message: 'Too many requests, please try again later.'
@@ -63,10 +80,12 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
-// Stricter rate limit for auth endpoints
+// Stricter rate limit for auth endpoints.
+// Kept loose enough for shared campus NATs - targeted guessing against a
+// single account is handled by per-account lockout (utils/accountLockout.js)
 const authLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
-    max: 10, // 10 attempts per 15 minutes
+    max: 50, // 50 attempts per 15 minutes
     message: {
         success: false,
         message: 'Too many authentication attempts, please try again later.'
@@ -74,6 +93,12 @@ const authLimiter = rateLimit({
 });
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/oidc/callback', authLimiter);
+app.use('/api/auth/oidc/link', authLimiter);
+app.use('/api/auth/saml', authLimiter);
+app.use('/api/auth/magic-link', authLimiter);
+app.use('/api/invitations/accept', authLimiter);
+app.use('/api/auth/step-up', authLimiter);
 
 // Body parser
 app.use(express.json({ limit: '10mb' }));
@@ -86,12 +111,31 @@ app.use(auditLog);
 // API ROUTES
 // ============================================================
 
+// Account routes, which API keys never reach and impersonation reaches only
+// in part (utils/apiKeys.js, utils/impersonation.js). Later marks win, so
+// the narrower paths come last.
+app.use(['/api/users', '/api/service-accounts'], markRouteScope('account_management'));
+app.use(['/api/auth', '/api/users/me'], markRouteScope('account'));
+// Lets the admin see who they are viewing, and stop
+app.all(['/api/auth/me', '/api/auth/permissions'], markRouteScope('account_info'));
+app.all('/api/users/impersonation/end', markRouteScope('impersonation_end'));
+
+app.use('/api/auth/mfa', mfaRoutes);
+app.use('/api/auth/webauthn', webauthnRoutes);
+app.use('/api/auth/sessions', sessionRoutes);
+app.use('/api/auth/step-up', stepUpRoutes); // Re-authentication before decrypting sensitive data
+app.use('/api/auth/oidc', oidcRoutes); // OpenID Connect (Google, partner IdPs)
+app.use('/api/auth/saml', samlRoutes); // SAML 2.0 (partner college staff)
 app.use('/api/auth', authRoutes);
-app.use('/api/auth', oauthRoutes); // Google OAuth
 app.use('/api/scholarships', scholarshipRoutes);
 app.use('/api/applications', applicationRoutes);
 app.use('/api/documents', documentRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/service-accounts', serviceAccountRoutes);
+app.use('/api/auth-policies', authPolicyRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/delegations', delegationRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -100,7 +144,7 @@ app.get('/api/health', (req, res) => {
         message: 'Scholarship Verification System API is running',
         timestamp: new Date().toISOString(),
         security: {
-            authentication: 'Password + MFA (Email OTP)',
+            authentication: 'Password + MFA (Email OTP / TOTP / WebAuthn)',
             authorization: 'Role-Based Access Control (RBAC)',
             encryption: 'AES-256 + RSA-2048 Hybrid',
             hashing: 'bcrypt + SHA-512',
@@ -143,6 +187,9 @@ app.use((err, req, res, next) => {
 
 const startServer = async () => {
     try {
+        // Fails fast when the audit signing key is missing in production
+        getServerSigningKey();
+
         // Connect to MongoDB
         console.log('🔄 Connecting to MongoDB...');
         await connectDB();
@@ -156,6 +203,9 @@ const startServer = async () => {
         // Initialize database (create indexes and admin user)
         await initDatabase();
 
+        // Signed audit log checkpoints and archival of old entries
+        startAuditMaintenance();
+
         // Start server
         app.listen(PORT, () => {
             console.log(`
@@ -166,7 +216,7 @@ const startServer = async () => {
 ║  📊 API: http://localhost:${PORT}/api                           ║
 ╠══════════════════════════════════════════════════════════════╣
 ║  SECURITY FEATURES:                                          ║
-║  ✅ Authentication: Password + Email OTP (MFA)               ║
+║  ✅ Authentication: Password + Email OTP / TOTP (MFA)        ║
 ║  ✅ Authorization: Role-Based Access Control (ACL)           ║
 ║  ✅ Encryption: AES-256 + RSA-2048 (Hybrid)                  ║
 ║  ✅ Hashing: bcrypt (salt) + SHA-512                         ║
@@ -0,0 +1,203 @@
+/**
+ * ============================================================
+ * ACCOUNT LOCKOUT
+ * Implements: Per-account failed-attempt tracking with
+ * exponential backoff and temporary lockout (complements the
+ * per-IP rate limiter, which rotating IPs can bypass)
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const { User, AuditLog } = require('../models');
+const { sendAccountLockedEmail } = require('./mailer');
+
+// Failures allowed before each further attempt must wait
+const THROTTLE_AFTER = 3;
+const THROTTLE_BASE_MS = 1000;
+const THROTTLE_MAX_MS = 60 * 1000;
+
+// Failures that lock the account; repeated lockouts double in length
+const LOCKOUT_THRESHOLD = 10;
+const LOCKOUT_BASE_MS = 15 * 60 * 1000;
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+
+const hashUnlockToken = (token) => {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+const auditLockout = async (user, req, action, status, details) => {
+    try {
+        await AuditLog.create({
+            userId: user._id,
+            action,
+            resource: '/api/auth',
+            ipAddress: req?.ip,
+            userAgent: req?.get?.('user-agent'),
+            status,
+            details
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+};
+
+/**
+ * Is the account currently locked or throttled?
+ * @param {object} user - User document
+ * @returns {object} - { blocked, reason: 'locked'|'throttled', retryAfter (seconds), message }
+ */
+const checkLockout = (user) => {
+    const now = Date.now();
+
+    if (user.lockedUntil && user.lockedUntil.getTime() > now) {
+        const retryAfter = Math.ceil((user.lockedUntil.getTime() - now) / 1000);
+        return {
+            blocked: true,
+            reason: 'locked',
+            retryAfter,
+            message: `Account locked after too many failed attempts. Try again in ${Math.ceil(retryAfter / 60)} minute(s) or use the unlock link sent to your email.`
+        };
+    }
+
+    const failures = user.failedLoginAttempts || 0;
+    if (failures >= THROTTLE_AFTER && user.lastFailedLoginAt) {
+        const delay = Math.min(THROTTLE_BASE_MS * 2 ** (failures - THROTTLE_AFTER), THROTTLE_MAX_MS);
+        const nextAllowed = user.lastFailedLoginAt.getTime() + delay;
+        if (nextAllowed > now) {
+            const retryAfter = Math.ceil((nextAllowed - now) / 1000);
+            return {
+                blocked: true,
+                reason: 'throttled',
+                retryAfter,
+                message: `Too many failed attempts. Please wait ${retryAfter} second(s) and try again.`
+            };
+        }
+    }
+
+    return { blocked: false };
+};
+
+/**
+ * Send the standard blocked response (423 when locked, 429 when throttled)
+ */
+const sendLockoutResponse = (res, lockout) => {
+    res.set('Retry-After', String(lockout.retryAfter));
+    return res.status(lockout.reason === 'locked' ? 423 : 429).json({
+        success: false,
+        message: lockout.message,
+        retryAfter: lockout.retryAfter
+    });
+};
+
+/**
+ * Count a failed password / code attempt, locking the account at the threshold
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @param {string} step - login | mfa | email_verification | password_reset | identity_link | step_up
+ * @returns {Promise<object>} - Result of checkLockout() after this failure
+ */
+const recordFailedAttempt = async (user, req, step) => {
+    const now = new Date();
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+        { new: true }
+    );
+
+    if (!updated) {
+        return { blocked: false };
+    }
+
+    if (updated.failedLoginAttempts >= LOCKOUT_THRESHOLD) {
+        const duration = Math.min(LOCKOUT_BASE_MS * 2 ** (updated.lockoutCount || 0), LOCKOUT_MAX_MS);
+        const lockedUntil = new Date(now.getTime() + duration);
+        const unlockToken = crypto.randomBytes(32).toString('hex');
+
+        // Only the request that crosses the threshold performs the lock
+        const locked = await User.findOneAndUpdate(
+            { _id: user._id, failedLoginAttempts: { $gte: LOCKOUT_THRESHOLD } },
+            {
+                $set: {
+                    failedLoginAttempts: 0,
+                    lockedUntil,
+                    unlockTokenHash: hashUnlockToken(unlockToken)
+                },
+                $inc: { lockoutCount: 1 }
+            },
+            { new: true }
+        );
+
+        if (locked) {
+            await auditLockout(locked, req, 'Account Locked', 'failure', {
+                step,
+                lockedUntil,
+                lockoutCount: locked.lockoutCount
+            });
+            sendAccountLockedEmail(locked.email, unlockToken, lockedUntil)
+                .catch((error) => console.error('Unlock email failed:', error.message));
+            return checkLockout(locked);
+        }
+    }
+
+    return checkLockout(updated);
+};
+
+/**
+ * Reset failure tracking after a fully successful authentication
+ */
+const clearFailedAttempts = async (user) => {
+    if (!user.failedLoginAttempts && !user.lockoutCount && !user.lockedUntil) {
+        return;
+    }
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: { failedLoginAttempts: 0, lockoutCount: 0 },
+            $unset: { lastFailedLoginAt: 1, lockedUntil: 1, unlockTokenHash: 1 }
+        }
+    );
+};
+
+/**
+ * Lift a lockout (admin action or email link)
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @param {string} via - admin | email
+ */
+const unlockAccount = async (user, req, via) => {
+    await User.updateOne(
+        { _id: user._id },
+        {
+            $set: { failedLoginAttempts: 0 },
+            $unset: { lastFailedLoginAt: 1, lockedUntil: 1, unlockTokenHash: 1 }
+        }
+    );
+    await auditLockout(user, req, 'Account Unlocked', 'success', {
+        via,
+        unlockedBy: req.user?.id
+    });
+};
+
+/**
+ * Find the user for an emailed unlock token
+ * @returns {Promise<object|null>}
+ */
+const findUserByUnlockToken = async (token) => {
+    if (!token) {
+        return null;
+    }
+    return User.findOne({
+        unlockTokenHash: hashUnlockToken(token),
+        lockedUntil: { $gt: new Date() }
+    });
+};
+
+module.exports = {
+    checkLockout,
+    sendLockoutResponse,
+    recordFailedAttempt,
+    clearFailedAttempts,
+    unlockAccount,
+    findUserByUnlockToken,
+    LOCKOUT_THRESHOLD
+};
@@ -0,0 +1,248 @@
+/**
+ * ============================================================
+ * API KEYS (SERVICE ACCOUNTS)
+ * Implements: Hashed, scoped, revocable keys for institutional
+ * integrations, with per-key rate limits and last-used tracking
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const { ApiKey, User, AuditLog } = require('../models');
+const { listPermissions } = require('../config/permissions');
+const { readSecret } = require('../config/secrets');
+require('dotenv').config();
+
+const API_KEY_SECRET = readSecret(['API_KEY_SECRET', 'JWT_SECRET'], 'default_api_key_secret_change_me');
+
+// Keys look like "tsk_<prefix>_<secret>"; only the prefix is stored in clear
+const KEY_PATTERN = /^tsk_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+const RATE_WINDOW_MS = 60 * 1000;
+const MAX_RATE_LIMIT_PER_MINUTE = 600;
+
+// How often request activity is written back as "last used"
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Per-key request counts for the current window (per process, like the IP limiter)
+const rateWindows = new Map();
+
+const hashKeySecret = (secret) => {
+    return crypto.createHmac('sha256', API_KEY_SECRET).update(secret).digest('hex');
+};
+
+const safeEqualHex = (a, b) => {
+    const bufA = Buffer.from(a, 'hex');
+    const bufB = Buffer.from(b, 'hex');
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * API key sent with a request, if any: "Authorization: Bearer tsk_..." or "X-API-Key: tsk_..."
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+const getRequestApiKey = (req) => {
+    const header = req.headers['x-api-key'];
+    if (header) {
+        return String(header).trim();
+    }
+    const authHeader = req.headers.authorization || '';
+    if (authHeader.startsWith('Bearer tsk_')) {
+        return authHeader.slice('Bearer '.length).trim();
+    }
+    return null;
+};
+
+/**
+ * Scopes a key may hold: every resource/action pair in the permission catalog
+ * @returns {string[]} - e.g. ["manage_applications:read", ...]
+ */
+const listAvailableScopes = () => {
+    return listPermissions().sort();
+};
+
+/**
+ * Create a key for a service account
+ * @param {object} serviceAccount - User document (role "service")
+ * @param {object} options - { name, scopes, rateLimitPerMinute, expiresAt, createdBy, rotatedFrom }
+ * @returns {Promise<object>} - { key (plain text, shown once), apiKey }
+ */
+const createApiKey = async (serviceAccount, options) => {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    const apiKey = await ApiKey.create({
+        serviceAccountId: serviceAccount._id,
+        name: options.name,
+        prefix,
+        keyHash: hashKeySecret(secret),
+        scopes: options.scopes,
+        rateLimitPerMinute: Math.min(options.rateLimitPerMinute || 60, MAX_RATE_LIMIT_PER_MINUTE),
+        expiresAt: options.expiresAt,
+        createdBy: options.createdBy,
+        rotatedFrom: options.rotatedFrom
+    });
+
+    return { key: `tsk_${prefix}_${secret}`, apiKey };
+};
+
+/**
+ * Count a request against the key's per-minute limit
+ * @returns {object} - { allowed, retryAfter (seconds) }
+ */
+const consumeRateLimit = (apiKey) => {
+    const now = Date.now();
+    const id = String(apiKey._id);
+    let window = rateWindows.get(id);
+
+    if (!window || now - window.startedAt >= RATE_WINDOW_MS) {
+        window = { startedAt: now, count: 0 };
+        rateWindows.set(id, window);
+    }
+
+    window.count += 1;
+    if (window.count > apiKey.rateLimitPerMinute) {
+        return { allowed: false, retryAfter: Math.ceil((window.startedAt + RATE_WINDOW_MS - now) / 1000) };
+    }
+    return { allowed: true };
+};
+
+// Drop finished windows so the map only holds keys used in the last minute
+setInterval(() => {
+    const cutoff = Date.now() - RATE_WINDOW_MS;
+    rateWindows.forEach((window, id) => {
+        if (window.startedAt < cutoff) {
+            rateWindows.delete(id);
+        }
+    });
+}, RATE_WINDOW_MS).unref();
+
+/**
+ * Record request activity on a key, at most once per minute
+ */
+const touchApiKey = async (apiKey, req) => {
+    const now = Date.now();
+    if (apiKey.lastUsedAt && now - apiKey.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS) {
+        return;
+    }
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(now), lastUsedIp: req.ip });
+};
+
+/**
+ * Resolve an API key to its service account
+ * @param {string} rawKey - Key from the request
+ * @param {object} req - Express request
+ * @returns {Promise<object>} - { valid, status, message, retryAfter, apiKey, user }
+ */
+const authenticateApiKey = async (rawKey, req) => {
+    const match = KEY_PATTERN.exec(rawKey || '');
+    if (!match) {
+        return { valid: false, status: 401, message: 'Invalid API key.' };
+    }
+
+    const [, prefix, secret] = match;
+    const apiKey = await ApiKey.findOne({ prefix });
+    if (!apiKey || !safeEqualHex(hashKeySecret(secret), apiKey.keyHash)) {
+        return { valid: false, status: 401, message: 'Invalid API key.' };
+    }
+
+    if (apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+        return { valid: false, status: 401, message: 'API key revoked or expired.' };
+    }
+
+    const user = await User.findById(apiKey.serviceAccountId).select('-password');
+    if (!user || user.role !== 'service' || user.isActive === false) {
+        return { valid: false, status: 403, message: 'Service account is inactive.' };
+    }
+
+    const rate = consumeRateLimit(apiKey);
+    if (!rate.allowed) {
+        return {
+            valid: false,
+            status: 429,
+            message: 'API key rate limit exceeded. Please slow down.',
+            retryAfter: rate.retryAfter
+        };
+    }
+
+    touchApiKey(apiKey, req).catch((error) => console.error('API key touch error:', error));
+
+    return { valid: true, apiKey, user };
+};
+
+/**
+ * authenticateApiKey for the key sent with this request, run at most once
+ * per request so the key's rate limit is only counted once
+ * @returns {Promise<object>} - Same result as authenticateApiKey
+ */
+const authenticateRequestApiKey = (req) => {
+    if (!req.apiKeyAuth) {
+        req.apiKeyAuth = authenticateApiKey(getRequestApiKey(req), req);
+    }
+    return req.apiKeyAuth;
+};
+
+/**
+ * Does the request carry a working API key? Only those requests are limited
+ * per key instead of by the shared per-IP limiter; a key that merely looks
+ * right, or is revoked or unknown, counts against the IP like any request.
+ * @returns {Promise<boolean>}
+ */
+const hasValidApiKey = async (req) => {
+    if (!getRequestApiKey(req)) {
+        return false;
+    }
+    try {
+        const result = await authenticateRequestApiKey(req);
+        return result.valid;
+    } catch (error) {
+        console.error('API key lookup error:', error);
+        return false;
+    }
+};
+
+/**
+ * Why this request is outside what an API key may reach, if it is.
+ * Keys never manage accounts or sign-in settings (any route tagged by
+ * markRouteScope in server.js); everything else is limited by
+ * requireRole('service') and checkPermission() scopes.
+ * @returns {string|null} - Message for a 403, or null when allowed
+ */
+const apiKeyScopeError = (req) => {
+    if (req.routeScope) {
+        return 'API keys cannot access account management endpoints';
+    }
+    return null;
+};
+
+/**
+ * Record an API key event in the audit trail
+ */
+const auditApiKey = async (req, action, details) => {
+    try {
+        await AuditLog.create({
+            userId: req.user.id,
+            action,
+            resource: '/api/service-accounts',
+            resourceId: details.serviceAccountId ? String(details.serviceAccountId) : undefined,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            status: 'success',
+            details
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+};
+
+module.exports = {
+    getRequestApiKey,
+    hasValidApiKey,
+    listAvailableScopes,
+    createApiKey,
+    authenticateApiKey,
+    authenticateRequestApiKey,
+    apiKeyScopeError,
+    auditApiKey,
+    MAX_RATE_LIMIT_PER_MINUTE
+};
@@ -0,0 +1,159 @@
+/**
+ * ============================================================
+ * FOUR-EYES APPROVAL (SEPARATION OF DUTIES)
+ * Implements: Dual control over awards - the officer who verified
+ * an application cannot approve it, and awards above a threshold
+ * need a second, different approver
+ * ============================================================
+ */
+
+const { AuditLog } = require('../models');
+require('dotenv').config();
+
+// Set to "false" to let the verifying officer approve as well
+const SEPARATE_VERIFIER = process.env.APPROVAL_SEPARATE_VERIFIER !== 'false';
+
+// Awards above this amount need two approvers; 0 turns the rule off
+const configuredAmount = parseFloat(process.env.APPROVAL_SECOND_APPROVER_AMOUNT);
+const SECOND_APPROVER_AMOUNT = Number.isFinite(configuredAmount) ? configuredAmount : 50000;
+
+// Works on populated documents and bare ids
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+/**
+ * Approvals an application needs and has
+ * @param {object} application - Application document
+ * @param {number} amount - Award amount of its scholarship
+ * @returns {object} - { required, received, remaining, verifierId, approverIds }
+ */
+const getApprovalState = (application, amount) => {
+    const required = SECOND_APPROVER_AMOUNT > 0 && amount > SECOND_APPROVER_AMOUNT ? 2 : 1;
+    const approverIds = (application.approvals || []).map((approval) => idOf(approval.userId));
+    return {
+        required,
+        received: approverIds.length,
+        remaining: Math.max(required - approverIds.length, 0),
+        verifierId: idOf(application.verifiedBy),
+        approverIds
+    };
+};
+
+/**
+ * Rule that stops a user approving, or null when they may
+ * @param {object} application - Application document
+ * @param {object} state - From getApprovalState
+ * @param {object} user - Would-be approver (req.user)
+ * @returns {object|null} - { code, message }
+ */
+const getApprovalViolation = (application, state, user) => {
+    // Without a separate verifier, the old one-step approval from review still works
+    const approvable = application.status === 'verified'
+        || (!SEPARATE_VERIFIER && application.status === 'under_review');
+    if (!approvable) {
+        return {
+            code: 'verification_required',
+            message: 'The application must be verified before it can be approved'
+        };
+    }
+
+    const userId = String(user.id);
+    if (SEPARATE_VERIFIER && state.verifierId === userId) {
+        return {
+            code: 'verifier_cannot_approve',
+            message: 'You verified this application, so a different officer must approve it'
+        };
+    }
+
+    if (state.approverIds.includes(userId)) {
+        return {
+            code: 'already_approved',
+            message: 'You have already approved this application. A second, different approver is required'
+        };
+    }
+
+    return null;
+};
+
+const describePerson = (user) => {
+    if (!user) return null;
+    return user._id
+        ? { id: user._id, name: user.fullName || user.email }
+        : { id: user };
+};
+
+/**
+ * Approval progress for the API, from the point of view of one user.
+ * Expects verifiedBy and approvals.userId populated with fullName/email.
+ * @param {object} application - Application document
+ * @param {number} amount - Award amount of its scholarship
+ * @param {object} user - Viewing user (req.user)
+ * @returns {object}
+ */
+const describeApproval = (application, amount, user) => {
+    const state = getApprovalState(application, amount);
+    const violation = getApprovalViolation(application, state, user);
+    const verifier = describePerson(application.verifiedBy);
+    const approvers = (application.approvals || []).map((approval) => ({
+        ...describePerson(approval.userId),
+        approved_at: approval.approvedAt
+    }));
+
+    // Who may not give the remaining approvals
+    const excluded = [
+        ...(SEPARATE_VERIFIER && verifier ? [verifier.name || 'the verifier'] : []),
+        ...approvers.map((approver) => approver.name || 'an earlier approver')
+    ];
+
+    return {
+        required_approvals: state.required,
+        received_approvals: state.received,
+        remaining_approvals: state.remaining,
+        second_approver_amount: SECOND_APPROVER_AMOUNT || null,
+        separate_verifier: SEPARATE_VERIFIER,
+        verified_by: verifier,
+        approvals: approvers,
+        still_required: state.remaining > 0
+            ? `${state.remaining} more approver${state.remaining > 1 ? 's' : ''}${excluded.length ? ` other than ${excluded.join(' and ')}` : ''}`
+            : null,
+        can_approve: !violation,
+        blocked_reason: violation?.message || null
+    };
+};
+
+/**
+ * Audit an approval decision or a blocked attempt
+ * @param {object} req - Express request
+ * @param {object} application - Application document
+ * @param {string} action - Audit action
+ * @param {string} status - success | failure
+ * @param {object} details - Extra details
+ */
+const auditApproval = async (req, application, action, status, details = {}) => {
+    try {
+        await AuditLog.create({
+            userId: req.user.id,
+            impersonatorId: req.user.impersonatorId,
+            action,
+            resource: '/api/applications',
+            resourceId: String(application._id),
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            status,
+            details: {
+                applicationNumber: application.applicationNumber,
+                ...details
+            }
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+};
+
+module.exports = {
+    SEPARATE_VERIFIER,
+    SECOND_APPROVER_AMOUNT,
+    getApprovalState,
+    getApprovalViolation,
+    describeApproval,
+    auditApproval
+};
@@ -0,0 +1,206 @@
+/**
+ * ============================================================
+ * AUDIT LOG HASH CHAIN
+ * Implements: Each audit log entry stores a SHA-512 hash of its own
+ * contents and of the previous entry, so editing, removing or
+ * reordering entries breaks every later link. Entries that were
+ * linked but never stored leave a signed gap record instead
+ * ============================================================
+ */
+
+const AuditChainHead = require('../models/AuditChainHead');
+const AuditChainGap = require('../models/AuditChainGap');
+const { createHashSHA512, signWithServerKey } = require('./encryption');
+
+const HEAD_ID = 'audit';
+
+// prevHash of the first entry
+const GENESIS_HASH = '0'.repeat(128);
+
+// Fields covered by an entry's hash
+const HASHED_FIELDS = [
+    'seq', 'prevHash', 'timestamp', 'userId', 'impersonatorId', 'action',
+    'resource', 'resourceId', 'ipAddress', 'userAgent', 'status', 'details'
+];
+
+const MAX_LINK_ATTEMPTS = 10;
+
+/**
+ * Value in the form it hashes to. Gives the same result for a document
+ * about to be saved and for the same entry read back from MongoDB:
+ * keys are sorted, ids and dates become strings, and null, undefined
+ * and empty objects (which MongoDB stores differently) are dropped
+ * @param {*} value
+ * @returns {*}
+ */
+const canonicalize = (value) => {
+    if (value === null || value === undefined) return undefined;
+    if (value instanceof Date) return value.toISOString();
+    if (value._bsontype === 'ObjectId') return value.toHexString();
+    if (Array.isArray(value)) {
+        return value.map((item) => {
+            const canonical = canonicalize(item);
+            return canonical === undefined ? null : canonical;
+        });
+    }
+    if (typeof value.toObject === 'function') return canonicalize(value.toObject());
+    if (typeof value === 'object') {
+        const result = {};
+        for (const key of Object.keys(value).sort()) {
+            const canonical = canonicalize(value[key]);
+            if (canonical !== undefined) result[key] = canonical;
+        }
+        return Object.keys(result).length ? result : undefined;
+    }
+    return value;
+};
+
+/**
+ * SHA-512 hash of an entry, including its seq and prevHash
+ * @param {object} entry - Audit log document or plain object
+ * @returns {string} - Hex hash
+ */
+const hashEntry = (entry) => {
+    const fields = {};
+    for (const field of HASHED_FIELDS) {
+        fields[field] = entry[field];
+    }
+    return createHashSHA512(JSON.stringify(canonicalize(fields)));
+};
+
+// Entries linked with one head update; larger bursts are split
+const MAX_BATCH_SIZE = 100;
+
+const readHead = async () => {
+    for (let attempt = 0; attempt < MAX_LINK_ATTEMPTS; attempt += 1) {
+        try {
+            return await AuditChainHead.findOneAndUpdate(
+                { _id: HEAD_ID },
+                { $setOnInsert: { seq: 0, hash: GENESIS_HASH } },
+                { upsert: true, new: true, lean: true }
+            );
+        } catch (error) {
+            // Another writer created the head first
+            if (error.code !== 11000) throw error;
+        }
+    }
+    throw new Error('Could not read the audit log chain head');
+};
+
+// Head as last moved by this process; saves a read while no other instance writes
+let knownHead = null;
+
+/**
+ * Give a batch of entries consecutive links, in order, and move the head
+ * past the last one with a single compare-and-swap
+ */
+const claimLinks = async (entries) => {
+    for (let attempt = 0; attempt < MAX_LINK_ATTEMPTS; attempt += 1) {
+        const head = knownHead || await readHead();
+
+        let { seq, hash } = head;
+        for (const entry of entries) {
+            seq += 1;
+            entry.seq = seq;
+            entry.prevHash = hash;
+            entry.hash = hashEntry(entry);
+            hash = entry.hash;
+        }
+
+        const moved = await AuditChainHead.updateOne(
+            { _id: HEAD_ID, seq: head.seq },
+            { $set: { seq, hash } }
+        );
+        if (moved.modifiedCount === 1) {
+            knownHead = { seq, hash };
+            return;
+        }
+        // Another instance moved the head
+        knownHead = null;
+    }
+
+    for (const entry of entries) {
+        entry.seq = undefined;
+        entry.prevHash = undefined;
+        entry.hash = undefined;
+    }
+    throw new Error('Could not append to the audit log chain');
+};
+
+// Entries waiting for a link, in arrival order. Whatever arrives while one
+// batch is being claimed goes out together in the next, so a burst costs
+// one head update per batch rather than two round trips per entry.
+let pendingLinks = [];
+let claiming = false;
+
+const claimPendingLinks = async () => {
+    claiming = true;
+    while (pendingLinks.length) {
+        const batch = pendingLinks.slice(0, MAX_BATCH_SIZE);
+        pendingLinks = pendingLinks.slice(MAX_BATCH_SIZE);
+        try {
+            await claimLinks(batch.map(({ entry }) => entry));
+            batch.forEach(({ resolve }) => resolve());
+        } catch (error) {
+            batch.forEach(({ reject }) => reject(error));
+        }
+    }
+    claiming = false;
+};
+
+/**
+ * Give a new entry the next sequence number, prevHash and hash. Entries
+ * from this process are linked in the order they were saved; the
+ * compare-and-swap on the head covers other instances.
+ * @param {object} entry - Unsaved audit log document
+ * @returns {Promise<void>}
+ */
+const linkEntry = (entry) => {
+    if (!entry.timestamp) entry.timestamp = new Date();
+    return new Promise((resolve, reject) => {
+        pendingLinks.push({ entry, resolve, reject });
+        if (!claiming) claimPendingLinks();
+    });
+};
+
+const gapPayload = ({ seq, prevHash, hash }) => `gap:${seq}:${prevHash}:${hash}`;
+
+/**
+ * Record that a linked entry was not stored, so verification can step
+ * over its place instead of reporting it as removed. The record is
+ * signed, so a gap cannot be written later to hide a deleted entry.
+ * @param {object} entry - Audit log document that failed to save
+ * @param {Error} error - Why it failed
+ * @returns {Promise<object>} - Created gap record
+ */
+const recordGap = async (entry, error) => {
+    const { signature, keyId } = signWithServerKey(gapPayload(entry));
+    return AuditChainGap.create({
+        seq: entry.seq,
+        prevHash: entry.prevHash,
+        hash: entry.hash,
+        reason: error?.message,
+        signature,
+        keyId
+    });
+};
+
+/**
+ * Latest link of the chain
+ * @returns {Promise<object>} - { seq, hash, updatedAt }
+ */
+const getChainHead = async () => {
+    const head = await AuditChainHead.findById(HEAD_ID).lean();
+    return head
+        ? { seq: head.seq, hash: head.hash, updatedAt: head.updatedAt }
+        : { seq: 0, hash: GENESIS_HASH, updatedAt: null };
+};
+
+module.exports = {
+    GENESIS_HASH,
+    hashEntry,
+    linkEntry,
+    gapPayload,
+    recordGap,
+    getChainHead
+};
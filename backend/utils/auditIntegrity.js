@@ -0,0 +1,389 @@
+/**
+ * ============================================================
+ * AUDIT LOG INTEGRITY
+ * Implements: Checkpoints of the audit log hash chain signed with
+ * the server key, verification that walks the chain (stepping over
+ * signed gap records) and reports the first break, and archival (instead of deletion) of old entries
+ * ============================================================
+ */
+
+const { AuditLog, AuditLogArchive, AuditCheckpoint, AuditChainGap } = require('../models');
+const { GENESIS_HASH, hashEntry, gapPayload, getChainHead } = require('./auditChain');
+const { createHashSHA512, getTrustedServerKeys, signWithServerKey, verifyWithServerKey } = require('./encryption');
+require('dotenv').config();
+
+// Entries older than this are moved to AuditLogArchive
+const AUDIT_LOG_RETENTION_DAYS = parseInt(process.env.AUDIT_LOG_RETENTION_DAYS, 10) || 90;
+
+// How often a checkpoint is signed and old entries are archived
+const AUDIT_CHECKPOINT_MINUTES = parseInt(process.env.AUDIT_CHECKPOINT_MINUTES, 10) || 60;
+
+const ARCHIVE_BATCH_SIZE = 500;
+
+// An entry is inserted right after it is linked; one still missing this
+// long after the link that follows it was lost with the process that
+// linked it (the process stopped between moving the head and inserting)
+const ABANDONED_LINK_MS = (parseInt(process.env.AUDIT_ABANDONED_LINK_SECONDS, 10) || 300) * 1000;
+
+const checkpointPayload = ({ seq, hash, createdAt }) => `${seq}:${hash}:${new Date(createdAt).toISOString()}`;
+
+const describeMissing = (from, to) => (from === to
+    ? `Entry #${from} is missing from the audit log`
+    : `Entries #${from} to #${to} are missing from the audit log`);
+
+const isDuplicateKeyError = (error) => error.code === 11000
+    || (Array.isArray(error.writeErrors) && error.writeErrors.every((writeError) => writeError.code === 11000));
+
+// ============================================================
+// SIGNED CHECKPOINTS
+// ============================================================
+
+/**
+ * Sign the latest stored entry, vouching for it and every entry
+ * before it. Does nothing when no entry was added since the last one
+ * @returns {Promise<object|null>} - Created checkpoint
+ */
+const createCheckpoint = async () => {
+    const entry = await AuditLog.findOne({ seq: { $ne: null } }).sort({ seq: -1 }).lean();
+    if (!entry) return null;
+
+    const latest = await AuditCheckpoint.findOne().sort({ seq: -1 }).lean();
+    if (latest && latest.seq >= entry.seq) return null;
+
+    // Never vouch for an entry that has already been altered
+    if (hashEntry(entry) !== entry.hash) {
+        console.error(`Audit checkpoint skipped: entry #${entry.seq} does not match its hash`);
+        return null;
+    }
+
+    const createdAt = new Date();
+    const { signature, keyId } = signWithServerKey(checkpointPayload({ seq: entry.seq, hash: entry.hash, createdAt }));
+    try {
+        return await AuditCheckpoint.create({ seq: entry.seq, hash: entry.hash, signature, keyId, createdAt });
+    } catch (error) {
+        // Another instance signed the same entry
+        if (isDuplicateKeyError(error)) return null;
+        throw error;
+    }
+};
+
+/**
+ * Why a signed record cannot be trusted, or null when it can
+ * @param {object} record - AuditCheckpoint or AuditChainGap document
+ * @param {string} payload - Data the signature covers
+ * @param {string} label - e.g. "Checkpoint at entry #12"
+ * @returns {string|null}
+ */
+const getSignatureProblem = (record, payload, label) => {
+    if (!getTrustedServerKeys().has(record.keyId)) {
+        return `${label} was signed with an unknown key (${record.keyId})`;
+    }
+    if (!verifyWithServerKey(payload, record.signature, record.keyId)) {
+        return `${label} has an invalid signature`;
+    }
+    return null;
+};
+
+const getCheckpointProblem = (checkpoint) => getSignatureProblem(
+    checkpoint, checkpointPayload(checkpoint), `Checkpoint at entry #${checkpoint.seq}`
+);
+
+// ============================================================
+// VERIFICATION
+// ============================================================
+
+/**
+ * Walk the chain from the first archived entry to the newest one,
+ * checking every hash, link and checkpoint. Stops at the first break.
+ * @returns {Promise<object>} - Report: { valid, first_break, ... }
+ */
+const verifyAuditChain = async () => {
+    const report = {
+        valid: true,
+        checked_entries: 0,
+        archived_entries: 0,
+        unchained_entries: 0,
+        recorded_gaps: 0,
+        last_seq: 0,
+        checkpoints_verified: 0,
+        latest_checkpoint: null,
+        first_break: null,
+        verified_at: new Date()
+    };
+
+    const checkpoints = await AuditCheckpoint.find().sort({ seq: 1 }).lean();
+    const checkpointsBySeq = new Map(checkpoints.map((checkpoint) => [checkpoint.seq, checkpoint]));
+    const gaps = await AuditChainGap.find().lean();
+    const gapsBySeq = new Map(gaps.map((gap) => [gap.seq, gap]));
+
+    const recordBreak = (seq, reason, message, entry) => {
+        report.valid = false;
+        report.first_break = {
+            seq,
+            reason,
+            message,
+            entry_id: entry?._id || null,
+            timestamp: entry?.timestamp || null
+        };
+    };
+
+    // Entries still being archived are in both collections; read them from the live one
+    const firstLive = await AuditLog.findOne({ seq: { $ne: null } }).sort({ seq: 1 }).select('seq').lean();
+    const sources = [
+        { model: AuditLogArchive, filter: { seq: firstLive ? { $lt: firstLive.seq } : { $ne: null } }, archived: true },
+        { model: AuditLog, filter: { seq: { $ne: null } }, archived: false }
+    ];
+
+    let previous = { seq: 0, hash: GENESIS_HASH };
+
+    // Step over the places of entries that failed to insert, as long as
+    // their gap records are signed and link up. Returns why one could not be.
+    const stepOverGaps = (untilSeq) => {
+        while (previous.seq + 1 < untilSeq) {
+            const gap = gapsBySeq.get(previous.seq + 1);
+            if (!gap) return null;
+            const problem = getSignatureProblem(gap, gapPayload(gap), `Gap record for entry #${gap.seq}`);
+            if (problem) return problem;
+            if (gap.prevHash !== previous.hash) return `Gap record for entry #${gap.seq} does not link to the entry before it`;
+            previous = { seq: gap.seq, hash: gap.hash };
+            report.recorded_gaps += 1;
+        }
+        return null;
+    };
+
+    const describeBreakAfter = (lastSeq, gapProblem) => {
+        const message = describeMissing(previous.seq + 1, lastSeq);
+        return gapProblem ? `${message} (${gapProblem})` : message;
+    };
+
+    for (const source of sources) {
+        const cursor = source.model.find(source.filter).sort({ seq: 1 }).lean().cursor();
+        for await (const entry of cursor) {
+            const gapProblem = stepOverGaps(entry.seq);
+            const expectedSeq = previous.seq + 1;
+            if (entry.seq !== expectedSeq) {
+                recordBreak(expectedSeq, 'entry_missing', describeBreakAfter(entry.seq - 1, gapProblem), entry);
+            } else if (entry.prevHash !== previous.hash) {
+                recordBreak(entry.seq, 'chain_broken', `Entry #${entry.seq} does not link to the entry before it`, entry);
+            } else if (hashEntry(entry) !== entry.hash) {
+                recordBreak(entry.seq, 'entry_modified', `Entry #${entry.seq} was modified after it was written`, entry);
+            } else if (checkpointsBySeq.has(entry.seq)) {
+                const checkpoint = checkpointsBySeq.get(entry.seq);
+                const problem = getCheckpointProblem(checkpoint);
+                if (problem) {
+                    recordBreak(entry.seq, 'checkpoint_invalid', problem, entry);
+                } else if (checkpoint.hash !== entry.hash) {
+                    recordBreak(entry.seq, 'checkpoint_mismatch', `Entry #${entry.seq} does not match its signed checkpoint`, entry);
+                } else {
+                    report.checkpoints_verified += 1;
+                    report.latest_checkpoint = { seq: checkpoint.seq, created_at: checkpoint.createdAt, key_id: checkpoint.keyId };
+                }
+            }
+
+            if (!report.valid) {
+                await cursor.close();
+                break;
+            }
+
+            report.checked_entries += 1;
+            if (source.archived) report.archived_entries += 1;
+            previous = entry;
+        }
+        if (!report.valid) break;
+    }
+
+    // Entries removed from the end leave signed checkpoints (or the head) ahead of the chain
+    if (report.valid) {
+        const lastCheckpoint = checkpoints[checkpoints.length - 1];
+        const head = await getChainHead();
+        const gapProblem = stepOverGaps(head.seq + 1);
+        if (lastCheckpoint && lastCheckpoint.seq > previous.seq) {
+            const problem = getCheckpointProblem(lastCheckpoint);
+            if (problem) {
+                recordBreak(lastCheckpoint.seq, 'checkpoint_invalid', problem);
+            } else {
+                recordBreak(
+                    previous.seq + 1,
+                    'entry_missing',
+                    `${describeMissing(previous.seq + 1, lastCheckpoint.seq)}, but a signed checkpoint covers it`
+                );
+            }
+        } else if (head.seq > previous.seq) {
+            recordBreak(previous.seq + 1, 'entry_missing', describeBreakAfter(head.seq, gapProblem));
+        }
+    }
+
+    report.last_seq = previous.seq;
+
+    const [liveUnchained, archivedUnchained] = await Promise.all([
+        AuditLog.countDocuments({ seq: null }),
+        AuditLogArchive.countDocuments({ seq: null })
+    ]);
+    report.unchained_entries = liveUnchained + archivedUnchained;
+
+    return report;
+};
+
+// ============================================================
+// ARCHIVAL
+// ============================================================
+
+/**
+ * Move entries older than the retention period to AuditLogArchive.
+ * Chained entries move in sequence order, so the live collection always
+ * holds the newest, unbroken part of the chain.
+ * @returns {Promise<number>} - Entries archived
+ */
+const archiveAuditLogs = async () => {
+    const cutoff = new Date(Date.now() - AUDIT_LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const lastExpired = await AuditLog.findOne({ seq: { $ne: null }, timestamp: { $lt: cutoff } })
+        .sort({ seq: -1 })
+        .select('seq')
+        .lean();
+
+    const filter = { $or: [{ seq: null, timestamp: { $lt: cutoff } }] };
+    if (lastExpired) {
+        filter.$or.push({ seq: { $lte: lastExpired.seq } });
+    }
+
+    let archived = 0;
+    for (;;) {
+        const batch = await AuditLog.find(filter).sort({ seq: 1 }).limit(ARCHIVE_BATCH_SIZE).lean();
+        if (!batch.length) break;
+
+        try {
+            await AuditLogArchive.insertMany(batch, { ordered: false, lean: true });
+        } catch (error) {
+            // Left over from an interrupted run; those entries are already archived
+            if (!isDuplicateKeyError(error)) throw error;
+        }
+        await AuditLog.deleteMany({ _id: { $in: batch.map((entry) => entry._id) } });
+        archived += batch.length;
+    }
+
+    return archived;
+};
+
+/**
+ * Drop the TTL index that used to delete audit logs after 90 days
+ * @returns {Promise<boolean>} - Whether one was dropped
+ */
+const dropAuditLogExpiry = async () => {
+    const indexes = await AuditLog.collection.indexes();
+    const ttlIndex = indexes.find((index) => index.expireAfterSeconds !== undefined);
+    if (!ttlIndex) return false;
+    await AuditLog.collection.dropIndex(ttlIndex.name);
+    return true;
+};
+
+// ============================================================
+// ABANDONED LINKS
+// ============================================================
+
+/**
+ * Record signed gaps for entries that were linked but never inserted
+ * because their process stopped first - its post-save hook never ran, so
+ * nothing else would. Only the chain since the previous few maintenance
+ * runs is scanned. Within a run of lost entries only the first link and
+ * the last hash are known, so the records in between link to each other.
+ * @returns {Promise<number>} - Gap records created
+ */
+const recordAbandonedGaps = async () => {
+    const head = await getChainHead();
+    const cutoff = new Date(Date.now() - ABANDONED_LINK_MS);
+    const since = new Date(cutoff.getTime() - 2 * AUDIT_CHECKPOINT_MINUTES * 60 * 1000);
+
+    // Last entry before the scanned part (older gaps were recorded by earlier runs)
+    const [lastOld, lastArchived] = await Promise.all([
+        AuditLog.findOne({ seq: { $ne: null }, timestamp: { $lt: since } }).sort({ seq: -1 }).select('seq hash').lean(),
+        AuditLogArchive.findOne({ seq: { $ne: null } }).sort({ seq: -1 }).select('seq hash').lean()
+    ]);
+    let previous = [lastOld, lastArchived].reduce(
+        (latest, entry) => (entry && entry.seq > latest.seq ? entry : latest),
+        { seq: 0, hash: GENESIS_HASH }
+    );
+    if (head.seq <= previous.seq) return 0;
+
+    const [entries, gaps] = await Promise.all([
+        AuditLog.find({ seq: { $gt: previous.seq } }).sort({ seq: 1 }).select('seq prevHash hash timestamp').lean(),
+        AuditChainGap.find({ seq: { $gt: previous.seq } }).select('seq prevHash hash createdAt').lean()
+    ]);
+    const stored = new Map(gaps.map((gap) => [gap.seq, { ...gap, timestamp: gap.createdAt }]));
+    entries.forEach((entry) => stored.set(entry.seq, entry));
+    // The head stands in for the entry after the newest link
+    const links = [...stored.values()].sort((a, b) => a.seq - b.seq)
+        .concat({ seq: head.seq + 1, prevHash: head.hash, timestamp: head.updatedAt });
+
+    const records = [];
+    for (const next of links) {
+        if (next.seq > previous.seq + 1) {
+            // Later entries are newer still, so they may still be in flight too
+            if (!next.timestamp || next.timestamp > cutoff) break;
+
+            let { hash } = previous;
+            for (let seq = previous.seq + 1; seq < next.seq; seq += 1) {
+                const gap = { seq, prevHash: hash };
+                gap.hash = seq === next.seq - 1 ? next.prevHash : createHashSHA512(`abandoned:${seq}:${hash}`);
+                records.push({
+                    ...gap,
+                    reason: 'Linked but never stored: the process stopped before inserting it',
+                    ...signWithServerKey(gapPayload(gap))
+                });
+                hash = gap.hash;
+            }
+        }
+        previous = next;
+    }
+    if (!records.length) return 0;
+
+    try {
+        await AuditChainGap.insertMany(records, { ordered: false });
+    } catch (error) {
+        // Another instance recorded the same gaps
+        if (!isDuplicateKeyError(error)) throw error;
+        return records.length - (error.writeErrors?.length || records.length);
+    }
+    return records.length;
+};
+
+// ============================================================
+// SCHEDULED MAINTENANCE
+// ============================================================
+
+const runAuditMaintenance = async () => {
+    try {
+        const abandoned = await recordAbandonedGaps();
+        if (abandoned) {
+            console.warn(`⚠️  Recorded ${abandoned} audit log entries that were linked but never stored`);
+        }
+        // Sign first so archived entries are covered by a checkpoint
+        await createCheckpoint();
+        const archived = await archiveAuditLogs();
+        if (archived) {
+            console.log(`🗄️  Archived ${archived} audit log entries older than ${AUDIT_LOG_RETENTION_DAYS} days`);
+        }
+    } catch (error) {
+        console.error('Audit log maintenance error:', error);
+    }
+};
+
+/**
+ * Record abandoned links, sign checkpoints and archive old entries now and every AUDIT_CHECKPOINT_MINUTES
+ * @returns {object} - Interval timer
+ */
+const startAuditMaintenance = () => {
+    runAuditMaintenance();
+    const timer = setInterval(runAuditMaintenance, AUDIT_CHECKPOINT_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    AUDIT_LOG_RETENTION_DAYS,
+    createCheckpoint,
+    verifyAuditChain,
+    archiveAuditLogs,
+    dropAuditLogExpiry,
+    recordAbandonedGaps,
+    startAuditMaintenance
+};
@@ -0,0 +1,60 @@
+/**
+ * ============================================================
+ * AUTHENTICATION POLICY
+ * Implements: Per-role sign-in requirements set by admins
+ * (e.g. mandatory passkeys for officers, magic-link sign-in for students)
+ * ============================================================
+ */
+
+const { AuthPolicy } = require('../models');
+
+const DEFAULT_POLICY = {
+    requirePasskey: false,
+    allowMagicLink: false
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_POLICY);
+
+/**
+ * Get the effective policy for a role (defaults when none is stored)
+ * @param {string} role - User role
+ * @returns {Promise<object>} - { role, requirePasskey, allowMagicLink }
+ */
+const getAuthPolicy = async (role) => {
+    const policy = await AuthPolicy.findOne({ role }).lean();
+    const effective = { role, ...DEFAULT_POLICY };
+    POLICY_FIELDS.forEach((field) => {
+        if (policy && policy[field] !== undefined) {
+            effective[field] = policy[field];
+        }
+    });
+    return effective;
+};
+
+/**
+ * Create or update the policy for a role
+ * @param {string} role - User role
+ * @param {object} changes - Policy fields to set
+ * @param {string} updatedBy - Admin user ID
+ * @returns {Promise<object>} - Updated policy
+ */
+const updateAuthPolicy = async (role, changes, updatedBy) => {
+    const updates = { updatedBy };
+    POLICY_FIELDS.forEach((field) => {
+        if (changes[field] !== undefined) {
+            updates[field] = Boolean(changes[field]);
+        }
+    });
+
+    return AuthPolicy.findOneAndUpdate(
+        { role },
+        updates,
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+};
+
+module.exports = {
+    getAuthPolicy,
+    updateAuthPolicy,
+    DEFAULT_POLICY
+};
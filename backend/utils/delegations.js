@@ -0,0 +1,161 @@
+/**
+ * ============================================================
+ * DELEGATED ACCESS GRANTS
+ * Implements: Time-boxed permission sets given to a user (e.g. to
+ * cover an officer on leave), optionally limited to one scholarship,
+ * that stop applying on their own at the end time
+ * ============================================================
+ */
+
+const { Delegation, AuditLog } = require('../models');
+
+// Longest a single delegation may run
+const MAX_DELEGATION_DAYS = 90;
+
+/**
+ * Delegations in force for a user right now
+ * @param {string} userId - Delegate's user id
+ * @param {string} [permission] - Only those granting this "resource:action"
+ * @returns {Promise<object[]>}
+ */
+const getActiveDelegations = async (userId, permission) => {
+    const now = new Date();
+    const filter = {
+        userId,
+        revokedAt: null,
+        startsAt: { $lte: now },
+        endsAt: { $gt: now }
+    };
+    if (permission) {
+        filter.permissions = permission;
+    }
+    return Delegation.find(filter).sort({ endsAt: 1 }).lean();
+};
+
+/**
+ * scheduled | active | expired | revoked
+ * @param {object} delegation - Delegation document
+ * @returns {string}
+ */
+const getDelegationStatus = (delegation) => {
+    const now = Date.now();
+    if (delegation.revokedAt) return 'revoked';
+    if (delegation.endsAt <= now) return 'expired';
+    if (delegation.startsAt > now) return 'scheduled';
+    return 'active';
+};
+
+/**
+ * Query filter for delegations in a status
+ * @param {string} status - scheduled | active | expired | revoked
+ * @returns {object}
+ */
+const statusFilter = (status) => {
+    const now = new Date();
+    switch (status) {
+        case 'active':
+            return { revokedAt: null, startsAt: { $lte: now }, endsAt: { $gt: now } };
+        case 'scheduled':
+            return { revokedAt: null, startsAt: { $gt: now } };
+        case 'expired':
+            return { revokedAt: null, endsAt: { $lte: now } };
+        case 'revoked':
+            return { revokedAt: { $ne: null } };
+        default:
+            return {};
+    }
+};
+
+const auditDelegation = async (req, action, delegation, details = {}) => {
+    try {
+        await AuditLog.create({
+            userId: req.user.id,
+            impersonatorId: req.user.impersonatorId,
+            action,
+            resource: '/api/delegations',
+            resourceId: String(delegation._id),
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            status: 'success',
+            details: {
+                delegationId: delegation._id,
+                delegateId: delegation.userId,
+                scholarshipId: delegation.scholarshipId,
+                ...details
+            }
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+};
+
+/**
+ * Record that a request was allowed only because of delegations
+ * @param {object} req - Express request (delegate)
+ * @param {object[]} delegations - Delegations relied on
+ * @param {string} permission - "resource:action" exercised
+ */
+const auditDelegationUse = async (req, delegations, permission) => {
+    for (const delegation of delegations) {
+        await auditDelegation(req, 'Delegated Access Used', delegation, {
+            permission,
+            path: req.originalUrl.split('?')[0],
+            method: req.method
+        });
+    }
+};
+
+/**
+ * Grant a user a permission set for a period
+ * @param {object} fields - { userId, permissions, scholarshipId, startsAt, endsAt, reason }
+ * @param {object} req - Express request (acting admin)
+ * @returns {Promise<object>} - Created delegation
+ */
+const createDelegation = async ({ userId, permissions, scholarshipId, startsAt, endsAt, reason }, req) => {
+    const delegation = await Delegation.create({
+        userId,
+        permissions: [...new Set(permissions)].sort(),
+        scholarshipId: scholarshipId || undefined,
+        startsAt,
+        endsAt,
+        reason,
+        createdBy: req.user.id
+    });
+
+    await auditDelegation(req, 'Delegation Created', delegation, {
+        permissions: delegation.permissions,
+        startsAt,
+        endsAt,
+        reason
+    });
+
+    return delegation;
+};
+
+/**
+ * End a delegation before its end time
+ * @param {object} delegation - Delegation document
+ * @param {object} req - Express request (acting admin)
+ * @returns {Promise<object>} - Updated delegation
+ */
+const revokeDelegation = async (delegation, req) => {
+    delegation.revokedAt = new Date();
+    delegation.revokedBy = req.user.id;
+    await delegation.save();
+
+    await auditDelegation(req, 'Delegation Revoked', delegation, {
+        permissions: delegation.permissions
+    });
+
+    return delegation;
+};
+
+module.exports = {
+    MAX_DELEGATION_DAYS,
+    getActiveDelegations,
+    getDelegationStatus,
+    statusFilter,
+    auditDelegationUse,
+    createDelegation,
+    revokeDelegation
+};
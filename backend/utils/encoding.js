@@ -1,7 +1,7 @@
 /**
  * ============================================================
  * ENCODING UTILITIES
- * Implements: Base64 Encoding/Decoding, QR Code Generation
+ * Implements: Base64/Base32 Encoding/Decoding, QR Code Generation
  * ============================================================
  */
 
@@ -38,6 +38,65 @@ const decodeBase64 = (encodedData) => {
     }
 };
 
+// ============================================================
+// BASE32 ENCODING/DECODING (RFC 4648 - used by authenticator apps)
+// ============================================================
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes to Base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base32 string
+ */
+const encodeBase32 = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode Base32 string to bytes (case-insensitive, ignores padding/spaces)
+ * @param {string} encoded - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+const decodeBase32 = (encoded) => {
+    const clean = String(encoded).toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Base32 decoding failed: invalid character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
 // ============================================================
 // QR CODE GENERATION
 // ============================================================
@@ -201,6 +260,32 @@ const generateVerifiedQR = async (applicationData) => {
     }
 };
 
+/**
+ * Generate otpauth:// URI and QR code for authenticator app enrollment
+ * Format: https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+ * @param {object} params - { secret (Base32), accountName, issuer }
+ * @returns {Promise<object>} - { otpauthUrl, qrCode }
+ */
+const generateOTPAuthQR = async ({ secret, accountName, issuer }) => {
+    try {
+        const label = encodeURIComponent(`${issuer}:${accountName}`);
+        const query = [
+            `secret=${secret}`,
+            `issuer=${encodeURIComponent(issuer)}`,
+            'algorithm=SHA1',
+            'digits=6',
+            'period=30'
+        ].join('&');
+        const otpauthUrl = `otpauth://totp/${label}?${query}`;
+
+        const qrCode = await generateQRCodeDataURL(otpauthUrl, { width: 240 });
+
+        return { otpauthUrl, qrCode };
+    } catch (error) {
+        throw new Error('OTP auth QR generation failed: ' + error.message);
+    }
+};
+
 /**
  * Decode and validate verification code
  * @param {string} verificationCode - Code from QR or manual entry
@@ -233,10 +318,14 @@ module.exports = {
     // Base64
     encodeBase64,
     decodeBase64,
+    // Base32
+    encodeBase32,
+    decodeBase32,
     // QR Code
     generateQRCodeDataURL,
     generateQRCodeBuffer,
     generateVerificationQR,
     generateVerifiedQR,
+    generateOTPAuthQR,
     parseVerificationCode
 };
@@ -2,12 +2,14 @@
  * ============================================================
  * ENCRYPTION UTILITIES
  * Implements: AES-256 Encryption, RSA Key Exchange,
- * Hybrid Encryption, Digital Signatures (SHA-512)
+ * Hybrid Encryption, Digital Signatures (SHA-512), Server Signing Key
  * ============================================================
  */
 
 const CryptoJS = require('crypto-js');
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 require('dotenv').config();
 
 const AES_SECRET = process.env.AES_SECRET_KEY || 'default_32_char_secret_key_here!';
@@ -176,6 +178,112 @@ const createHashSHA512 = (data) => {
     return crypto.createHash('sha512').update(buffer).digest('hex');
 };
 
+// ============================================================
+// SERVER SIGNING KEY (RSA + SHA-512)
+// Signs records the server vouches for, e.g. audit log checkpoints.
+// SERVER_SIGNING_PRIVATE_KEY holds a PEM key (newlines as \n) and is
+// required in production; elsewhere a key is generated once and kept in
+// SERVER_SIGNING_KEY_FILE. Public keys of earlier signing keys go in
+// SERVER_SIGNING_TRUSTED_KEYS (or SERVER_SIGNING_TRUSTED_KEYS_FILE) so
+// their signatures still verify after the key is rotated.
+// ============================================================
+
+const SERVER_KEY_FILE = process.env.SERVER_SIGNING_KEY_FILE
+    || path.join(__dirname, '../.server-keys/signing-key.pem');
+
+const TRUSTED_KEYS_FILE = process.env.SERVER_SIGNING_TRUSTED_KEYS_FILE
+    || path.join(__dirname, '../.server-keys/trusted-keys.pem');
+
+const PUBLIC_KEY_PATTERN = /-----BEGIN (RSA )?PUBLIC KEY-----[\s\S]+?-----END (RSA )?PUBLIC KEY-----/g;
+
+let serverSigningKey = null;
+let trustedServerKeys = null;
+
+const loadServerPrivateKey = () => {
+    if (process.env.SERVER_SIGNING_PRIVATE_KEY) {
+        return process.env.SERVER_SIGNING_PRIVATE_KEY.replace(/\\n/g, '\n');
+    }
+    // A key generated on the server's own disk is no anchor for a shared deployment
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('SERVER_SIGNING_PRIVATE_KEY must be set in production');
+    }
+    if (fs.existsSync(SERVER_KEY_FILE)) {
+        return fs.readFileSync(SERVER_KEY_FILE, 'utf8');
+    }
+    console.warn(`⚠️  SERVER_SIGNING_PRIVATE_KEY not set - generating a signing key in ${SERVER_KEY_FILE}`);
+    const { privateKey } = generateRSAKeyPair();
+    fs.mkdirSync(path.dirname(SERVER_KEY_FILE), { recursive: true });
+    fs.writeFileSync(SERVER_KEY_FILE, privateKey, { mode: 0o600 });
+    return privateKey;
+};
+
+// Short fingerprint so signatures record which key made them
+const serverKeyId = (publicKey) => crypto.createHash('sha256').update(publicKey).digest('hex').slice(0, 16);
+
+/**
+ * Server signing key pair, loaded on first use
+ * @returns {object} - { privateKey, publicKey, keyId }
+ */
+const getServerSigningKey = () => {
+    if (!serverSigningKey) {
+        const privateKey = loadServerPrivateKey();
+        const publicKey = crypto.createPublicKey(privateKey).export({ type: 'pkcs1', format: 'pem' });
+        serverSigningKey = { privateKey, publicKey, keyId: serverKeyId(publicKey) };
+    }
+    return serverSigningKey;
+};
+
+const loadTrustedPublicKeys = () => {
+    if (process.env.SERVER_SIGNING_TRUSTED_KEYS) {
+        return process.env.SERVER_SIGNING_TRUSTED_KEYS.replace(/\\n/g, '\n');
+    }
+    return fs.existsSync(TRUSTED_KEYS_FILE) ? fs.readFileSync(TRUSTED_KEYS_FILE, 'utf8') : '';
+};
+
+/**
+ * Public keys whose signatures are accepted, by keyId: the current
+ * signing key plus every earlier one listed as trusted
+ * @returns {Map<string, string>} - keyId -> public key (PEM)
+ */
+const getTrustedServerKeys = () => {
+    if (!trustedServerKeys) {
+        const { publicKey, keyId } = getServerSigningKey();
+        trustedServerKeys = new Map([[keyId, publicKey]]);
+        for (const pem of loadTrustedPublicKeys().match(PUBLIC_KEY_PATTERN) || []) {
+            try {
+                // Same form as the current key, so the same key always gets the same keyId
+                const normalized = crypto.createPublicKey(pem).export({ type: 'pkcs1', format: 'pem' });
+                trustedServerKeys.set(serverKeyId(normalized), normalized);
+            } catch (error) {
+                console.error('⚠️ Skipping an unreadable trusted server key:', error.message);
+            }
+        }
+    }
+    return trustedServerKeys;
+};
+
+/**
+ * Sign data with the server key
+ * @param {string} data - Data to sign
+ * @returns {object} - { signature, keyId }
+ */
+const signWithServerKey = (data) => {
+    const { privateKey, keyId } = getServerSigningKey();
+    return { signature: createDigitalSignature(data, privateKey), keyId };
+};
+
+/**
+ * Check a signature made with the current or a trusted earlier server key
+ * @param {string} data - Signed data
+ * @param {string} signature - Signature (base64)
+ * @param {string} keyId - Key the signature says it was made with
+ * @returns {boolean} - False for an unknown keyId as well
+ */
+const verifyWithServerKey = (data, signature, keyId) => {
+    const publicKey = getTrustedServerKeys().get(keyId);
+    return Boolean(publicKey) && verifyDigitalSignature(data, signature, publicKey);
+};
+
 module.exports = {
     // AES
     encryptAES,
@@ -189,5 +297,10 @@ module.exports = {
     createDigitalSignature,
     verifyDigitalSignature,
     // Hashing
-    createHashSHA512
+    createHashSHA512,
+    // Server signing key
+    getServerSigningKey,
+    getTrustedServerKeys,
+    signWithServerKey,
+    verifyWithServerKey
 };
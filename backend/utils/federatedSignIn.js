@@ -0,0 +1,194 @@
+/**
+ * ============================================================
+ * FEDERATED SIGN-IN
+ * Implements: Sign-in, account linking prompts, just-in-time
+ * provisioning and session responses shared by the OpenID Connect
+ * and SAML sign-in routes
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const { User } = require('../models');
+const { generateRSAKeyPair, encryptAES } = require('./encryption');
+const { getAuthPolicy } = require('./authPolicy');
+const { createSession } = require('./session');
+const { findUserByIdentity, createLinkRequest, auditIdentity } = require('./identityLinks');
+const { getProvider } = require('./oidc');
+const samlProviders = require('../config/samlProviders');
+
+// federatedIdentities.provider for SAML IdPs is "saml:<id>"; OIDC ids are used as-is
+const SAML_PREFIX = 'saml:';
+
+/**
+ * Display name for a stored provider key
+ */
+const providerName = (providerKey) => {
+    if (providerKey.startsWith(SAML_PREFIX)) {
+        const id = providerKey.slice(SAML_PREFIX.length);
+        return samlProviders.find((provider) => provider.id === id)?.name || id;
+    }
+    return getProvider(providerKey)?.name || providerKey;
+};
+
+/**
+ * amr entry for a sign-in through a provider key, e.g. "oidc:google" or "saml:partner-college"
+ */
+const federatedAmr = (providerKey) => {
+    return providerKey.startsWith(SAML_PREFIX) ? providerKey : `oidc:${providerKey}`;
+};
+
+/**
+ * Create the local account for a first federated sign-in.
+ * Officers only see applications through their officer groups, so one
+ * provisioned without any stays inactive until an admin assigns them.
+ * @param {string} providerKey - Provider key stored on the identity
+ * @param {object} profile - Mapped claims/attributes ({ subject, email, fullName, role, officerGroups })
+ */
+const createFederatedUser = async (providerKey, profile) => {
+    const { publicKey, privateKey } = generateRSAKeyPair();
+    const { encryptedData: encryptedPrivateKey, iv } = encryptAES(privateKey);
+    const officerGroups = profile.officerGroups || [];
+
+    return User.create({
+        email: profile.email,
+        password: crypto.randomBytes(24).toString('hex'),
+        hasPassword: false,
+        fullName: profile.fullName,
+        role: profile.role,
+        officerGroups,
+        isActive: profile.role !== 'officer' || officerGroups.length > 0,
+        isVerified: true,
+        federatedIdentities: [{ provider: providerKey, subject: profile.subject, email: profile.email }],
+        publicKey,
+        privateKey: JSON.stringify({ data: encryptedPrivateKey, iv })
+    });
+};
+
+const ensureKeyPair = async (user) => {
+    if (user.publicKey && user.privateKey) {
+        return;
+    }
+    const { publicKey, privateKey } = generateRSAKeyPair();
+    const { encryptedData: encryptedPrivateKey, iv } = encryptAES(privateKey);
+    user.publicKey = publicKey;
+    user.privateKey = JSON.stringify({ data: encryptedPrivateKey, iv });
+    await user.save();
+};
+
+/**
+ * Session response shared by federated sign-in and sign-in via link confirmation
+ */
+const completeSignIn = async (req, res, user, amr, message) => {
+    if (user.isActive === false) {
+        return res.status(403).json({
+            success: false,
+            message: 'Account is inactive. Please contact admin.'
+        });
+    }
+
+    const policy = await getAuthPolicy(user.role);
+    if (policy.requirePasskey) {
+        return res.status(403).json({
+            success: false,
+            message: 'Your role requires signing in with a passkey'
+        });
+    }
+
+    await ensureKeyPair(user);
+
+    // Start a session
+    const { accessToken, refreshToken } = await createSession(user, req, amr);
+
+    res.json({
+        success: true,
+        message,
+        data: {
+            accessToken,
+            refreshToken,
+            user: {
+                id: user._id,
+                email: user.email,
+                fullName: user.fullName,
+                role: user.role
+            }
+        }
+    });
+};
+
+/**
+ * Response asking the account holder to confirm a link (password, then email OTP)
+ */
+const linkRequiredResponse = (res, providerLabel, user, linkToken, message) => {
+    res.json({
+        success: true,
+        message,
+        data: {
+            linkRequired: true,
+            linkToken,
+            provider: providerLabel,
+            email: user.email,
+            hasPassword: user.hasPassword !== false
+        }
+    });
+};
+
+/**
+ * Finish a federated sign-in: the account already linked to the identity,
+ * a link confirmation when the email belongs to an existing account, or
+ * a new account provisioned just in time
+ * @param {string} providerKey - Provider key stored on the identity
+ * @param {string} providerLabel - Display name of the provider
+ * @param {object} profile - Mapped claims/attributes
+ * @param {function} [onSignIn] - Called with the linked account before its session starts
+ */
+const signInWithIdentity = async (req, res, providerKey, providerLabel, profile, onSignIn) => {
+    const owner = await findUserByIdentity(providerKey, profile.subject);
+    if (owner) {
+        if (onSignIn) {
+            await onSignIn(owner);
+        }
+        return completeSignIn(req, res, owner, [federatedAmr(providerKey)], 'Login successful');
+    }
+
+    // Same email as an existing account: never attach silently - the
+    // account holder has to prove they own it (password + email OTP)
+    const existing = await User.findOne({ email: profile.email });
+    if (existing) {
+        const linkToken = await createLinkRequest(existing, providerKey, profile, { signIn: true });
+        await auditIdentity(existing._id, req, 'Federated Identity Link Requested', 'success', {
+            provider: providerKey,
+            email: profile.email
+        });
+        return linkRequiredResponse(res, providerLabel, existing, linkToken,
+            `An account with this email already exists. Confirm your password to link ${providerLabel}.`);
+    }
+
+    const user = await createFederatedUser(providerKey, profile);
+    await auditIdentity(user._id, req, 'Account Provisioned From Identity Provider', 'success', {
+        provider: providerKey,
+        email: profile.email,
+        role: user.role,
+        officerGroups: user.officerGroups,
+        pendingApproval: !user.isActive
+    });
+
+    if (!user.isActive) {
+        return res.status(403).json({
+            success: false,
+            message: 'Your account was created and is waiting for an administrator to assign the scholarships you review.',
+            pendingApproval: true
+        });
+    }
+
+    return completeSignIn(req, res, user, [federatedAmr(providerKey)], 'Account created successfully');
+};
+
+module.exports = {
+    SAML_PREFIX,
+    providerName,
+    federatedAmr,
+    createFederatedUser,
+    completeSignIn,
+    linkRequiredResponse,
+    signInWithIdentity
+};
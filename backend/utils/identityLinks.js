@@ -0,0 +1,200 @@
+/**
+ * ============================================================
+ * FEDERATED IDENTITY LINKING
+ * Implements: Explicit, re-authenticated linking of OIDC
+ * identities to local accounts (password + email OTP), and
+ * unlinking that never removes the last way to sign in
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const { User, IdentityLinkRequest, WebAuthnCredential, AuditLog } = require('../models');
+
+const LINK_REQUEST_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+const hashLinkToken = (token) => {
+    return crypto.createHash('sha256').update(String(token || '')).digest('hex');
+};
+
+/**
+ * Record an identity event in the audit trail
+ */
+const auditIdentity = async (userId, req, action, status, details) => {
+    try {
+        await AuditLog.create({
+            userId,
+            action,
+            resource: '/api/auth/oidc',
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            status,
+            details
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+};
+
+/**
+ * Account that already owns a federated identity, if any.
+ * Accounts from the Google-only era are moved onto federatedIdentities here.
+ * @returns {Promise<object|null>} - User document
+ */
+const findUserByIdentity = async (providerId, subject) => {
+    const user = await User.findOne({
+        federatedIdentities: { $elemMatch: { provider: providerId, subject } }
+    });
+    if (user || providerId !== 'google') {
+        return user;
+    }
+
+    const legacy = await User.findOne({ googleId: subject });
+    if (legacy) {
+        legacy.federatedIdentities.push({ provider: 'google', subject, email: legacy.email });
+        legacy.googleId = undefined;
+        await legacy.save();
+    }
+    return legacy;
+};
+
+/**
+ * Start a link confirmation for an identity the user must prove they own the account for
+ * @param {object} user - Account to link to
+ * @param {string} providerId - Provider id
+ * @param {object} profile - Mapped claims ({ subject, email })
+ * @param {object} options - { signIn } when started from the sign-in page
+ * @returns {Promise<string>} - Opaque link token for the client
+ */
+const createLinkRequest = async (user, providerId, profile, { signIn = false } = {}) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await IdentityLinkRequest.create({
+        tokenHash: hashLinkToken(token),
+        userId: user._id,
+        provider: providerId,
+        subject: profile.subject,
+        email: profile.email,
+        signIn,
+        expiresAt: new Date(Date.now() + LINK_REQUEST_TTL_MS)
+    });
+
+    return token;
+};
+
+/**
+ * Pending link request for a token
+ * @returns {Promise<object|null>}
+ */
+const findLinkRequest = async (token) => {
+    return IdentityLinkRequest.findOne({
+        tokenHash: hashLinkToken(token),
+        consumedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+const markPasswordVerified = async (linkRequest) => {
+    await IdentityLinkRequest.updateOne({ _id: linkRequest._id }, { passwordVerifiedAt: new Date() });
+};
+
+/**
+ * Attach the identity. The request is consumed first so it can only be used once.
+ * @returns {Promise<object>} - { linked, message }
+ */
+const completeLink = async (linkRequest, req) => {
+    const consumed = await IdentityLinkRequest.findOneAndUpdate(
+        { _id: linkRequest._id, consumedAt: null, passwordVerifiedAt: { $ne: null } },
+        { consumedAt: new Date() }
+    );
+    if (!consumed) {
+        return { linked: false, message: 'Link request expired. Please start again.' };
+    }
+
+    const owner = await findUserByIdentity(linkRequest.provider, linkRequest.subject);
+    if (owner && String(owner._id) !== String(linkRequest.userId)) {
+        return { linked: false, message: 'This identity is already linked to another account' };
+    }
+
+    if (!owner) {
+        await User.updateOne(
+            { _id: linkRequest.userId },
+            {
+                $push: {
+                    federatedIdentities: {
+                        provider: linkRequest.provider,
+                        subject: linkRequest.subject,
+                        email: linkRequest.email
+                    }
+                }
+            }
+        );
+    }
+
+    await auditIdentity(linkRequest.userId, req, 'Federated Identity Linked', 'success', {
+        provider: linkRequest.provider,
+        email: linkRequest.email
+    });
+
+    return { linked: true };
+};
+
+/**
+ * Ways the user can still sign in: password, passkeys and linked identities
+ * @returns {Promise<object>} - { password, passkeys, identities }
+ */
+const countLoginMethods = async (user) => {
+    const passkeys = await WebAuthnCredential.countDocuments({ userId: user._id });
+    return {
+        password: user.hasPassword !== false,
+        passkeys,
+        identities: (user.federatedIdentities || []).length + (user.googleId ? 1 : 0)
+    };
+};
+
+/**
+ * Remove a linked identity unless it is the user's last way to sign in
+ * @returns {Promise<object>} - { unlinked, message }
+ */
+const unlinkIdentity = async (user, identityId, req) => {
+    const identity = user.federatedIdentities.id(identityId);
+    if (!identity) {
+        return { unlinked: false, status: 404, message: 'Linked identity not found' };
+    }
+
+    const methods = await countLoginMethods(user);
+    if (!methods.password && methods.passkeys === 0 && methods.identities <= 1) {
+        return {
+            unlinked: false,
+            status: 409,
+            message: 'This is your only way to sign in. Set a password or add a passkey before unlinking it.'
+        };
+    }
+
+    // With no password or passkey, only pull while another identity remains (parallel unlinks)
+    const filter = { _id: user._id };
+    if (!methods.password && methods.passkeys === 0) {
+        filter['federatedIdentities.1'] = { $exists: true };
+    }
+    const result = await User.updateOne(filter, { $pull: { federatedIdentities: { _id: identity._id } } });
+    if (result.modifiedCount === 0) {
+        return { unlinked: false, status: 409, message: 'This is your only way to sign in' };
+    }
+
+    await auditIdentity(user._id, req, 'Federated Identity Unlinked', 'success', {
+        provider: identity.provider,
+        email: identity.email
+    });
+
+    return { unlinked: true };
+};
+
+module.exports = {
+    findUserByIdentity,
+    createLinkRequest,
+    findLinkRequest,
+    markPasswordVerified,
+    completeLink,
+    countLoginMethods,
+    unlinkIdentity,
+    auditIdentity
+};
@@ -0,0 +1,136 @@
+/**
+ * ============================================================
+ * ADMIN IMPERSONATION ("VIEW AS USER")
+ * Implements: Short-lived tokens carrying both the acting admin
+ * and the viewed account, always read-only, with no access
+ * to account security settings or decrypted sensitive data
+ * ============================================================
+ */
+
+const jwt = require('jsonwebtoken');
+const { Impersonation, AuditLog } = require('../models');
+require('dotenv').config();
+
+const IMPERSONATION_TTL_MS = (parseInt(process.env.IMPERSONATION_MINUTES, 10) || 15) * 60 * 1000;
+
+// The only methods an impersonation may use
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+
+/**
+ * Start viewing as another user
+ * @param {object} actor - req.user of the admin
+ * @param {object} subject - User document being viewed
+ * @param {object} req - Express request
+ * @param {object} options - { reason }
+ * @returns {Promise<object>} - { token, impersonation }
+ */
+const startImpersonation = async (actor, subject, req, { reason }) => {
+    const impersonation = await Impersonation.create({
+        actorId: actor.id,
+        subjectId: subject._id,
+        sessionId: actor.sessionId,
+        reason,
+        readOnly: true,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        expiresAt: new Date(Date.now() + IMPERSONATION_TTL_MS)
+    });
+
+    const token = jwt.sign(
+        {
+            userId: subject._id,
+            email: subject.email,
+            role: subject.role,
+            amr: actor.amr,
+            sid: String(actor.sessionId),
+            act: { sub: String(actor.id), email: actor.email },
+            imp: String(impersonation._id)
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: Math.floor(IMPERSONATION_TTL_MS / 1000) }
+    );
+
+    return { token, impersonation };
+};
+
+/**
+ * Live impersonation for a token's `imp` claim
+ * @returns {Promise<object|null>}
+ */
+const getActiveImpersonation = async (impersonationId, actorId, subjectId) => {
+    return Impersonation.findOne({
+        _id: impersonationId,
+        actorId,
+        subjectId,
+        endedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+/**
+ * Stop an impersonation before its token expires
+ * @returns {Promise<boolean>} - Whether it was still active
+ */
+const endImpersonation = async (impersonationId) => {
+    const result = await Impersonation.updateOne(
+        { _id: impersonationId, endedAt: null },
+        { endedAt: new Date() }
+    );
+    return result.modifiedCount === 1;
+};
+
+/**
+ * Why this request is outside what an impersonation may do, if it is.
+ * Routes are told apart by req.routeScope (markRouteScope in server.js).
+ * @param {object} req - Express request (req.user set from an impersonation token)
+ * @returns {string|null} - Message for a 403, or null when allowed
+ */
+const impersonationScopeError = (req) => {
+    // Always reachable, so the admin can stop
+    if (req.routeScope === 'impersonation_end') {
+        return null;
+    }
+
+    // Sign-in methods, sessions, step-up and the like belong to the account holder
+    if (req.routeScope === 'account') {
+        return 'Account security settings are not available while viewing as another user';
+    }
+
+    // Changes are never made on someone else's behalf, including by
+    // sessions started before write access was removed
+    if (!SAFE_METHODS.includes(req.method)) {
+        return 'Viewing as another user is read-only';
+    }
+
+    return null;
+};
+
+/**
+ * Record an impersonation event against the acting admin
+ */
+const auditImpersonation = async (req, actorId, action, details) => {
+    try {
+        await AuditLog.create({
+            userId: actorId,
+            action,
+            resource: '/api/users',
+            resourceId: details.subjectId ? String(details.subjectId) : undefined,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            status: 'success',
+            details
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+};
+
+module.exports = {
+    startImpersonation,
+    getActiveImpersonation,
+    endImpersonation,
+    impersonationScopeError,
+    auditImpersonation,
+    IMPERSONATION_TTL_MS
+};
@@ -0,0 +1,169 @@
+/**
+ * ============================================================
+ * STAFF INVITATIONS
+ * Implements: Signed, expiring, single-use invite links for
+ * officer/admin accounts (staff roles cannot self-register)
+ * ============================================================
+ */
+
+const jwt = require('jsonwebtoken');
+const { Invitation, AuditLog } = require('../models');
+require('dotenv').config();
+
+const INVITATION_TTL_SECONDS = (parseInt(process.env.INVITATION_TTL_HOURS, 10) || 72) * 60 * 60;
+const INVITATION_TYPE = 'staff_invitation';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+/**
+ * Current state of an invitation
+ * @returns {string} - pending | accepted | revoked | expired
+ */
+const getInvitationStatus = (invitation) => {
+    if (invitation.acceptedAt) return 'accepted';
+    if (invitation.revokedAt) return 'revoked';
+    if (invitation.expiresAt <= new Date()) return 'expired';
+    return 'pending';
+};
+
+/**
+ * Record an invitation event in the audit trail
+ */
+const auditInvitation = async (req, action, status, invitation, extra = {}) => {
+    try {
+        await AuditLog.create({
+            userId: req.user?.id || invitation.acceptedUserId || null,
+            action,
+            resource: '/api/invitations',
+            resourceId: String(invitation._id),
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            status,
+            details: {
+                email: invitation.email,
+                role: invitation.role,
+                ...extra
+            }
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+};
+
+/**
+ * Sign the invite link token for an invitation
+ */
+const signInvitationToken = (invitation) => {
+    return jwt.sign(
+        {
+            typ: INVITATION_TYPE,
+            email: invitation.email,
+            role: invitation.role
+        },
+        process.env.JWT_SECRET,
+        {
+            jwtid: String(invitation._id),
+            expiresIn: Math.max(Math.floor((invitation.expiresAt.getTime() - Date.now()) / 1000), 1)
+        }
+    );
+};
+
+/**
+ * Create an invitation
+ * @param {object} params - { email, role, invitedBy }
+ * @returns {Promise<object>} - { invitation, token, inviteUrl }
+ */
+const createInvitation = async ({ email, role, invitedBy }) => {
+    const invitation = await Invitation.create({
+        email,
+        role,
+        invitedBy,
+        expiresAt: new Date(Date.now() + INVITATION_TTL_SECONDS * 1000)
+    });
+
+    const token = signInvitationToken(invitation);
+
+    return {
+        invitation,
+        token,
+        inviteUrl: `${FRONTEND_URL}/accept-invite?token=${encodeURIComponent(token)}`
+    };
+};
+
+/**
+ * Check an invite link token
+ * @param {string} token - Token from the invite link
+ * @returns {Promise<object>} - { valid, invitation, reason, message }
+ */
+const verifyInvitationToken = async (token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token || '', process.env.JWT_SECRET);
+    } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+            const expired = jwt.decode(token);
+            const invitation = expired?.jti ? await Invitation.findById(expired.jti).catch(() => null) : null;
+            return { valid: false, invitation, reason: 'expired', message: 'This invitation has expired. Ask an administrator for a new one.' };
+        }
+        return { valid: false, reason: 'invalid', message: 'Invalid invitation link' };
+    }
+
+    if (decoded.typ !== INVITATION_TYPE || !decoded.jti) {
+        return { valid: false, reason: 'invalid', message: 'Invalid invitation link' };
+    }
+
+    const invitation = await Invitation.findById(decoded.jti);
+    if (!invitation || invitation.email !== decoded.email || invitation.role !== decoded.role) {
+        return { valid: false, reason: 'invalid', message: 'Invalid invitation link' };
+    }
+
+    const status = getInvitationStatus(invitation);
+    if (status !== 'pending') {
+        const messages = {
+            accepted: 'This invitation has already been used',
+            revoked: 'This invitation has been revoked',
+            expired: 'This invitation has expired. Ask an administrator for a new one.'
+        };
+        return { valid: false, invitation, reason: status, message: messages[status] };
+    }
+
+    return { valid: true, invitation };
+};
+
+/**
+ * Mark an invitation used. Returns false if it was used, revoked or expired meanwhile.
+ * @returns {Promise<boolean>}
+ */
+const markInvitationAccepted = async (invitationId, userId) => {
+    const updated = await Invitation.findOneAndUpdate(
+        {
+            _id: invitationId,
+            acceptedAt: null,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { acceptedAt: new Date(), acceptedUserId: userId }
+    );
+    return Boolean(updated);
+};
+
+/**
+ * Undo markInvitationAccepted when the account could not be created,
+ * so the invitee can try the same link again
+ * @returns {Promise<void>}
+ */
+const releaseInvitation = async (invitationId, userId) => {
+    await Invitation.updateOne(
+        { _id: invitationId, acceptedUserId: userId },
+        { $set: { acceptedAt: null }, $unset: { acceptedUserId: 1 } }
+    );
+};
+
+module.exports = {
+    createInvitation,
+    verifyInvitationToken,
+    markInvitationAccepted,
+    releaseInvitation,
+    getInvitationStatus,
+    auditInvitation,
+    INVITATION_TTL_SECONDS
+};
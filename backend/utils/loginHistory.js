@@ -0,0 +1,242 @@
+/**
+ * ============================================================
+ * LOGIN HISTORY & RISK SIGNALS
+ * Implements: Per-user record of sign-ins (IP, user agent, coarse
+ * device fingerprint), new-device email alerts, and flags for
+ * impossible travel and rapid IP changes in the audit trail
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const { LoginHistory, AuditLog } = require('../models');
+const { sendNewDeviceEmail } = require('./mailer');
+require('dotenv').config();
+
+// Location set by a trusted edge proxy, e.g. Cloudflare's cf-ipcountry,
+// cf-iplatitude and cf-iplongitude. Unconfigured headers are never read.
+const GEO_HEADERS = {
+    country: process.env.GEO_COUNTRY_HEADER,
+    latitude: process.env.GEO_LATITUDE_HEADER,
+    longitude: process.env.GEO_LONGITUDE_HEADER
+};
+
+// Faster than a commercial flight between two sign-ins
+const IMPOSSIBLE_TRAVEL_KMH = parseInt(process.env.IMPOSSIBLE_TRAVEL_KMH, 10) || 900;
+// Shorter hops are within geolocation error
+const MIN_TRAVEL_KM = 100;
+// Without coordinates, a country change this soon is treated the same way
+const COUNTRY_CHANGE_WINDOW_MS = 2 * 60 * 60 * 1000;
+const TRAVEL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Sign-ins from this many different networks within the window
+const RAPID_IP_WINDOW_MS = 60 * 60 * 1000;
+const RAPID_IP_THRESHOLD = 3;
+
+/**
+ * Browser family, OS family and form factor from a user agent
+ * @returns {object} - { browser, os, type }
+ */
+const parseDevice = (userAgent = '') => {
+    const browser =
+        /Edg\//.test(userAgent) ? 'Edge' :
+        /OPR\//.test(userAgent) ? 'Opera' :
+        /Chrome\//.test(userAgent) ? 'Chrome' :
+        /Firefox\//.test(userAgent) ? 'Firefox' :
+        /Safari\//.test(userAgent) ? 'Safari' : 'Other';
+    const os =
+        /Android/.test(userAgent) ? 'Android' :
+        /iPhone|iPad/.test(userAgent) ? 'iOS' :
+        /Windows/.test(userAgent) ? 'Windows' :
+        /Mac OS X/.test(userAgent) ? 'macOS' :
+        /Linux/.test(userAgent) ? 'Linux' : 'Other';
+    const type =
+        /iPad|Tablet/.test(userAgent) ? 'tablet' :
+        /Mobi|iPhone|Android/.test(userAgent) ? 'mobile' :
+        userAgent ? 'desktop' : 'unknown';
+
+    return { browser, os, type };
+};
+
+const describeDevice = (device) => `${device.browser} on ${device.os}`;
+
+// Versions are left out so browser updates do not look like new devices
+const fingerprintDevice = (device) => {
+    return crypto.createHash('sha256').update(`${device.browser}|${device.os}|${device.type}`).digest('hex').slice(0, 32);
+};
+
+const readLocation = (req) => {
+    const header = (name) => (name ? req.get(name) : undefined);
+    const country = header(GEO_HEADERS.country);
+    const latitude = parseFloat(header(GEO_HEADERS.latitude));
+    const longitude = parseFloat(header(GEO_HEADERS.longitude));
+
+    const location = {};
+    if (country && country !== 'XX') location.country = country.toUpperCase();
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+        location.latitude = latitude;
+        location.longitude = longitude;
+    }
+    return location;
+};
+
+/**
+ * Network an address belongs to (IPv4 /24, IPv6 /64), so DHCP churn
+ * within one ISP block does not count as an IP change
+ */
+const networkOf = (ip = '') => {
+    const address = ip.replace(/^::ffff:/, '');
+    if (address.includes('.')) {
+        return address.split('.').slice(0, 3).join('.');
+    }
+    return address.split(':').slice(0, 4).join(':');
+};
+
+const distanceKm = (a, b) => {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(b.latitude - a.latitude);
+    const dLon = toRad(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRad(a.latitude)) * Math.cos(toRad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Compare a sign-in with the user's recent successful sign-ins
+ * @param {object} current - { ipAddress, location, at }
+ * @param {object[]} recent - LoginHistory entries, newest first
+ * @returns {object} - { flags, details }
+ */
+const detectRisk = (current, recent) => {
+    const flags = [];
+    const details = {};
+
+    const hasCoordinates = (location) => location && location.latitude != null && location.longitude != null;
+    const previousWithCoordinates = recent.find((entry) => hasCoordinates(entry.location));
+
+    if (hasCoordinates(current.location) && previousWithCoordinates) {
+        const km = distanceKm(previousWithCoordinates.location, current.location);
+        const hours = Math.max((current.at - previousWithCoordinates.createdAt) / (60 * 60 * 1000), 1 / 60);
+        if (km >= MIN_TRAVEL_KM && km / hours > IMPOSSIBLE_TRAVEL_KMH) {
+            flags.push('impossible_travel');
+            details.impossibleTravel = {
+                fromIp: previousWithCoordinates.ipAddress,
+                fromCountry: previousWithCoordinates.location.country,
+                distanceKm: Math.round(km),
+                speedKmh: Math.round(km / hours),
+                previousLoginAt: previousWithCoordinates.createdAt
+            };
+        }
+    } else if (current.location.country) {
+        const previous = recent.find((entry) => entry.location?.country);
+        if (previous && previous.location.country !== current.location.country
+            && current.at - previous.createdAt < COUNTRY_CHANGE_WINDOW_MS) {
+            flags.push('impossible_travel');
+            details.impossibleTravel = {
+                fromIp: previous.ipAddress,
+                fromCountry: previous.location.country,
+                toCountry: current.location.country,
+                previousLoginAt: previous.createdAt
+            };
+        }
+    }
+
+    const windowStart = current.at - RAPID_IP_WINDOW_MS;
+    const networks = new Set(
+        recent
+            .filter((entry) => entry.createdAt >= windowStart && entry.ipAddress)
+            .map((entry) => networkOf(entry.ipAddress))
+    );
+    networks.add(networkOf(current.ipAddress));
+    if (networks.size >= RAPID_IP_THRESHOLD) {
+        flags.push('rapid_ip_change');
+        details.rapidIpChange = { networks: [...networks], windowMinutes: RAPID_IP_WINDOW_MS / 60000 };
+    }
+
+    return { flags, details };
+};
+
+const auditSuspiciousLogin = async (user, req, entry) => {
+    try {
+        await AuditLog.create({
+            userId: user._id,
+            action: 'Suspicious Login',
+            resource: '/api/auth',
+            resourceId: String(entry._id),
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            status: 'failure',
+            details: { flags: entry.riskFlags, ...entry.riskDetails }
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+};
+
+/**
+ * Record a sign-in attempt. Successful sign-ins from a device the user
+ * has not used before trigger an email; impossible travel and rapid IP
+ * changes are flagged in the audit log. Never blocks the sign-in.
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @param {object} options - { success, amr, sessionId, failedStep }
+ */
+const recordLogin = async (user, req, { success, amr, sessionId, failedStep }) => {
+    try {
+        const userAgent = req.get('user-agent') || '';
+        const device = parseDevice(userAgent);
+        const entry = {
+            userId: user._id,
+            success,
+            failedStep: success ? undefined : failedStep,
+            amr,
+            sessionId,
+            ipAddress: req.ip,
+            userAgent,
+            device,
+            deviceFingerprint: fingerprintDevice(device),
+            location: readLocation(req)
+        };
+
+        if (!success) {
+            await LoginHistory.create(entry);
+            return;
+        }
+
+        const now = Date.now();
+        const [knownDevice, hasHistory, recent] = await Promise.all([
+            LoginHistory.exists({ userId: user._id, success: true, deviceFingerprint: entry.deviceFingerprint }),
+            LoginHistory.exists({ userId: user._id, success: true }),
+            LoginHistory.find({ userId: user._id, success: true, createdAt: { $gt: new Date(now - TRAVEL_WINDOW_MS) } })
+                .sort({ createdAt: -1 })
+                .limit(50)
+        ]);
+
+        // The first sign-in after registration is not a "new" device
+        entry.newDevice = Boolean(hasHistory) && !knownDevice;
+        const risk = detectRisk({ ipAddress: entry.ipAddress, location: entry.location, at: now }, recent);
+        entry.riskFlags = risk.flags;
+        entry.riskDetails = risk.flags.length ? risk.details : undefined;
+
+        const saved = await LoginHistory.create(entry);
+
+        if (entry.newDevice) {
+            sendNewDeviceEmail(user.email, {
+                device: describeDevice(device),
+                ipAddress: entry.ipAddress,
+                country: entry.location.country,
+                at: saved.createdAt
+            }).catch((error) => console.error('New device email failed:', error.message));
+        }
+
+        if (risk.flags.length) {
+            await auditSuspiciousLogin(user, req, saved);
+        }
+    } catch (error) {
+        console.error('Login history error:', error);
+    }
+};
+
+module.exports = {
+    recordLogin,
+    describeDevice
+};
@@ -0,0 +1,122 @@
+/**
+ * ============================================================
+ * MAGIC LINK SIGN-IN
+ * Implements: Signed, single-use, 10-minute sign-in links sent
+ * by email as a passwordless alternative to password + OTP
+ * ============================================================
+ */
+
+const jwt = require('jsonwebtoken');
+const { MagicLink } = require('../models');
+require('dotenv').config();
+
+const MAGIC_LINK_TTL_SECONDS = 10 * 60; // 10 minutes
+const MAGIC_LINK_TYPE = 'magic_link';
+// Minimum gap between two links for the same account
+const RESEND_INTERVAL_MS = 60 * 1000;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const EXPIRED_MESSAGE = 'This sign-in link has expired. Please request a new one.';
+
+/**
+ * Issue a sign-in link for a user
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @returns {Promise<object>} - { issued, url, expiresAt } or { issued: false, retryAfter }
+ */
+const createMagicLink = async (user, req) => {
+    const latest = await MagicLink.findOne({ userId: user._id }).sort({ createdAt: -1 });
+    if (latest && Date.now() - latest.createdAt.getTime() < RESEND_INTERVAL_MS) {
+        return {
+            issued: false,
+            retryAfter: Math.ceil((RESEND_INTERVAL_MS - (Date.now() - latest.createdAt.getTime())) / 1000)
+        };
+    }
+
+    const expiresAt = new Date(Date.now() + MAGIC_LINK_TTL_SECONDS * 1000);
+    const link = await MagicLink.create({
+        userId: user._id,
+        requestedIp: req.ip,
+        expiresAt
+    });
+
+    const token = jwt.sign(
+        { typ: MAGIC_LINK_TYPE },
+        process.env.JWT_SECRET,
+        {
+            subject: String(user._id),
+            jwtid: String(link._id),
+            expiresIn: MAGIC_LINK_TTL_SECONDS
+        }
+    );
+
+    return {
+        issued: true,
+        url: `${FRONTEND_URL}/auth/magic-link?token=${encodeURIComponent(token)}`,
+        expiresAt
+    };
+};
+
+/**
+ * Check a sign-in link token without consuming it. Expired and already
+ * used links still report their user so the failure counts against it.
+ * @param {string} token - Token from the emailed link
+ * @returns {Promise<object>} - { valid, userId, linkId, reason, message }
+ */
+const verifyMagicLink = async (token) => {
+    let decoded;
+    try {
+        // Expiry is checked below against the stored link, so a forged
+        // "expired" token can never be charged to someone's account
+        decoded = jwt.verify(token || '', process.env.JWT_SECRET, { ignoreExpiration: true });
+    } catch (error) {
+        return { valid: false, reason: 'invalid', message: 'Invalid sign-in link' };
+    }
+
+    if (decoded.typ !== MAGIC_LINK_TYPE || !decoded.jti || !decoded.sub) {
+        return { valid: false, reason: 'invalid', message: 'Invalid sign-in link' };
+    }
+
+    const link = await MagicLink.findById(decoded.jti).catch(() => null);
+    if (!link || String(link.userId) !== decoded.sub) {
+        // Expired links may already have been removed by the TTL index
+        return decoded.exp * 1000 <= Date.now()
+            ? { valid: false, reason: 'expired', message: EXPIRED_MESSAGE }
+            : { valid: false, reason: 'invalid', message: 'Invalid sign-in link' };
+    }
+
+    if (link.consumedAt) {
+        return {
+            valid: false,
+            userId: link.userId,
+            reason: 'used',
+            message: 'This sign-in link has already been used. Please request a new one.'
+        };
+    }
+
+    if (link.expiresAt <= new Date() || decoded.exp * 1000 <= Date.now()) {
+        return { valid: false, userId: link.userId, reason: 'expired', message: EXPIRED_MESSAGE };
+    }
+
+    return { valid: true, userId: link.userId, linkId: link._id };
+};
+
+/**
+ * Mark a link as used. Returns false if another request already used it.
+ * @param {string} linkId - MagicLink ID
+ * @param {object} req - Express request
+ * @returns {Promise<boolean>}
+ */
+const consumeMagicLink = async (linkId, req) => {
+    const consumed = await MagicLink.findOneAndUpdate(
+        { _id: linkId, consumedAt: null },
+        { consumedAt: new Date(), consumedIp: req.ip }
+    );
+    return Boolean(consumed);
+};
+
+module.exports = {
+    createMagicLink,
+    verifyMagicLink,
+    consumeMagicLink,
+    MAGIC_LINK_TTL_SECONDS
+};
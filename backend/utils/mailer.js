@@ -0,0 +1,318 @@
+/**
+ * ============================================================
+ * EMAIL DELIVERY
+ * Implements: Transactional emails (OTP codes, notices).
+ * Falls back to console output when SMTP is not configured.
+ * ============================================================
+ */
+
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+// Email transporter configuration
+const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST || 'smtp.gmail.com',
+    port: process.env.EMAIL_PORT || 587,
+    secure: false,
+    auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS
+    }
+});
+
+const WEBSITE_NAME = process.env.WEBSITE_NAME || 'Scholarship Verification System';
+const ADMIN_EMAIL = process.env.ADMIN_EMAIL || process.env.EMAIL_USER;
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+/**
+ * Send OTP via email
+ */
+const sendOTPEmail = async (email, otp, purpose) => {
+    const subjects = {
+        login: 'Login Verification Code - Scholarship System',
+        registration: 'Email Verification - Scholarship System',
+        password_reset: 'Password Reset Code - Scholarship System',
+        identity_link: 'Confirm Account Linking - Scholarship System',
+        step_up: 'Confirm Access to Sensitive Data - Scholarship System'
+    };
+
+    const mailOptions = {
+        from: process.env.EMAIL_USER || 'noreply@scholarship.com',
+        to: email,
+        subject: subjects[purpose] || 'Verification Code',
+        html: `
+            <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px;">
+                <h2 style="color: #1a365d;">Scholarship Verification System</h2>
+                <p>Your verification code is:</p>
+                <h1 style="color: #2c5282; letter-spacing: 5px; font-size: 36px;">${otp}</h1>
+                <p>This code will expire in <strong>5 minutes</strong>.</p>
+                <p style="color: #718096; font-size: 12px;">
+                    If you didn't request this code, please ignore this email.
+                </p>
+            </div>
+        `
+    };
+
+    try {
+        if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+            await transporter.sendMail(mailOptions);
+            console.log(`✅ OTP sent to ${email}`);
+        } else {
+            // Development mode - log OTP
+            console.log(`\n📧 [DEV MODE] OTP for ${email}: ${otp}\n`);
+        }
+        return true;
+    } catch (error) {
+        console.error('Email sending failed:', error.message);
+        // For development, log the OTP
+        console.log(`\n📧 [FALLBACK] OTP for ${email}: ${otp}\n`);
+        return true; // Return true in dev mode
+    }
+};
+
+const sendWelcomeEmail = async (email, fullName) => {
+    const mailOptions = {
+        from: process.env.EMAIL_USER || 'noreply@scholarship.com',
+        to: email,
+        subject: `Welcome to ${WEBSITE_NAME}`,
+        html: `
+            <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px;">
+                <h2 style="color: #1a365d;">Welcome to ${WEBSITE_NAME}</h2>
+                <p>Hello ${fullName || 'User'},</p>
+                <p>Your registration is successful. You can now use all features of the platform.</p>
+                <p style="color: #718096; font-size: 12px;">If you did not create this account, please contact support.</p>
+            </div>
+        `
+    };
+
+    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+        await transporter.sendMail(mailOptions);
+    } else {
+        console.log(`\n📧 [DEV MODE] Welcome email to ${email}\n`);
+    }
+};
+
+const sendAdminRegistrationEmail = async (adminEmail, userEmail, role) => {
+    if (!adminEmail) return;
+    const mailOptions = {
+        from: process.env.EMAIL_USER || 'noreply@scholarship.com',
+        to: adminEmail,
+        subject: `New user registered - ${WEBSITE_NAME}`,
+        html: `
+            <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px;">
+                <h2 style="color: #1a365d;">New Registration</h2>
+                <p>A new user has registered successfully.</p>
+                <p><strong>Email:</strong> ${userEmail}</p>
+                <p><strong>Role:</strong> ${role}</p>
+            </div>
+        `
+    };
+
+    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+        await transporter.sendMail(mailOptions);
+    } else {
+        console.log(`\n📧 [DEV MODE] Admin registration notice to ${adminEmail} for ${userEmail}\n`);
+    }
+};
+
+/**
+ * Tell the user their account was locked and how to unlock it
+ */
+const sendAccountLockedEmail = async (email, unlockToken, lockedUntil) => {
+    const unlockUrl = `${FRONTEND_URL}/unlock-account?token=${encodeURIComponent(unlockToken)}`;
+    const mailOptions = {
+        from: process.env.EMAIL_USER || 'noreply@scholarship.com',
+        to: email,
+        subject: `Account locked - ${WEBSITE_NAME}`,
+        html: `
+            <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px;">
+                <h2 style="color: #1a365d;">Your account has been locked</h2>
+                <p>We locked your account after too many failed sign-in attempts.</p>
+                <p>It will unlock automatically at <strong>${lockedUntil.toUTCString()}</strong>,
+                   or you can unlock it now:</p>
+                <p><a href="${unlockUrl}" style="color: #2c5282;">Unlock my account</a></p>
+                <p style="color: #718096; font-size: 12px;">
+                    If these attempts were not you, reset your password after unlocking.
+                </p>
+            </div>
+        `
+    };
+
+    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+        await transporter.sendMail(mailOptions);
+    } else {
+        console.log(`\n📧 [DEV MODE] Unlock link for ${email}: ${unlockUrl}\n`);
+    }
+};
+
+/**
+ * Tell the user a recovery code was just used to sign in
+ */
+const sendRecoveryCodeUsedEmail = async (email, remaining, ipAddress) => {
+    const mailOptions = {
+        from: process.env.EMAIL_USER || 'noreply@scholarship.com',
+        to: email,
+        subject: `Recovery code used - ${WEBSITE_NAME}`,
+        html: `
+            <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px;">
+                <h2 style="color: #1a365d;">A recovery code was used</h2>
+                <p>Someone signed in to your account with one of your MFA recovery codes
+                   from IP address <strong>${ipAddress || 'unknown'}</strong>.</p>
+                <p>You have <strong>${remaining}</strong> unused recovery code(s) left.
+                   You can generate a new set under Account → Security.</p>
+                <p style="color: #718096; font-size: 12px;">
+                    If this wasn't you, reset your password and sign out of all sessions immediately.
+                </p>
+            </div>
+        `
+    };
+
+    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+        await transporter.sendMail(mailOptions);
+    } else {
+        console.log(`\n📧 [DEV MODE] Recovery code used notice to ${email} (${remaining} left)\n`);
+    }
+};
+
+/**
+ * Tell the user a new way to sign in or confirm sign-in was added
+ * @param {string} email - Account email
+ * @param {string} method - e.g. "A passkey (MacBook)"
+ * @param {string} ipAddress - Where the change was made from
+ */
+const sendSignInMethodAddedEmail = async (email, method, ipAddress) => {
+    const mailOptions = {
+        from: process.env.EMAIL_USER || 'noreply@scholarship.com',
+        to: email,
+        subject: `New sign-in method added - ${WEBSITE_NAME}`,
+        html: `
+            <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px;">
+                <h2 style="color: #1a365d;">New sign-in method added</h2>
+                <p><strong>${method}</strong> was added to your account
+                   from IP address <strong>${ipAddress || 'unknown'}</strong>.</p>
+                <p>If this was you, there's nothing to do.</p>
+                <p style="color: #718096; font-size: 12px;">
+                    If this wasn't you, remove it under Account → Security, reset your password
+                    and sign out of all sessions immediately.
+                </p>
+            </div>
+        `
+    };
+
+    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+        await transporter.sendMail(mailOptions);
+    } else {
+        console.log(`\n📧 [DEV MODE] Sign-in method added notice to ${email}: ${method}\n`);
+    }
+};
+
+/**
+ * Send a staff invitation link
+ * @param {string} email - Invitee email
+ * @param {string} role - Invited role
+ * @param {string} inviteUrl - Signed invitation link
+ * @param {Date} expiresAt - When the link stops working
+ */
+const sendInvitationEmail = async (email, role, inviteUrl, expiresAt) => {
+    const mailOptions = {
+        from: process.env.EMAIL_USER || 'noreply@scholarship.com',
+        to: email,
+        subject: `You're invited to join ${WEBSITE_NAME}`,
+        html: `
+            <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px;">
+                <h2 style="color: #1a365d;">You've been invited</h2>
+                <p>An administrator has invited you to join ${WEBSITE_NAME} as
+                   <strong>${role}</strong>.</p>
+                <p><a href="${inviteUrl}" style="color: #2c5282;">Accept invitation</a></p>
+                <p style="color: #718096; font-size: 12px;">
+                    This link can be used once and expires on ${new Date(expiresAt).toUTCString()}.
+                    If you weren't expecting this invitation, you can ignore this email.
+                </p>
+            </div>
+        `
+    };
+
+    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+        await transporter.sendMail(mailOptions);
+    } else {
+        console.log(`\n📧 [DEV MODE] Invitation (${role}) for ${email}: ${inviteUrl}\n`);
+    }
+};
+
+/**
+ * Tell the user their account was signed in to from a new device
+ * @param {string} email - Account email
+ * @param {object} signIn - { device, ipAddress, country, at }
+ */
+const sendNewDeviceEmail = async (email, signIn) => {
+    const where = [signIn.ipAddress || 'unknown IP', signIn.country].filter(Boolean).join(', ');
+    const mailOptions = {
+        from: process.env.EMAIL_USER || 'noreply@scholarship.com',
+        to: email,
+        subject: `New sign-in to your account - ${WEBSITE_NAME}`,
+        html: `
+            <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px;">
+                <h2 style="color: #1a365d;">New device signed in</h2>
+                <p>Your account was just signed in to from a device we haven't seen before:</p>
+                <p><strong>${signIn.device}</strong><br>
+                   ${where}<br>
+                   ${new Date(signIn.at).toUTCString()}</p>
+                <p>If this was you, there's nothing to do.</p>
+                <p style="color: #718096; font-size: 12px;">
+                    If this wasn't you, reset your password and sign out of all sessions under
+                    Account → Sessions immediately.
+                </p>
+            </div>
+        `
+    };
+
+    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+        await transporter.sendMail(mailOptions);
+    } else {
+        console.log(`\n📧 [DEV MODE] New device notice to ${email}: ${signIn.device} from ${where}\n`);
+    }
+};
+
+/**
+ * Send a one-time sign-in link
+ * @param {string} email - Account email
+ * @param {string} url - Signed sign-in link
+ * @param {Date} expiresAt - When the link stops working
+ */
+const sendMagicLinkEmail = async (email, url, expiresAt) => {
+    const mailOptions = {
+        from: process.env.EMAIL_USER || 'noreply@scholarship.com',
+        to: email,
+        subject: `Your sign-in link - ${WEBSITE_NAME}`,
+        html: `
+            <div style="font-family: Arial, sans-serif; padding: 20px; max-width: 600px;">
+                <h2 style="color: #1a365d;">Sign in to ${WEBSITE_NAME}</h2>
+                <p>Click the link below to sign in. No password is needed.</p>
+                <p><a href="${url}" style="color: #2c5282;">Sign in</a></p>
+                <p style="color: #718096; font-size: 12px;">
+                    This link can be used once and expires at ${new Date(expiresAt).toUTCString()}.
+                    If you didn't ask to sign in, you can ignore this email.
+                </p>
+            </div>
+        `
+    };
+
+    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+        await transporter.sendMail(mailOptions);
+    } else {
+        console.log(`\n📧 [DEV MODE] Sign-in link for ${email}: ${url}\n`);
+    }
+};
+
+module.exports = {
+    sendOTPEmail,
+    sendWelcomeEmail,
+    sendAdminRegistrationEmail,
+    sendAccountLockedEmail,
+    sendRecoveryCodeUsedEmail,
+    sendSignInMethodAddedEmail,
+    sendInvitationEmail,
+    sendNewDeviceEmail,
+    sendMagicLinkEmail,
+    ADMIN_EMAIL
+};
@@ -0,0 +1,132 @@
+/**
+ * ============================================================
+ * MFA CHALLENGE TOKENS
+ * Implements: Signed, single-use, short-lived tokens that bind
+ * the password step of a login to its second-factor step
+ * ============================================================
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { MfaChallenge } = require('../models');
+require('dotenv').config();
+
+const CHALLENGE_TTL_SECONDS = 10 * 60; // 10 minutes
+const CHALLENGE_TYPE = 'mfa_challenge';
+
+/**
+ * Coarse client fingerprint (user agent + language), hashed.
+ * The IP is deliberately left out so a network change mid-login does not
+ * invalidate the challenge.
+ * @param {object} req - Express request
+ * @returns {string} - SHA-256 hex digest
+ */
+const getClientFingerprint = (req) => {
+    const parts = [
+        req.get('user-agent') || '',
+        req.get('accept-language') || ''
+    ];
+    return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+};
+
+/**
+ * Issue a challenge token after the first factor has been checked
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @param {object} options - { passwordVerified }
+ * @returns {Promise<object>} - { token, expiresAt }
+ */
+const createChallenge = async (user, req, { passwordVerified = true } = {}) => {
+    const jti = crypto.randomBytes(24).toString('hex');
+    const fingerprint = getClientFingerprint(req);
+    const expiresAt = new Date(Date.now() + CHALLENGE_TTL_SECONDS * 1000);
+
+    await MfaChallenge.create({
+        jti,
+        userId: user._id,
+        passwordVerified,
+        fingerprint,
+        ipAddress: req.ip,
+        expiresAt
+    });
+
+    const token = jwt.sign(
+        {
+            typ: CHALLENGE_TYPE,
+            pwd: passwordVerified,
+            fp: fingerprint
+        },
+        process.env.JWT_SECRET,
+        {
+            subject: String(user._id),
+            jwtid: jti,
+            expiresIn: CHALLENGE_TTL_SECONDS
+        }
+    );
+
+    return { token, expiresAt };
+};
+
+/**
+ * Validate a challenge token without consuming it
+ * @param {string} token - Challenge token from the client
+ * @param {object} req - Express request
+ * @returns {Promise<object>} - { valid, userId, jti, message }
+ */
+const verifyChallenge = async (token, req) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token || '', process.env.JWT_SECRET);
+    } catch (error) {
+        return {
+            valid: false,
+            message: error.name === 'TokenExpiredError'
+                ? 'Login session expired. Please sign in again.'
+                : 'Invalid login session. Please sign in again.'
+        };
+    }
+
+    if (decoded.typ !== CHALLENGE_TYPE || !decoded.jti || !decoded.sub) {
+        return { valid: false, message: 'Invalid login session. Please sign in again.' };
+    }
+
+    const fingerprint = getClientFingerprint(req);
+    if (decoded.fp !== fingerprint) {
+        return { valid: false, message: 'Login session does not match this device. Please sign in again.' };
+    }
+
+    const challenge = await MfaChallenge.findOne({ jti: decoded.jti });
+    if (!challenge || challenge.consumedAt || challenge.expiresAt <= new Date()) {
+        return { valid: false, message: 'Login session expired. Please sign in again.' };
+    }
+
+    if (String(challenge.userId) !== decoded.sub || challenge.fingerprint !== fingerprint) {
+        return { valid: false, message: 'Invalid login session. Please sign in again.' };
+    }
+
+    if (!decoded.pwd || !challenge.passwordVerified) {
+        return { valid: false, message: 'Password verification required. Please sign in again.' };
+    }
+
+    return { valid: true, userId: challenge.userId, jti: challenge.jti };
+};
+
+/**
+ * Mark a challenge as used. Returns false if another request already used it.
+ * @param {string} jti - Challenge ID
+ * @returns {Promise<boolean>}
+ */
+const consumeChallenge = async (jti) => {
+    const consumed = await MfaChallenge.findOneAndUpdate(
+        { jti, consumedAt: null },
+        { consumedAt: new Date() }
+    );
+    return Boolean(consumed);
+};
+
+module.exports = {
+    createChallenge,
+    verifyChallenge,
+    consumeChallenge,
+    getClientFingerprint
+};
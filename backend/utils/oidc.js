@@ -0,0 +1,278 @@
+/**
+ * ============================================================
+ * OPENID CONNECT
+ * Implements: Provider discovery, authorization code flow with
+ * PKCE, and ID token validation (signature via the provider's
+ * JWKS, issuer, audience, expiry and nonce)
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { OidcAuthRequest } = require('../models');
+const providers = require('../config/oidcProviders');
+require('dotenv').config();
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const REDIRECT_URI = process.env.OIDC_REDIRECT_URI || `${FRONTEND_URL}/auth/oidc/callback`;
+
+const AUTH_REQUEST_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const DISCOVERY_TTL_MS = 60 * 60 * 1000; // 1 hour
+const JWKS_REFRESH_MIN_MS = 60 * 1000; // Unknown kid refetch at most once a minute
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+// Asymmetric algorithms only - "none" and HS* are never accepted
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const getProvider = (id) => providers.find((provider) => provider.id === id) || null;
+
+/**
+ * Providers safe to show to clients
+ */
+const listProviders = () => providers.map(({ id, name }) => ({ id, name }));
+
+const fetchJson = async (url, options) => {
+    const response = await fetch(url, options);
+    const body = await response.json().catch(() => null);
+    if (!response.ok || !body) {
+        throw new Error(`${url} responded ${response.status}${body?.error ? ` (${body.error})` : ''}`);
+    }
+    return body;
+};
+
+/**
+ * Provider metadata from /.well-known/openid-configuration
+ */
+const discover = async (provider) => {
+    const cached = discoveryCache.get(provider.issuer);
+    if (cached && Date.now() - cached.fetchedAt < DISCOVERY_TTL_MS) {
+        return cached.metadata;
+    }
+
+    const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+    if (String(metadata.issuer).replace(/\/+$/, '') !== provider.issuer) {
+        throw new Error(`Discovery issuer mismatch for ${provider.id}`);
+    }
+
+    discoveryCache.set(provider.issuer, { metadata, fetchedAt: Date.now() });
+    return metadata;
+};
+
+/**
+ * Public key for a token's kid, refetching the key set on rotation
+ */
+const getSigningKey = async (metadata, header) => {
+    const findKey = (keys) => keys.find((key) =>
+        (header.kid ? key.kid === header.kid : true) && (!key.use || key.use === 'sig')
+    );
+
+    let cached = jwksCache.get(metadata.jwks_uri);
+    let jwk = cached && findKey(cached.keys);
+
+    if (!jwk && (!cached || Date.now() - cached.fetchedAt > JWKS_REFRESH_MIN_MS)) {
+        const { keys = [] } = await fetchJson(metadata.jwks_uri);
+        cached = { keys, fetchedAt: Date.now() };
+        jwksCache.set(metadata.jwks_uri, cached);
+        jwk = findKey(keys);
+    }
+
+    if (!jwk) {
+        throw new Error('No matching signing key for ID token');
+    }
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Start a sign-in: persist state, nonce and PKCE verifier, return the IdP URL
+ * @param {object} provider - Provider config
+ * @param {object} options - { linkUserId } when a signed-in user links this provider
+ * @returns {Promise<string>} - Authorization URL to redirect the browser to
+ */
+const createAuthorizationUrl = async (provider, { linkUserId } = {}) => {
+    const metadata = await discover(provider);
+
+    const state = base64url(crypto.randomBytes(32));
+    const nonce = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    await OidcAuthRequest.create({
+        state,
+        provider: provider.id,
+        nonce,
+        codeVerifier,
+        linkUserId,
+        expiresAt: new Date(Date.now() + AUTH_REQUEST_TTL_MS)
+    });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: provider.clientId,
+        redirect_uri: REDIRECT_URI,
+        scope: provider.scopes.join(' '),
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256'
+    }).toString();
+
+    return url.toString();
+};
+
+/**
+ * Exchange the authorization code at the token endpoint
+ */
+const exchangeCode = async (provider, metadata, code, codeVerifier) => {
+    const params = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: REDIRECT_URI,
+        code_verifier: codeVerifier,
+        client_id: provider.clientId
+    });
+    const headers = {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json'
+    };
+
+    if (provider.clientSecret) {
+        const methods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+        if (methods.includes('client_secret_post')) {
+            params.set('client_secret', provider.clientSecret);
+        } else {
+            const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+            headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+        }
+    }
+
+    return fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params });
+};
+
+/**
+ * Validate an ID token against the provider and the expected nonce
+ */
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !SUPPORTED_ALGORITHMS.includes(decoded.header.alg)) {
+        throw new Error('Unsupported ID token');
+    }
+
+    const key = await getSigningKey(metadata, decoded.header);
+
+    try {
+        return jwt.verify(idToken, key, {
+            algorithms: SUPPORTED_ALGORITHMS,
+            issuer: metadata.issuer,
+            audience: provider.clientId,
+            nonce,
+            clockTolerance: CLOCK_TOLERANCE_SECONDS
+        });
+    } catch (error) {
+        throw new Error(`ID token rejected: ${error.message}`);
+    }
+};
+
+/**
+ * Read a claim by name, allowing dotted paths for nested claims
+ */
+const readClaim = (claims, name) => {
+    if (!name) return undefined;
+    return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
+};
+
+/**
+ * Map provider claims to local profile fields
+ * @returns {object} - { subject, email, fullName, role }
+ */
+const mapClaims = (provider, claims) => {
+    const email = readClaim(claims, provider.claims.email);
+    if (!email || claims.email_verified === false) {
+        throw new Error('Identity provider did not return a verified email address');
+    }
+
+    // Only roles the operator mapped explicitly are honoured
+    const roleValues = [].concat(readClaim(claims, provider.claims.role) || []);
+    const mappedRole = roleValues
+        .map((value) => provider.roleMapping[value])
+        .find(Boolean);
+
+    return {
+        subject: String(claims.sub),
+        email: String(email).toLowerCase(),
+        fullName: readClaim(claims, provider.claims.fullName) || null,
+        role: mappedRole || provider.defaultRole
+    };
+};
+
+/**
+ * Consume the stored request, redeem the code and validate the result
+ */
+const runCodeFlow = async (state, code) => {
+    // Single use: the request is deleted as it is read
+    const authRequest = await OidcAuthRequest.findOneAndDelete({
+        state: String(state || ''),
+        expiresAt: { $gt: new Date() }
+    });
+    if (!authRequest) {
+        throw new Error('Sign-in request expired or was already used');
+    }
+
+    const provider = getProvider(authRequest.provider);
+    if (!provider) {
+        throw new Error('Identity provider is no longer configured');
+    }
+
+    const metadata = await discover(provider);
+    const tokens = await exchangeCode(provider, metadata, code, authRequest.codeVerifier);
+    if (!tokens.id_token) {
+        throw new Error('Token response did not include an ID token');
+    }
+
+    let claims = await verifyIdToken(provider, metadata, tokens.id_token, authRequest.nonce);
+
+    // Some providers only release profile claims from the userinfo endpoint
+    if (metadata.userinfo_endpoint && tokens.access_token && !readClaim(claims, provider.claims.email)) {
+        const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+            headers: { Authorization: `Bearer ${tokens.access_token}` }
+        });
+        if (userinfo.sub !== claims.sub) {
+            throw new Error('Userinfo subject does not match ID token');
+        }
+        claims = { ...userinfo, ...claims };
+    }
+
+    return {
+        provider,
+        profile: mapClaims(provider, claims),
+        linkUserId: authRequest.linkUserId || null
+    };
+};
+
+/**
+ * Finish a sign-in from the redirect back to the application
+ * @param {string} state - State returned by the provider
+ * @param {string} code - Authorization code returned by the provider
+ * @returns {Promise<object>} - { valid, provider, profile, linkUserId, message }
+ */
+const completeAuthorization = async (state, code) => {
+    try {
+        return { valid: true, ...(await runCodeFlow(state, code)) };
+    } catch (error) {
+        // Details stay in the server log; clients get one generic answer
+        console.error('OIDC sign-in rejected:', error.message);
+        return { valid: false, message: 'Sign-in with your identity provider failed. Please try again.' };
+    }
+};
+
+module.exports = {
+    listProviders,
+    getProvider,
+    createAuthorizationUrl,
+    completeAuthorization
+};
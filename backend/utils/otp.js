@@ -0,0 +1,155 @@
+/**
+ * ============================================================
+ * ONE-TIME PASSWORD STORE
+ * Implements: OTP generation, hashed storage (MongoDB + TTL),
+ * attempt limiting and resend cooldowns
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const { Otp } = require('../models');
+const { readSecret } = require('../config/secrets');
+require('dotenv').config();
+
+const OTP_SECRET = readSecret(['OTP_SECRET', 'JWT_SECRET'], 'default_otp_secret_change_me');
+
+const OTP_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const OTP_MAX_ATTEMPTS = 3;
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute
+
+/**
+ * Generate 6-digit OTP
+ * @returns {string} - Numeric code
+ */
+const generateOTP = () => {
+    return crypto.randomInt(100000, 1000000).toString();
+};
+
+/**
+ * Build the per-purpose storage key
+ * @param {string} email - Recipient address
+ * @param {string} purpose - login | registration | password_reset | identity_link | step_up
+ * @returns {string} - Storage key
+ */
+const buildKey = (email, purpose) => {
+    return `${purpose}:${String(email || '').toLowerCase().trim()}`;
+};
+
+/**
+ * Hash an OTP with HMAC-SHA512 (keyed, so short codes cannot be
+ * brute-forced offline from a database dump)
+ */
+const hashOTP = (key, otp) => {
+    return crypto.createHmac('sha512', OTP_SECRET).update(`${key}:${otp}`).digest('hex');
+};
+
+const safeEqualHex = (a, b) => {
+    const bufA = Buffer.from(a, 'hex');
+    const bufB = Buffer.from(b, 'hex');
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Store OTP with expiration, replacing any previous code for the same purpose.
+ * A new code is refused while the previous one is still inside its resend cooldown.
+ * @param {string} email - Recipient address
+ * @param {string} otp - Plain code (only its hash is persisted)
+ * @param {string} purpose - login | registration | password_reset | identity_link | step_up
+ * @returns {Promise<object>} - { stored, retryAfter }
+ */
+const storeOTP = async (email, otp, purpose) => {
+    const key = buildKey(email, purpose);
+    const now = Date.now();
+
+    try {
+        // Only replace a code that has expired or is past its cooldown. If a
+        // fresh code exists the filter misses, the upsert collides on the
+        // unique key and we report the cooldown instead.
+        await Otp.findOneAndUpdate(
+            {
+                key,
+                $or: [
+                    { lastSentAt: { $lte: new Date(now - OTP_RESEND_COOLDOWN_MS) } },
+                    { expiresAt: { $lte: new Date(now) } }
+                ]
+            },
+            {
+                email,
+                purpose,
+                codeHash: hashOTP(key, otp),
+                attempts: 0,
+                lastSentAt: new Date(now),
+                expiresAt: new Date(now + OTP_TTL_MS)
+            },
+            { upsert: true, setDefaultsOnInsert: true }
+        );
+        return { stored: true };
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+        const existing = await Otp.findOne({ key }).select('lastSentAt');
+        const elapsed = existing ? now - existing.lastSentAt.getTime() : OTP_RESEND_COOLDOWN_MS;
+        return {
+            stored: false,
+            retryAfter: Math.max(1, Math.ceil((OTP_RESEND_COOLDOWN_MS - elapsed) / 1000))
+        };
+    }
+};
+
+/**
+ * Verify OTP and consume it on success
+ * @param {string} email - Address the code was sent to
+ * @param {string} otp - Code entered by the user
+ * @param {string} purpose - login | registration | password_reset | identity_link | step_up
+ * @returns {Promise<object>} - { valid, reason, message }
+ */
+const verifyOTP = async (email, otp, purpose) => {
+    const key = buildKey(email, purpose);
+
+    // Count the attempt before comparing so parallel guesses cannot exceed the limit
+    const stored = await Otp.findOneAndUpdate(
+        { key, expiresAt: { $gt: new Date() }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+        { $inc: { attempts: 1 } },
+        { new: true }
+    );
+
+    if (!stored) {
+        const existing = await Otp.findOneAndDelete({ key });
+        if (!existing) {
+            return { valid: false, reason: 'not_found', message: 'OTP expired or not found' };
+        }
+        if (existing.expiresAt <= new Date()) {
+            return { valid: false, reason: 'expired', message: 'OTP expired' };
+        }
+        return { valid: false, reason: 'too_many_attempts', message: 'Too many attempts' };
+    }
+
+    if (!safeEqualHex(hashOTP(key, String(otp || '')), stored.codeHash)) {
+        return { valid: false, reason: 'invalid', message: 'Invalid OTP' };
+    }
+
+    // Single use: only the request that deletes the record wins
+    const consumed = await Otp.findOneAndDelete({ _id: stored._id, codeHash: stored.codeHash });
+    if (!consumed) {
+        return { valid: false, reason: 'not_found', message: 'OTP expired or not found' };
+    }
+
+    return { valid: true };
+};
+
+/**
+ * Remove any pending OTP for the given purpose
+ */
+const clearOTP = async (email, purpose) => {
+    await Otp.deleteOne({ key: buildKey(email, purpose) });
+};
+
+module.exports = {
+    generateOTP,
+    storeOTP,
+    verifyOTP,
+    clearOTP,
+    OTP_TTL_MS,
+    OTP_RESEND_COOLDOWN_MS
+};
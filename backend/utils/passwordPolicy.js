@@ -0,0 +1,194 @@
+/**
+ * ============================================================
+ * PASSWORD POLICY
+ * Implements: One configurable password policy for registration,
+ * admin-created users and password resets - length and character
+ * classes, compromised-password list, history and maximum age
+ * ============================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+require('dotenv').config();
+
+const envFlag = (name, fallback) => {
+    const value = process.env[name];
+    return value === undefined ? fallback : value === 'true';
+};
+
+const POLICY = {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+    maxLength: 128,
+    requireUppercase: envFlag('PASSWORD_REQUIRE_UPPERCASE', true),
+    requireLowercase: envFlag('PASSWORD_REQUIRE_LOWERCASE', true),
+    requireDigit: envFlag('PASSWORD_REQUIRE_DIGIT', true),
+    requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', true),
+    // Number of previous passwords that may not be reused
+    historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT, 10) || 5,
+    // 0 disables expiry
+    maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS, 10) || 0,
+    maxAgeRoles: (process.env.PASSWORD_MAX_AGE_ROLES || 'officer,admin')
+        .split(',')
+        .map((role) => role.trim())
+        .filter(Boolean)
+};
+
+const BCRYPT_ROUNDS = 12;
+
+const BLOCKLIST_FILE = process.env.PASSWORD_BLOCKLIST_FILE
+    || path.join(__dirname, '../data/common-passwords.txt');
+
+/**
+ * Load the compromised-password list once at startup
+ */
+const loadBlocklist = () => {
+    try {
+        return new Set(
+            fs.readFileSync(BLOCKLIST_FILE, 'utf8')
+                .split(/\r?\n/)
+                .map((line) => line.trim().toLowerCase())
+                .filter((line) => line && !line.startsWith('#'))
+        );
+    } catch (error) {
+        console.error(`⚠️ Password blocklist not loaded (${BLOCKLIST_FILE}):`, error.message);
+        return new Set();
+    }
+};
+
+const BLOCKLIST = loadBlocklist();
+
+/**
+ * "Summer2024!" and "summer" are the same guess to an attacker -
+ * also test the word with trailing digits/symbols stripped
+ */
+const isCommonPassword = (password) => {
+    const lowered = password.toLowerCase();
+    const base = lowered.replace(/[^a-z]+$/, '');
+    return BLOCKLIST.has(lowered) || (base.length >= 4 && BLOCKLIST.has(base));
+};
+
+/**
+ * Check a candidate password against the policy
+ * @param {string} password - Candidate password
+ * @param {object} context - { email } to reject passwords built from the address
+ * @returns {string[]} - Human-readable problems, empty if acceptable
+ */
+const checkPassword = (password, { email } = {}) => {
+    const problems = [];
+    const value = String(password || '');
+
+    if (value.length < POLICY.minLength) {
+        problems.push(`Password must be at least ${POLICY.minLength} characters`);
+    }
+    if (value.length > POLICY.maxLength) {
+        problems.push(`Password must be at most ${POLICY.maxLength} characters`);
+    }
+    if (POLICY.requireUppercase && !/[A-Z]/.test(value)) {
+        problems.push('Password must contain an uppercase letter');
+    }
+    if (POLICY.requireLowercase && !/[a-z]/.test(value)) {
+        problems.push('Password must contain a lowercase letter');
+    }
+    if (POLICY.requireDigit && !/\d/.test(value)) {
+        problems.push('Password must contain a number');
+    }
+    if (POLICY.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+        problems.push('Password must contain a special character');
+    }
+    if (isCommonPassword(value)) {
+        problems.push('This password is too common or has appeared in a data breach');
+    }
+
+    const localPart = String(email || '').split('@')[0].toLowerCase();
+    if (localPart.length >= 4 && value.toLowerCase().includes(localPart)) {
+        problems.push('Password must not contain your email address');
+    }
+
+    return problems;
+};
+
+/**
+ * express-validator custom validator: body('password').custom(passwordPolicyValidator)
+ */
+const passwordPolicyValidator = (value, { req }) => {
+    const problems = checkPassword(value, { email: req.body.email });
+    if (problems.length > 0) {
+        throw new Error(problems[0]);
+    }
+    return true;
+};
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+/**
+ * Was this password used recently? Needs `password` and `passwordHistory` loaded.
+ * @returns {Promise<boolean>}
+ */
+const isPasswordReused = async (user, password) => {
+    const hashes = [user.password, ...(user.passwordHistory || [])]
+        .filter(Boolean)
+        .slice(0, POLICY.historyCount);
+
+    for (const hash of hashes) {
+        if (await bcrypt.compare(password, hash)) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Set a new password, keeping the previous hash in the history.
+ * Caller saves the document.
+ */
+const applyNewPassword = async (user, password) => {
+    const history = [user.password, ...(user.passwordHistory || [])].filter(Boolean);
+
+    user.password = await hashPassword(password);
+    user.passwordHistory = history.slice(0, Math.max(POLICY.historyCount - 1, 0));
+    user.passwordChangedAt = new Date();
+    user.hasPassword = true;
+};
+
+/**
+ * Has the password outlived the maximum age for the user's role?
+ * @param {object} user - User document
+ * @param {string} [baseRole] - Built-in role a custom role is based on
+ */
+const isPasswordExpired = (user, baseRole) => {
+    const limitedRole = POLICY.maxAgeRoles.includes(user.role) || POLICY.maxAgeRoles.includes(baseRole);
+    if (!POLICY.maxAgeDays || !limitedRole) {
+        return false;
+    }
+    const changedAt = user.passwordChangedAt || user.createdAt;
+    if (!changedAt) {
+        return false;
+    }
+    return Date.now() - new Date(changedAt).getTime() > POLICY.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Policy summary safe to show to clients
+ */
+const getPasswordPolicy = () => ({
+    minLength: POLICY.minLength,
+    maxLength: POLICY.maxLength,
+    requireUppercase: POLICY.requireUppercase,
+    requireLowercase: POLICY.requireLowercase,
+    requireDigit: POLICY.requireDigit,
+    requireSymbol: POLICY.requireSymbol,
+    historyCount: POLICY.historyCount,
+    maxAgeDays: POLICY.maxAgeDays,
+    maxAgeRoles: POLICY.maxAgeDays ? POLICY.maxAgeRoles : []
+});
+
+module.exports = {
+    checkPassword,
+    passwordPolicyValidator,
+    hashPassword,
+    isPasswordReused,
+    applyNewPassword,
+    isPasswordExpired,
+    getPasswordPolicy
+};
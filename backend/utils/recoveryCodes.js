@@ -0,0 +1,139 @@
+/**
+ * ============================================================
+ * MFA RECOVERY CODES
+ * Implements: One-time backup codes that stand in for the
+ * second factor when the email inbox, authenticator app or
+ * passkey is lost. Only keyed hashes are stored.
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const { User, AuditLog } = require('../models');
+const { sendRecoveryCodeUsedEmail } = require('./mailer');
+const { readSecret } = require('../config/secrets');
+require('dotenv').config();
+
+const RECOVERY_SECRET = readSecret(['OTP_SECRET', 'JWT_SECRET'], 'default_otp_secret_change_me');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Unambiguous alphabet (no 0/o, 1/l/i)
+const ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+/**
+ * Normalize user input: case-insensitive, spaces and dashes ignored
+ */
+const normalizeCode = (code) => {
+    return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+};
+
+const hashCode = (userId, code) => {
+    return crypto.createHmac('sha512', RECOVERY_SECRET)
+        .update(`${userId}:${normalizeCode(code)}`)
+        .digest('hex');
+};
+
+/**
+ * One code formatted as xxxxx-xxxxx (~49 bits)
+ */
+const generateCode = () => {
+    let code = '';
+    for (let i = 0; i < 10; i++) {
+        code += ALPHABET[crypto.randomInt(ALPHABET.length)];
+    }
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+/**
+ * Replace the user's recovery codes with a fresh set
+ * @param {object} user - User document
+ * @returns {Promise<string[]>} - Plain codes, shown to the user once
+ */
+const issueRecoveryCodes = async (user) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateCode);
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            mfaRecoveryCodes: codes.map((code) => ({ hash: hashCode(user._id, code) })),
+            mfaRecoveryCodesGeneratedAt: new Date()
+        }
+    );
+
+    return codes;
+};
+
+/**
+ * Number of unused codes
+ * @returns {Promise<number>}
+ */
+const countRemainingCodes = async (userId) => {
+    const user = await User.findById(userId).select('+mfaRecoveryCodes');
+    return (user?.mfaRecoveryCodes || []).filter((entry) => !entry.usedAt).length;
+};
+
+/**
+ * Issue codes only if the user has never had any (first MFA enrollment)
+ * @returns {Promise<string[]|null>} - New codes, or null if a set already exists
+ */
+const ensureRecoveryCodes = async (user) => {
+    const current = await User.findById(user._id).select('mfaRecoveryCodesGeneratedAt');
+    if (current?.mfaRecoveryCodesGeneratedAt) {
+        return null;
+    }
+    return issueRecoveryCodes(user);
+};
+
+/**
+ * Redeem a code in place of the second factor. Each code works once;
+ * every use is audited and the user is notified by email.
+ * @param {object} user - User document
+ * @param {string} code - Code entered by the user
+ * @param {object} req - Express request
+ * @returns {Promise<boolean>}
+ */
+const redeemRecoveryCode = async (user, code, req) => {
+    if (normalizeCode(code).length !== 10) {
+        return false;
+    }
+
+    const hash = hashCode(user._id, code);
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id, mfaRecoveryCodes: { $elemMatch: { hash, usedAt: null } } },
+        { $set: { 'mfaRecoveryCodes.$.usedAt': new Date() } },
+        { new: true }
+    ).select('+mfaRecoveryCodes');
+
+    if (!updated) {
+        return false;
+    }
+
+    const remaining = updated.mfaRecoveryCodes.filter((entry) => !entry.usedAt).length;
+
+    try {
+        await AuditLog.create({
+            userId: user._id,
+            action: 'MFA Recovery Code Used',
+            resource: '/api/auth',
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            status: 'success',
+            details: { remaining }
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+
+    sendRecoveryCodeUsedEmail(user.email, remaining, req.ip)
+        .catch((error) => console.error('Recovery code email failed:', error.message));
+
+    return true;
+};
+
+module.exports = {
+    issueRecoveryCodes,
+    ensureRecoveryCodes,
+    countRemainingCodes,
+    redeemRecoveryCode,
+    RECOVERY_CODE_COUNT
+};
@@ -0,0 +1,231 @@
+/**
+ * ============================================================
+ * ROLES & PERMISSIONS STORE
+ * Implements: Database-backed RBAC matrix with an in-process
+ * cache, invalidated on every change, custom roles built on a
+ * base role, and audited edits
+ * ============================================================
+ */
+
+const { Role, User, AuditLog } = require('../models');
+const { DEFAULT_ROLES } = require('../config/permissions');
+require('dotenv').config();
+
+// Changes made through this process invalidate immediately; the TTL bounds
+// how long other instances keep serving a stale matrix
+const ROLE_CACHE_TTL_MS = (parseInt(process.env.ROLE_CACHE_SECONDS, 10) || 60) * 1000;
+
+// { roles: Map<name, { baseRole, permissions: Set<"resource:action"> }>, expiresAt }
+let cache = null;
+let loading = null;
+
+const loadRoles = async () => {
+    const roles = await Role.find().select('name baseRole permissions').lean();
+    return {
+        roles: new Map(roles.map((role) => [
+            role.name,
+            { baseRole: role.baseRole, permissions: new Set(role.permissions) }
+        ])),
+        expiresAt: Date.now() + ROLE_CACHE_TTL_MS
+    };
+};
+
+const getCachedRoles = async () => {
+    if (cache && cache.expiresAt > Date.now()) {
+        return cache.roles;
+    }
+    // Concurrent requests share one query
+    if (!loading) {
+        loading = loadRoles()
+            .then((loaded) => {
+                cache = loaded;
+                return loaded;
+            })
+            .finally(() => {
+                loading = null;
+            });
+    }
+    return (await loading).roles;
+};
+
+/**
+ * Drop the cached matrix so the next check reads the database
+ */
+const invalidateRoleCache = () => {
+    cache = null;
+};
+
+/**
+ * Granted "resource:action" pairs of a role (empty for unknown roles)
+ * @param {string} roleName - Role name
+ * @returns {Promise<Set<string>>}
+ */
+const getRolePermissions = async (roleName) => {
+    const roles = await getCachedRoles();
+    return roles.get(roleName)?.permissions || new Set();
+};
+
+/**
+ * Built-in role a role behaves as (itself for student, officer and admin)
+ * @param {string} roleName - Role name
+ * @returns {Promise<string|null>} - null for unknown roles
+ */
+const getBaseRole = async (roleName) => {
+    const roles = await getCachedRoles();
+    return roles.get(roleName)?.baseRole || null;
+};
+
+/**
+ * Whether a role grants an action on a resource
+ * @param {string} roleName - Role name
+ * @param {string} resource - Resource name, e.g. manage_applications
+ * @param {string} action - create | read | update | delete
+ * @returns {Promise<boolean>}
+ */
+const hasPermission = async (roleName, resource, action) => {
+    const permissions = await getRolePermissions(roleName);
+    return permissions.has(`${resource}:${action}`);
+};
+
+/**
+ * Whether a user can be given this role (service accounts are not a role)
+ * @param {string} roleName - Role name
+ * @returns {Promise<boolean>}
+ */
+const isAssignableRole = async (roleName) => {
+    return Boolean(await getBaseRole(roleName));
+};
+
+/**
+ * Create the default roles that are not in the database yet
+ * @returns {Promise<string[]>} - Names of the roles created
+ */
+const seedDefaultRoles = async () => {
+    const seeded = [];
+    for (const role of DEFAULT_ROLES) {
+        const result = await Role.updateOne(
+            { name: role.name },
+            { $setOnInsert: { ...role, isSystem: true } },
+            { upsert: true }
+        );
+        if (result.upsertedCount) {
+            seeded.push(role.name);
+        }
+        // Built-in roles stored before base roles existed
+        await Role.updateOne({ name: role.name, baseRole: { $exists: false } }, { baseRole: role.baseRole });
+    }
+    invalidateRoleCache();
+    return seeded;
+};
+
+const auditRoleChange = async (req, action, role, details) => {
+    try {
+        await AuditLog.create({
+            userId: req.user.id,
+            impersonatorId: req.user.impersonatorId,
+            action,
+            resource: '/api/roles',
+            resourceId: role.name,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            status: 'success',
+            details: { role: role.name, ...details }
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+};
+
+/**
+ * Create a custom role
+ * @param {object} fields - { name, description, baseRole, permissions }
+ * @param {object} req - Express request (acting admin)
+ * @returns {Promise<object>} - Created role
+ */
+const createRole = async ({ name, description, baseRole, permissions = [] }, req) => {
+    const role = await Role.create({
+        name,
+        description,
+        baseRole,
+        permissions: [...new Set(permissions)].sort(),
+        updatedBy: req.user.id
+    });
+    invalidateRoleCache();
+
+    await auditRoleChange(req, 'Role Created', role, {
+        baseRole,
+        before: [],
+        after: role.permissions
+    });
+
+    return role;
+};
+
+/**
+ * Delete a custom role that no user holds
+ * @param {object} role - Role document
+ * @param {object} req - Express request (acting admin)
+ * @returns {Promise<object>} - { deleted, message }
+ */
+const deleteRole = async (role, req) => {
+    if (role.isSystem) {
+        return { deleted: false, message: 'Built-in roles cannot be deleted' };
+    }
+
+    const holders = await User.countDocuments({ role: role.name });
+    if (holders > 0) {
+        return {
+            deleted: false,
+            message: `${holders} user(s) still have the ${role.name} role. Assign them another role first.`
+        };
+    }
+
+    await role.deleteOne();
+    invalidateRoleCache();
+
+    await auditRoleChange(req, 'Role Deleted', role, {
+        baseRole: role.baseRole,
+        before: role.permissions,
+        after: []
+    });
+
+    return { deleted: true };
+};
+
+/**
+ * Replace a role's grants and record the before/after values
+ * @param {object} role - Role document
+ * @param {string[]} permissions - New "resource:action" grants
+ * @param {object} req - Express request (acting admin)
+ * @returns {Promise<object>} - Updated role
+ */
+const updateRolePermissions = async (role, permissions, req) => {
+    const before = [...role.permissions].sort();
+    const after = [...new Set(permissions)].sort();
+
+    role.permissions = after;
+    role.updatedBy = req.user.id;
+    await role.save();
+    invalidateRoleCache();
+
+    await auditRoleChange(req, 'Role Permissions Updated', role, {
+        before,
+        after,
+        added: after.filter((grant) => !before.includes(grant)),
+        removed: before.filter((grant) => !after.includes(grant))
+    });
+
+    return role;
+};
+
+module.exports = {
+    getRolePermissions,
+    getBaseRole,
+    hasPermission,
+    isAssignableRole,
+    invalidateRoleCache,
+    seedDefaultRoles,
+    createRole,
+    deleteRole,
+    updateRolePermissions
+};
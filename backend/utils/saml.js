@@ -0,0 +1,245 @@
+/**
+ * ============================================================
+ * SAML 2.0 SERVICE PROVIDER
+ * Implements: SP-initiated single sign-on with partner college
+ * IdPs - AuthnRequests tracked server-side, signed assertions
+ * checked for issuer, audience, recipient, validity window and
+ * InResponseTo, and attributes mapped onto local profiles
+ * ============================================================
+ */
+
+const crypto = require('crypto');
+const { SAML } = require('@node-saml/node-saml');
+const { SamlAuthRequest } = require('../models');
+const providers = require('../config/samlProviders');
+require('dotenv').config();
+
+const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:5000';
+const SP_ENTITY_ID = process.env.SAML_SP_ENTITY_ID || `${BACKEND_URL}/api/auth/saml`;
+
+// PEM values from .env may use literal "\n" separators
+const pemFromEnv = (value) => (value ? value.replace(/\\n/g, '\n') : undefined);
+const SP_PRIVATE_KEY = pemFromEnv(process.env.SAML_SP_PRIVATE_KEY);
+const SP_CERT = pemFromEnv(process.env.SAML_SP_CERT);
+
+const AUTH_REQUEST_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const TICKET_TTL_MS = 60 * 1000; // Browser redeems the ticket straight after the redirect
+const CLOCK_SKEW_MS = 60 * 1000;
+
+const TRANSIENT_NAME_ID = 'urn:oasis:names:tc:SAML:2.0:nameid-format:transient';
+const EMAIL_NAME_ID = 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress';
+
+const hashTicket = (ticket) => {
+    return crypto.createHash('sha256').update(String(ticket || '')).digest('hex');
+};
+
+const getProvider = (id) => providers.find((provider) => provider.id === id) || null;
+
+/**
+ * Providers safe to show to clients
+ */
+const listProviders = () => providers.map(({ id, name }) => ({ id, name }));
+
+const acsUrl = (provider) => `${BACKEND_URL}/api/auth/saml/${provider.id}/acs`;
+
+/**
+ * node-saml cache provider backed by SamlAuthRequest, so any instance can
+ * accept the response. Consuming is atomic: each request is answered once,
+ * and the store remembers which request this response consumed.
+ */
+const createRequestStore = (provider) => {
+    const store = {
+        consumedRequestId: null,
+
+        saveAsync: async (requestId, issuedAt) => {
+            await SamlAuthRequest.create({
+                requestId,
+                provider: provider.id,
+                issuedAt,
+                expiresAt: new Date(Date.now() + AUTH_REQUEST_TTL_MS)
+            });
+            return { value: issuedAt, createdAt: Date.now() };
+        },
+
+        getAsync: async (requestId) => {
+            const authRequest = await SamlAuthRequest.findOne({
+                requestId: String(requestId),
+                provider: provider.id,
+                consumedAt: null,
+                expiresAt: { $gt: new Date() }
+            });
+            return authRequest ? authRequest.issuedAt : null;
+        },
+
+        removeAsync: async (requestId) => {
+            if (!requestId) {
+                return null;
+            }
+            const consumed = await SamlAuthRequest.findOneAndUpdate(
+                { requestId: String(requestId), provider: provider.id, consumedAt: null },
+                { consumedAt: new Date() }
+            );
+            if (!consumed) {
+                return null;
+            }
+            store.consumedRequestId = consumed.requestId;
+            return consumed.requestId;
+        }
+    };
+    return store;
+};
+
+const buildClient = (provider, store) => new SAML({
+    entryPoint: provider.entryPoint,
+    issuer: SP_ENTITY_ID,
+    callbackUrl: acsUrl(provider),
+    audience: SP_ENTITY_ID,
+    idpCert: provider.idpCert,
+    idpIssuer: provider.idpIssuer,
+    wantAssertionsSigned: true,
+    wantAuthnResponseSigned: provider.wantResponseSigned,
+    // Unsolicited (IdP-initiated) responses are never accepted
+    validateInResponseTo: 'always',
+    requestIdExpirationPeriodMs: AUTH_REQUEST_TTL_MS,
+    acceptedClockSkewMs: CLOCK_SKEW_MS,
+    cacheProvider: store,
+    identifierFormat: null,
+    disableRequestedAuthnContext: true,
+    signatureAlgorithm: 'sha256',
+    privateKey: SP_PRIVATE_KEY
+});
+
+/**
+ * SP metadata to register with the IdP
+ * @returns {string} - EntityDescriptor XML
+ */
+const getServiceProviderMetadata = (provider) => {
+    return buildClient(provider, createRequestStore(provider))
+        .generateServiceProviderMetadata(null, SP_CERT || null);
+};
+
+/**
+ * Start a sign-in: record the AuthnRequest and return the IdP URL
+ * @returns {Promise<string>} - URL to send the browser to (HTTP-Redirect binding)
+ */
+const createLoginUrl = async (provider) => {
+    return buildClient(provider, createRequestStore(provider)).getAuthorizeUrlAsync('', undefined, {});
+};
+
+/**
+ * Attribute values as an array of strings (IdPs send one or many)
+ */
+const readAttribute = (profile, name) => {
+    if (!name) return [];
+    const value = profile.attributes?.[name] ?? profile[name];
+    return [].concat(value ?? []).map((entry) => (typeof entry === 'object' ? entry._ : entry)).filter(Boolean).map(String);
+};
+
+/**
+ * Map assertion attributes to local profile fields
+ * @returns {object} - { subject, email, fullName, role, roleMapped, officerGroups }
+ */
+const mapAttributes = (provider, profile) => {
+    // A transient NameID changes every sign-in, so it cannot identify the account
+    const subject = provider.attributes.subject
+        ? readAttribute(profile, provider.attributes.subject)[0]
+        : profile.nameIDFormat !== TRANSIENT_NAME_ID && profile.nameID;
+    if (!subject) {
+        throw new Error('Assertion has no persistent subject identifier');
+    }
+
+    const email = readAttribute(profile, provider.attributes.email)[0]
+        || (profile.nameIDFormat === EMAIL_NAME_ID ? profile.nameID : null);
+    if (!email) {
+        throw new Error('Identity provider did not release an email address');
+    }
+
+    // Only roles the operator mapped explicitly are honoured
+    const mappedRole = readAttribute(profile, provider.attributes.role)
+        .map((value) => provider.roleMapping[value])
+        .find(Boolean);
+
+    const officerGroups = readAttribute(profile, provider.attributes.officerGroups)
+        .map((value) => provider.groupMapping[value])
+        .filter(Boolean);
+
+    return {
+        subject: String(subject),
+        email: email.toLowerCase(),
+        fullName: readAttribute(profile, provider.attributes.fullName)[0] || null,
+        role: mappedRole || provider.defaultRole,
+        roleMapped: Boolean(mappedRole),
+        officerGroups: [...new Set(officerGroups)]
+    };
+};
+
+const acceptResponse = async (provider, samlResponse) => {
+    const store = createRequestStore(provider);
+    const { profile } = await buildClient(provider, store).validatePostResponseAsync({
+        SAMLResponse: String(samlResponse || '')
+    });
+
+    if (!profile) {
+        throw new Error('Response did not contain an assertion');
+    }
+    // node-saml checks the Response issuer only for logout messages
+    if (profile.issuer !== provider.idpIssuer) {
+        throw new Error(`Unexpected assertion issuer ${profile.issuer}`);
+    }
+    if (!store.consumedRequestId || store.consumedRequestId !== profile.inResponseTo) {
+        throw new Error('Response does not answer a pending request');
+    }
+
+    const ticket = crypto.randomBytes(32).toString('base64url');
+    await SamlAuthRequest.updateOne(
+        { requestId: store.consumedRequestId, provider: provider.id },
+        {
+            ticketHash: hashTicket(ticket),
+            profile: mapAttributes(provider, profile),
+            expiresAt: new Date(Date.now() + TICKET_TTL_MS)
+        }
+    );
+
+    return ticket;
+};
+
+/**
+ * Validate a response posted to the ACS
+ * @param {object} provider - Provider config
+ * @param {string} samlResponse - Base64 SAMLResponse form field
+ * @returns {Promise<object>} - { valid, ticket, message }
+ */
+const completeAssertion = async (provider, samlResponse) => {
+    try {
+        return { valid: true, ticket: await acceptResponse(provider, samlResponse) };
+    } catch (error) {
+        // Details stay in the server log; clients get one generic answer
+        console.error('SAML sign-in rejected:', error.message);
+        return { valid: false, message: 'Sign-in with your institution failed. Please try again.' };
+    }
+};
+
+/**
+ * Trade a one-time ticket from the ACS redirect for the accepted profile
+ * @returns {Promise<object|null>} - { provider, profile }
+ */
+const redeemTicket = async (ticket) => {
+    const authRequest = await SamlAuthRequest.findOneAndDelete({
+        ticketHash: hashTicket(ticket),
+        expiresAt: { $gt: new Date() }
+    });
+    const provider = authRequest && getProvider(authRequest.provider);
+    if (!provider) {
+        return null;
+    }
+    return { provider, profile: authRequest.profile.toObject() };
+};
+
+module.exports = {
+    listProviders,
+    getProvider,
+    getServiceProviderMetadata,
+    createLoginUrl,
+    completeAssertion,
+    redeemTicket
+};
@@ -0,0 +1,250 @@
+/**
+ * ============================================================
+ * SESSION MANAGEMENT
+ * Implements: Server-side sessions, short-lived access tokens,
+ * rotating refresh tokens with reuse detection and revocation
+ * ============================================================
+ */
+
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Session, User } = require('../models');
+const { recordLogin } = require('./loginHistory');
+const { readSecret } = require('../config/secrets');
+require('dotenv').config();
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const SESSION_IDLE_MS = (parseInt(process.env.SESSION_IDLE_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+const SESSION_MAX_AGE_MS = (parseInt(process.env.SESSION_MAX_AGE_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+// How often request activity is written back as "last seen"
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+const REFRESH_SECRET = readSecret(['REFRESH_TOKEN_SECRET', 'JWT_SECRET'], 'default_refresh_secret_change_me');
+
+/**
+ * Keyed hash of a refresh token secret (only the hash is stored)
+ */
+const hashRefreshSecret = (secret) => {
+    return crypto.createHmac('sha256', REFRESH_SECRET).update(secret).digest('hex');
+};
+
+const safeEqualHex = (a, b) => {
+    const bufA = Buffer.from(a, 'hex');
+    const bufB = Buffer.from(b, 'hex');
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Refresh tokens are opaque: "<sessionId>.<random secret>"
+ */
+const buildRefreshToken = (sessionId) => {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return {
+        refreshToken: `${sessionId}.${secret}`,
+        refreshTokenHash: hashRefreshSecret(secret)
+    };
+};
+
+const parseRefreshToken = (refreshToken) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+        return null;
+    }
+    return { sessionId, secret };
+};
+
+/**
+ * Sign a short-lived access token bound to a session
+ */
+const signAccessToken = (user, session) => {
+    return jwt.sign(
+        {
+            userId: user._id,
+            email: user.email,
+            role: user.role,
+            amr: session.amr,
+            sid: String(session._id)
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+};
+
+/**
+ * Start a new session after successful authentication
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @param {string[]} amr - Authentication methods used
+ * @returns {Promise<object>} - { accessToken, refreshToken, session }
+ */
+const createSession = async (user, req, amr = []) => {
+    const now = Date.now();
+    const sessionId = new Session()._id;
+    const { refreshToken, refreshTokenHash } = buildRefreshToken(sessionId);
+
+    const session = await Session.create({
+        _id: sessionId,
+        userId: user._id,
+        refreshTokenHash,
+        amr,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        absoluteExpiresAt: new Date(now + SESSION_MAX_AGE_MS),
+        expiresAt: new Date(now + Math.min(SESSION_IDLE_MS, SESSION_MAX_AGE_MS))
+    });
+
+    await recordLogin(user, req, { success: true, amr, sessionId });
+
+    return {
+        accessToken: signAccessToken(user, session),
+        refreshToken,
+        session
+    };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Presenting an already-rotated refresh token revokes the whole session.
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<object>} - { valid, reason, message, accessToken, refreshToken, user }
+ */
+const rotateSession = async (refreshToken) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        return { valid: false, reason: 'invalid', message: 'Invalid refresh token' };
+    }
+
+    const now = new Date();
+    const session = await Session.findById(parsed.sessionId);
+
+    if (!session || session.revokedAt || session.expiresAt <= now || session.absoluteExpiresAt <= now) {
+        return { valid: false, reason: 'expired', message: 'Session expired. Please login again.' };
+    }
+
+    const presentedHash = hashRefreshSecret(parsed.secret);
+    if (!safeEqualHex(presentedHash, session.refreshTokenHash)) {
+        await revokeSession(session._id, 'refresh_reuse');
+        return { valid: false, reason: 'reuse', message: 'Session revoked. Please login again.' };
+    }
+
+    const next = buildRefreshToken(session._id);
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+        {
+            $set: {
+                refreshTokenHash: next.refreshTokenHash,
+                lastUsedAt: now,
+                expiresAt: new Date(Math.min(now.getTime() + SESSION_IDLE_MS, session.absoluteExpiresAt.getTime()))
+            },
+            $inc: { rotationCount: 1 }
+        },
+        { new: true }
+    );
+
+    // Another request rotated this token first - treat as reuse
+    if (!rotated) {
+        await revokeSession(session._id, 'refresh_reuse');
+        return { valid: false, reason: 'reuse', message: 'Session revoked. Please login again.' };
+    }
+
+    const user = await User.findById(session.userId).select('-password');
+    if (!user || user.isActive === false || !user.isVerified) {
+        await revokeSession(session._id, 'admin_revoked');
+        return { valid: false, reason: 'inactive', message: 'Account is not active' };
+    }
+
+    return {
+        valid: true,
+        accessToken: signAccessToken(user, rotated),
+        refreshToken: next.refreshToken,
+        user
+    };
+};
+
+/**
+ * Look up a live session for an access token
+ * @returns {Promise<object|null>}
+ */
+const getActiveSession = async (sessionId, userId) => {
+    if (!sessionId) {
+        return null;
+    }
+    const now = new Date();
+    return Session.findOne({
+        _id: sessionId,
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: now },
+        absoluteExpiresAt: { $gt: now }
+    });
+};
+
+/**
+ * Record request activity on a session, at most once per minute
+ */
+const touchSession = async (session) => {
+    const now = Date.now();
+    if (session.lastUsedAt && now - session.lastUsedAt.getTime() < LAST_SEEN_RESOLUTION_MS) {
+        return;
+    }
+    await Session.updateOne({ _id: session._id }, { lastUsedAt: new Date(now) });
+};
+
+/**
+ * Live sessions of a user, most recently active first
+ * @returns {Promise<object[]>}
+ */
+const listActiveSessions = async (userId) => {
+    const now = new Date();
+    return Session.find({
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: now },
+        absoluteExpiresAt: { $gt: now }
+    }).sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ * @param {object} options - { userId } to only revoke a session owned by that user
+ * @returns {Promise<boolean>} - False if no live session matched
+ */
+const revokeSession = async (sessionId, reason = 'logout', { userId } = {}) => {
+    if (!mongoose.isValidObjectId(sessionId)) {
+        return false;
+    }
+    const filter = { _id: sessionId, revokedAt: null };
+    if (userId) {
+        filter.userId = userId;
+    }
+    const result = await Session.updateOne(filter, { revokedAt: new Date(), revokedReason: reason });
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every session of a user, optionally keeping one
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeUserSessions = async (userId, reason, { exceptSessionId } = {}) => {
+    const filter = { userId, revokedAt: null };
+    if (exceptSessionId) {
+        filter._id = { $ne: exceptSessionId };
+    }
+    const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+    return result.modifiedCount;
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    getActiveSession,
+    touchSession,
+    listActiveSessions,
+    revokeSession,
+    revokeUserSessions,
+    ACCESS_TOKEN_EXPIRES_IN
+};
@@ -0,0 +1,130 @@
+/**
+ * ============================================================
+ * STEP-UP AUTHENTICATION
+ * Implements: Short-lived session elevation after re-entering
+ * an OTP or passkey, required before staff decrypt applicant
+ * bank details, addresses or uploaded documents, and before anyone
+ * changes their own sign-in methods
+ * ============================================================
+ */
+
+const bcrypt = require('bcryptjs');
+const { Session, AuditLog } = require('../models');
+require('dotenv').config();
+
+const STEP_UP_WINDOW_MS = (parseInt(process.env.STEP_UP_MINUTES, 10) || 5) * 60 * 1000;
+
+/**
+ * Has the current session completed step-up recently enough?
+ * @param {object} req - Express request (after verifyToken)
+ * @returns {boolean}
+ */
+const isElevated = (req) => {
+    const until = req.user?.elevatedUntil;
+    return Boolean(until && new Date(until).getTime() > Date.now());
+};
+
+/**
+ * Open the elevation window on the caller's session
+ * @param {object} req - Express request (after verifyToken)
+ * @param {string} method - totp | otp | webauthn
+ * @returns {Promise<Date>} - End of the elevation window
+ */
+const elevateSession = async (req, method) => {
+    const elevatedUntil = new Date(Date.now() + STEP_UP_WINDOW_MS);
+    await Session.updateOne(
+        { _id: req.user.sessionId, revokedAt: null },
+        { elevatedUntil, elevatedVia: method }
+    );
+    req.user.elevatedUntil = elevatedUntil;
+    return elevatedUntil;
+};
+
+/**
+ * Re-authentication check before changing sign-in methods (MFA, passkeys):
+ * a recent step-up plus the password on accounts that have one
+ * @param {object} req - Express request (body.password when the account has one)
+ * @param {object} user - User document
+ * @returns {Promise<object|null>} - { status, body } to send, or null when confirmed
+ */
+const checkReauthentication = async (req, user) => {
+    if (!isElevated(req)) {
+        return {
+            status: 403,
+            body: {
+                success: false,
+                message: 'Confirm your identity to change two-factor settings',
+                stepUpRequired: true
+            }
+        };
+    }
+
+    if (user.hasPassword !== false) {
+        const isValidPassword = await bcrypt.compare(String(req.body.password || ''), user.password);
+        if (!isValidPassword) {
+            return {
+                status: 401,
+                body: { success: false, message: 'Invalid password' }
+            };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Hide a value. Long numbers (account numbers) keep their last four digits,
+ * e.g. "••••••••4321", so staff can still tell accounts apart.
+ */
+const maskValue = (value) => {
+    if (value === null || value === undefined || value === '') {
+        return value;
+    }
+    if (typeof value === 'object') {
+        return maskSensitiveData(value);
+    }
+    const text = String(value);
+    const visible = /^[\d\s-]{9,}$/.test(text) ? 4 : 0;
+    return '•'.repeat(Math.max(text.length - visible, 4)) + text.slice(text.length - visible);
+};
+
+/**
+ * Masked copy of decrypted sensitive data, keeping its shape so the UI can
+ * still show which fields were provided
+ * @param {object} data - Decrypted sensitive_data
+ * @returns {object}
+ */
+const maskSensitiveData = (data) => {
+    if (Array.isArray(data)) {
+        return data.map(maskValue);
+    }
+    return Object.fromEntries(Object.entries(data || {}).map(([key, value]) => [key, maskValue(value)]));
+};
+
+/**
+ * Record a step-up attempt in the audit trail
+ */
+const auditStepUp = async (req, status, details) => {
+    try {
+        await AuditLog.create({
+            userId: req.user.id,
+            action: 'Step-Up Authentication',
+            resource: '/api/auth/step-up',
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            status,
+            details
+        });
+    } catch (error) {
+        console.error('Audit log error:', error);
+    }
+};
+
+module.exports = {
+    isElevated,
+    elevateSession,
+    checkReauthentication,
+    maskSensitiveData,
+    auditStepUp,
+    STEP_UP_WINDOW_MS
+};
@@ -0,0 +1,216 @@
+/**
+ * ============================================================
+ * WEBAUTHN / PASSKEYS
+ * Implements: FIDO2 registration and assertion ceremonies
+ * (phishing-resistant authentication bound to the site origin)
+ * ============================================================
+ */
+
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { WebAuthnCredential, WebAuthnChallenge } = require('../models');
+require('dotenv').config();
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || process.env.WEBSITE_NAME || 'TrustScholar';
+const RP_ID = process.env.WEBAUTHN_RP_ID || new URL(FRONTEND_URL).hostname;
+const EXPECTED_ORIGINS = (process.env.WEBAUTHN_ORIGINS || FRONTEND_URL)
+    .split(',')
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+
+const CEREMONY_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Persist a ceremony challenge so it can be checked exactly once
+ */
+const saveChallenge = async (challenge, type, userId) => {
+    await WebAuthnChallenge.create({
+        challenge,
+        type,
+        userId,
+        expiresAt: new Date(Date.now() + CEREMONY_TTL_MS)
+    });
+};
+
+/**
+ * Build a single-use expectedChallenge check for the verifier
+ */
+const consumeChallenge = (type, userId) => async (challenge) => {
+    const filter = {
+        challenge,
+        type,
+        expiresAt: { $gt: new Date() },
+        userId: userId || null
+    };
+    return Boolean(await WebAuthnChallenge.findOneAndDelete(filter));
+};
+
+// ============================================================
+// REGISTRATION
+// ============================================================
+
+/**
+ * Options for navigator.credentials.create()
+ * @param {object} user - User document
+ * @returns {Promise<object>} - PublicKeyCredentialCreationOptionsJSON
+ */
+const buildRegistrationOptions = async (user) => {
+    const existing = await WebAuthnCredential.find({ userId: user._id }).select('credentialId transports');
+
+    const options = await generateRegistrationOptions({
+        rpName: RP_NAME,
+        rpID: RP_ID,
+        userName: user.email,
+        userDisplayName: user.fullName || user.email,
+        userID: Buffer.from(String(user._id)),
+        attestationType: 'none',
+        excludeCredentials: existing.map((cred) => ({
+            id: cred.credentialId,
+            transports: cred.transports
+        })),
+        authenticatorSelection: {
+            residentKey: 'preferred',
+            userVerification: 'required'
+        }
+    });
+
+    await saveChallenge(options.challenge, 'registration', user._id);
+    return options;
+};
+
+/**
+ * Verify the attestation and store the new credential
+ * @param {object} user - User document
+ * @param {object} response - RegistrationResponseJSON from the browser
+ * @param {string} name - Friendly label chosen by the user
+ * @returns {Promise<object|null>} - Saved credential or null if verification failed
+ */
+const verifyRegistration = async (user, response, name) => {
+    let verification;
+    try {
+        verification = await verifyRegistrationResponse({
+            response,
+            expectedChallenge: consumeChallenge('registration', user._id),
+            expectedOrigin: EXPECTED_ORIGINS,
+            expectedRPID: RP_ID,
+            requireUserVerification: true
+        });
+    } catch (error) {
+        console.error('WebAuthn registration verification failed:', error.message);
+        return null;
+    }
+
+    if (!verification.verified) {
+        return null;
+    }
+
+    const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+    return WebAuthnCredential.create({
+        userId: user._id,
+        credentialId: credential.id,
+        publicKey: Buffer.from(credential.publicKey),
+        counter: credential.counter,
+        transports: credential.transports || response.response?.transports || [],
+        deviceType: credentialDeviceType,
+        backedUp: credentialBackedUp,
+        name: name || 'Passkey'
+    });
+};
+
+// ============================================================
+// AUTHENTICATION
+// ============================================================
+
+/**
+ * Options for navigator.credentials.get()
+ * @param {object} user - User document, or null for passwordless (discoverable) sign-in
+ * @returns {Promise<object>} - PublicKeyCredentialRequestOptionsJSON
+ */
+const buildAuthenticationOptions = async (user = null) => {
+    let allowCredentials;
+    if (user) {
+        const credentials = await WebAuthnCredential.find({ userId: user._id }).select('credentialId transports');
+        allowCredentials = credentials.map((cred) => ({
+            id: cred.credentialId,
+            transports: cred.transports
+        }));
+    }
+
+    const options = await generateAuthenticationOptions({
+        rpID: RP_ID,
+        allowCredentials,
+        userVerification: 'required'
+    });
+
+    await saveChallenge(options.challenge, 'authentication', user?._id);
+    return options;
+};
+
+/**
+ * Verify an assertion and update the signature counter
+ * @param {object} response - AuthenticationResponseJSON from the browser
+ * @param {string} expectedUserId - Required owner for second-factor use, null for passwordless
+ * @returns {Promise<object|null>} - Matching credential or null if verification failed
+ */
+const verifyAuthentication = async (response, expectedUserId = null) => {
+    const credential = await WebAuthnCredential.findOne({ credentialId: response?.id });
+    if (!credential) {
+        return null;
+    }
+
+    if (expectedUserId && String(credential.userId) !== String(expectedUserId)) {
+        return null;
+    }
+
+    let verification;
+    try {
+        verification = await verifyAuthenticationResponse({
+            response,
+            expectedChallenge: consumeChallenge('authentication', expectedUserId),
+            expectedOrigin: EXPECTED_ORIGINS,
+            expectedRPID: RP_ID,
+            credential: {
+                id: credential.credentialId,
+                publicKey: new Uint8Array(credential.publicKey),
+                counter: credential.counter,
+                transports: credential.transports
+            },
+            requireUserVerification: true
+        });
+    } catch (error) {
+        console.error('WebAuthn assertion verification failed:', error.message);
+        return null;
+    }
+
+    if (!verification.verified) {
+        return null;
+    }
+
+    credential.counter = verification.authenticationInfo.newCounter;
+    credential.lastUsedAt = new Date();
+    await credential.save();
+
+    return credential;
+};
+
+/**
+ * Does the user have at least one registered passkey?
+ */
+const hasPasskey = async (userId) => {
+    return Boolean(await WebAuthnCredential.exists({ userId }));
+};
+
+module.exports = {
+    buildRegistrationOptions,
+    verifyRegistration,
+    buildAuthenticationOptions,
+    verifyAuthentication,
+    hasPasskey
+};
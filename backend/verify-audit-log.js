@@ -0,0 +1,76 @@
+/**
+ * Audit Log Verification Script for TrustScholar
+ * Walks the audit log hash chain (archived entries included), checks
+ * the signed checkpoints and reports the first break.
+ *
+ * Run: node verify-audit-log.js [--checkpoint] [--json] [--public-key]
+ *   --checkpoint  sign a checkpoint for the newest entry after a clean run
+ *   --json        print the report as JSON
+ *   --public-key  print the current signing key's id and public key, to add
+ *                 to SERVER_SIGNING_TRUSTED_KEYS before rotating it
+ * Exits with 1 when the chain is broken, 2 when it could not be checked
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { connectDB } = require('./config/database');
+const { verifyAuditChain, createCheckpoint } = require('./utils/auditIntegrity');
+const { getServerSigningKey } = require('./utils/encryption');
+
+const args = process.argv.slice(2);
+
+const printPublicKey = () => {
+    const { keyId, publicKey } = getServerSigningKey();
+    console.log(`Key id: ${keyId}`);
+    console.log(publicKey.trim());
+};
+
+const verifyAuditLog = async () => {
+    let exitCode = 0;
+    try {
+        if (!(await connectDB())) {
+            throw new Error('Database connection failed');
+        }
+
+        const report = await verifyAuditChain();
+        if (report.valid && args.includes('--checkpoint')) {
+            report.new_checkpoint = await createCheckpoint();
+        }
+
+        if (args.includes('--json')) {
+            console.log(JSON.stringify(report, null, 2));
+        } else if (report.valid) {
+            console.log(`✅ Audit log chain intact: ${report.checked_entries} entries (${report.archived_entries} archived), last entry #${report.last_seq}`);
+            console.log(`   Signed checkpoints verified: ${report.checkpoints_verified}`);
+            if (report.unchained_entries) {
+                console.log(`   ${report.unchained_entries} entries predate the hash chain and were not checked`);
+            }
+            if (report.recorded_gaps) {
+                console.log(`   ${report.recorded_gaps} entries failed to store and were stepped over by their signed gap records`);
+            }
+            if (report.new_checkpoint) {
+                console.log(`   Signed a checkpoint at entry #${report.new_checkpoint.seq}`);
+            }
+        } else {
+            const { seq, reason, message, entry_id: entryId } = report.first_break;
+            console.error(`❌ Audit log chain broken at entry #${seq} (${reason})`);
+            console.error(`   ${message}${entryId ? ` [${entryId}]` : ''}`);
+            console.error(`   ${report.checked_entries} entries verified before the break`);
+        }
+
+        exitCode = report.valid ? 0 : 1;
+    } catch (error) {
+        console.error('❌ Audit log verification failed:', error.message);
+        exitCode = 2;
+    } finally {
+        await mongoose.disconnect();
+    }
+    process.exit(exitCode);
+};
+
+if (args.includes('--public-key')) {
+    printPublicKey();
+} else {
+    verifyAuditLog();
+}
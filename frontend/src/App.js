@@ -10,6 +10,10 @@ import VerifyEmail from './pages/VerifyEmail';
 import VerifyMFA from './pages/VerifyMFA';
 import ForgotPassword from './pages/ForgotPassword';
 import ResetPassword from './pages/ResetPassword';
+import UnlockAccount from './pages/UnlockAccount';
+import AcceptInvitation from './pages/AcceptInvitation';
+import OidcCallback from './pages/OidcCallback';
+import MagicLinkCallback from './pages/MagicLinkCallback';
 import LandingPage from './pages/LandingPage';
 import Scholarships from './pages/Scholarships';
 import MyApplications from './pages/MyApplications';
@@ -19,15 +23,23 @@ import VerifyApplication from './pages/VerifyApplication';
 import AdminUsers from './pages/AdminUsers';
 import AdminScholarships from './pages/AdminScholarships';
 import AuditLogs from './pages/AuditLogs';
+import AdminRiskyLogins from './pages/AdminRiskyLogins';
 import ReviewApplications from './pages/ReviewApplications';
 import ScanVerification from './pages/ScanVerification';
+import AccountSecurity from './pages/AccountSecurity';
+import AccountSessions from './pages/AccountSessions';
+import AdminSecurityPolicies from './pages/AdminSecurityPolicies';
+import AdminServiceAccounts from './pages/AdminServiceAccounts';
+import AdminRoles from './pages/AdminRoles';
+import AdminDelegations from './pages/AdminDelegations';
 
 // Layout
 import Layout from './components/Layout';
 
-// Protected Route Component
-const ProtectedRoute = ({ children, allowedRoles }) => {
-  const { user, loading } = useAuth();
+// Protected Route Component - allowedRoles are matched against the built-in
+// role a custom role is based on; permission is a "resource:action" grant
+const ProtectedRoute = ({ children, allowedRoles, permission }) => {
+  const { user, loading, can } = useAuth();
 
   if (loading) {
     return (
@@ -41,7 +53,11 @@ const ProtectedRoute = ({ children, allowedRoles }) => {
     return <Navigate to="/login" replace />;
   }
 
-  if (allowedRoles && !allowedRoles.includes(user.role)) {
+  if (allowedRoles && !allowedRoles.includes(user.baseRole || user.role)) {
+    return <Navigate to="/app/dashboard" replace />;
+  }
+
+  if (permission && !can(permission)) {
     return <Navigate to="/app/dashboard" replace />;
   }
 
@@ -49,10 +65,11 @@ const ProtectedRoute = ({ children, allowedRoles }) => {
 };
 
 const RoleRedirect = () => {
-  const { user } = useAuth();
+  const { user, can } = useAuth();
+  const baseRole = user?.baseRole || user?.role;
 
-  if (user?.role === 'admin') return <Navigate to="/app/admin/users" replace />;
-  if (user?.role === 'officer') return <Navigate to="/app/review-applications" replace />;
+  if (baseRole === 'admin' && can('manage_users:read')) return <Navigate to="/app/admin/users" replace />;
+  if (baseRole !== 'student' && can('manage_applications:update')) return <Navigate to="/app/review-applications" replace />;
   return <Navigate to="/app/scholarships" replace />;
 };
 
@@ -70,6 +87,11 @@ function App() {
           <Route path="/verify-mfa" element={<VerifyMFA />} />
           <Route path="/forgot-password" element={<ForgotPassword />} />
           <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/unlock-account" element={<UnlockAccount />} />
+          <Route path="/accept-invite" element={<AcceptInvitation />} />
+          <Route path="/auth/oidc/callback" element={<OidcCallback />} />
+          <Route path="/auth/saml/callback" element={<OidcCallback />} />
+          <Route path="/auth/magic-link" element={<MagicLinkCallback />} />
           <Route path="/verify/:code" element={<VerifyApplication />} />
 
           {/* Protected Routes */}
@@ -88,51 +110,80 @@ function App() {
             
             {/* Student Routes */}
             <Route path="my-applications" element={
-              <ProtectedRoute allowedRoles={['student']}>
+              <ProtectedRoute allowedRoles={['student']} permission="manage_applications:read">
                 <MyApplications />
               </ProtectedRoute>
             } />
             <Route path="scan-qr" element={
-              <ProtectedRoute allowedRoles={['student']}>
+              <ProtectedRoute allowedRoles={['student']} permission="manage_applications:read">
                 <ScanVerification />
               </ProtectedRoute>
             } />
             <Route path="apply/:scholarshipId" element={
-              <ProtectedRoute allowedRoles={['student']}>
+              <ProtectedRoute allowedRoles={['student']} permission="manage_applications:create">
                 <ApplicationForm />
               </ProtectedRoute>
             } />
             <Route path="application/:id/edit" element={
-              <ProtectedRoute allowedRoles={['student']}>
+              <ProtectedRoute allowedRoles={['student']} permission="manage_applications:update">
                 <ApplicationForm />
               </ProtectedRoute>
             } />
             <Route path="application/:id" element={<ApplicationDetails />} />
 
+            {/* Account Routes (all roles) */}
+            <Route path="account/security" element={<AccountSecurity />} />
+            <Route path="account/sessions" element={<AccountSessions />} />
+
 
-            {/* Officer Routes */}
+            {/* Staff Routes (officers, admins and custom roles based on them) */}
             <Route path="review-applications" element={
-              <ProtectedRoute allowedRoles={['officer', 'admin']}>
+              <ProtectedRoute allowedRoles={['officer', 'admin']} permission="manage_applications:update">
                 <ReviewApplications />
               </ProtectedRoute>
             } />
 
             {/* Admin Routes */}
             <Route path="admin/users" element={
-              <ProtectedRoute allowedRoles={['admin']}>
+              <ProtectedRoute allowedRoles={['admin']} permission="manage_users:read">
                 <AdminUsers />
               </ProtectedRoute>
             } />
             <Route path="admin/scholarships" element={
-              <ProtectedRoute allowedRoles={['admin']}>
+              <ProtectedRoute allowedRoles={['admin']} permission="manage_scholarships:update">
                 <AdminScholarships />
               </ProtectedRoute>
             } />
             <Route path="admin/audit-logs" element={
-              <ProtectedRoute allowedRoles={['admin']}>
+              <ProtectedRoute allowedRoles={['admin']} permission="view_audit_logs:read">
                 <AuditLogs />
               </ProtectedRoute>
             } />
+            <Route path="admin/risky-logins" element={
+              <ProtectedRoute allowedRoles={['admin']} permission="view_audit_logs:read">
+                <AdminRiskyLogins />
+              </ProtectedRoute>
+            } />
+            <Route path="admin/security-policies" element={
+              <ProtectedRoute allowedRoles={['admin']} permission="manage_users:update">
+                <AdminSecurityPolicies />
+              </ProtectedRoute>
+            } />
+            <Route path="admin/roles" element={
+              <ProtectedRoute allowedRoles={['admin']} permission="manage_users:update">
+                <AdminRoles />
+              </ProtectedRoute>
+            } />
+            <Route path="admin/delegations" element={
+              <ProtectedRoute allowedRoles={['admin']} permission="manage_users:read">
+                <AdminDelegations />
+              </ProtectedRoute>
+            } />
+            <Route path="admin/service-accounts" element={
+              <ProtectedRoute allowedRoles={['admin']} permission="manage_users:update">
+                <AdminServiceAccounts />
+              </ProtectedRoute>
+            } />
           </Route>
 
           {/* Catch all */}
@@ -4,35 +4,53 @@ import { useAuth } from '../context/AuthContext';
 import { usersAPI } from '../services/api';
 import { 
   FiHome, FiAward, FiFileText, FiUsers, FiSettings, 
-  FiLogOut, FiShield, FiMenu, FiX 
+  FiLogOut, FiShield, FiMenu, FiX, FiLock, FiKey, FiMonitor, FiEye, FiCpu, FiAlertTriangle, FiLayers, FiClock 
 } from 'react-icons/fi';
 
 const Layout = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, impersonation, stopImpersonation, can } = useAuth();
   const location = useLocation();
   const [sidebarOpen, setSidebarOpen] = React.useState(false);
 
-  const navigation = {
-    student: [
-      { name: 'Scholarships', href: '/app/scholarships', icon: FiAward },
-      { name: 'My Applications', href: '/app/my-applications', icon: FiFileText },
-    ],
-    officer: [
-      { name: 'Review Applications', href: '/app/review-applications', icon: FiFileText },
-      { name: 'Scholarships', href: '/app/scholarships', icon: FiAward },
-    ],
-    admin: [
-      { name: 'Users', href: '/app/admin/users', icon: FiUsers },
-      { name: 'Audit Logs', href: '/app/admin/audit-logs', icon: FiShield },
-    ],
-  };
+  // Each link is shown when the user's base role is listed and their role
+  // grants the permission, so custom roles get the links they can use
+  const navigation = [
+    { name: 'Scholarships', href: '/app/scholarships', icon: FiAward, roles: ['student'] },
+    { name: 'My Applications', href: '/app/my-applications', icon: FiFileText, roles: ['student'], permission: 'manage_applications:read' },
+    { name: 'Review Applications', href: '/app/review-applications', icon: FiFileText, roles: ['officer', 'admin'], permission: 'manage_applications:update' },
+    { name: 'Scholarships', href: '/app/scholarships', icon: FiAward, roles: ['officer'] },
+    { name: 'Users', href: '/app/admin/users', icon: FiUsers, roles: ['admin'], permission: 'manage_users:read' },
+    { name: 'Audit Logs', href: '/app/admin/audit-logs', icon: FiShield, roles: ['admin'], permission: 'view_audit_logs:read' },
+    { name: 'Risky Logins', href: '/app/admin/risky-logins', icon: FiAlertTriangle, roles: ['admin'], permission: 'view_audit_logs:read' },
+    { name: 'Sign-in Policies', href: '/app/admin/security-policies', icon: FiKey, roles: ['admin'], permission: 'manage_users:update' },
+    { name: 'Roles & Permissions', href: '/app/admin/roles', icon: FiLayers, roles: ['admin'], permission: 'manage_users:update' },
+    { name: 'Delegations', href: '/app/admin/delegations', icon: FiClock, roles: ['admin'], permission: 'manage_users:read' },
+    { name: 'Service Accounts', href: '/app/admin/service-accounts', icon: FiCpu, roles: ['admin'], permission: 'manage_users:update' },
+  ];
+
+  const baseRole = user?.baseRole || user?.role || 'student';
 
-  const navItems = navigation[user?.role] || navigation.student;
+  // Shown to every role below the role-specific links
+  const accountNavigation = [
+    { name: 'Security', href: '/app/account/security', icon: FiLock },
+    { name: 'Sessions', href: '/app/account/sessions', icon: FiMonitor },
+  ];
+
+  // Account security pages belong to the account holder, not an admin viewing as them
+  const navItems = [
+    ...navigation.filter((item) => item.roles.includes(baseRole) && (!item.permission || can(item.permission))),
+    ...(impersonation ? [] : accountNavigation)
+  ];
 
   const handleLogout = async () => {
     await logout();
   };
 
+  const handleStopImpersonation = async () => {
+    await stopImpersonation();
+    window.location.href = '/app/admin/users';
+  };
+
   const handleDeleteAccount = async () => {
     const confirmed = window.confirm('This will permanently delete your account and data. Continue?');
     if (!confirmed) return;
@@ -115,19 +133,38 @@ const Layout = () => {
               <FiLogOut size={20} />
               Logout
             </button>
-            <button
-              onClick={handleDeleteAccount}
-              className="mt-2 flex items-center gap-3 w-full px-4 py-3 text-red-400 hover:bg-red-500/10 hover:text-red-300 rounded-xl transition-colors"
-            >
-              <FiSettings size={20} />
-              Delete Account
-            </button>
+            {!impersonation && (
+              <button
+                onClick={handleDeleteAccount}
+                className="mt-2 flex items-center gap-3 w-full px-4 py-3 text-red-400 hover:bg-red-500/10 hover:text-red-300 rounded-xl transition-colors"
+              >
+                <FiSettings size={20} />
+                Delete Account
+              </button>
+            )}
           </div>
         </div>
       </aside>
 
       {/* Main content */}
       <main className="lg:ml-64 min-h-screen pt-14 lg:pt-0">
+        {impersonation && (
+          <div className="sticky top-14 lg:top-0 z-20 bg-amber-500 text-white px-6 py-2 flex flex-wrap items-center justify-between gap-2 shadow">
+            <p className="text-sm flex items-center gap-2">
+              <FiEye className="flex-shrink-0" />
+              <span>
+                Viewing as <strong>{impersonation.user.email}</strong> ({impersonation.user.role}) - read-only.
+                Signed in as {impersonation.actor.email}; every request is logged.
+              </span>
+            </p>
+            <button
+              onClick={handleStopImpersonation}
+              className="px-3 py-1 bg-white text-amber-700 text-sm font-semibold rounded-lg hover:bg-amber-50"
+            >
+              Exit
+            </button>
+          </div>
+        )}
         <div className="p-6">
           <Outlet />
         </div>
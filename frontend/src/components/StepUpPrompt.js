@@ -0,0 +1,129 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { startAuthentication } from '@simplewebauthn/browser';
+import { stepUpAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FiShield, FiKey } from 'react-icons/fi';
+
+// Re-authentication with an authenticator code, emailed code or passkey.
+// Opens the session's step-up window, then calls onConfirmed.
+const StepUpPrompt = ({ description, onConfirmed, onCancel }) => {
+  const [methods, setMethods] = useState(null);
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+  // Latest callback without refetching the methods on every render
+  const cancelRef = useRef(onCancel);
+  cancelRef.current = onCancel;
+
+  useEffect(() => {
+    stepUpAPI.getStatus()
+      .then((response) => setMethods(response.data.data))
+      .catch(() => {
+        toast.error('Failed to start identity confirmation');
+        cancelRef.current();
+      });
+  }, []);
+
+  const confirmed = async () => {
+    toast.success('Identity confirmed');
+    await onConfirmed();
+  };
+
+  const sendCode = async () => {
+    setBusy(true);
+    try {
+      const response = await stepUpAPI.sendOTP();
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send code');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const verifyCode = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await stepUpAPI.verifyOTP(code);
+      await confirmed();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Verification failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const verifyPasskey = async () => {
+    setBusy(true);
+    try {
+      const optionsResponse = await stepUpAPI.passkeyOptions();
+      const assertion = await startAuthentication({ optionsJSON: optionsResponse.data.data });
+      await stepUpAPI.passkeyVerify(assertion);
+      await confirmed();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Passkey verification failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!methods) {
+    return null;
+  }
+
+  return (
+    <div className="mt-6 p-4 bg-slate-50 border border-slate-200 rounded-xl space-y-3">
+      <h3 className="font-medium text-gray-800 flex items-center gap-2">
+        <FiShield className="text-emerald-600" /> Confirm your identity
+      </h3>
+      <p className="text-sm text-gray-600">{description}</p>
+      <form onSubmit={verifyCode} className="flex flex-col sm:flex-row gap-2">
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder={methods.codeMethod === 'totp' ? 'Authenticator app code' : 'Code from your email'}
+          className="flex-1 px-4 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+        />
+        {methods.codeMethod === 'email' && (
+          <button
+            type="button"
+            onClick={sendCode}
+            disabled={busy}
+            className="px-4 py-2 border border-slate-300 hover:bg-slate-100 text-gray-700 text-sm font-medium rounded-xl disabled:opacity-50"
+          >
+            Email me a code
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={busy || !code}
+          className="px-4 py-2 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white text-sm font-semibold rounded-xl shadow-sm disabled:opacity-50"
+        >
+          Verify
+        </button>
+      </form>
+      <div className="flex items-center gap-3">
+        {methods.passkey && (
+          <button
+            onClick={verifyPasskey}
+            disabled={busy}
+            className="px-4 py-2 bg-slate-700 hover:bg-slate-800 text-white text-sm font-medium rounded-xl shadow-sm disabled:opacity-50"
+          >
+            <FiKey className="inline mr-1" /> Use a passkey
+          </button>
+        )}
+        <button
+          onClick={onCancel}
+          className="text-sm text-gray-500 hover:text-gray-700"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default StepUpPrompt;
@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import { startAuthentication } from '@simplewebauthn/browser';
+import { authAPI, webauthnAPI, oidcAPI, samlAPI, usersAPI } from '../services/api';
 
 const AuthContext = createContext(null);
 
@@ -11,14 +12,32 @@ export const useAuth = () => {
   return context;
 };
 
+/**
+ * Whether the server lets the signed-in user perform a "resource:action"
+ * permission, e.g. usePermission('manage_applications:update'). Writes are
+ * refused while viewing as another user read-only.
+ */
+export const usePermission = (permission) => {
+  const { can, access } = useAuth();
+  const action = permission.split(':')[1];
+  return can(permission) && !(access?.readOnly && action !== 'read');
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  // Effective grants from /auth/permissions: { permissions, grants, officerGroups, readOnly, elevated }
+  const [access, setAccess] = useState(null);
+  // Admin "view as user" in this tab: { user, actor, readOnly, expiresAt }
+  const [impersonation, setImpersonation] = useState(
+    () => JSON.parse(sessionStorage.getItem('impersonation') || 'null')
+  );
 
   useEffect(() => {
     const initAuth = async () => {
       const token = localStorage.getItem('accessToken');
-      const savedUser = localStorage.getItem('user');
+      const viewingAs = JSON.parse(sessionStorage.getItem('impersonation') || 'null');
+      const savedUser = viewingAs ? JSON.stringify(viewingAs.user) : localStorage.getItem('user');
 
       if (token && savedUser) {
         try {
@@ -26,10 +45,15 @@ export const AuthProvider = ({ children }) => {
           // Verify token is still valid
           const response = await authAPI.getMe();
           setUser(response.data.data);
-          localStorage.setItem('user', JSON.stringify(response.data.data));
+          if (!viewingAs) {
+            localStorage.setItem('user', JSON.stringify(response.data.data));
+          }
+          const permissions = await authAPI.getPermissions();
+          setAccess(permissions.data.data);
         } catch (error) {
           console.error('Auth init error:', error);
           localStorage.removeItem('accessToken');
+          localStorage.removeItem('refreshToken');
           localStorage.removeItem('user');
           setUser(null);
         }
@@ -48,23 +72,91 @@ export const AuthProvider = ({ children }) => {
     return response.data;
   };
 
-  const verifyMFA = async (tempToken, otp) => {
-    const response = await authAPI.verifyMFA({ tempToken, otp });
+  // Pass a recoveryCode instead of an OTP when the usual second factor is lost
+  const verifyMFA = async (tempToken, otp, recoveryCode) => {
+    const response = await authAPI.verifyMFA({ tempToken, otp, recoveryCode });
+    if (response.data.success) {
+      const { accessToken, refreshToken, user: userData } = response.data.data;
+      sessionStorage.removeItem('tempToken');
+      await setSession(accessToken, userData, refreshToken);
+    }
+    return response.data;
+  };
+
+  // Passkey sign-in: second factor when a tempToken is given, passwordless otherwise
+  const passkeyLogin = async (tempToken) => {
+    const optionsResponse = await webauthnAPI.loginOptions({ tempToken });
+    const assertion = await startAuthentication({ optionsJSON: optionsResponse.data.data });
+    const response = await webauthnAPI.loginVerify({ tempToken, response: assertion });
+    if (response.data.success) {
+      const { accessToken, refreshToken, user: userData } = response.data.data;
+      sessionStorage.removeItem('tempToken');
+      await setSession(accessToken, userData, refreshToken);
+    }
+    return response.data;
+  };
+
+  // Magic-link sign-in: redeem the token from the emailed link
+  const magicLinkLogin = async (token) => {
+    const response = await authAPI.verifyMagicLink({ token });
     if (response.data.success) {
-      const { accessToken, user: userData } = response.data.data;
-      localStorage.setItem('accessToken', accessToken);
-      localStorage.setItem('user', JSON.stringify(userData));
-      setUser(userData);
+      const { accessToken, refreshToken, user: userData } = response.data.data;
+      await setSession(accessToken, userData, refreshToken);
+    }
+    return response.data;
+  };
+
+  // Federated sign-in may instead ask the account holder to confirm a link
+  const finishFederatedLogin = async (response) => {
+    if (response.data.success && response.data.data?.accessToken) {
+      const { accessToken, refreshToken, user: userData } = response.data.data;
+      await setSession(accessToken, userData, refreshToken);
     }
     return response.data;
   };
 
-  const setSession = (accessToken, userData) => {
+  // OIDC sign-in: redeem the code the identity provider sent back
+  const federatedLogin = async (code, state) => {
+    return finishFederatedLogin(await oidcAPI.callback({ code, state }));
+  };
+
+  // SAML sign-in: redeem the one-time ticket from the assertion consumer service
+  const samlLogin = async (ticket) => {
+    return finishFederatedLogin(await samlAPI.complete({ ticket }));
+  };
+
+  // What the current token may do, as the server enforces it
+  const loadPermissions = async () => {
+    try {
+      const response = await authAPI.getPermissions();
+      setAccess(response.data.data);
+    } catch (error) {
+      console.error('Permissions load error:', error);
+      setAccess(null);
+    }
+  };
+
+  // Login responses carry the basics; the base role comes from /auth/me
+  const setSession = async (accessToken, userData, refreshToken) => {
     localStorage.setItem('accessToken', accessToken);
-    localStorage.setItem('user', JSON.stringify(userData));
-    setUser(userData);
+    if (refreshToken) {
+      localStorage.setItem('refreshToken', refreshToken);
+    }
+    let profile = userData;
+    try {
+      const response = await authAPI.getMe();
+      profile = response.data.data;
+    } catch (error) {
+      console.error('Profile refresh error:', error);
+    }
+    localStorage.setItem('user', JSON.stringify(profile));
+    await loadPermissions();
+    setUser(profile);
   };
 
+  // Whether the signed-in user holds a "resource:action" grant
+  const can = (permission) => Boolean(access?.permissions?.includes(permission));
+
   const register = async (data) => {
     const response = await authAPI.register(data);
     return response.data;
@@ -75,14 +167,47 @@ export const AuthProvider = ({ children }) => {
     return response.data;
   };
 
+  const startImpersonation = async (userId, data) => {
+    const response = await usersAPI.impersonate(userId, data);
+    const { accessToken, user: subject, actor, readOnly, expiresAt } = response.data.data;
+    const state = { user: subject, actor, readOnly, expiresAt };
+    sessionStorage.setItem('impersonationToken', accessToken);
+    sessionStorage.setItem('impersonation', JSON.stringify(state));
+    setImpersonation(state);
+    // The subject's profile and permissions, as seen through the impersonation token
+    const profile = await authAPI.getMe().then((me) => me.data.data).catch(() => subject);
+    await loadPermissions();
+    setUser(profile);
+    return response.data;
+  };
+
+  const stopImpersonation = async () => {
+    try {
+      await usersAPI.endImpersonation();
+    } catch (error) {
+      console.error('End impersonation error:', error);
+    } finally {
+      sessionStorage.removeItem('impersonationToken');
+      sessionStorage.removeItem('impersonation');
+      setImpersonation(null);
+      await loadPermissions();
+      setUser(JSON.parse(localStorage.getItem('user') || 'null'));
+    }
+  };
+
   const logout = async () => {
+    if (impersonation) {
+      await stopImpersonation();
+    }
     try {
       await authAPI.logout();
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
       localStorage.removeItem('accessToken');
+      localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
+      setAccess(null);
       setUser(null);
     }
   };
@@ -92,16 +217,33 @@ export const AuthProvider = ({ children }) => {
     return response.data;
   };
 
+  // Login codes are re-sent against the MFA challenge, not a bare email
+  const resendLoginOTP = async (tempToken) => {
+    const response = await authAPI.resendOTP({ tempToken });
+    return response.data;
+  };
+
   const value = {
     user,
     loading,
+    impersonation,
+    startImpersonation,
+    stopImpersonation,
     login,
     verifyMFA,
+    passkeyLogin,
+    federatedLogin,
+    samlLogin,
+    magicLinkLogin,
     register,
     verifyEmail,
     logout,
     resendOTP,
+    resendLoginOTP,
     setSession,
+    access,
+    loadPermissions,
+    can,
   };
 
   return (
@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { invitationsAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FiUserPlus, FiUser, FiPhone, FiLock, FiEye, FiEyeOff, FiCheck, FiX, FiArrowLeft } from 'react-icons/fi';
+
+const AcceptInvitation = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [invitation, setInvitation] = useState(null);
+  const [status, setStatus] = useState(token ? 'loading' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'Invitation link is missing its token.');
+  const [fullName, setFullName] = useState('');
+  const [phone, setPhone] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!token) return;
+
+    const lookup = async () => {
+      try {
+        const response = await invitationsAPI.lookup(token);
+        setInvitation(response.data.data);
+        setStatus('ready');
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Invalid invitation link');
+      }
+    };
+
+    lookup();
+  }, [token]);
+
+  const requirements = [
+    { test: password.length >= 8, text: 'At least 8 characters' },
+    { test: /[A-Z]/.test(password), text: 'One uppercase letter' },
+    { test: /[a-z]/.test(password), text: 'One lowercase letter' },
+    { test: /[0-9]/.test(password), text: 'One number' },
+    { test: /[^A-Za-z0-9]/.test(password), text: 'One special character (!@#$%^&*)' },
+  ];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await invitationsAPI.accept({ token, fullName, phone, password });
+      toast.success('Account created! Please sign in.');
+      navigate('/login');
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Failed to accept invitation'
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-primary-900 to-slate-900 flex items-center justify-center p-4">
+      <div className="max-w-md w-full">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-gradient-to-br from-emerald-400 to-cyan-500 rounded-2xl mb-4 shadow-lg shadow-emerald-500/30">
+            <FiUserPlus className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-3xl font-bold text-white mb-2">Accept Invitation</h1>
+          {invitation && (
+            <p className="text-gray-400">
+              Joining as <span className="text-emerald-400 capitalize">{invitation.role}</span>
+              {' '}with <span className="text-emerald-400">{invitation.email}</span>
+            </p>
+          )}
+        </div>
+
+        {/* Card */}
+        <div className="bg-white rounded-2xl shadow-2xl p-8">
+          {status === 'loading' && (
+            <div className="flex justify-center">
+              <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600"></div>
+            </div>
+          )}
+
+          {status === 'error' && (
+            <p className="flex items-center justify-center gap-2 text-red-600 text-center">
+              <FiX /> {message}
+            </p>
+          )}
+
+          {status === 'ready' && (
+            <form onSubmit={handleSubmit} className="space-y-5">
+              {/* Full Name */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Full Name
+                </label>
+                <div className="relative">
+                  <FiUser className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                  <input
+                    type="text"
+                    value={fullName}
+                    onChange={(e) => setFullName(e.target.value)}
+                    className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                    placeholder="John Doe"
+                    required
+                  />
+                </div>
+              </div>
+
+              {/* Phone */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Phone Number (Optional)
+                </label>
+                <div className="relative">
+                  <FiPhone className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                  <input
+                    type="tel"
+                    value={phone}
+                    onChange={(e) => setPhone(e.target.value)}
+                    className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                    placeholder="+1 234 567 8900"
+                  />
+                </div>
+              </div>
+
+              {/* Password */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Password
+                </label>
+                <div className="relative">
+                  <FiLock className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                  <input
+                    type={showPassword ? 'text' : 'password'}
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="w-full pl-10 pr-12 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                    placeholder="Create a password"
+                    required
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                  >
+                    {showPassword ? <FiEyeOff /> : <FiEye />}
+                  </button>
+                </div>
+                <div className="mt-2 space-y-1">
+                  {requirements.map((req, i) => (
+                    <div key={i} className="flex items-center gap-2 text-xs">
+                      <FiCheck className={req.test ? 'text-green-500' : 'text-gray-300'} />
+                      <span className={req.test ? 'text-green-600' : 'text-gray-400'}>{req.text}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {/* Confirm Password */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Confirm Password
+                </label>
+                <div className="relative">
+                  <FiLock className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                  <input
+                    type={showPassword ? 'text' : 'password'}
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                    placeholder="Confirm password"
+                    required
+                  />
+                </div>
+                {confirmPassword && password !== confirmPassword && (
+                  <p className="mt-1 text-xs text-red-500">Passwords do not match</p>
+                )}
+              </div>
+
+              <button
+                type="submit"
+                disabled={loading || !requirements.every((req) => req.test) || password !== confirmPassword}
+                className="w-full py-3 px-4 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl transition shadow-lg shadow-emerald-500/25 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Creating account...' : 'Create Account'}
+              </button>
+            </form>
+          )}
+
+          {/* Back to login */}
+          <div className="mt-6 text-center">
+            <Link
+              to="/login"
+              className="inline-flex items-center gap-2 text-gray-600 hover:text-gray-800"
+            >
+              <FiArrowLeft className="w-4 h-4" />
+              Back to Sign In
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvitation;
@@ -0,0 +1,570 @@
+import React, { useState, useEffect } from 'react';
+import { startRegistration } from '@simplewebauthn/browser';
+import { mfaAPI, webauthnAPI, oidcAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import StepUpPrompt from '../components/StepUpPrompt';
+import { FiShield, FiSmartphone, FiCheckCircle, FiMail, FiKey, FiTrash2, FiLifeBuoy, FiDownload, FiLink } from 'react-icons/fi';
+
+const AccountSecurity = () => {
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [disableForm, setDisableForm] = useState({ password: '', code: '' });
+  const [submitting, setSubmitting] = useState(false);
+  const [passkeys, setPasskeys] = useState([]);
+  const [passkeyName, setPasskeyName] = useState('');
+  const [passkeyPassword, setPasskeyPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [recoveryPassword, setRecoveryPassword] = useState('');
+  const [linked, setLinked] = useState(null);
+  const [setupPassword, setSetupPassword] = useState('');
+  // Action to retry once the identity check passes
+  const [stepUpFor, setStepUpFor] = useState(null);
+  // Federated accounts without a password confirm with the identity check alone
+  const hasPassword = linked?.hasPassword !== false;
+
+  useEffect(() => {
+    fetchStatus();
+    fetchPasskeys();
+    fetchLinkedAccounts();
+  }, []);
+
+  // Changes to two-factor settings and passkeys need a recent identity check
+  const needsStepUp = (error, retry) => {
+    if (!error.response?.data?.stepUpRequired) return false;
+    setStepUpFor(() => retry);
+    return true;
+  };
+
+  const completeStepUp = () => {
+    const retry = stepUpFor;
+    setStepUpFor(null);
+    return retry();
+  };
+
+  const fetchStatus = async () => {
+    try {
+      const response = await mfaAPI.getStatus();
+      setStatus(response.data.data);
+    } catch (error) {
+      toast.error('Failed to load security settings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPasskeys = async () => {
+    try {
+      const response = await webauthnAPI.getCredentials();
+      setPasskeys(response.data.data);
+    } catch (error) {
+      toast.error('Failed to load passkeys');
+    }
+  };
+
+  const fetchLinkedAccounts = async () => {
+    try {
+      const response = await oidcAPI.getIdentities();
+      setLinked(response.data.data);
+    } catch (error) {
+      toast.error('Failed to load linked accounts');
+    }
+  };
+
+  const handleLinkProvider = async (providerId) => {
+    try {
+      const response = await oidcAPI.link(providerId);
+      window.location.assign(response.data.data.authorizationUrl);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not reach the identity provider');
+    }
+  };
+
+  const handleUnlink = async (identity) => {
+    if (!window.confirm(`Unlink ${identity.providerName} (${identity.email})?`)) return;
+    try {
+      await oidcAPI.unlink(identity.id);
+      toast.success('Account unlinked');
+      fetchLinkedAccounts();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to unlink account');
+    }
+  };
+
+  const handleAddPasskey = async (e) => {
+    e?.preventDefault();
+    setSubmitting(true);
+    try {
+      const optionsResponse = await webauthnAPI.registerOptions({ password: passkeyPassword });
+      const attestation = await startRegistration({ optionsJSON: optionsResponse.data.data });
+      const response = await webauthnAPI.registerVerify({
+        response: attestation,
+        name: passkeyName || undefined,
+        password: passkeyPassword
+      });
+      toast.success('Passkey added');
+      setPasskeyName('');
+      setPasskeyPassword('');
+      fetchPasskeys();
+      if (response.data.data?.recoveryCodes) {
+        setRecoveryCodes(response.data.data.recoveryCodes);
+        fetchStatus();
+      }
+    } catch (error) {
+      if (needsStepUp(error, handleAddPasskey)) return;
+      toast.error(error.response?.data?.message || 'Passkey registration was cancelled');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDeletePasskey = async (id, confirmed = false) => {
+    if (!confirmed && !window.confirm('Remove this passkey?')) return;
+    try {
+      await webauthnAPI.deleteCredential(id);
+      toast.success('Passkey removed');
+      fetchPasskeys();
+    } catch (error) {
+      if (needsStepUp(error, () => handleDeletePasskey(id, true))) return;
+      toast.error(error.response?.data?.message || 'Failed to remove passkey');
+    }
+  };
+
+  const handleStartSetup = async (e) => {
+    e?.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await mfaAPI.setupTOTP({ password: setupPassword });
+      setSetup(response.data.data);
+      setSetupPassword('');
+      setCode('');
+    } catch (error) {
+      if (needsStepUp(error, handleStartSetup)) return;
+      toast.error(error.response?.data?.message || 'Failed to start setup');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleConfirm = async (e) => {
+    e?.preventDefault();
+    if (code.length !== 6) {
+      toast.error('Please enter the 6-digit code');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const response = await mfaAPI.confirmTOTP({ code });
+      toast.success('Authenticator app enabled');
+      setSetup(null);
+      setCode('');
+      fetchStatus();
+      if (response.data.data?.recoveryCodes) {
+        setRecoveryCodes(response.data.data.recoveryCodes);
+      }
+    } catch (error) {
+      if (needsStepUp(error, handleConfirm)) return;
+      toast.error(error.response?.data?.message || 'Invalid code');
+      setCode('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e?.preventDefault();
+    setSubmitting(true);
+    try {
+      await mfaAPI.disableTOTP(disableForm);
+      toast.success('Authenticator app disabled');
+      setDisableForm({ password: '', code: '' });
+      fetchStatus();
+    } catch (error) {
+      if (needsStepUp(error, handleDisable)) return;
+      toast.error(error.response?.data?.message || 'Failed to disable authenticator');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRegenerateCodes = async (e) => {
+    e?.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await mfaAPI.regenerateRecoveryCodes({ password: recoveryPassword });
+      setRecoveryCodes(response.data.data.recoveryCodes);
+      setRecoveryPassword('');
+      toast.success('New recovery codes generated');
+      fetchStatus();
+    } catch (error) {
+      if (needsStepUp(error, handleRegenerateCodes)) return;
+      toast.error(error.response?.data?.message || 'Failed to generate recovery codes');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDownloadCodes = () => {
+    const blob = new Blob([`TrustScholar recovery codes\n\n${recoveryCodes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'trustscholar-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-slate-900 via-primary-900 to-slate-900 rounded-2xl p-6 shadow-xl border border-slate-700">
+        <h1 className="text-2xl font-bold bg-gradient-to-r from-white to-slate-200 bg-clip-text text-transparent">Account Security</h1>
+        <p className="text-slate-300 mt-1">Manage how you verify your identity when signing in</p>
+      </div>
+
+      {stepUpFor && (
+        <StepUpPrompt
+          description="Changing how you sign in requires a recent identity check."
+          onConfirmed={completeStepUp}
+          onCancel={() => setStepUpFor(null)}
+        />
+      )}
+
+      {/* Authenticator App */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <div className="flex items-start justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-gradient-to-br from-emerald-500 to-cyan-500 rounded-xl flex items-center justify-center shadow-md">
+              <FiSmartphone className="w-5 h-5 text-white" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-gray-800">Authenticator App</h2>
+              <p className="text-sm text-gray-500">
+                Use Google Authenticator, Microsoft Authenticator or any TOTP app instead of email codes
+              </p>
+            </div>
+          </div>
+          {status?.mfaEnabled ? (
+            <span className="flex items-center gap-1 text-sm text-green-600 whitespace-nowrap">
+              <FiCheckCircle /> Enabled
+            </span>
+          ) : (
+            <span className="flex items-center gap-1 text-sm text-gray-500 whitespace-nowrap">
+              <FiMail /> Email codes
+            </span>
+          )}
+        </div>
+
+        {!status?.mfaEnabled && !setup && (
+          <form onSubmit={handleStartSetup} className="mt-6 flex flex-col sm:flex-row gap-3 max-w-xl">
+            {hasPassword && (
+              <input
+                type="password"
+                value={setupPassword}
+                onChange={(e) => setSetupPassword(e.target.value)}
+                placeholder="Current password"
+                className="flex-1 px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                required
+              />
+            )}
+            <button
+              type="submit"
+              disabled={submitting}
+              className="inline-flex items-center gap-2 px-5 py-2.5 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl shadow-lg shadow-emerald-500/25 transition-all disabled:opacity-50"
+            >
+              <FiShield /> Set up authenticator app
+            </button>
+          </form>
+        )}
+
+        {setup && (
+          <form onSubmit={handleConfirm} className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="flex flex-col items-center">
+              <img src={setup.qrCode} alt="Authenticator QR code" className="w-60 h-60 border border-gray-200 rounded-xl" />
+              <p className="mt-3 text-xs text-gray-500">Can't scan? Enter this key manually:</p>
+              <code className="mt-1 px-3 py-1 bg-gray-100 rounded-lg text-sm tracking-wider break-all">{setup.secret}</code>
+            </div>
+            <div className="space-y-4">
+              <p className="text-gray-600 text-sm">
+                1. Scan the QR code with your authenticator app.<br />
+                2. Enter the 6-digit code it shows to finish setup.
+              </p>
+              <input
+                type="text"
+                inputMode="numeric"
+                maxLength={6}
+                value={code}
+                onChange={(e) => setCode(e.target.value.replace(/[^0-9]/g, '').slice(0, 6))}
+                placeholder="000000"
+                className="w-full h-14 text-center text-2xl font-bold tracking-[0.5em] border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+              />
+              <div className="flex gap-3">
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="flex-1 py-2.5 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl transition-all disabled:opacity-50"
+                >
+                  {submitting ? 'Verifying...' : 'Verify & Enable'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setSetup(null)}
+                  className="px-4 py-2.5 border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </form>
+        )}
+
+        {status?.mfaEnabled && (
+          <form onSubmit={handleDisable} className="mt-6 space-y-4 max-w-md">
+            <p className="text-sm text-gray-600">
+              Enabled on {status.enabledAt ? new Date(status.enabledAt).toLocaleDateString() : 'unknown date'}.
+              To turn it off, confirm {hasPassword ? 'your password and ' : ''}a current code.
+            </p>
+            {hasPassword && (
+              <input
+                type="password"
+                value={disableForm.password}
+                onChange={(e) => setDisableForm({ ...disableForm, password: e.target.value })}
+                placeholder="Current password"
+                className="w-full px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                required
+              />
+            )}
+            <input
+              type="text"
+              inputMode="numeric"
+              maxLength={6}
+              value={disableForm.code}
+              onChange={(e) => setDisableForm({ ...disableForm, code: e.target.value.replace(/[^0-9]/g, '').slice(0, 6) })}
+              placeholder="Authenticator code"
+              className="w-full px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+              required
+            />
+            <button
+              type="submit"
+              disabled={submitting}
+              className="px-5 py-2.5 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-xl transition-colors disabled:opacity-50"
+            >
+              Disable authenticator app
+            </button>
+          </form>
+        )}
+      </div>
+
+      {/* Passkeys */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-gradient-to-br from-emerald-500 to-cyan-500 rounded-xl flex items-center justify-center shadow-md">
+            <FiKey className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h2 className="text-lg font-semibold text-gray-800">Passkeys</h2>
+            <p className="text-sm text-gray-500">
+              Sign in with your fingerprint, face, screen lock or a hardware security key
+            </p>
+          </div>
+        </div>
+
+        {passkeys.length > 0 ? (
+          <ul className="mt-6 divide-y divide-gray-100 border border-gray-200 rounded-xl">
+            {passkeys.map((passkey) => (
+              <li key={passkey.id} className="flex items-center justify-between px-4 py-3">
+                <div>
+                  <p className="font-medium text-gray-800">{passkey.name}</p>
+                  <p className="text-xs text-gray-500">
+                    Added {new Date(passkey.created_at).toLocaleDateString()}
+                    {passkey.last_used_at && ` · Last used ${new Date(passkey.last_used_at).toLocaleDateString()}`}
+                    {passkey.backed_up && ' · Synced'}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleDeletePasskey(passkey.id)}
+                  className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                  title="Remove passkey"
+                >
+                  <FiTrash2 />
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="mt-6 text-sm text-gray-500">No passkeys registered yet.</p>
+        )}
+
+        <form onSubmit={handleAddPasskey} className="mt-6 flex flex-col sm:flex-row gap-3 max-w-xl">
+          <input
+            type="text"
+            maxLength={64}
+            value={passkeyName}
+            onChange={(e) => setPasskeyName(e.target.value)}
+            placeholder="Name (e.g. Work laptop)"
+            className="flex-1 px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          />
+          {hasPassword && (
+            <input
+              type="password"
+              value={passkeyPassword}
+              onChange={(e) => setPasskeyPassword(e.target.value)}
+              placeholder="Current password"
+              className="flex-1 px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+              required
+            />
+          )}
+          <button
+            type="submit"
+            disabled={submitting}
+            className="inline-flex items-center justify-center gap-2 px-5 py-2.5 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl shadow-lg shadow-emerald-500/25 transition-all disabled:opacity-50"
+          >
+            <FiKey /> Add a passkey
+          </button>
+        </form>
+      </div>
+
+      {/* Linked Accounts */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <div className="flex items-center gap-3">
+          <div className="w-10 h-10 bg-gradient-to-br from-emerald-500 to-cyan-500 rounded-xl flex items-center justify-center shadow-md">
+            <FiLink className="w-5 h-5 text-white" />
+          </div>
+          <div>
+            <h2 className="text-lg font-semibold text-gray-800">Linked Accounts</h2>
+            <p className="text-sm text-gray-500">
+              Sign in with Google or your university account. Linking asks for your password and an email code.
+            </p>
+          </div>
+        </div>
+
+        {linked?.identities.length > 0 ? (
+          <ul className="mt-6 divide-y divide-gray-100 border border-gray-200 rounded-xl">
+            {linked.identities.map((identity) => (
+              <li key={identity.id} className="flex items-center justify-between px-4 py-3">
+                <div>
+                  <p className="font-medium text-gray-800">{identity.providerName}</p>
+                  <p className="text-xs text-gray-500">
+                    {identity.email}
+                    {identity.linkedAt && ` · Linked ${new Date(identity.linkedAt).toLocaleDateString()}`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleUnlink(identity)}
+                  className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                  title="Unlink account"
+                >
+                  <FiTrash2 />
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="mt-6 text-sm text-gray-500">No linked accounts.</p>
+        )}
+
+        {linked && !linked.hasPassword && (
+          <p className="mt-4 text-sm text-amber-600">
+            Your account has no password yet. Use "Forgot password" on the sign-in page to set one before linking another provider.
+          </p>
+        )}
+
+        {linked?.providers.length > 0 && (
+          <div className="mt-6 flex flex-wrap gap-3">
+            {linked.providers.map((provider) => (
+              <button
+                key={provider.id}
+                onClick={() => handleLinkProvider(provider.id)}
+                disabled={!linked.hasPassword}
+                className="inline-flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                <FiLink /> Link {provider.name}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Recovery Codes */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <div className="flex items-start justify-between gap-4">
+          <div className="flex items-center gap-3">
+            <div className="w-10 h-10 bg-gradient-to-br from-emerald-500 to-cyan-500 rounded-xl flex items-center justify-center shadow-md">
+              <FiLifeBuoy className="w-5 h-5 text-white" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-gray-800">Recovery Codes</h2>
+              <p className="text-sm text-gray-500">
+                One-time codes to sign in if you lose access to your email, authenticator app or passkey
+              </p>
+            </div>
+          </div>
+          {status?.recoveryCodesGeneratedAt && (
+            <span className={`text-sm whitespace-nowrap ${status.recoveryCodesRemaining > 2 ? 'text-green-600' : 'text-amber-600'}`}>
+              {status.recoveryCodesRemaining} left
+            </span>
+          )}
+        </div>
+
+        {recoveryCodes && (
+          <div className="mt-6 p-4 bg-amber-50 border border-amber-200 rounded-xl">
+            <p className="text-sm text-amber-800 font-medium mb-3">
+              Save these codes somewhere safe. They will not be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 font-mono text-gray-800">
+              {recoveryCodes.map((recoveryCode) => (
+                <code key={recoveryCode} className="px-3 py-1 bg-white rounded-lg border border-amber-100 text-center">{recoveryCode}</code>
+              ))}
+            </div>
+            <div className="mt-4 flex gap-3">
+              <button
+                onClick={handleDownloadCodes}
+                className="inline-flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-xl text-gray-700 hover:bg-gray-50"
+              >
+                <FiDownload /> Download
+              </button>
+              <button
+                onClick={() => setRecoveryCodes(null)}
+                className="px-4 py-2 text-gray-600 hover:text-gray-800"
+              >
+                I've saved them
+              </button>
+            </div>
+          </div>
+        )}
+
+        <form onSubmit={handleRegenerateCodes} className="mt-6 flex flex-col sm:flex-row gap-3 max-w-xl">
+          {hasPassword && (
+            <input
+              type="password"
+              value={recoveryPassword}
+              onChange={(e) => setRecoveryPassword(e.target.value)}
+              placeholder="Current password"
+              className="flex-1 px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+              required
+            />
+          )}
+          <button
+            type="submit"
+            disabled={submitting}
+            className="px-5 py-2.5 border border-gray-300 rounded-xl text-gray-700 font-semibold hover:bg-gray-50 disabled:opacity-50"
+          >
+            {status?.recoveryCodesGeneratedAt ? 'Generate new codes' : 'Generate codes'}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default AccountSecurity;
@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { sessionsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { FiMonitor, FiSmartphone, FiLogOut } from 'react-icons/fi';
+
+// Short "Browser on OS" label from a user agent string
+const describeUserAgent = (userAgent = '') => {
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge' :
+    /OPR\//.test(userAgent) ? 'Opera' :
+    /Chrome\//.test(userAgent) ? 'Chrome' :
+    /Firefox\//.test(userAgent) ? 'Firefox' :
+    /Safari\//.test(userAgent) ? 'Safari' : null;
+  const os =
+    /Android/.test(userAgent) ? 'Android' :
+    /iPhone|iPad/.test(userAgent) ? 'iOS' :
+    /Windows/.test(userAgent) ? 'Windows' :
+    /Mac OS X/.test(userAgent) ? 'macOS' :
+    /Linux/.test(userAgent) ? 'Linux' : null;
+
+  if (!browser && !os) return 'Unknown device';
+  return [browser || 'Browser', os].filter(Boolean).join(' on ');
+};
+
+const isMobile = (userAgent = '') => /Android|iPhone|iPad|Mobile/.test(userAgent);
+
+const AccountSessions = () => {
+  const { logout } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await sessionsAPI.getAll();
+      setSessions(response.data.data || []);
+    } catch (error) {
+      toast.error('Failed to load sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      await logout();
+      navigate('/login');
+      return;
+    }
+    try {
+      await sessionsAPI.revoke(session.id);
+      toast.success('Session revoked');
+      fetchSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke session');
+    }
+  };
+
+  const handleSignOutEverywhere = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+    setSubmitting(true);
+    try {
+      await sessionsAPI.revokeOthers();
+      await logout();
+      toast.success('Signed out everywhere');
+      navigate('/login');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out everywhere');
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-slate-900 via-primary-900 to-slate-900 rounded-2xl p-6 shadow-xl border border-slate-700 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold bg-gradient-to-r from-white to-slate-200 bg-clip-text text-transparent">Active Sessions</h1>
+          <p className="text-slate-300 mt-1">Devices currently signed in to your account</p>
+        </div>
+        <button
+          onClick={handleSignOutEverywhere}
+          disabled={submitting}
+          className="inline-flex items-center gap-2 px-5 py-2.5 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-xl transition-colors disabled:opacity-50"
+        >
+          <FiLogOut /> Sign out everywhere
+        </button>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 divide-y divide-gray-100">
+        {sessions.map((session) => (
+          <div key={session.id} className="flex items-center justify-between gap-4 p-6">
+            <div className="flex items-center gap-3">
+              <div className="w-10 h-10 bg-gradient-to-br from-emerald-500 to-cyan-500 rounded-xl flex items-center justify-center shadow-md">
+                {isMobile(session.user_agent)
+                  ? <FiSmartphone className="w-5 h-5 text-white" />
+                  : <FiMonitor className="w-5 h-5 text-white" />}
+              </div>
+              <div>
+                <p className="font-medium text-gray-800">
+                  {describeUserAgent(session.user_agent)}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">This device</span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-500">
+                  {session.ip_address || 'Unknown IP'} · Signed in {new Date(session.created_at).toLocaleString()}
+                </p>
+                <p className="text-xs text-gray-400">
+                  Last seen {new Date(session.last_seen_at).toLocaleString()}
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={() => handleRevoke(session)}
+              className="text-sm font-medium text-red-600 hover:text-red-700 whitespace-nowrap"
+            >
+              {session.current ? 'Sign out' : 'Revoke'}
+            </button>
+          </div>
+        ))}
+        {sessions.length === 0 && (
+          <p className="p-6 text-sm text-gray-500">No active sessions.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AccountSessions;
@@ -0,0 +1,327 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { delegationsAPI, rolesAPI, usersAPI, scholarshipsAPI } from '../services/api';
+import { usePermission } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+import { FiClock, FiFilter, FiAlertCircle, FiPlus } from 'react-icons/fi';
+
+const STATUS_STYLES = {
+  active: 'bg-green-100 text-green-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  expired: 'bg-gray-100 text-gray-700',
+  revoked: 'bg-red-100 text-red-800',
+};
+
+// Grants that can be limited to one scholarship
+const SCHOLARSHIP_SCOPED_RESOURCES = ['manage_applications', 'verify_documents'];
+
+const EMPTY_DELEGATION = {
+  userId: '',
+  permissions: [],
+  scholarshipId: '',
+  startsAt: '',
+  endsAt: '',
+  reason: '',
+};
+
+const AdminDelegations = () => {
+  const canManage = usePermission('manage_users:update');
+  const [delegations, setDelegations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('active');
+  const [users, setUsers] = useState([]);
+  const [scholarships, setScholarships] = useState([]);
+  const [resources, setResources] = useState({});
+  const [form, setForm] = useState(EMPTY_DELEGATION);
+  const [saving, setSaving] = useState(false);
+
+  const fetchDelegations = useCallback(async () => {
+    try {
+      const response = await delegationsAPI.getAll(status ? { status } : {});
+      setDelegations(response.data.data || []);
+    } catch (error) {
+      toast.error('Failed to fetch delegations');
+    } finally {
+      setLoading(false);
+    }
+  }, [status]);
+
+  useEffect(() => {
+    fetchDelegations();
+  }, [fetchDelegations]);
+
+  useEffect(() => {
+    Promise.all([
+      usersAPI.getAll({ limit: 100 }),
+      scholarshipsAPI.getAll({ active_only: 'false', limit: 100 }),
+      rolesAPI.getAll(),
+    ])
+      .then(([usersResponse, scholarshipsResponse, rolesResponse]) => {
+        setUsers((usersResponse.data.data.users || []).filter((user) => user.is_active));
+        setScholarships(scholarshipsResponse.data.data.scholarships || []);
+        setResources(rolesResponse.data.data?.resources || {});
+      })
+      .catch(() => toast.error('Failed to load users and scholarships'));
+  }, []);
+
+  const toggleGrant = (grant) => {
+    const permissions = form.permissions.includes(grant)
+      ? form.permissions.filter((value) => value !== grant)
+      : [...form.permissions, grant];
+    setForm({ ...form, permissions });
+  };
+
+  // Only application grants can be limited to a scholarship
+  const grantDisabled = (resource) => Boolean(form.scholarshipId) && !SCHOLARSHIP_SCOPED_RESOURCES.includes(resource);
+
+  const handleScholarshipChange = (scholarshipId) => {
+    setForm({
+      ...form,
+      scholarshipId,
+      permissions: scholarshipId
+        ? form.permissions.filter((grant) => SCHOLARSHIP_SCOPED_RESOURCES.includes(grant.split(':')[0]))
+        : form.permissions,
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await delegationsAPI.create({
+        ...form,
+        startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : undefined,
+        endsAt: form.endsAt ? new Date(form.endsAt).toISOString() : '',
+      });
+      toast.success('Delegation created');
+      setForm(EMPTY_DELEGATION);
+      fetchDelegations();
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to create delegation');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (delegation) => {
+    const confirmed = window.confirm(`Revoke the delegation to ${delegation.user_email}?`);
+    if (!confirmed) return;
+    try {
+      await delegationsAPI.revoke(delegation.id);
+      toast.success('Delegation revoked');
+      fetchDelegations();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke delegation');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-slate-900 via-primary-900 to-slate-900 rounded-2xl p-6 shadow-xl border border-slate-700">
+        <h1 className="text-2xl font-bold bg-gradient-to-r from-white to-slate-200 bg-clip-text text-transparent flex items-center gap-2">
+          <div className="w-10 h-10 bg-gradient-to-br from-emerald-500 to-cyan-500 rounded-xl flex items-center justify-center shadow-lg">
+            <FiClock className="w-5 h-5 text-white" />
+          </div>
+          Delegations
+        </h1>
+        <p className="text-slate-300 mt-2 ml-12">Give a user extra permissions for a limited time, e.g. to cover an officer on leave</p>
+      </div>
+
+      {/* New Delegation */}
+      {canManage && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-800 mb-4 flex items-center gap-2">
+            <FiPlus className="text-emerald-600" /> New Delegation
+          </h2>
+          <form onSubmit={handleCreate} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Delegate *</label>
+                <select
+                  value={form.userId}
+                  onChange={(e) => setForm({ ...form, userId: e.target.value })}
+                  required
+                  className="w-full px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                >
+                  <option value="">Choose a user</option>
+                  {users.map((user) => (
+                    <option key={user.id} value={user.id}>{user.email} ({user.role})</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Scholarship</label>
+                <select
+                  value={form.scholarshipId}
+                  onChange={(e) => handleScholarshipChange(e.target.value)}
+                  className="w-full px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                >
+                  <option value="">All scholarships</option>
+                  {scholarships.map((scholarship) => (
+                    <option key={scholarship.id} value={scholarship.id}>{scholarship.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Starts</label>
+                <input
+                  type="datetime-local"
+                  value={form.startsAt}
+                  onChange={(e) => setForm({ ...form, startsAt: e.target.value })}
+                  className="w-full px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                />
+                <p className="text-xs text-gray-500 mt-1">Leave empty to start now</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Ends *</label>
+                <input
+                  type="datetime-local"
+                  value={form.endsAt}
+                  onChange={(e) => setForm({ ...form, endsAt: e.target.value })}
+                  required
+                  className="w-full px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Permissions *</label>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                {Object.entries(resources).flatMap(([resource, { label, actions }]) => actions.map((action) => {
+                  const grant = `${resource}:${action}`;
+                  return (
+                    <label key={grant} className={`flex items-center gap-2 text-sm ${grantDisabled(resource) ? 'text-gray-300' : 'text-gray-700'}`}>
+                      <input
+                        type="checkbox"
+                        checked={form.permissions.includes(grant)}
+                        onChange={() => toggleGrant(grant)}
+                        disabled={grantDisabled(resource)}
+                        className="h-4 w-4 text-emerald-600 border-gray-300 rounded focus:ring-emerald-500"
+                      />
+                      {label} <span className="font-mono text-xs text-gray-400">{action}</span>
+                    </label>
+                  );
+                }))}
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reason *</label>
+              <input
+                type="text"
+                placeholder="Covering for the engineering officer during leave"
+                value={form.reason}
+                onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                required
+                maxLength={500}
+                className="w-full px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={saving || form.permissions.length === 0}
+              className="px-5 py-2.5 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl transition disabled:opacity-50"
+            >
+              {saving ? 'Creating...' : 'Create Delegation'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+        <div className="flex flex-wrap items-center gap-4">
+          <FiFilter className="text-gray-400" />
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          >
+            <option value="">All delegations</option>
+            <option value="active">Active</option>
+            <option value="scheduled">Scheduled</option>
+            <option value="expired">Expired</option>
+            <option value="revoked">Revoked</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Delegations Table */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Delegate</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Permissions</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Period</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {delegations.map((delegation) => (
+                <tr key={delegation.id} className="hover:bg-gray-50 align-top">
+                  <td className="px-6 py-4">
+                    <p className="text-sm text-gray-800">{delegation.user_email || 'Deleted user'}</p>
+                    <p className="text-xs text-gray-500">{delegation.reason}</p>
+                    {delegation.created_by && <p className="text-xs text-gray-400">by {delegation.created_by}</p>}
+                  </td>
+                  <td className="px-6 py-4">
+                    <div className="flex flex-wrap gap-1">
+                      {delegation.permissions.map((grant) => (
+                        <span key={grant} className="px-2 py-1 rounded text-xs font-mono bg-slate-100 text-slate-700">{grant}</span>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {delegation.scholarship_id ? `Only ${delegation.scholarship_name || 'one scholarship'}` : 'All scholarships'}
+                    </p>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-600">
+                    {new Date(delegation.starts_at).toLocaleString()}
+                    <br />
+                    → {new Date(delegation.ends_at).toLocaleString()}
+                  </td>
+                  <td className="px-6 py-4">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[delegation.status]}`}>
+                      {delegation.status}
+                    </span>
+                    {delegation.revoked_by && <p className="text-xs text-gray-400 mt-1">by {delegation.revoked_by}</p>}
+                  </td>
+                  <td className="px-6 py-4 text-right">
+                    {canManage && ['active', 'scheduled'].includes(delegation.status) && (
+                      <button
+                        onClick={() => handleRevoke(delegation)}
+                        className="text-sm font-medium text-red-600 hover:text-red-700"
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {delegations.length === 0 && (
+          <div className="p-8 text-center">
+            <FiAlertCircle className="w-12 h-12 mx-auto text-gray-300 mb-3" />
+            <p className="text-gray-500">No delegations found</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminDelegations;
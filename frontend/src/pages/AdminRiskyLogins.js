@@ -0,0 +1,147 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { usersAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FiAlertTriangle, FiFilter, FiAlertCircle } from 'react-icons/fi';
+
+const FLAG_LABELS = {
+  impossible_travel: 'Impossible travel',
+  rapid_ip_change: 'Rapid IP change',
+};
+
+// One line explaining why the sign-in was flagged
+const describeDetails = (details = {}) => {
+  const lines = [];
+  const travel = details.impossibleTravel;
+  if (travel) {
+    const from = [travel.fromCountry, travel.fromIp].filter(Boolean).join(' / ');
+    lines.push(travel.distanceKm
+      ? `${travel.distanceKm} km from ${from} at ~${travel.speedKmh} km/h`
+      : `${travel.fromCountry} → ${travel.toCountry} (previously ${from})`);
+  }
+  if (details.rapidIpChange) {
+    lines.push(`${details.rapidIpChange.networks.length} networks within ${details.rapidIpChange.windowMinutes} min`);
+  }
+  return lines;
+};
+
+const AdminRiskyLogins = () => {
+  const [logins, setLogins] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [flag, setFlag] = useState('');
+
+  const fetchLogins = useCallback(async () => {
+    try {
+      const response = await usersAPI.getRiskyLogins({ limit: 100, ...(flag ? { flag } : {}) });
+      setLogins(response.data.data?.logins || []);
+    } catch (error) {
+      toast.error('Failed to fetch risky logins');
+    } finally {
+      setLoading(false);
+    }
+  }, [flag]);
+
+  useEffect(() => {
+    fetchLogins();
+  }, [fetchLogins]);
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-slate-900 via-primary-900 to-slate-900 rounded-2xl p-6 shadow-xl border border-slate-700">
+        <h1 className="text-2xl font-bold bg-gradient-to-r from-white to-slate-200 bg-clip-text text-transparent flex items-center gap-2">
+          <div className="w-10 h-10 bg-gradient-to-br from-amber-500 to-red-500 rounded-xl flex items-center justify-center shadow-lg">
+            <FiAlertTriangle className="w-5 h-5 text-white" />
+          </div>
+          Risky Logins
+        </h1>
+        <p className="text-slate-300 mt-2 ml-12">Successful sign-ins flagged for impossible travel or rapid IP changes</p>
+      </div>
+
+      {/* Filters */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+        <div className="flex flex-wrap items-center gap-4">
+          <FiFilter className="text-gray-400" />
+          <select
+            value={flag}
+            onChange={(e) => setFlag(e.target.value)}
+            className="px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          >
+            <option value="">All flags</option>
+            {Object.entries(FLAG_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Logins Table */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Flags</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Device</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">IP Address</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {logins.map((login) => (
+                <tr key={login.id} className="hover:bg-gray-50 align-top">
+                  <td className="px-6 py-4 text-sm text-gray-600">
+                    {new Date(login.created_at).toLocaleString()}
+                  </td>
+                  <td className="px-6 py-4">
+                    <p className="text-sm text-gray-800">{login.user_email || 'Deleted user'}</p>
+                    {login.user_role && <p className="text-xs text-gray-500 capitalize">{login.user_role}</p>}
+                  </td>
+                  <td className="px-6 py-4">
+                    <div className="flex flex-wrap gap-1">
+                      {login.flags.map((value) => (
+                        <span key={value} className="px-2 py-1 rounded text-xs font-medium bg-red-100 text-red-800">
+                          {FLAG_LABELS[value] || value}
+                        </span>
+                      ))}
+                    </div>
+                    {describeDetails(login.details).map((line) => (
+                      <p key={line} className="text-xs text-gray-500 mt-1">{line}</p>
+                    ))}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-600">
+                    {login.device}
+                    {login.new_device && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800">New</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-600 font-mono">
+                    {login.ip_address || 'N/A'}
+                    {login.country && <span className="ml-2 text-gray-400">{login.country}</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {logins.length === 0 && (
+          <div className="p-8 text-center">
+            <FiAlertCircle className="w-12 h-12 mx-auto text-gray-300 mb-3" />
+            <p className="text-gray-500">No risky logins found</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminRiskyLogins;
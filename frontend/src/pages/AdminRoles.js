@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react';
+import { rolesAPI } from '../services/api';
+import { usePermission } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+import { FiLayers, FiSave, FiLock, FiPlus, FiTrash2 } from 'react-icons/fi';
+
+const ACTION_LABELS = {
+  create: 'Create',
+  read: 'View',
+  update: 'Update',
+  delete: 'Delete',
+};
+
+const BASE_ROLES = ['student', 'officer', 'admin'];
+
+const EMPTY_ROLE = { name: '', description: '', baseRole: 'officer' };
+
+const AdminRoles = () => {
+  const [roles, setRoles] = useState([]);
+  const canCreate = usePermission('manage_users:create');
+  const canDelete = usePermission('manage_users:delete');
+  const [resources, setResources] = useState({});
+  // Unsaved grants per role: { [roleName]: string[] }
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [newRole, setNewRole] = useState(EMPTY_ROLE);
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const fetchRoles = async () => {
+    try {
+      const response = await rolesAPI.getAll();
+      setRoles(response.data.data?.roles || []);
+      setResources(response.data.data?.resources || {});
+    } catch (error) {
+      toast.error('Failed to fetch roles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const grantsOf = (role) => drafts[role.name] || role.permissions;
+
+  const toggleGrant = (role, grant) => {
+    const current = grantsOf(role);
+    const next = current.includes(grant)
+      ? current.filter((value) => value !== grant)
+      : [...current, grant].sort();
+    setDrafts({ ...drafts, [role.name]: next });
+  };
+
+  const isDirty = (role) => {
+    const draft = drafts[role.name];
+    return Boolean(draft) && draft.join(',') !== role.permissions.join(',');
+  };
+
+  const changedRoles = roles.filter(isDirty);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const updated = {};
+      for (const role of changedRoles) {
+        const response = await rolesAPI.updatePermissions(role.name, drafts[role.name]);
+        updated[role.name] = response.data.data;
+      }
+      setRoles(roles.map((role) => updated[role.name] || role));
+      setDrafts({});
+      toast.success('Permissions updated');
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to update permissions');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // New roles start with the grants of the role they are based on
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const base = roles.find((role) => role.name === newRole.baseRole);
+      const response = await rolesAPI.create({
+        ...newRole,
+        permissions: base?.permissions || [],
+      });
+      setRoles([...roles, response.data.data]);
+      setNewRole(EMPTY_ROLE);
+      toast.success('Role created');
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Failed to create role');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    const confirmed = window.confirm(`Delete the ${role.name} role?`);
+    if (!confirmed) return;
+    try {
+      await rolesAPI.remove(role.name);
+      setRoles(roles.filter((value) => value.name !== role.name));
+      const { [role.name]: discarded, ...rest } = drafts;
+      setDrafts(rest);
+      toast.success('Role deleted');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete role');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-slate-900 via-primary-900 to-slate-900 rounded-2xl p-6 shadow-xl border border-slate-700">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold bg-gradient-to-r from-white to-slate-200 bg-clip-text text-transparent flex items-center gap-2">
+              <div className="w-10 h-10 bg-gradient-to-br from-emerald-500 to-cyan-500 rounded-xl flex items-center justify-center shadow-lg">
+                <FiLayers className="w-5 h-5 text-white" />
+              </div>
+              Roles & Permissions
+            </h1>
+            <p className="text-slate-300 mt-2 ml-12">Choose what each role can do. Changes apply without a deploy and are audited.</p>
+          </div>
+          <button
+            onClick={handleSave}
+            disabled={saving || changedRoles.length === 0}
+            className="flex items-center gap-2 px-4 py-2.5 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-medium rounded-xl shadow-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <FiSave /> {saving ? 'Saving...' : 'Save Changes'}
+          </button>
+        </div>
+      </div>
+
+      {/* New Role */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <h2 className="text-lg font-semibold text-gray-800 mb-1 flex items-center gap-2">
+          <FiPlus className="text-emerald-600" /> New Role
+        </h2>
+        <p className="text-sm text-gray-500 mb-4">
+          A custom role behaves like its base role (pages, ownership, sign-in policy) with its own permissions.
+        </p>
+        <form onSubmit={handleCreate} className="flex flex-wrap gap-3">
+          <input
+            type="text"
+            placeholder="finance_officer"
+            value={newRole.name}
+            onChange={(e) => setNewRole({ ...newRole, name: e.target.value })}
+            required
+            className="min-w-[180px] px-4 py-2.5 border border-gray-300 rounded-xl font-mono focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          />
+          <input
+            type="text"
+            placeholder="Description"
+            value={newRole.description}
+            onChange={(e) => setNewRole({ ...newRole, description: e.target.value })}
+            maxLength={200}
+            className="flex-1 min-w-[200px] px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          />
+          <select
+            value={newRole.baseRole}
+            onChange={(e) => setNewRole({ ...newRole, baseRole: e.target.value })}
+            className="px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          >
+            {BASE_ROLES.map((baseRole) => (
+              <option key={baseRole} value={baseRole}>Based on {baseRole}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={creating || !canCreate}
+            className="px-5 py-2.5 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl transition disabled:opacity-50"
+          >
+            {creating ? 'Creating...' : 'Create Role'}
+          </button>
+        </form>
+      </div>
+
+      {/* Permission Matrix */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-slate-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Permission</th>
+                {roles.map((role) => (
+                  <th key={role.name} className="px-6 py-3 text-center text-xs font-medium text-gray-500 uppercase">
+                    {role.name}
+                    {isDirty(role) && <span className="ml-1 text-amber-500">•</span>}
+                    {!role.is_system && canDelete && (
+                      <button
+                        onClick={() => handleDelete(role)}
+                        title="Delete role"
+                        className="ml-2 align-middle text-gray-400 hover:text-red-600"
+                      >
+                        <FiTrash2 className="inline" />
+                      </button>
+                    )}
+                    {!role.is_system && (
+                      <p className="normal-case font-normal text-gray-400">Based on {role.base_role}</p>
+                    )}
+                    {role.description && (
+                      <p className="normal-case font-normal text-gray-400">{role.description}</p>
+                    )}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {Object.entries(resources).map(([resource, { label, actions }]) => (
+                <React.Fragment key={resource}>
+                  <tr className="bg-gray-50">
+                    <td colSpan={roles.length + 1} className="px-6 py-2 text-sm font-semibold text-gray-700">
+                      {label}
+                    </td>
+                  </tr>
+                  {actions.map((action) => {
+                    const grant = `${resource}:${action}`;
+                    return (
+                      <tr key={grant} className="hover:bg-gray-50">
+                        <td className="px-6 py-3 text-sm text-gray-600">
+                          {ACTION_LABELS[action] || action} {label.toLowerCase()}
+                          <span className="ml-2 font-mono text-xs text-gray-400">{grant}</span>
+                        </td>
+                        {roles.map((role) => {
+                          const locked = role.protected_permissions.includes(grant);
+                          return (
+                            <td key={role.name} className="px-6 py-3 text-center">
+                              {locked ? (
+                                <FiLock className="inline text-gray-400" title="Required so roles can still be managed" />
+                              ) : (
+                                <input
+                                  type="checkbox"
+                                  checked={grantsOf(role).includes(grant)}
+                                  onChange={() => toggleGrant(role, grant)}
+                                  disabled={saving}
+                                  className="h-4 w-4 text-emerald-600 border-gray-300 rounded focus:ring-emerald-500"
+                                />
+                              )}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    );
+                  })}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdminRoles;
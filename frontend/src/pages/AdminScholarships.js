@@ -1,10 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { scholarshipsAPI } from '../services/api';
+import { usePermission } from '../context/AuthContext';
 import toast from 'react-hot-toast';
 import { FiAward, FiPlus, FiEdit2, FiTrash2 } from 'react-icons/fi';
 
 const AdminScholarships = () => {
   const [scholarships, setScholarships] = useState([]);
+  const canCreate = usePermission('manage_scholarships:create');
+  const canUpdate = usePermission('manage_scholarships:update');
+  const canDelete = usePermission('manage_scholarships:delete');
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [editingId, setEditingId] = useState(null);
@@ -14,7 +18,8 @@ const AdminScholarships = () => {
     amount: '',
     eligibility_criteria: '',
     deadline: '',
-    max_recipients: 1
+    max_recipients: 1,
+    officer_groups: ''
   });
 
   useEffect(() => {
@@ -34,19 +39,23 @@ const AdminScholarships = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    const payload = {
+      ...formData,
+      officer_groups: formData.officer_groups.split(',').map((group) => group.trim()).filter(Boolean),
+    };
     try {
       if (editingId) {
-        await scholarshipsAPI.update(editingId, formData);
+        await scholarshipsAPI.update(editingId, payload);
         toast.success('Scholarship updated');
       } else {
-        await scholarshipsAPI.create(formData);
+        await scholarshipsAPI.create(payload);
         toast.success('Scholarship created');
       }
       setShowModal(false);
       resetForm();
       fetchScholarships();
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Operation failed');
+      toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.msg || 'Operation failed');
     }
   };
 
@@ -57,7 +66,8 @@ const AdminScholarships = () => {
       amount: scholarship.amount,
       eligibility_criteria: scholarship.eligibility_criteria || '',
       deadline: scholarship.deadline?.split('T')[0] || '',
-      max_recipients: scholarship.max_recipients || 1
+      max_recipients: scholarship.max_recipients || 1,
+      officer_groups: (scholarship.officer_groups || []).join(', ')
     });
     setEditingId(scholarship.id);
     setShowModal(true);
@@ -82,7 +92,8 @@ const AdminScholarships = () => {
       amount: '',
       eligibility_criteria: '',
       deadline: '',
-      max_recipients: 1
+      max_recipients: 1,
+      officer_groups: ''
     });
     setEditingId(null);
   };
@@ -97,7 +108,8 @@ const AdminScholarships = () => {
         </div>
         <button
           onClick={() => { resetForm(); setShowModal(true); }}
-          className="inline-flex items-center justify-center gap-2 px-5 py-2.5 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl shadow-lg shadow-emerald-500/25 transition-all"
+          disabled={!canCreate}
+          className="disabled:opacity-50 disabled:cursor-not-allowed inline-flex items-center justify-center gap-2 px-5 py-2.5 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl shadow-lg shadow-emerald-500/25 transition-all"
         >
           <FiPlus /> Add Scholarship
         </button>
@@ -130,6 +142,9 @@ const AdminScholarships = () => {
               <p className="text-gray-600 text-sm mb-4 line-clamp-2">
                 {scholarship.description || 'No description'}
               </p>
+              <p className="text-xs text-gray-500 mb-3">
+                Officer groups: {scholarship.officer_groups?.length ? scholarship.officer_groups.join(', ') : 'None (admins only)'}
+              </p>
               <div className="flex items-center justify-between">
                 <span className="text-sm text-gray-500">
                   Deadline: {scholarship.deadline 
@@ -137,18 +152,22 @@ const AdminScholarships = () => {
                     : 'None'}
                 </span>
                 <div className="flex gap-2">
-                  <button
-                    onClick={() => handleEdit(scholarship)}
-                    className="p-2 text-gray-500 hover:text-emerald-600 hover:bg-emerald-50 rounded-xl transition-colors"
-                  >
-                    <FiEdit2 />
-                  </button>
-                  <button
-                    onClick={() => handleDelete(scholarship.id)}
-                    className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-xl transition-colors"
-                  >
-                    <FiTrash2 />
-                  </button>
+                  {canUpdate && (
+                    <button
+                      onClick={() => handleEdit(scholarship)}
+                      className="p-2 text-gray-500 hover:text-emerald-600 hover:bg-emerald-50 rounded-xl transition-colors"
+                    >
+                      <FiEdit2 />
+                    </button>
+                  )}
+                  {canDelete && (
+                    <button
+                      onClick={() => handleDelete(scholarship.id)}
+                      className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-xl transition-colors"
+                    >
+                      <FiTrash2 />
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
@@ -224,6 +243,17 @@ const AdminScholarships = () => {
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
                 />
               </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Officer Groups</label>
+                <input
+                  type="text"
+                  placeholder="engineering, arts"
+                  value={formData.officer_groups}
+                  onChange={(e) => setFormData({ ...formData, officer_groups: e.target.value })}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                />
+                <p className="text-xs text-gray-500 mt-1">Only officers in one of these groups can review its applications</p>
+              </div>
               <div className="flex gap-3 pt-4">
                 <button
                   type="button"
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import { authPoliciesAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FiKey, FiSend } from 'react-icons/fi';
+
+const ROLE_LABELS = {
+  student: 'Students',
+  officer: 'Officers',
+  admin: 'Administrators',
+};
+
+const SETTINGS = [
+  {
+    field: 'requirePasskey',
+    icon: FiKey,
+    label: 'Require a passkey',
+    on: 'Passkey required. Users without one must register a passkey after their next sign-in.',
+    off: 'Email code, authenticator app or passkey accepted.',
+  },
+  {
+    field: 'allowMagicLink',
+    icon: FiSend,
+    label: 'Allow magic-link sign-in',
+    on: 'Users can sign in with a one-time link sent to their email (never while this role requires a passkey, nor to accounts with an authenticator app).',
+    off: 'Magic links are not sent to this role.',
+  },
+];
+
+const AdminSecurityPolicies = () => {
+  const [policies, setPolicies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(null);
+
+  useEffect(() => {
+    fetchPolicies();
+  }, []);
+
+  const fetchPolicies = async () => {
+    try {
+      const response = await authPoliciesAPI.getAll();
+      setPolicies(response.data.data || []);
+    } catch (error) {
+      toast.error('Failed to fetch policies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggle = async (policy, field) => {
+    setSaving(policy.role);
+    try {
+      const response = await authPoliciesAPI.update(policy.role, { [field]: !policy[field] });
+      setPolicies(policies.map((p) => (p.role === policy.role ? response.data.data : p)));
+      toast.success('Policy updated');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update policy');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-slate-900 via-primary-900 to-slate-900 rounded-2xl p-6 shadow-xl border border-slate-700">
+        <h1 className="text-2xl font-bold bg-gradient-to-r from-white to-slate-200 bg-clip-text text-transparent">Sign-in Policies</h1>
+        <p className="text-slate-300 mt-1">Choose how each role may sign in</p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 divide-y divide-gray-100">
+        {policies.map((policy) => (
+          <div key={policy.role} className="p-6 space-y-4">
+            <h2 className="font-semibold text-gray-800">{ROLE_LABELS[policy.role] || policy.role}</h2>
+            {SETTINGS.map((setting) => {
+              const Icon = setting.icon;
+              const enabled = Boolean(policy[setting.field]);
+              return (
+                <div key={setting.field} className="flex items-center justify-between gap-4">
+                  <div className="flex items-center gap-3">
+                    <div className="w-10 h-10 bg-gradient-to-br from-emerald-500 to-cyan-500 rounded-xl flex items-center justify-center shadow-md">
+                      <Icon className="w-5 h-5 text-white" />
+                    </div>
+                    <div>
+                      <p className="text-sm font-medium text-gray-700">{setting.label}</p>
+                      <p className="text-sm text-gray-500">{enabled ? setting.on : setting.off}</p>
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => handleToggle(policy, setting.field)}
+                    disabled={saving === policy.role}
+                    className={`relative inline-flex h-6 w-11 flex-shrink-0 rounded-full transition-colors disabled:opacity-50 ${
+                      enabled ? 'bg-emerald-500' : 'bg-gray-300'
+                    }`}
+                    role="switch"
+                    aria-checked={enabled}
+                    title={`${enabled ? 'Disable' : 'Enable'}: ${setting.label}`}
+                  >
+                    <span
+                      className={`inline-block h-5 w-5 mt-0.5 transform rounded-full bg-white shadow transition ${
+                        enabled ? 'translate-x-5' : 'translate-x-0.5'
+                      }`}
+                    />
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AdminSecurityPolicies;
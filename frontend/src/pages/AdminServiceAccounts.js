@@ -0,0 +1,350 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { serviceAccountsAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FiCpu, FiKey, FiCopy, FiRefreshCw, FiTrash2, FiPlus } from 'react-icons/fi';
+
+const emptyKeyForm = { name: '', scopes: [], rateLimitPerMinute: 60, expiresInDays: '' };
+
+const getKeyStatus = (apiKey) => {
+  if (apiKey.revoked_at) return { label: 'Revoked', className: 'text-red-600' };
+  if (apiKey.expires_at && new Date(apiKey.expires_at) <= new Date()) {
+    return { label: 'Expired', className: 'text-gray-500' };
+  }
+  return { label: 'Active', className: 'text-green-600' };
+};
+
+const AdminServiceAccounts = () => {
+  const [accounts, setAccounts] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newAccountName, setNewAccountName] = useState('');
+  const [keyForm, setKeyForm] = useState(null); // { accountId, ...emptyKeyForm }
+  const [revealedKey, setRevealedKey] = useState(null); // { accountId, key }
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchAccounts = useCallback(async () => {
+    try {
+      const [accountsResponse, scopesResponse] = await Promise.all([
+        serviceAccountsAPI.getAll(),
+        serviceAccountsAPI.getScopes()
+      ]);
+      setAccounts(accountsResponse.data.data || []);
+      setScopes(scopesResponse.data.data || []);
+    } catch (error) {
+      toast.error('Failed to fetch service accounts');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAccounts();
+  }, [fetchAccounts]);
+
+  const errorMessage = (error, fallback) => (
+    error.response?.data?.message
+    || error.response?.data?.errors?.[0]?.msg
+    || fallback
+  );
+
+  const handleCreateAccount = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      await serviceAccountsAPI.create({ name: newAccountName });
+      toast.success('Service account created');
+      setNewAccountName('');
+      fetchAccounts();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to create service account'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleToggleActive = async (account) => {
+    if (account.is_active && !window.confirm(`Deactivate ${account.name}? All of its keys stop working.`)) return;
+    try {
+      const response = await serviceAccountsAPI.update(account.id, { is_active: !account.is_active });
+      toast.success(response.data.message);
+      fetchAccounts();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to update service account'));
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setKeyForm((form) => ({
+      ...form,
+      scopes: form.scopes.includes(scope)
+        ? form.scopes.filter((s) => s !== scope)
+        : [...form.scopes, scope]
+    }));
+  };
+
+  const handleCreateKey = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const { accountId, name, scopes: selected, rateLimitPerMinute, expiresInDays } = keyForm;
+      const response = await serviceAccountsAPI.createKey(accountId, {
+        name,
+        scopes: selected,
+        rateLimitPerMinute: Number(rateLimitPerMinute),
+        expiresInDays: expiresInDays ? Number(expiresInDays) : null
+      });
+      setRevealedKey({ accountId, key: response.data.data.key });
+      setKeyForm(null);
+      toast.success('API key created');
+      fetchAccounts();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to create API key'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRotateKey = async (accountId, apiKey) => {
+    const grace = window.prompt(
+      `Rotate "${apiKey.name}"? Hours the old key should keep working (0 revokes it now):`,
+      '24'
+    );
+    if (grace === null) return;
+    try {
+      const response = await serviceAccountsAPI.rotateKey(accountId, apiKey.id, { graceHours: Number(grace) || 0 });
+      setRevealedKey({ accountId, key: response.data.data.key });
+      toast.success(response.data.message);
+      fetchAccounts();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to rotate API key'));
+    }
+  };
+
+  const handleRevokeKey = async (accountId, apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Scripts using it will stop working immediately.`)) return;
+    try {
+      await serviceAccountsAPI.revokeKey(accountId, apiKey.id);
+      toast.success('API key revoked');
+      fetchAccounts();
+    } catch (error) {
+      toast.error(errorMessage(error, 'Failed to revoke API key'));
+    }
+  };
+
+  const handleCopyKey = async () => {
+    try {
+      await navigator.clipboard.writeText(revealedKey.key);
+      toast.success('API key copied');
+    } catch (error) {
+      toast.error('Could not copy key');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-gradient-to-r from-slate-900 via-primary-900 to-slate-900 rounded-2xl p-6 shadow-xl border border-slate-700">
+        <h1 className="text-2xl font-bold bg-gradient-to-r from-white to-slate-200 bg-clip-text text-transparent">Service Accounts</h1>
+        <p className="text-slate-300 mt-1">
+          API keys for integrations such as the registrar's office. Keys are scoped, rate-limited and shown only once.
+        </p>
+      </div>
+
+      {/* Create service account */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <h2 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+          <FiCpu /> New Service Account
+        </h2>
+        <form onSubmit={handleCreateAccount} className="mt-4 flex flex-wrap gap-4">
+          <input
+            type="text"
+            placeholder="Registrar enrollment sync"
+            value={newAccountName}
+            onChange={(e) => setNewAccountName(e.target.value)}
+            required
+            className="flex-1 min-w-[200px] px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          />
+          <button
+            type="submit"
+            disabled={submitting}
+            className="px-5 py-2.5 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl transition disabled:opacity-50"
+          >
+            Create
+          </button>
+        </form>
+      </div>
+
+      {accounts.length === 0 && (
+        <p className="text-center text-gray-500 py-6">No service accounts yet</p>
+      )}
+
+      {accounts.map((account) => (
+        <div key={account.id} className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div>
+              <h3 className="font-semibold text-gray-800">{account.name}</h3>
+              <p className="text-sm text-gray-500">
+                {account.is_active ? 'Active' : 'Inactive'} · created {new Date(account.created_at).toLocaleDateString()}
+              </p>
+            </div>
+            <div className="flex items-center gap-3">
+              <button
+                onClick={() => setKeyForm({ accountId: account.id, ...emptyKeyForm })}
+                disabled={!account.is_active}
+                className="flex items-center gap-1 text-sm font-medium text-emerald-600 hover:text-emerald-700 disabled:opacity-50"
+              >
+                <FiPlus /> New key
+              </button>
+              <button
+                onClick={() => handleToggleActive(account)}
+                className={`text-sm font-medium ${account.is_active ? 'text-red-600 hover:text-red-700' : 'text-green-600 hover:text-green-700'}`}
+              >
+                {account.is_active ? 'Deactivate' : 'Activate'}
+              </button>
+            </div>
+          </div>
+
+          {revealedKey?.accountId === account.id && (
+            <div className="p-4 bg-amber-50 border border-amber-200 rounded-xl text-sm space-y-2">
+              <p className="text-amber-800 font-medium">Copy this key now - it will not be shown again.</p>
+              <div className="flex items-center gap-3">
+                <input
+                  type="text"
+                  readOnly
+                  value={revealedKey.key}
+                  className="flex-1 px-3 py-2 bg-white border border-amber-200 rounded-lg font-mono text-gray-700"
+                />
+                <button onClick={handleCopyKey} className="flex items-center gap-1 font-medium text-amber-700 hover:text-amber-800">
+                  <FiCopy /> Copy
+                </button>
+                <button onClick={() => setRevealedKey(null)} className="text-gray-500 hover:text-gray-700">
+                  Done
+                </button>
+              </div>
+            </div>
+          )}
+
+          {keyForm?.accountId === account.id && (
+            <form onSubmit={handleCreateKey} className="p-4 bg-slate-50 border border-slate-200 rounded-xl space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <input
+                  type="text"
+                  placeholder="Key name"
+                  value={keyForm.name}
+                  onChange={(e) => setKeyForm({ ...keyForm, name: e.target.value })}
+                  required
+                  className="px-4 py-2 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+                />
+                <label className="text-sm text-gray-600 flex items-center gap-2">
+                  Requests / minute
+                  <input
+                    type="number"
+                    min="1"
+                    max="600"
+                    value={keyForm.rateLimitPerMinute}
+                    onChange={(e) => setKeyForm({ ...keyForm, rateLimitPerMinute: e.target.value })}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-xl"
+                  />
+                </label>
+                <label className="text-sm text-gray-600 flex items-center gap-2">
+                  Expires in (days)
+                  <input
+                    type="number"
+                    min="1"
+                    max="730"
+                    placeholder="never"
+                    value={keyForm.expiresInDays}
+                    onChange={(e) => setKeyForm({ ...keyForm, expiresInDays: e.target.value })}
+                    className="w-24 px-3 py-2 border border-gray-300 rounded-xl"
+                  />
+                </label>
+              </div>
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Scopes</p>
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+                  {scopes.map((scope) => (
+                    <label key={scope} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={keyForm.scopes.includes(scope)}
+                        onChange={() => toggleScope(scope)}
+                      />
+                      <span className="font-mono">{scope}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="flex items-center gap-3">
+                <button
+                  type="submit"
+                  disabled={submitting || keyForm.scopes.length === 0}
+                  className="px-4 py-2 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white text-sm font-semibold rounded-xl disabled:opacity-50"
+                >
+                  Create key
+                </button>
+                <button type="button" onClick={() => setKeyForm(null)} className="text-sm text-gray-500 hover:text-gray-700">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          )}
+
+          {account.keys.length > 0 && (
+            <div className="divide-y divide-gray-100 border-t border-gray-100">
+              {account.keys.map((apiKey) => {
+                const status = getKeyStatus(apiKey);
+                const usable = status.label === 'Active';
+                return (
+                  <div key={apiKey.id} className="py-3 flex flex-wrap items-center justify-between gap-4 text-sm">
+                    <div>
+                      <p className="font-medium text-gray-800 flex items-center gap-2">
+                        <FiKey className="text-gray-400" /> {apiKey.name}
+                        <span className="font-mono text-xs text-gray-500">{apiKey.key_preview}</span>
+                        <span className={`text-xs ${status.className}`}>{status.label}</span>
+                      </p>
+                      <p className="text-gray-500 mt-1">
+                        {apiKey.scopes.join(', ')} · {apiKey.rate_limit_per_minute}/min
+                      </p>
+                      <p className="text-gray-400 text-xs mt-1">
+                        {apiKey.last_used_at
+                          ? `Last used ${new Date(apiKey.last_used_at).toLocaleString()} from ${apiKey.last_used_ip}`
+                          : 'Never used'}
+                        {apiKey.expires_at && !apiKey.revoked_at && ` · expires ${new Date(apiKey.expires_at).toLocaleString()}`}
+                      </p>
+                    </div>
+                    {usable && (
+                      <div className="flex items-center gap-3">
+                        <button
+                          onClick={() => handleRotateKey(account.id, apiKey)}
+                          className="flex items-center gap-1 font-medium text-amber-600 hover:text-amber-700"
+                        >
+                          <FiRefreshCw /> Rotate
+                        </button>
+                        <button
+                          onClick={() => handleRevokeKey(account.id, apiKey)}
+                          className="flex items-center gap-1 font-medium text-red-600 hover:text-red-700"
+                        >
+                          <FiTrash2 /> Revoke
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default AdminServiceAccounts;
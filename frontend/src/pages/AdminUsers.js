@@ -1,12 +1,24 @@
-import React, { useState, useEffect } from 'react';
-import { usersAPI } from '../services/api';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { usersAPI, invitationsAPI, rolesAPI } from '../services/api';
+import { useAuth, usePermission } from '../context/AuthContext';
 import toast from 'react-hot-toast';
-import { FiUser, FiCheck, FiX, FiSearch } from 'react-icons/fi';
+import { FiUser, FiCheck, FiX, FiSearch, FiLock, FiUserPlus, FiCopy, FiEye } from 'react-icons/fi';
 
 const AdminUsers = () => {
+  const navigate = useNavigate();
+  const { startImpersonation } = useAuth();
+  const canInvite = usePermission('manage_users:create');
+  const canUpdateUsers = usePermission('manage_users:update');
+  const canDeleteUsers = usePermission('manage_users:delete');
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState({ role: '', search: '' });
+  const [invitations, setInvitations] = useState([]);
+  const [invite, setInvite] = useState({ email: '', role: 'officer' });
+  const [inviting, setInviting] = useState(false);
+  const [lastInviteUrl, setLastInviteUrl] = useState('');
+  const [roles, setRoles] = useState([]);
 
   useEffect(() => {
     fetchUsers();
@@ -23,6 +35,69 @@ const AdminUsers = () => {
     }
   };
 
+  const fetchInvitations = useCallback(async () => {
+    try {
+      const response = await invitationsAPI.getAll();
+      setInvitations(response.data.data || []);
+    } catch (error) {
+      toast.error('Failed to fetch invitations');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchInvitations();
+  }, [fetchInvitations]);
+
+  useEffect(() => {
+    rolesAPI.getAll()
+      .then((response) => setRoles(response.data.data?.roles || []))
+      .catch(() => toast.error('Failed to fetch roles'));
+  }, []);
+
+  // Staff invitations can only grant officer- or admin-based roles
+  const staffRoles = roles.filter((role) => role.base_role !== 'student');
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setInviting(true);
+    try {
+      const response = await invitationsAPI.create(invite);
+      toast.success(response.data.message || 'Invitation sent');
+      setLastInviteUrl(response.data.data.inviteUrl);
+      setInvite({ email: '', role: invite.role });
+      fetchInvitations();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Failed to send invitation'
+      );
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  const handleCopyInviteLink = async () => {
+    try {
+      await navigator.clipboard.writeText(lastInviteUrl);
+      toast.success('Invitation link copied');
+    } catch (error) {
+      toast.error('Could not copy link');
+    }
+  };
+
+  const handleRevokeInvitation = async (invitationId) => {
+    const confirmed = window.confirm('Revoke this invitation? The link will stop working.');
+    if (!confirmed) return;
+    try {
+      await invitationsAPI.revoke(invitationId);
+      toast.success('Invitation revoked');
+      fetchInvitations();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke invitation');
+    }
+  };
+
   const handleToggleActive = async (userId, currentStatus) => {
     try {
       await usersAPI.update(userId, { is_active: !currentStatus });
@@ -33,6 +108,63 @@ const AdminUsers = () => {
     }
   };
 
+  const handleUnlock = async (userId) => {
+    try {
+      await usersAPI.unlock(userId);
+      toast.success('Account unlocked');
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to unlock account');
+    }
+  };
+
+  const handleRevokeSessions = async (userId) => {
+    const confirmed = window.confirm('Sign this user out of every device?');
+    if (!confirmed) return;
+    try {
+      const response = await usersAPI.revokeSessions(userId);
+      toast.success(response.data.message || 'Sessions revoked');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke sessions');
+    }
+  };
+
+  const handleEditGroups = async (target) => {
+    const value = window.prompt(
+      `Officer groups for ${target.email} (comma-separated, e.g. engineering, arts)`,
+      (target.officer_groups || []).join(', ')
+    );
+    if (value === null) return;
+    const officerGroups = value.split(',').map((group) => group.trim()).filter(Boolean);
+    try {
+      await usersAPI.update(target.id, { officer_groups: officerGroups });
+      toast.success('Officer groups updated');
+      fetchUsers();
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Failed to update officer groups'
+      );
+    }
+  };
+
+  const handleViewAs = async (target) => {
+    const reason = window.prompt(`Why do you need to view as ${target.email}? (recorded in the audit log)`);
+    if (!reason) return;
+    try {
+      const response = await startImpersonation(target.id, { reason });
+      toast.success(response.message);
+      navigate(target.base_role === 'student' ? '/app/my-applications' : '/app/review-applications');
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Failed to view as user'
+      );
+    }
+  };
+
   const handleDeleteUser = async (userId) => {
     const confirmed = window.confirm('Delete this user permanently?');
     if (!confirmed) return;
@@ -60,6 +192,87 @@ const AdminUsers = () => {
         </div>
       </div>
 
+      {/* Invite Staff */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <h2 className="text-lg font-semibold text-gray-800 flex items-center gap-2">
+          <FiUserPlus /> Invite Staff
+        </h2>
+        <p className="text-sm text-gray-500 mt-1">
+          Officer and admin accounts can only be created from a signed, single-use invitation link.
+        </p>
+        <form onSubmit={handleInvite} className="mt-4 flex flex-wrap gap-4">
+          <input
+            type="email"
+            placeholder="staff@example.com"
+            value={invite.email}
+            onChange={(e) => setInvite({ ...invite, email: e.target.value })}
+            required
+            className="flex-1 min-w-[200px] px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          />
+          <select
+            value={invite.role}
+            onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+            className="px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
+          >
+            {staffRoles.length === 0 && <option value="officer">officer</option>}
+            {staffRoles.map((role) => (
+              <option key={role.name} value={role.name}>{role.name}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={inviting || !canInvite}
+            title={canInvite ? undefined : 'Your role cannot invite staff'}
+            className="px-5 py-2.5 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl transition disabled:opacity-50"
+          >
+            {inviting ? 'Sending...' : 'Send Invitation'}
+          </button>
+        </form>
+        {lastInviteUrl && (
+          <div className="mt-4 flex items-center gap-3 text-sm">
+            <input
+              type="text"
+              readOnly
+              value={lastInviteUrl}
+              className="flex-1 px-3 py-2 bg-gray-50 border border-gray-200 rounded-lg text-gray-600"
+            />
+            <button
+              onClick={handleCopyInviteLink}
+              className="flex items-center gap-1 font-medium text-emerald-600 hover:text-emerald-700"
+            >
+              <FiCopy /> Copy link
+            </button>
+          </div>
+        )}
+        {invitations.length > 0 && (
+          <div className="mt-6 divide-y divide-gray-100 border-t border-gray-100">
+            {invitations.map((invitation) => (
+              <div key={invitation.id} className="py-3 flex items-center justify-between gap-4 text-sm">
+                <div>
+                  <p className="font-medium text-gray-800">{invitation.email}</p>
+                  <p className="text-gray-500">
+                    <span className="capitalize">{invitation.role}</span>
+                    {' · '}
+                    {invitation.status === 'pending'
+                      ? `expires ${new Date(invitation.expires_at).toLocaleString()}`
+                      : invitation.status}
+                    {invitation.invited_by && ` · invited by ${invitation.invited_by}`}
+                  </p>
+                </div>
+                {invitation.status === 'pending' && canUpdateUsers && (
+                  <button
+                    onClick={() => handleRevokeInvitation(invitation.id)}
+                    className="font-medium text-red-600 hover:text-red-700"
+                  >
+                    Revoke
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* Filters */}
       <div className="flex flex-wrap gap-4">
         <div className="relative flex-1 min-w-[200px]">
@@ -78,9 +291,9 @@ const AdminUsers = () => {
           className="px-4 py-2.5 border border-gray-300 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500"
         >
           <option value="">All Roles</option>
-          <option value="student">Students</option>
-          <option value="officer">Officers</option>
-          <option value="admin">Admins</option>
+          {roles.map((role) => (
+            <option key={role.name} value={role.name}>{role.name}</option>
+          ))}
         </select>
       </div>
 
@@ -113,11 +326,21 @@ const AdminUsers = () => {
                   </td>
                   <td className="px-6 py-4">
                     <span className={`px-3 py-1 rounded-full text-xs font-medium capitalize
-                      ${user.role === 'admin' ? 'bg-purple-100 text-purple-800' : 
-                        user.role === 'officer' ? 'bg-blue-100 text-blue-800' : 
+                      ${user.base_role === 'admin' ? 'bg-purple-100 text-purple-800' : 
+                        user.base_role === 'officer' ? 'bg-blue-100 text-blue-800' : 
                         'bg-gray-100 text-gray-800'}`}>
                       {user.role}
                     </span>
+                    {user.base_role === 'officer' && (
+                      <button
+                        onClick={() => handleEditGroups(user)}
+                        disabled={!canUpdateUsers}
+                        className="mt-1 block text-xs text-gray-500 hover:text-primary-600"
+                        title="Officer groups decide which scholarships' applications this officer can review"
+                      >
+                        {user.officer_groups?.length ? user.officer_groups.join(', ') : 'No officer groups'}
+                      </button>
+                    )}
                   </td>
                   <td className="px-6 py-4">
                     <span className={`flex items-center gap-1 text-sm
@@ -125,24 +348,60 @@ const AdminUsers = () => {
                       {user.is_active ? <FiCheck /> : <FiX />}
                       {user.is_active ? 'Active' : 'Inactive'}
                     </span>
+                    {user.locked_until && (
+                      <span
+                        className="mt-1 flex items-center gap-1 text-xs text-amber-600"
+                        title={`Locked until ${new Date(user.locked_until).toLocaleString()}`}
+                      >
+                        <FiLock /> Locked
+                      </span>
+                    )}
                   </td>
                   <td className="px-6 py-4 text-gray-600">
                     {new Date(user.created_at).toLocaleDateString()}
                   </td>
                   <td className="px-6 py-4 text-right">
                     <div className="flex items-center justify-end gap-3">
-                      <button
-                        onClick={() => handleToggleActive(user.id, user.is_active)}
-                        className={`text-sm font-medium ${user.is_active ? 'text-red-600 hover:text-red-700' : 'text-green-600 hover:text-green-700'}`}
-                      >
-                        {user.is_active ? 'Deactivate' : 'Activate'}
-                      </button>
-                      <button
-                        onClick={() => handleDeleteUser(user.id)}
-                        className="text-sm font-medium text-gray-600 hover:text-gray-800"
-                      >
-                        Delete
-                      </button>
+                      {user.locked_until && canUpdateUsers && (
+                        <button
+                          onClick={() => handleUnlock(user.id)}
+                          className="text-sm font-medium text-amber-600 hover:text-amber-700"
+                        >
+                          Unlock
+                        </button>
+                      )}
+                      {user.base_role && user.base_role !== 'admin' && user.is_active && (
+                        <button
+                          onClick={() => handleViewAs(user)}
+                          className="flex items-center gap-1 text-sm font-medium text-primary-600 hover:text-primary-700"
+                        >
+                          <FiEye /> View as
+                        </button>
+                      )}
+                      {canUpdateUsers && (
+                        <>
+                          <button
+                            onClick={() => handleToggleActive(user.id, user.is_active)}
+                            className={`text-sm font-medium ${user.is_active ? 'text-red-600 hover:text-red-700' : 'text-green-600 hover:text-green-700'}`}
+                          >
+                            {user.is_active ? 'Deactivate' : 'Activate'}
+                          </button>
+                          <button
+                            onClick={() => handleRevokeSessions(user.id)}
+                            className="text-sm font-medium text-amber-600 hover:text-amber-700"
+                          >
+                            Sign out
+                          </button>
+                        </>
+                      )}
+                      {canDeleteUsers && (
+                        <button
+                          onClick={() => handleDeleteUser(user.id)}
+                          className="text-sm font-medium text-gray-600 hover:text-gray-800"
+                        >
+                          Delete
+                        </button>
+                      )}
                     </div>
                   </td>
                 </tr>
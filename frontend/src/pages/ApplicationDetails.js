@@ -1,22 +1,30 @@
 import React, { useState, useEffect } from 'react';
 import { useParams } from 'react-router-dom';
 import { applicationsAPI, documentsAPI } from '../services/api';
-import { useAuth } from '../context/AuthContext';
+import { useAuth, usePermission } from '../context/AuthContext';
+import StepUpPrompt from '../components/StepUpPrompt';
 import toast from 'react-hot-toast';
 import { 
   FiCheckCircle, FiXCircle, FiClock, FiShield, FiFileText, 
-  FiDownload, FiAlertCircle, FiUser, FiCalendar 
+  FiDownload, FiAlertCircle, FiUser, FiCalendar, FiLock, FiUsers
 } from 'react-icons/fi';
 
 const ApplicationDetails = () => {
   const { id } = useParams();
   const { user } = useAuth();
+  const baseRole = user?.baseRole || user?.role;
+  const isStaff = ['officer', 'admin'].includes(baseRole);
+  // Hidden unless the server would allow them for this user
+  const canReview = usePermission('manage_applications:update') && isStaff;
+  const canVerifyDocuments = usePermission('verify_documents:read') && isStaff;
   const [application, setApplication] = useState(null);
   const [loading, setLoading] = useState(true);
   const [docVerification, setDocVerification] = useState({});
   const [verifyingDocs, setVerifyingDocs] = useState({});
   const [statusComment, setStatusComment] = useState('');
   const [updating, setUpdating] = useState(false);
+  // Step-up prompt: null when closed, otherwise { pendingDownload }
+  const [stepUp, setStepUp] = useState(null);
 
   useEffect(() => {
     fetchApplication();
@@ -50,6 +58,19 @@ const ApplicationDetails = () => {
     }
   };
 
+  const openStepUp = (pendingDownload = null) => {
+    setStepUp({ pendingDownload });
+  };
+
+  const completeStepUp = async () => {
+    const pending = stepUp?.pendingDownload;
+    setStepUp(null);
+    await fetchApplication();
+    if (pending) {
+      downloadDocument(pending.docId, pending.fileName);
+    }
+  };
+
   const downloadDocument = async (docId, fileName) => {
     try {
       const response = await documentsAPI.getById(docId);
@@ -63,22 +84,39 @@ const ApplicationDetails = () => {
       link.remove();
       window.URL.revokeObjectURL(url);
     } catch (error) {
-      toast.error('Failed to download document');
+      // Blob requests receive their JSON error body as a Blob too
+      let body = error.response?.data;
+      if (body instanceof Blob) {
+        try {
+          body = JSON.parse(await body.text());
+        } catch (parseError) {
+          body = null;
+        }
+      }
+      if (body?.stepUpRequired) {
+        openStepUp({ docId, fileName });
+        return;
+      }
+      toast.error(body?.message || 'Failed to download document');
     }
   };
 
   const updateStatus = async (newStatus) => {
     setUpdating(true);
     try {
-      await applicationsAPI.updateStatus(id, {
+      const response = await applicationsAPI.updateStatus(id, {
         status: newStatus,
         comments: statusComment
       });
-      toast.success(`Application ${newStatus}`);
+      // Large awards stay verified until the second approval
+      const recorded = newStatus === 'approved' && response.data.data?.status !== 'approved';
+      toast.success(recorded ? response.data.message : `Application ${newStatus}`);
       fetchApplication();
       setStatusComment('');
     } catch (error) {
       toast.error(error.response?.data?.message || 'Update failed');
+      // A 409 carries the current sign-off state
+      if (error.response?.status === 409) fetchApplication();
     } finally {
       setUpdating(false);
     }
@@ -134,7 +172,7 @@ const ApplicationDetails = () => {
         </div>
       </div>
 
-      {user?.role === 'student' && application.verified_qr_code && application.status === 'verified' && (
+      {baseRole === 'student' && application.verified_qr_code && application.status === 'verified' && (
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
           <h2 className="text-lg font-semibold text-gray-800 mb-4 flex items-center gap-2">
             <div className="w-8 h-8 bg-gradient-to-br from-emerald-500 to-cyan-500 rounded-lg flex items-center justify-center">
@@ -196,9 +234,36 @@ const ApplicationDetails = () => {
           </div>
         )}
 
-        {['officer', 'admin'].includes(user?.role) && application.decrypted_data && (
+        {isStaff && application.step_up_required && !stepUp && (
+          <div className="mt-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 p-4 bg-amber-50 border border-amber-200 rounded-xl">
+            <p className="text-sm text-amber-800 flex items-center gap-2">
+              <FiLock className="flex-shrink-0" />
+              Bank and address details are hidden. Confirm your identity to view them.
+            </p>
+            <button
+              onClick={() => openStepUp()}
+              className="px-4 py-2 bg-amber-500 hover:bg-amber-600 text-white text-sm font-semibold rounded-xl shadow-sm"
+            >
+              Confirm Identity
+            </button>
+          </div>
+        )}
+
+        {stepUp && (
+          <StepUpPrompt
+            description={stepUp.pendingDownload
+              ? 'Downloading decrypted documents requires a recent identity check.'
+              : 'Viewing decrypted applicant details requires a recent identity check.'}
+            onConfirmed={completeStepUp}
+            onCancel={() => setStepUp(null)}
+          />
+        )}
+
+        {isStaff && application.decrypted_data && (
           <div className="mt-6">
-            <label className="text-sm text-gray-500">Decryption Details</label>
+            <label className="text-sm text-gray-500">
+              Decryption Details{application.sensitive_masked && ' (masked)'}
+            </label>
             <pre className="mt-2 text-sm text-gray-700 bg-slate-50 border border-slate-200 p-4 rounded-xl overflow-x-auto">
               {JSON.stringify(application.decrypted_data, null, 2)}
             </pre>
@@ -237,7 +302,7 @@ const ApplicationDetails = () => {
                   <span className="text-xs text-green-600 flex items-center gap-1">
                     <FiShield /> Encrypted
                   </span>
-                  {['officer', 'admin'].includes(user?.role) && (
+                  {canVerifyDocuments && (
                     <>
                       <button
                         onClick={() => verifyDocument(doc.id)}
@@ -261,9 +326,44 @@ const ApplicationDetails = () => {
         </div>
       )}
 
+      {/* Approvals (separation of duties) */}
+      {application.approval && ['verified', 'approved'].includes(application.status) && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-800 mb-4 flex items-center gap-2">
+            <FiUsers className="text-emerald-600" /> Approvals
+            <span className="text-sm font-normal text-gray-500">
+              ({application.approval.received_approvals} of {application.approval.required_approvals})
+            </span>
+          </h2>
+
+          <div className="space-y-2 text-sm">
+            {application.approval.verified_by && (
+              <p className="text-gray-600">
+                Verified by <span className="font-medium text-gray-800">{application.approval.verified_by.name || 'an officer'}</span>
+                {application.approval.separate_verifier && ' (may not approve)'}
+              </p>
+            )}
+            {application.approval.approvals.map((approval, index) => (
+              <p key={approval.id || index} className="text-gray-600 flex items-center gap-2">
+                <FiCheckCircle className="text-green-500" />
+                Approved by <span className="font-medium text-gray-800">{approval.name || 'an officer'}</span>
+                {approval.approved_at && (
+                  <span className="text-gray-400">{new Date(approval.approved_at).toLocaleString()}</span>
+                )}
+              </p>
+            ))}
+          </div>
+
+          {application.approval.still_required && (
+            <div className="mt-4 p-3 bg-amber-50 border border-amber-200 rounded-xl text-sm text-amber-800 flex items-center gap-2">
+              <FiAlertCircle /> Still required: {application.approval.still_required}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Review Actions (Officer/Admin) */}
-      {['officer', 'admin'].includes(user?.role) && 
-       ['submitted', 'under_review', 'verified'].includes(application.status) && (
+      {canReview && ['submitted', 'under_review', 'verified'].includes(application.status) && (
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
           <h2 className="text-lg font-semibold text-gray-800 mb-4">Review Actions</h2>
           
@@ -302,11 +402,12 @@ const ApplicationDetails = () => {
                 </button>
               )}
 
-              {['officer', 'admin'].includes(user?.role) && ['verified', 'under_review'].includes(application.status) && (
+              {['verified', 'under_review'].includes(application.status) && (
                 <>
                   <button
                     onClick={() => updateStatus('approved')}
-                    disabled={updating}
+                    disabled={updating || application.approval?.can_approve === false}
+                    title={application.approval?.blocked_reason || undefined}
                     className="px-4 py-2.5 bg-gradient-to-r from-emerald-500 to-green-500 hover:from-emerald-600 hover:to-green-600 text-white font-semibold rounded-xl transition-all shadow-lg shadow-emerald-500/25 disabled:opacity-50"
                   >
                     Approve
@@ -321,6 +422,12 @@ const ApplicationDetails = () => {
                 </>
               )}
             </div>
+
+            {['verified', 'under_review'].includes(application.status) && application.approval?.blocked_reason && (
+              <p className="text-sm text-amber-700 flex items-center gap-2">
+                <FiAlertCircle /> {application.approval.blocked_reason}
+              </p>
+            )}
           </div>
 
           {application.review_comments && (
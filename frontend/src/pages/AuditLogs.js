@@ -1,12 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import { usersAPI } from '../services/api';
 import toast from 'react-hot-toast';
-import { FiShield, FiFilter, FiCheckCircle, FiXCircle, FiAlertCircle } from 'react-icons/fi';
+import { FiShield, FiFilter, FiCheckCircle, FiXCircle, FiAlertCircle, FiLink } from 'react-icons/fi';
 
 const AuditLogs = () => {
   const [logs, setLogs] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState({ action: '', status: '' });
+  // Result of the last hash chain check
+  const [integrity, setIntegrity] = useState(null);
+  const [verifying, setVerifying] = useState(false);
 
   useEffect(() => {
     fetchLogs();
@@ -23,6 +26,23 @@ const AuditLogs = () => {
     }
   };
 
+  const verifyIntegrity = async () => {
+    setVerifying(true);
+    try {
+      const response = await usersAPI.verifyAuditLogs();
+      setIntegrity(response.data.data);
+      if (response.data.data.valid) {
+        toast.success(response.data.message);
+      } else {
+        toast.error(response.data.message);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to verify audit logs');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
   const getActionBadge = (action) => {
     if (action.includes('LOGIN')) return 'bg-blue-100 text-blue-800';
     if (action.includes('REGISTER')) return 'bg-green-100 text-green-800';
@@ -85,9 +105,46 @@ const AuditLogs = () => {
           >
             Clear Filters
           </button>
+          <button
+            onClick={verifyIntegrity}
+            disabled={verifying}
+            className="ml-auto px-4 py-2.5 bg-slate-700 hover:bg-slate-800 text-white font-medium rounded-xl shadow-sm flex items-center gap-2 disabled:opacity-50"
+          >
+            <FiLink /> {verifying ? 'Verifying...' : 'Verify Integrity'}
+          </button>
         </div>
       </div>
 
+      {/* Hash chain check */}
+      {integrity && (
+        <div className={`rounded-xl border p-4 text-sm ${
+          integrity.valid ? 'bg-green-50 border-green-200 text-green-800' : 'bg-red-50 border-red-200 text-red-800'
+        }`}>
+          {integrity.valid ? (
+            <p className="flex items-center gap-2 font-medium">
+              <FiCheckCircle /> Chain intact: {integrity.checked_entries} entries ({integrity.archived_entries} archived), {integrity.checkpoints_verified} signed checkpoints verified
+            </p>
+          ) : (
+            <>
+              <p className="flex items-center gap-2 font-medium">
+                <FiXCircle /> Chain broken at entry #{integrity.first_break.seq}: {integrity.first_break.message}
+              </p>
+              <p className="mt-1 ml-6">{integrity.checked_entries} entries verified before the break</p>
+            </>
+          )}
+          {integrity.unchained_entries > 0 && (
+            <p className="mt-1 ml-6 text-gray-600">
+              {integrity.unchained_entries} older entries predate the hash chain and were not checked
+            </p>
+          )}
+          {integrity.recorded_gaps > 0 && (
+            <p className="mt-1 ml-6 text-gray-600">
+              {integrity.recorded_gaps} entries could not be stored when they were written; their signed gap records were checked instead
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Logs Table */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
         <div className="overflow-x-auto">
@@ -106,9 +163,13 @@ const AuditLogs = () => {
                 <tr key={log.id} className="hover:bg-gray-50">
                   <td className="px-6 py-4 text-sm text-gray-600">
                     {new Date(log.timestamp).toLocaleString()}
+                    {log.seq && <p className="text-xs text-gray-400 font-mono">#{log.seq}</p>}
                   </td>
                   <td className="px-6 py-4">
                     <p className="text-sm text-gray-800">{log.user_email || 'Anonymous'}</p>
+                    {log.impersonator_email && (
+                      <p className="text-xs text-amber-600">viewed by {log.impersonator_email}</p>
+                    )}
                   </td>
                   <td className="px-6 py-4">
                     <span className={`px-2 py-1 rounded text-xs font-medium ${getActionBadge(log.action)}`}>
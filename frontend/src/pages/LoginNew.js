@@ -1,21 +1,19 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
-import { GoogleOAuthProvider, GoogleLogin } from '@react-oauth/google';
 import { useAuth } from '../context/AuthContext';
-import { authAPI } from '../services/api';
+import { authAPI, oidcAPI, samlAPI } from '../services/api';
 import toast from 'react-hot-toast';
-import { FiMail, FiLock, FiEye, FiEyeOff, FiShield, FiSmartphone } from 'react-icons/fi';
-
-const GOOGLE_CLIENT_ID = process.env.REACT_APP_GOOGLE_CLIENT_ID || 'YOUR_GOOGLE_CLIENT_ID_HERE';
+import { FiMail, FiLock, FiEye, FiEyeOff, FiShield, FiSmartphone, FiKey, FiLogIn, FiSend } from 'react-icons/fi';
 
 const Login = () => {
   const navigate = useNavigate();
-  const { login, setSession } = useAuth();
+  const { login, passkeyLogin } = useAuth();
   const [loading, setLoading] = useState(false);
+  const [providers, setProviders] = useState([]);
   const [showPassword, setShowPassword] = useState(false);
   const [loginMethod] = useState('email'); // email only
-  const { register, handleSubmit, formState: { errors } } = useForm({
+  const { register, handleSubmit, getValues, trigger, formState: { errors } } = useForm({
     defaultValues: { role: 'student' }
   });
 
@@ -27,10 +25,12 @@ const Login = () => {
       
       if (result.success && result.data?.requiresMFA) {
         sessionStorage.setItem('mfaEmail', data.email);
+        sessionStorage.setItem('mfaMethod', result.data.mfaMethod || 'email');
+        sessionStorage.setItem('passkeyAvailable', String(Boolean(result.data.passkeyAvailable)));
         if (result.data?.tempToken) {
           sessionStorage.setItem('tempToken', result.data.tempToken);
         }
-        toast.success('OTP sent to your email!');
+        toast.success(result.message || 'OTP sent to your email!');
         navigate('/verify-mfa');
       } else if (result.success && result.data?.accessToken) {
         toast.success('Login successful!');
@@ -42,158 +42,209 @@ const Login = () => {
       if (error.response?.data?.requiresVerification) {
         sessionStorage.setItem('verifyEmail', data.email);
         navigate('/verify-email');
+      } else if (error.response?.data?.passwordExpired) {
+        navigate('/forgot-password');
       }
     } finally {
       setLoading(false);
     }
   };
 
-
-  // Google Login
-  const handleGoogleSuccess = async (credentialResponse) => {
+  // Passwordless passkey login
+  const handlePasskeyLogin = async () => {
+    setLoading(true);
     try {
-      const response = await authAPI.googleLogin({ credential: credentialResponse.credential });
-      
-      if (response.data.success) {
-        setSession(response.data.data.accessToken, response.data.data.user);
-        toast.success('Welcome!');
+      const result = await passkeyLogin();
+      if (result.success) {
+        toast.success('Login successful!');
         navigate('/app/dashboard');
       }
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Google login failed');
+      toast.error(error.response?.data?.message || 'Passkey sign-in was cancelled');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Passwordless email link (only sent where admins allow it for the account's role)
+  const handleMagicLink = async () => {
+    if (!(await trigger('email'))) return;
+    setLoading(true);
+    try {
+      const response = await authAPI.requestMagicLink({ email: getValues('email') });
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not send a sign-in link');
+    } finally {
+      setLoading(false);
     }
   };
 
-  const handleGoogleError = () => {
-    toast.error('Google Sign-In was unsuccessful');
+  // Identity providers configured on the server (Google, partner universities and colleges)
+  useEffect(() => {
+    const load = (protocolAPI, protocol) => protocolAPI.getProviders()
+      .then((response) => (response.data.data || []).map((provider) => ({ ...provider, protocol })))
+      .catch(() => []);
+    Promise.all([load(oidcAPI, 'oidc'), load(samlAPI, 'saml')])
+      .then(([oidcProviders, samlProviders]) => setProviders([...oidcProviders, ...samlProviders]));
+  }, []);
+
+  const handleProviderLogin = async (provider) => {
+    setLoading(true);
+    try {
+      const protocolAPI = provider.protocol === 'saml' ? samlAPI : oidcAPI;
+      const response = await protocolAPI.authorize(provider.id);
+      window.location.assign(response.data.data.authorizationUrl);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Could not reach the identity provider');
+      setLoading(false);
+    }
   };
 
   return (
-    <GoogleOAuthProvider clientId={GOOGLE_CLIENT_ID}>
-      <div className="min-h-screen bg-gradient-to-br from-slate-900 via-primary-900 to-slate-900 flex items-center justify-center p-4">
-        <div className="max-w-md w-full">
-          {/* Header */}
-          <div className="text-center mb-8">
-            <div className="inline-flex items-center justify-center w-16 h-16 bg-gradient-to-br from-emerald-400 to-cyan-500 rounded-2xl mb-4 shadow-lg shadow-emerald-500/30">
-              <FiShield className="w-8 h-8 text-white" />
-            </div>
-            <h1 className="text-3xl font-bold text-white mb-2">Welcome Back</h1>
-            <p className="text-gray-400">Sign in to TrustScholar</p>
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-primary-900 to-slate-900 flex items-center justify-center p-4">
+      <div className="max-w-md w-full">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-gradient-to-br from-emerald-400 to-cyan-500 rounded-2xl mb-4 shadow-lg shadow-emerald-500/30">
+            <FiShield className="w-8 h-8 text-white" />
           </div>
+          <h1 className="text-3xl font-bold text-white mb-2">Welcome Back</h1>
+          <p className="text-gray-400">Sign in to TrustScholar</p>
+        </div>
 
-          {/* Login Card */}
-          <div className="bg-white rounded-2xl shadow-2xl p-8">
-            {/* Login Method Toggle */}
-            {loginMethod === 'email' ? (
-              /* Email/Password Form */
-              <form onSubmit={handleSubmit(onSubmitEmailPassword)} className="space-y-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">Email</label>
-                  <div className="relative">
-                    <FiMail className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
-                    <input
-                      type="email"
-                      {...register('email', { required: 'Email is required' })}
-                      className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                      placeholder="your.email@example.com"
-                    />
-                  </div>
-                  {errors.email && <p className="mt-1 text-sm text-red-500">{errors.email.message}</p>}
+        {/* Login Card */}
+        <div className="bg-white rounded-2xl shadow-2xl p-8">
+          {/* Login Method Toggle */}
+          {loginMethod === 'email' ? (
+            /* Email/Password Form */
+            <form onSubmit={handleSubmit(onSubmitEmailPassword)} className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Email</label>
+                <div className="relative">
+                  <FiMail className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                  <input
+                    type="email"
+                    {...register('email', { required: 'Email is required' })}
+                    className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    placeholder="your.email@example.com"
+                  />
                 </div>
+                {errors.email && <p className="mt-1 text-sm text-red-500">{errors.email.message}</p>}
+              </div>
 
-                <div>
-                  <div className="flex items-center justify-between mb-2">
-                    <label className="block text-sm font-medium text-gray-700">Password</label>
-                    <Link to="/forgot-password" className="text-sm text-emerald-600 hover:text-emerald-700">
-                      Forgot password?
-                    </Link>
-                  </div>
-                  <div className="relative">
-                    <FiLock className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
-                    <input
-                      type={showPassword ? 'text' : 'password'}
-                      {...register('password', { required: 'Password is required' })}
-                      className="w-full pl-10 pr-12 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                      placeholder="••••••••"
-                    />
-                    <button
-                      type="button"
-                      onClick={() => setShowPassword(!showPassword)}
-                      className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
-                    >
-                      {showPassword ? <FiEyeOff /> : <FiEye />}
-                    </button>
-                  </div>
-                  {errors.password && <p className="mt-1 text-sm text-red-500">{errors.password.message}</p>}
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="block text-sm font-medium text-gray-700">Password</label>
+                  <Link to="/forgot-password" className="text-sm text-emerald-600 hover:text-emerald-700">
+                    Forgot password?
+                  </Link>
                 </div>
-
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">Role</label>
-                  <div className="relative">
-                    <select
-                      {...register('role', { required: 'Role is required' })}
-                      className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                    >
-                      <option value="student">Student</option>
-                      <option value="officer">Officer</option>
-                      <option value="admin">Admin</option>
-                    </select>
-                  </div>
-                  {errors.role && <p className="mt-1 text-sm text-red-500">{errors.role.message}</p>}
+                <div className="relative">
+                  <FiLock className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                  <input
+                    type={showPassword ? 'text' : 'password'}
+                    {...register('password', { required: 'Password is required' })}
+                    className="w-full pl-10 pr-12 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    placeholder="••••••••"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute right-3 top-1/2 -translate-y-1/2 text-gray-400 hover:text-gray-600"
+                  >
+                    {showPassword ? <FiEyeOff /> : <FiEye />}
+                  </button>
                 </div>
-
-                <button
-                  type="submit"
-                  disabled={loading}
-                  className="w-full py-3 px-4 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl transition shadow-lg shadow-emerald-500/25 disabled:opacity-50 disabled:cursor-not-allowed"
-                >
-                  {loading ? 'Signing in...' : 'Sign In'}
-                </button>
-              </form>
-            ) : null}
-
-            {/* Divider */}
-            <div className="relative my-6">
-              <div className="absolute inset-0 flex items-center">
-                <div className="w-full border-t border-gray-300"></div>
+                {errors.password && <p className="mt-1 text-sm text-red-500">{errors.password.message}</p>}
               </div>
-              <div className="relative flex justify-center text-sm">
-                <span className="px-2 bg-white text-gray-500">Or continue with</span>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Role</label>
+                <div className="relative">
+                  <select
+                    {...register('role', { required: 'Role is required' })}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  >
+                    <option value="student">Student</option>
+                    <option value="officer">Officer</option>
+                    <option value="admin">Admin</option>
+                  </select>
+                </div>
+                {errors.role && <p className="mt-1 text-sm text-red-500">{errors.role.message}</p>}
               </div>
-            </div>
 
-            {/* Google Sign-In */}
-            <div className="flex justify-center">
-              <GoogleLogin
-                onSuccess={handleGoogleSuccess}
-                onError={handleGoogleError}
-                useOneTap
-                theme="outline"
-                size="large"
-                text="signin_with"
-                shape="rectangular"
-              />
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full py-3 px-4 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl transition shadow-lg shadow-emerald-500/25 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Signing in...' : 'Sign In'}
+              </button>
+            </form>
+          ) : null}
+
+          {/* Divider */}
+          <div className="relative my-6">
+            <div className="absolute inset-0 flex items-center">
+              <div className="w-full border-t border-gray-300"></div>
             </div>
-
-            {/* Footer Links */}
-            <div className="mt-6 text-center">
-              <p className="text-gray-600">
-                Don't have an account?{' '}
-                <Link to="/register" className="text-primary-600 hover:text-primary-700 font-medium">
-                  Sign up
-                </Link>
-              </p>
+            <div className="relative flex justify-center text-sm">
+              <span className="px-2 bg-white text-gray-500">Or continue with</span>
             </div>
           </div>
 
-          {/* Security Notice */}
-          <div className="mt-6 text-center text-gray-400 text-sm">
-            <FiShield className="inline mr-1" />
-            Secured with Multi-Factor Authentication
+          {/* Passkey Sign-In */}
+          <button
+            type="button"
+            onClick={handlePasskeyLogin}
+            disabled={loading}
+            className="w-full mb-4 py-2.5 px-4 flex items-center justify-center gap-2 border border-gray-300 rounded-md text-gray-700 font-medium hover:bg-gray-50 transition disabled:opacity-50"
+          >
+            <FiKey /> Sign in with a passkey
+          </button>
+
+          {/* Magic-Link Sign-In */}
+          <button
+            type="button"
+            onClick={handleMagicLink}
+            disabled={loading}
+            className="w-full mb-4 py-2.5 px-4 flex items-center justify-center gap-2 border border-gray-300 rounded-md text-gray-700 font-medium hover:bg-gray-50 transition disabled:opacity-50"
+          >
+            <FiSend /> Email me a sign-in link
+          </button>
+
+          {/* Identity Providers (OpenID Connect and SAML) */}
+          {providers.map((provider) => (
+            <button
+              key={`${provider.protocol}:${provider.id}`}
+              type="button"
+              onClick={() => handleProviderLogin(provider)}
+              disabled={loading}
+              className="w-full mb-3 py-2.5 px-4 flex items-center justify-center gap-2 border border-gray-300 rounded-md text-gray-700 font-medium hover:bg-gray-50 transition disabled:opacity-50"
+            >
+              <FiLogIn /> Sign in with {provider.name}
+            </button>
+          ))}
+
+          {/* Footer Links */}
+          <div className="mt-6 text-center">
+            <p className="text-gray-600">
+              Don't have an account?{' '}
+              <Link to="/register" className="text-primary-600 hover:text-primary-700 font-medium">
+                Sign up
+              </Link>
+            </p>
           </div>
         </div>
+
+        {/* Security Notice */}
+        <div className="mt-6 text-center text-gray-400 text-sm">
+          <FiShield className="inline mr-1" />
+          Secured with Multi-Factor Authentication
+        </div>
       </div>
-    </GoogleOAuthProvider>
+    </div>
   );
 };
 
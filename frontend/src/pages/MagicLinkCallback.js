@@ -0,0 +1,69 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+import { FiSend, FiX } from 'react-icons/fi';
+
+const MagicLinkCallback = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { magicLinkLogin } = useAuth();
+  const token = searchParams.get('token');
+  const [error, setError] = useState(token ? '' : 'Sign-in link is missing its token.');
+  // Links are single-use - guard against a second effect run
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (!token || started.current) return;
+    started.current = true;
+
+    const signIn = async () => {
+      try {
+        const result = await magicLinkLogin(token);
+        if (result.success) {
+          toast.success('Login successful!');
+          navigate('/app/dashboard', { replace: true });
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || 'Sign-in link is invalid or has expired');
+      }
+    };
+
+    signIn();
+  }, [token, magicLinkLogin, navigate]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-primary-900 to-slate-900 flex items-center justify-center p-4">
+      <div className="max-w-md w-full">
+        <div className="text-center mb-8">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-gradient-to-br from-emerald-400 to-cyan-500 rounded-2xl mb-4 shadow-lg shadow-emerald-500/30">
+            <FiSend className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-3xl font-bold text-white mb-2">Signing you in</h1>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-2xl p-8 text-center">
+          {error ? (
+            <>
+              <p className="flex items-center justify-center gap-2 text-red-600">
+                <FiX /> {error}
+              </p>
+              <Link
+                to="/login"
+                className="mt-6 inline-block py-3 px-6 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl transition"
+              >
+                Back to Sign In
+              </Link>
+            </>
+          ) : (
+            <div className="flex justify-center">
+              <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600"></div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MagicLinkCallback;
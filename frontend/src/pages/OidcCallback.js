@@ -0,0 +1,184 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { oidcAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import { FiLogIn, FiX, FiLock, FiLink } from 'react-icons/fi';
+
+const OidcCallback = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { user, federatedLogin, samlLogin, setSession } = useAuth();
+  const [error, setError] = useState('');
+  // loading | password | otp
+  const [step, setStep] = useState('loading');
+  const [link, setLink] = useState(null);
+  const [password, setPassword] = useState('');
+  const [otp, setOtp] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  // Authorization codes are single-use - guard against a second effect run
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+
+    const code = searchParams.get('code');
+    const state = searchParams.get('state');
+    // SAML sign-ins come back from the assertion consumer service with a ticket
+    const ticket = searchParams.get('ticket');
+
+    if (searchParams.get('error') || (!ticket && (!code || !state))) {
+      setError(searchParams.get('error_description') || 'Sign-in was cancelled or the response was incomplete.');
+      return;
+    }
+
+    const finish = async () => {
+      try {
+        const result = ticket ? await samlLogin(ticket) : await federatedLogin(code, state);
+        if (result.data?.linkRequired) {
+          setLink(result.data);
+          setStep('password');
+          if (!result.data.hasPassword) {
+            setError('Your account has no password yet. Use "Forgot password" to set one, then link this account.');
+          }
+        } else if (result.data?.linked) {
+          toast.success(result.message);
+          navigate('/app/account/security', { replace: true });
+        } else if (result.success) {
+          toast.success(result.message || 'Welcome!');
+          navigate('/app/dashboard', { replace: true });
+        }
+      } catch (err) {
+        setError(err.response?.data?.message || 'Federated sign-in failed');
+      }
+    };
+
+    finish();
+  }, [searchParams, federatedLogin, samlLogin, navigate]);
+
+  const handlePassword = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await oidcAPI.linkPassword({ linkToken: link.linkToken, password });
+      toast.success(response.data.message);
+      setStep('otp');
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to confirm password');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleOtp = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await oidcAPI.linkVerify({ linkToken: link.linkToken, otp });
+      toast.success(response.data.message);
+      if (response.data.data?.accessToken) {
+        const { accessToken, refreshToken, user: userData } = response.data.data;
+        await setSession(accessToken, userData, refreshToken);
+        navigate('/app/dashboard', { replace: true });
+      } else {
+        navigate(user ? '/app/account/security' : '/login', { replace: true });
+      }
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Failed to link account');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-primary-900 to-slate-900 flex items-center justify-center p-4">
+      <div className="max-w-md w-full">
+        <div className="text-center mb-8">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-gradient-to-br from-emerald-400 to-cyan-500 rounded-2xl mb-4 shadow-lg shadow-emerald-500/30">
+            {link ? <FiLink className="w-8 h-8 text-white" /> : <FiLogIn className="w-8 h-8 text-white" />}
+          </div>
+          <h1 className="text-3xl font-bold text-white mb-2">
+            {link ? `Link ${link.provider}` : 'Signing you in'}
+          </h1>
+          {link && (
+            <p className="text-gray-400">
+              Confirm you own <span className="text-emerald-400">{link.email}</span>
+            </p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-2xl p-8 text-center">
+          {error && (
+            <p className="flex items-center justify-center gap-2 text-red-600">
+              <FiX /> {error}
+            </p>
+          )}
+
+          {!error && step === 'loading' && (
+            <div className="flex justify-center">
+              <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600"></div>
+            </div>
+          )}
+
+          {!error && step === 'password' && (
+            <form onSubmit={handlePassword} className="space-y-4 text-left">
+              <label className="block text-sm font-medium text-gray-700">Account password</label>
+              <div className="relative">
+                <FiLock className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent"
+                  required
+                />
+              </div>
+              <button
+                type="submit"
+                disabled={submitting}
+                className="w-full py-3 px-4 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl transition disabled:opacity-50"
+              >
+                {submitting ? 'Checking...' : 'Continue'}
+              </button>
+            </form>
+          )}
+
+          {!error && step === 'otp' && (
+            <form onSubmit={handleOtp} className="space-y-4 text-left">
+              <label className="block text-sm font-medium text-gray-700">Code sent to your email</label>
+              <input
+                type="text"
+                inputMode="numeric"
+                maxLength={6}
+                value={otp}
+                onChange={(e) => setOtp(e.target.value.replace(/[^0-9]/g, '').slice(0, 6))}
+                placeholder="000000"
+                className="w-full h-14 text-center text-2xl font-bold tracking-[0.5em] border border-gray-300 rounded-lg focus:ring-2 focus:ring-emerald-500 focus:border-transparent placeholder:text-gray-300"
+                required
+              />
+              <button
+                type="submit"
+                disabled={submitting || otp.length !== 6}
+                className="w-full py-3 px-4 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl transition disabled:opacity-50"
+              >
+                {submitting ? 'Linking...' : 'Link account'}
+              </button>
+            </form>
+          )}
+
+          {(error || step !== 'loading') && (
+            <Link
+              to={user ? '/app/account/security' : '/login'}
+              className="mt-6 inline-block text-gray-600 hover:text-gray-800"
+            >
+              {user ? 'Back to Account Security' : 'Back to Sign In'}
+            </Link>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default OidcCallback;
@@ -10,9 +10,7 @@ const Register = () => {
   const navigate = useNavigate();
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
-  const { register, handleSubmit, watch, formState: { errors } } = useForm({
-    defaultValues: { role: 'student' }
-  });
+  const { register, handleSubmit, watch, formState: { errors } } = useForm();
   
   const password = watch('password', '');
 
@@ -38,8 +36,7 @@ const Register = () => {
         email: data.email,
         password: data.password,
         fullName: data.fullName,
-        phone: data.phone,
-        role: data.role
+        phone: data.phone
       });
       
       if (result.success) {
@@ -48,7 +45,9 @@ const Register = () => {
         navigate('/verify-email');
       }
     } catch (error) {
-      const message = error.response?.data?.message || 'Registration failed';
+      const message = error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Registration failed';
       toast.error(message);
     } finally {
       setLoading(false);
@@ -65,6 +64,9 @@ const Register = () => {
           </div>
           <h1 className="text-3xl font-bold text-white">Create Account</h1>
           <p className="text-primary-200 mt-2">Join TrustScholar today</p>
+          <p className="text-primary-300 text-sm mt-1">
+            Student accounts only - officers and admins join through an invitation
+          </p>
         </div>
 
         {/* Register Card */}
@@ -133,27 +135,6 @@ const Register = () => {
               </div>
             </div>
 
-            {/* Role */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Role
-              </label>
-              <div className="relative">
-                <FiShield className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
-                <select
-                  {...register('role', { required: 'Role is required' })}
-                  className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent transition"
-                >
-                  <option value="student">Student</option>
-                  <option value="officer">Officer</option>
-                  <option value="admin">Admin</option>
-                </select>
-              </div>
-              {errors.role && (
-                <p className="mt-1 text-sm text-red-500">{errors.role.message}</p>
-              )}
-            </div>
-
             {/* Password */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
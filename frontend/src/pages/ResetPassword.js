@@ -70,7 +70,11 @@ const ResetPassword = () => {
       toast.success('Password reset successful!');
       navigate('/login');
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Failed to reset password');
+      toast.error(
+        error.response?.data?.message
+        || error.response?.data?.errors?.[0]?.msg
+        || 'Failed to reset password'
+      );
     } finally {
       setLoading(false);
     }
@@ -1,16 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { applicationsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
 import toast from 'react-hot-toast';
 import { FiFileText, FiClock, FiSearch, FiCheckCircle, FiXCircle, FiFilter } from 'react-icons/fi';
 
 const ReviewApplications = () => {
+  const { access } = useAuth();
   const [applications, setApplications] = useState([]);
+  const [pendingApprovals, setPendingApprovals] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState({ status: '', search: '' });
 
   useEffect(() => {
     fetchApplications();
+    fetchPendingApprovals();
   }, []);
 
   const fetchApplications = async () => {
@@ -26,6 +30,15 @@ const ReviewApplications = () => {
     }
   };
 
+  const fetchPendingApprovals = async () => {
+    try {
+      const response = await applicationsAPI.getPendingApprovals();
+      setPendingApprovals(response.data.data || []);
+    } catch (error) {
+      console.error('Fetch pending approvals error:', error.response?.data || error.message);
+    }
+  };
+
   const getStatusBadge = (status) => {
     const badges = {
       draft: 'bg-gray-100 text-gray-800',
@@ -46,6 +59,9 @@ const ReviewApplications = () => {
     )
   );
 
+  // Officers only see applications to scholarships sharing one of their groups
+  const withoutGroups = access?.baseRole === 'officer' && !(access.officerGroups || []).length;
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -62,6 +78,48 @@ const ReviewApplications = () => {
         <p className="text-slate-300 mt-1">Verify and process scholarship applications</p>
       </div>
 
+      {/* Pending Approvals queue */}
+      {pendingApprovals.length > 0 && (
+        <div className="bg-white rounded-xl shadow-sm border border-purple-200 overflow-hidden">
+          <div className="px-6 py-4 border-b border-purple-100 bg-purple-50 flex items-center gap-2">
+            <FiClock className="text-purple-600" />
+            <h2 className="font-semibold text-gray-800">Pending Approvals</h2>
+            <span className="text-sm text-gray-500">({pendingApprovals.length})</span>
+          </div>
+          <div className="divide-y divide-gray-100">
+            {pendingApprovals.map(app => (
+              <div key={app.id} className="px-6 py-3 flex flex-wrap items-center justify-between gap-3">
+                <div>
+                  <p className="font-medium text-gray-800 font-mono">{app.application_number}</p>
+                  <p className="text-sm text-gray-500">
+                    {app.student_name} • {app.scholarship_name}
+                    {app.scholarship_amount != null && ` • ${Number(app.scholarship_amount).toLocaleString()}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-4">
+                  <span className="text-sm text-gray-600">
+                    {app.approval.received_approvals} of {app.approval.required_approvals} approvals
+                    {app.approval.still_required && ` • needs ${app.approval.still_required}`}
+                  </span>
+                  {app.approval.can_approve ? (
+                    <Link
+                      to={`/app/application/${app.id}`}
+                      className="text-emerald-600 hover:text-emerald-700 font-semibold"
+                    >
+                      Approve
+                    </Link>
+                  ) : (
+                    <span className="text-xs text-gray-400" title={app.approval.blocked_reason || undefined}>
+                      Awaiting another officer
+                    </span>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Filters */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
         <div className="flex flex-wrap items-center gap-4">
@@ -83,6 +141,7 @@ const ReviewApplications = () => {
             <option value="">All Status</option>
             <option value="submitted">Submitted</option>
             <option value="under_review">Under Review</option>
+            <option value="verified">Verified</option>
             <option value="approved">Approved</option>
             <option value="rejected">Rejected</option>
           </select>
@@ -153,7 +212,16 @@ const ReviewApplications = () => {
         {filteredApplications.length === 0 && (
           <div className="p-8 text-center">
             <FiFileText className="w-12 h-12 mx-auto text-gray-300 mb-3" />
-            <p className="text-gray-500">No applications found</p>
+            {withoutGroups ? (
+              <>
+                <p className="text-gray-700 font-medium">You are not assigned to any officer groups yet</p>
+                <p className="text-gray-500 text-sm mt-1">
+                  Applications appear here once an administrator adds you to the group of a scholarship you review.
+                </p>
+              </>
+            ) : (
+              <p className="text-gray-500">No applications found</p>
+            )}
           </div>
         )}
       </div>
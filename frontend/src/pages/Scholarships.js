@@ -1,12 +1,14 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { scholarshipsAPI } from '../services/api';
-import { useAuth } from '../context/AuthContext';
+import { useAuth, usePermission } from '../context/AuthContext';
 import { FiAward, FiCalendar, FiDollarSign, FiUsers, FiArrowRight } from 'react-icons/fi';
 import toast from 'react-hot-toast';
 
 const Scholarships = () => {
   const { user } = useAuth();
+  const baseRole = user?.baseRole || user?.role;
+  const canApply = usePermission('manage_applications:create') && baseRole === 'student';
   const navigate = useNavigate();
   const [scholarships, setScholarships] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -88,7 +90,7 @@ const Scholarships = () => {
         <p className="text-slate-300 mt-1">Browse and apply for scholarships that match your profile</p>
       </div>
 
-      {user?.role === 'student' && scholarships.length > 0 && (
+      {baseRole === 'student' && scholarships.length > 0 && (
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 flex flex-col sm:flex-row gap-3 sm:items-center">
           <div className="flex-1">
             <label className="block text-sm font-medium text-gray-600 mb-1">Select Scholarship</label>
@@ -163,7 +165,7 @@ const Scholarships = () => {
                 </div>
 
                 {/* Apply Button */}
-                {user?.role === 'student' && !isExpired(scholarship.deadline) && (
+                {canApply && !isExpired(scholarship.deadline) && (
                   <Link
                     to={`/app/apply/${scholarship.id}`}
                     className="flex items-center justify-center gap-2 w-full py-2.5 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl shadow-md shadow-emerald-500/20 transition-all group-hover:shadow-lg"
@@ -0,0 +1,78 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { FiUnlock, FiCheck, FiX } from 'react-icons/fi';
+
+const UnlockAccount = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'loading' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'Unlock link is missing its token.');
+
+  useEffect(() => {
+    if (!token) return;
+
+    const unlock = async () => {
+      try {
+        const response = await authAPI.unlockAccount({ token });
+        setStatus('success');
+        setMessage(response.data.message);
+      } catch (error) {
+        setStatus('error');
+        setMessage(error.response?.data?.message || 'Failed to unlock account');
+      }
+    };
+
+    unlock();
+  }, [token]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-primary-900 to-slate-900 flex items-center justify-center p-4">
+      <div className="max-w-md w-full">
+        <div className="text-center mb-8">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-gradient-to-br from-emerald-400 to-cyan-500 rounded-2xl mb-4 shadow-lg shadow-emerald-500/30">
+            <FiUnlock className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-3xl font-bold text-white mb-2">Unlock Account</h1>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-2xl p-8 text-center">
+          {status === 'loading' && (
+            <div className="flex justify-center">
+              <div className="animate-spin rounded-full h-10 w-10 border-b-2 border-primary-600"></div>
+            </div>
+          )}
+
+          {status === 'success' && (
+            <p className="flex items-center justify-center gap-2 text-green-600">
+              <FiCheck /> {message}
+            </p>
+          )}
+
+          {status === 'error' && (
+            <p className="flex items-center justify-center gap-2 text-red-600">
+              <FiX /> {message}
+            </p>
+          )}
+
+          <Link
+            to="/login"
+            className="mt-6 inline-block py-3 px-6 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl transition"
+          >
+            Go to Sign In
+          </Link>
+          {status === 'success' && (
+            <p className="mt-4 text-sm text-gray-500">
+              Didn't make those attempts?{' '}
+              <Link to="/forgot-password" className="text-primary-600 hover:text-primary-700 font-medium">
+                Reset your password
+              </Link>
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UnlockAccount;
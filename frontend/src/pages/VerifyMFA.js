@@ -2,18 +2,24 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import toast from 'react-hot-toast';
-import { FiShield, FiLock } from 'react-icons/fi';
+import { FiShield, FiLock, FiKey } from 'react-icons/fi';
 
 const VerifyMFA = () => {
-  const { verifyMFA, resendOTP } = useAuth();
+  const { verifyMFA, passkeyLogin, resendLoginOTP } = useAuth();
   const navigate = useNavigate();
   const [otp, setOtp] = useState('');
   const [loading, setLoading] = useState(false);
   const [resendTimer, setResendTimer] = useState(60);
   const [canResend, setCanResend] = useState(false);
+  const [useRecovery, setUseRecovery] = useState(false);
+  const [recoveryCode, setRecoveryCode] = useState('');
   
   const tempToken = sessionStorage.getItem('tempToken');
   const email = sessionStorage.getItem('mfaEmail');
+  const mfaMethod = sessionStorage.getItem('mfaMethod') || 'email';
+  const isTOTP = mfaMethod === 'totp';
+  const isPasskey = mfaMethod === 'webauthn';
+  const passkeyAvailable = sessionStorage.getItem('passkeyAvailable') === 'true';
 
   useEffect(() => {
     if (!tempToken || !email) {
@@ -48,22 +54,77 @@ const VerifyMFA = () => {
     try {
       const result = await verifyMFA(tempToken, otpCode);
       if (result.success) {
-        sessionStorage.removeItem('tempToken');
-        sessionStorage.removeItem('mfaEmail');
-        toast.success('Login successful!');
-        navigate('/app/dashboard');
+        finishLogin(result);
       }
     } catch (error) {
-      toast.error(error.response?.data?.message || 'Verification failed');
+      handleVerifyError(error);
       setOtp('');
     } finally {
       setLoading(false);
     }
   };
 
+  const handleRecoverySubmit = async (e) => {
+    e.preventDefault();
+    if (recoveryCode.replace(/[\s-]/g, '').length !== 10) {
+      toast.error('Recovery codes look like xxxxx-xxxxx');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const result = await verifyMFA(tempToken, null, recoveryCode);
+      if (result.success) {
+        finishLogin(result);
+      }
+    } catch (error) {
+      handleVerifyError(error);
+      setRecoveryCode('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePasskey = async () => {
+    setLoading(true);
+    try {
+      const result = await passkeyLogin(tempToken);
+      if (result.success) {
+        finishLogin(result);
+      }
+    } catch (error) {
+      handleVerifyError(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const finishLogin = (result) => {
+    sessionStorage.removeItem('tempToken');
+    sessionStorage.removeItem('mfaEmail');
+    sessionStorage.removeItem('mfaMethod');
+    sessionStorage.removeItem('passkeyAvailable');
+    toast.success('Login successful!');
+    if (result.data?.passkeyEnrollmentRequired) {
+      toast('Your role requires a passkey. Please register one now.', { icon: '🔑' });
+      navigate('/app/account/security');
+    } else {
+      navigate('/app/dashboard');
+    }
+  };
+
+  const handleVerifyError = (error) => {
+    toast.error(error.response?.data?.message || error.message || 'Verification failed');
+    if (error.response?.status === 401) {
+      // Challenge expired or already used - start over from the password step
+      sessionStorage.removeItem('tempToken');
+      navigate('/login');
+    }
+  };
+
   const handleResend = async () => {
     try {
-      await resendOTP(email, 'login');
+      await resendLoginOTP(tempToken);
       toast.success('New OTP sent to your email');
       setResendTimer(60);
       setCanResend(false);
@@ -80,10 +141,22 @@ const VerifyMFA = () => {
             <FiShield className="w-8 h-8 text-white" />
           </div>
           <h1 className="text-3xl font-bold text-white">Two-Factor Authentication</h1>
-          <p className="text-slate-300 mt-2">
-            Enter the 6-digit code sent to<br />
-            <span className="font-medium text-emerald-400">{email?.replace(/(.{2})(.*)(@.*)/, '$1***$3')}</span>
-          </p>
+          {isPasskey ? (
+            <p className="text-slate-300 mt-2">
+              Confirm it's you with your<br />
+              <span className="font-medium text-emerald-400">passkey or security key</span>
+            </p>
+          ) : isTOTP ? (
+            <p className="text-slate-300 mt-2">
+              Enter the 6-digit code from your<br />
+              <span className="font-medium text-emerald-400">authenticator app</span>
+            </p>
+          ) : (
+            <p className="text-slate-300 mt-2">
+              Enter the 6-digit code sent to<br />
+              <span className="font-medium text-emerald-400">{email?.replace(/(.{2})(.*)(@.*)/, '$1***$3')}</span>
+            </p>
+          )}
         </div>
 
         <div className="bg-slate-800/50 backdrop-blur-xl rounded-2xl shadow-2xl p-8 border border-slate-700">
@@ -94,9 +167,41 @@ const VerifyMFA = () => {
             </span>
           </div>
 
+          {useRecovery ? (
+            <form onSubmit={handleRecoverySubmit}>
+              <p className="text-center text-slate-400 mb-4">
+                Enter one of your saved recovery codes. Each code works once.
+              </p>
+              <input
+                type="text"
+                value={recoveryCode}
+                onChange={(e) => setRecoveryCode(e.target.value.slice(0, 16))}
+                placeholder="xxxxx-xxxxx"
+                autoFocus
+                autoComplete="off"
+                className="w-full h-14 mb-6 text-center text-2xl font-mono tracking-widest bg-slate-900/50 border-2 border-slate-600 text-white rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition placeholder:text-slate-600"
+              />
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full py-3 px-4 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl transition-all shadow-lg shadow-emerald-500/25 disabled:opacity-50"
+              >
+                {loading ? 'Verifying...' : 'Use Recovery Code'}
+              </button>
+            </form>
+          ) : isPasskey ? (
+            <button
+              type="button"
+              onClick={handlePasskey}
+              disabled={loading}
+              className="w-full py-3 px-4 flex items-center justify-center gap-2 bg-gradient-to-r from-emerald-500 to-cyan-500 hover:from-emerald-600 hover:to-cyan-600 text-white font-semibold rounded-xl transition-all shadow-lg shadow-emerald-500/25 disabled:opacity-50"
+            >
+              <FiKey /> {loading ? 'Waiting for passkey...' : 'Use Passkey'}
+            </button>
+          ) : (
           <form onSubmit={handleSubmit}>
             <p className="text-center text-slate-400 mb-4">
-              Step 2: Enter your OTP code
+              Step 2: Enter your {isTOTP ? 'authenticator' : 'OTP'} code
             </p>
             
             {/* OTP Input - Single Box */}
@@ -122,24 +227,48 @@ const VerifyMFA = () => {
             >
               {loading ? 'Verifying...' : 'Complete Login'}
             </button>
+
+            {passkeyAvailable && (
+              <button
+                type="button"
+                onClick={handlePasskey}
+                disabled={loading}
+                className="mt-3 w-full py-3 px-4 flex items-center justify-center gap-2 border border-slate-600 text-slate-200 hover:bg-slate-700/50 font-medium rounded-xl transition disabled:opacity-50"
+              >
+                <FiKey /> Use a passkey instead
+              </button>
+            )}
           </form>
+          )}
 
-          <div className="mt-6 text-center">
-            <p className="text-slate-400">
-              Didn't receive the code?{' '}
-              {canResend ? (
-                <button
-                  onClick={handleResend}
-                  className="text-emerald-400 hover:text-emerald-300 font-medium"
-                >
-                  Resend OTP
-                </button>
-              ) : (
-                <span className="text-slate-500">Resend in {resendTimer}s</span>
-              )}
-            </p>
+          <div className="mt-4 text-center">
+            <button
+              type="button"
+              onClick={() => setUseRecovery(!useRecovery)}
+              className="text-sm text-slate-400 hover:text-slate-200"
+            >
+              {useRecovery ? 'Back to normal verification' : 'Lost access? Use a recovery code'}
+            </button>
           </div>
 
+          {!isTOTP && !isPasskey && !useRecovery && (
+            <div className="mt-6 text-center">
+              <p className="text-slate-400">
+                Didn't receive the code?{' '}
+                {canResend ? (
+                  <button
+                    onClick={handleResend}
+                    className="text-emerald-400 hover:text-emerald-300 font-medium"
+                  >
+                    Resend OTP
+                  </button>
+                ) : (
+                  <span className="text-slate-500">Resend in {resendTimer}s</span>
+                )}
+              </p>
+            </div>
+          )}
+
           <div className="mt-6 p-4 bg-blue-500/10 border border-blue-500/20 rounded-xl">
             <p className="text-sm text-blue-300">
               <strong>🔐 Security Notice:</strong> This extra verification step 
@@ -9,10 +9,11 @@ const api = axios.create({
   },
 });
 
-// Add token to requests
+// Add token to requests. While an admin is viewing as another user (this tab
+// only), the short-lived impersonation token is sent instead of their own.
 api.interceptors.request.use(
   (config) => {
-    const token = localStorage.getItem('accessToken');
+    const token = sessionStorage.getItem('impersonationToken') || localStorage.getItem('accessToken');
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
     }
@@ -21,15 +22,86 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
+// Sign-in steps report bad credentials with 401 - never refresh or redirect for these
+const AUTH_FLOW_ENDPOINTS = [
+  '/auth/login',
+  '/auth/verify-mfa',
+  '/auth/magic-link/',
+  '/auth/resend-otp',
+  '/auth/oidc/callback',
+  '/auth/oidc/link/',
+  '/auth/saml/complete',
+  '/auth/refresh',
+  '/auth/webauthn/login',
+];
+
+const isAuthFlowRequest = (config) =>
+  AUTH_FLOW_ENDPOINTS.some((endpoint) => config?.url?.startsWith(endpoint));
+
+const clearImpersonation = () => {
+  sessionStorage.removeItem('impersonationToken');
+  sessionStorage.removeItem('impersonation');
+};
+
+const clearSession = () => {
+  clearImpersonation();
+  localStorage.removeItem('accessToken');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
+// Shared so parallel 401s trigger a single refresh (refresh tokens are single-use)
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = axios.post(`${API_URL}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        const { accessToken, refreshToken: nextRefreshToken } = response.data.data;
+        localStorage.setItem('accessToken', accessToken);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        return accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Handle response errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('accessToken');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+
+    if (error.response?.status !== 401 || isAuthFlowRequest(originalRequest)) {
+      return Promise.reject(error);
+    }
+
+    // Impersonation expired or was ended - drop back to the admin's own session
+    if (sessionStorage.getItem('impersonationToken')) {
+      clearImpersonation();
+      window.location.href = '/app/admin/users';
+      return Promise.reject(error);
+    }
+
+    // Access token expired - refresh silently and replay the request once
+    if (!originalRequest._retry && localStorage.getItem('refreshToken')) {
+      originalRequest._retry = true;
+      try {
+        const accessToken = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        clearSession();
+        return Promise.reject(refreshError);
+      }
     }
+
+    clearSession();
     return Promise.reject(error);
   }
 );
@@ -41,11 +113,61 @@ export const authAPI = {
   login: (data) => api.post('/auth/login', data),
   verifyMFA: (data) => api.post('/auth/verify-mfa', data),
   resendOTP: (data) => api.post('/auth/resend-otp', data),
-  googleLogin: (data) => api.post('/auth/google', data),
   logout: () => api.post('/auth/logout'),
   getMe: () => api.get('/auth/me'),
+  getPermissions: () => api.get('/auth/permissions'),
   forgotPassword: (data) => api.post('/auth/forgot-password', data),
   resetPassword: (data) => api.post('/auth/reset-password', data),
+  unlockAccount: (data) => api.post('/auth/unlock', data),
+  requestMagicLink: (data) => api.post('/auth/magic-link/request', data),
+  verifyMagicLink: (data) => api.post('/auth/magic-link/verify', data),
+};
+
+// OpenID Connect API (Google, partner university IdPs)
+export const oidcAPI = {
+  getProviders: () => api.get('/auth/oidc/providers'),
+  authorize: (provider) => api.get(`/auth/oidc/${provider}/authorize`),
+  callback: (data) => api.post('/auth/oidc/callback', data),
+  link: (provider) => api.get(`/auth/oidc/${provider}/link`),
+  linkPassword: (data) => api.post('/auth/oidc/link/password', data),
+  linkVerify: (data) => api.post('/auth/oidc/link/verify', data),
+  getIdentities: () => api.get('/auth/oidc/identities'),
+  unlink: (id) => api.delete(`/auth/oidc/identities/${id}`),
+};
+
+// MFA API
+export const mfaAPI = {
+  getStatus: () => api.get('/auth/mfa/status'),
+  setupTOTP: (data) => api.post('/auth/mfa/totp/setup', data),
+  confirmTOTP: (data) => api.post('/auth/mfa/totp/confirm', data),
+  disableTOTP: (data) => api.post('/auth/mfa/totp/disable', data),
+  regenerateRecoveryCodes: (data) => api.post('/auth/mfa/recovery-codes', data),
+};
+
+// Sessions API
+export const sessionsAPI = {
+  getAll: () => api.get('/auth/sessions'),
+  revoke: (id) => api.delete(`/auth/sessions/${id}`),
+  revokeOthers: () => api.delete('/auth/sessions'),
+};
+
+// Step-up re-authentication API (before viewing sensitive applicant data)
+export const stepUpAPI = {
+  getStatus: () => api.get('/auth/step-up/status'),
+  sendOTP: () => api.post('/auth/step-up/otp/send'),
+  verifyOTP: (code) => api.post('/auth/step-up/otp/verify', { code }),
+  passkeyOptions: () => api.post('/auth/step-up/webauthn/options'),
+  passkeyVerify: (response) => api.post('/auth/step-up/webauthn/verify', { response }),
+};
+
+// WebAuthn (Passkey) API
+export const webauthnAPI = {
+  registerOptions: (data) => api.post('/auth/webauthn/register/options', data),
+  registerVerify: (data) => api.post('/auth/webauthn/register/verify', data),
+  getCredentials: () => api.get('/auth/webauthn/credentials'),
+  deleteCredential: (id) => api.delete(`/auth/webauthn/credentials/${id}`),
+  loginOptions: (data) => api.post('/auth/webauthn/login/options', data),
+  loginVerify: (data) => api.post('/auth/webauthn/login/verify', data),
 };
 
 // Scholarships API
@@ -66,6 +188,7 @@ export const applicationsAPI = {
   update: (id, data) => api.put(`/applications/${id}`, data),
   submit: (id) => api.post(`/applications/${id}/submit`),
   updateStatus: (id, data) => api.put(`/applications/${id}/status`, data),
+  getPendingApprovals: () => api.get('/applications/approvals/pending'),
   verifySignature: (id) => api.get(`/applications/${id}/verify-signature`),
   verifyByCode: (code) => api.get(`/applications/verify/${code}`),
 };
@@ -86,8 +209,61 @@ export const usersAPI = {
   create: (data) => api.post('/users', data),
   update: (id, data) => api.put(`/users/${id}`, data),
   delete: (id) => api.delete(`/users/${id}`),
+  revokeSessions: (id) => api.post(`/users/${id}/revoke-sessions`),
+  unlock: (id) => api.post(`/users/${id}/unlock`),
   deleteMe: () => api.delete('/users/me'),
   getAuditLogs: (params) => api.get('/users/audit-logs', { params }),
+  verifyAuditLogs: () => api.get('/users/audit-logs/verify'),
+  getRiskyLogins: (params) => api.get('/users/risky-logins', { params }),
+  impersonate: (id, data) => api.post(`/users/${id}/impersonate`, data),
+  endImpersonation: () => api.post('/users/impersonation/end'),
+};
+
+// SAML API (partner college staff sign-in)
+export const samlAPI = {
+  getProviders: () => api.get('/auth/saml/providers'),
+  authorize: (provider) => api.get(`/auth/saml/${provider}/authorize`),
+  complete: (data) => api.post('/auth/saml/complete', data),
+};
+
+// Service Accounts API (integration API keys)
+export const serviceAccountsAPI = {
+  getAll: () => api.get('/service-accounts'),
+  getScopes: () => api.get('/service-accounts/scopes'),
+  create: (data) => api.post('/service-accounts', data),
+  update: (id, data) => api.put(`/service-accounts/${id}`, data),
+  createKey: (id, data) => api.post(`/service-accounts/${id}/keys`, data),
+  rotateKey: (id, keyId, data) => api.post(`/service-accounts/${id}/keys/${keyId}/rotate`, data),
+  revokeKey: (id, keyId) => api.delete(`/service-accounts/${id}/keys/${keyId}`),
+};
+
+// Staff Invitations API
+export const invitationsAPI = {
+  getAll: () => api.get('/invitations'),
+  create: (data) => api.post('/invitations', data),
+  revoke: (id) => api.delete(`/invitations/${id}`),
+  lookup: (token) => api.get('/invitations/lookup', { params: { token } }),
+  accept: (data) => api.post('/invitations/accept', data),
+};
+
+// Authentication Policies API (Admin)
+export const authPoliciesAPI = {
+  getAll: () => api.get('/auth-policies'),
+  update: (role, data) => api.put(`/auth-policies/${role}`, data),
+};
+
+// Roles & Permissions API (Admin)
+export const rolesAPI = {
+  getAll: () => api.get('/roles'),
+  create: (data) => api.post('/roles', data),
+  remove: (name) => api.delete(`/roles/${name}`),
+  updatePermissions: (name, permissions) => api.put(`/roles/${name}/permissions`, { permissions }),
+};
+
+export const delegationsAPI = {
+  getAll: (params) => api.get('/delegations', { params }),
+  create: (data) => api.post('/delegations', data),
+  revoke: (id) => api.delete(`/delegations/${id}`),
 };
 
 // Encoding API